@@ -0,0 +1,382 @@
+import React, { useState, useEffect } from 'react';
+import { AUDIT_ACTIONS } from '../../utils/constants';
+import { formatDate } from '../../utils/dateUtils';
+
+const ACTION_LABELS = {
+  [AUDIT_ACTIONS.LOGIN]: '🔓 Login',
+  [AUDIT_ACTIONS.LOGIN_FAILED]: '⛔ Failed login',
+  [AUDIT_ACTIONS.ACCOUNT_LOCKED]: '🔒 Account locked',
+  [AUDIT_ACTIONS.LOGOUT]: '🚪 Logout',
+  [AUDIT_ACTIONS.PASSWORD_CHANGE]: '🔑 Password change',
+  [AUDIT_ACTIONS.EMERGENCY_OVERRIDE]: '🚨 Emergency override',
+  [AUDIT_ACTIONS.FORCE_EXIT]: '⏏️ Force exit',
+  [AUDIT_ACTIONS.MEMBERSHIP_CHANGE]: '💳 Membership change',
+  [AUDIT_ACTIONS.EXPORT]: '📤 Export',
+  [AUDIT_ACTIONS.EMPLOYEE_CHANGE]: '🧑‍💼 Employee change',
+  [AUDIT_ACTIONS.PERMISSIONS_CHANGE]: '🔐 Permissions change',
+  [AUDIT_ACTIONS.BACKUP_RESTORE]: '♻️ Backup restore',
+  [AUDIT_ACTIONS.CARD_CHANGE]: '🪪 Member card change',
+  [AUDIT_ACTIONS.VISIT_CORRECTION]: '🌅 Visit exit corrected'
+};
+
+const EMPTY_FILTERS = {
+  startDate: '',
+  endDate: '',
+  actor: '',
+  action: '',
+  search: ''
+};
+
+// One-line summary of what an entry was about
+const describeTarget = (entry) => {
+  if (entry.target?.customerId) return `Customer ${entry.target.customerId}`;
+  if (entry.target?.employeeId) return `Employee ${entry.target.employeeId}`;
+  if (entry.details?.type) return entry.details.type.replace(/_/g, ' ');
+  if (entry.details?.username) return `@${entry.details.username}`;
+  if (entry.details?.role) return `Role ${entry.details.role}`;
+  return '—';
+};
+
+const AuditLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [actors, setActors] = useState([]);
+  const [integrity, setIntegrity] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    loadEntries(filters);
+  }, [filters]);
+
+  const loadEntries = async (activeFilters) => {
+    try {
+      setLoading(true);
+      const query = Object.fromEntries(
+        Object.entries(activeFilters).filter(([, value]) => value !== '')
+      );
+      const result = await window.gymApi.audit.getLog(query);
+
+      if (result.success) {
+        setEntries(result.data);
+        setTotal(result.total);
+        setActors(result.actors);
+        setIntegrity(result.integrity);
+        setError(null);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      setError('Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  return (
+    <div className="audit-log">
+      <div className="audit-header">
+        <div>
+          <h1>📜 Audit Log</h1>
+          <p>Every sensitive action, who did it and why</p>
+        </div>
+        {integrity && (
+          <div className={`integrity-badge ${integrity.valid ? 'valid' : 'invalid'}`}>
+            {integrity.valid
+              ? `✓ ${integrity.checked} entries verified`
+              : `⚠️ Log has been altered at entry ${integrity.brokenAt}`}
+          </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="audit-filters">
+        <div className="filter-group">
+          <label htmlFor="startDate">From</label>
+          <input
+            id="startDate"
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="endDate">To</label>
+          <input
+            id="endDate"
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="actor">Employee</label>
+          <select id="actor" value={filters.actor} onChange={(e) => handleFilterChange('actor', e.target.value)}>
+            <option value="">All employees</option>
+            {actors.map(actor => (
+              <option key={actor.employeeId} value={actor.employeeId}>{actor.name} (@{actor.username})</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="action">Action</label>
+          <select id="action" value={filters.action} onChange={(e) => handleFilterChange('action', e.target.value)}>
+            <option value="">All actions</option>
+            {Object.values(AUDIT_ACTIONS).map(action => (
+              <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group search">
+          <label htmlFor="search">Search</label>
+          <input
+            id="search"
+            type="text"
+            placeholder="Customer ID, reason, username..."
+            value={filters.search}
+            onChange={(e) => handleFilterChange('search', e.target.value)}
+          />
+        </div>
+        <button onClick={() => setFilters(EMPTY_FILTERS)} className="clear-btn">
+          Clear
+        </button>
+      </div>
+
+      <div className="audit-card">
+        {loading ? (
+          <p className="muted">Loading audit log...</p>
+        ) : error ? (
+          <p className="error-text">❌ {error}</p>
+        ) : entries.length === 0 ? (
+          <p className="muted">No entries match these filters</p>
+        ) : (
+          <>
+            <p className="results-count">
+              Showing {entries.length} of {total} entries
+            </p>
+            <table className="audit-table">
+              <thead>
+                <tr>
+                  <th>Time</th>
+                  <th>Employee</th>
+                  <th>Action</th>
+                  <th>Target</th>
+                  <th>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(entry => (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      className="audit-row"
+                      onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    >
+                      <td>{formatDate(entry.timestamp, 'datetime')}</td>
+                      <td>{entry.actor ? entry.actor.name : <span className="muted">Not signed in</span>}</td>
+                      <td>{ACTION_LABELS[entry.action] || entry.action}</td>
+                      <td className="target-cell">{describeTarget(entry)}</td>
+                      <td>{entry.reason || <span className="muted">—</span>}</td>
+                    </tr>
+                    {expandedId === entry.id && (
+                      <tr className="details-row">
+                        <td colSpan="5">
+                          <div className="details-grid">
+                            {entry.before !== null && (
+                              <div>
+                                <h4>Before</h4>
+                                <pre>{JSON.stringify(entry.before, null, 2)}</pre>
+                              </div>
+                            )}
+                            {entry.after !== null && (
+                              <div>
+                                <h4>After</h4>
+                                <pre>{JSON.stringify(entry.after, null, 2)}</pre>
+                              </div>
+                            )}
+                            {entry.details !== null && (
+                              <div>
+                                <h4>Details</h4>
+                                <pre>{JSON.stringify(entry.details, null, 2)}</pre>
+                              </div>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </div>
+
+      <style jsx>{`
+        .audit-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 24px;
+        }
+
+        .audit-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .audit-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .integrity-badge {
+          padding: 8px 14px;
+          border-radius: 8px;
+          font-weight: 600;
+          font-size: 14px;
+        }
+
+        .integrity-badge.valid {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .integrity-badge.invalid {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .audit-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          align-items: flex-end;
+          margin-bottom: 16px;
+        }
+
+        .filter-group {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .filter-group.search {
+          flex: 1;
+          min-width: 200px;
+        }
+
+        .filter-group label {
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+        }
+
+        .filter-group input, .filter-group select {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          background: white;
+        }
+
+        .clear-btn {
+          padding: 8px 14px;
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .audit-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .results-count {
+          color: #718096;
+          font-size: 14px;
+          margin-bottom: 12px;
+        }
+
+        .audit-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .audit-table th, .audit-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .audit-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .audit-row {
+          cursor: pointer;
+        }
+
+        .audit-row:hover {
+          background: #f7fafc;
+        }
+
+        .target-cell {
+          text-transform: capitalize;
+        }
+
+        .details-row td {
+          background: #f7fafc;
+        }
+
+        .details-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(220px, 1fr));
+          gap: 16px;
+        }
+
+        .details-grid h4 {
+          font-size: 13px;
+          color: #4a5568;
+          margin-bottom: 4px;
+        }
+
+        .details-grid pre {
+          background: white;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 8px;
+          font-size: 12px;
+          white-space: pre-wrap;
+          word-break: break-word;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .error-text {
+          color: #c53030;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -1,5 +1,4 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import authService from '../../services/authService';
 import { ERROR_MESSAGES } from '../../utils/constants';
 
 // Create Auth Context
@@ -21,22 +20,19 @@ export const AuthProvider = ({ children }) => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [sessionInfo, setSessionInfo] = useState(null);
+  const [permissions, setPermissions] = useState([]);
 
   // Initialize authentication state
   useEffect(() => {
     initializeAuth();
     
-    // Listen for session expiration events
-    const handleSessionExpired = (event) => {
+    // Listen for session expiration notifications from the main process
+    const unsubscribe = window.gymApi.auth.onSessionExpired((detail) => {
       logout();
-      setError(event.detail.message);
-    };
+      setError(detail.message);
+    });
 
-    window.addEventListener('sessionExpired', handleSessionExpired);
-
-    return () => {
-      window.removeEventListener('sessionExpired', handleSessionExpired);
-    };
+    return unsubscribe;
   }, []);
 
   /**
@@ -45,18 +41,14 @@ export const AuthProvider = ({ children }) => {
   const initializeAuth = async () => {
     setIsLoading(true);
     try {
-      // Check if there's a valid session
-      const isValidSession = authService.validateSession();
+      // Check if the main process still holds a valid session
+      const sessionData = await window.gymApi.auth.getSessionInfo();
       
-      if (isValidSession) {
-        const currentUser = authService.getCurrentUser();
-        const sessionData = authService.getSessionInfo();
-        
-        if (currentUser && sessionData) {
-          setUser(currentUser);
-          setIsAuthenticated(true);
-          setSessionInfo(sessionData);
-        }
+      if (sessionData && sessionData.isValid && sessionData.user) {
+        setUser(sessionData.user);
+        setIsAuthenticated(true);
+        setSessionInfo(sessionData);
+        setPermissions(await window.gymApi.auth.getPermissions());
       }
     } catch (error) {
       console.error('Auth initialization error:', error);
@@ -77,12 +69,13 @@ export const AuthProvider = ({ children }) => {
     setError(null);
 
     try {
-      const result = await authService.login(username, password);
+      const result = await window.gymApi.auth.login(username, password);
       
       if (result.success) {
         setUser(result.user);
         setIsAuthenticated(true);
-        setSessionInfo(authService.getSessionInfo());
+        setSessionInfo(await window.gymApi.auth.getSessionInfo());
+        setPermissions(await window.gymApi.auth.getPermissions());
       } else {
         setError(result.message);
       }
@@ -107,13 +100,14 @@ export const AuthProvider = ({ children }) => {
   const logout = async () => {
     setIsLoading(true);
     try {
-      await authService.logout();
+      await window.gymApi.auth.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       setUser(null);
       setIsAuthenticated(false);
       setSessionInfo(null);
+      setPermissions([]);
       setError(null);
       setIsLoading(false);
     }
@@ -124,10 +118,10 @@ export const AuthProvider = ({ children }) => {
    */
   const refreshSession = async () => {
     try {
-      const result = await authService.refreshSession();
+      const result = await window.gymApi.auth.refreshSession();
       
       if (result.success) {
-        setSessionInfo(authService.getSessionInfo());
+        setSessionInfo(await window.gymApi.auth.getSessionInfo());
         return true;
       } else {
         // Session refresh failed, logout user
@@ -143,13 +137,63 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Change the current user's password
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<object>} Change password result
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const result = await window.gymApi.auth.changePassword(currentPassword, newPassword);
+
+      if (result.success) {
+        setUser(result.user);
+        setPermissions(await window.gymApi.auth.getPermissions());
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Change password error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  };
+
+  /**
+   * Acknowledge the previous shift's report at handover
+   * @param {string} shiftId - Shift being handed over
+   * @param {string} note - Optional handover note
+   * @returns {Promise<object>} Acknowledge result
+   */
+  const acknowledgeHandover = async (shiftId, note) => {
+    try {
+      const result = await window.gymApi.shifts.acknowledgeHandover(shiftId, note);
+
+      if (result.success) {
+        setUser(result.user);
+        setPermissions(await window.gymApi.auth.getPermissions());
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Acknowledge handover error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  };
+
   /**
    * Check if user has specific role
    * @param {string} role - Role to check
    * @returns {boolean} True if user has role
    */
   const hasRole = (role) => {
-    return authService.hasRole(role);
+    return isAuthenticated && user?.role === role;
   };
 
   /**
@@ -158,7 +202,7 @@ export const AuthProvider = ({ children }) => {
    * @returns {boolean} True if user has permission
    */
   const hasPermission = (permission) => {
-    return authService.hasPermission(permission);
+    return isAuthenticated && permissions.includes(permission);
   };
 
   /**
@@ -200,8 +244,8 @@ export const AuthProvider = ({ children }) => {
   useEffect(() => {
     if (!isAuthenticated) return;
 
-    const interval = setInterval(() => {
-      const updatedSessionInfo = authService.getSessionInfo();
+    const interval = setInterval(async () => {
+      const updatedSessionInfo = await window.gymApi.auth.getSessionInfo();
       if (updatedSessionInfo) {
         setSessionInfo(updatedSessionInfo);
         
@@ -224,11 +268,14 @@ export const AuthProvider = ({ children }) => {
     isLoading,
     error,
     sessionInfo,
+    permissions,
     
     // Actions
     login,
     logout,
     refreshSession,
+    changePassword,
+    acknowledgeHandover,
     clearError,
     
     // Utilities
@@ -236,10 +283,7 @@ export const AuthProvider = ({ children }) => {
     hasPermission,
     getUserDisplayName,
     getSessionTimeRemaining,
-    isSessionExpiringSoon,
-    
-    // Auto-login for development
-    autoLogin: authService.autoLogin.bind(authService)
+    isSessionExpiringSoon
   };
 
   return (
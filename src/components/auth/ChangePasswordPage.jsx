@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { validatePassword } from '../../utils/validators';
+
+// CSS Styles
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    padding: '20px'
+  },
+  card: {
+    background: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 20px 40px rgba(0, 0, 0, 0.1)',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '400px'
+  },
+  header: {
+    textAlign: 'center',
+    marginBottom: '24px'
+  },
+  title: {
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#2d3748',
+    margin: '0 0 8px 0'
+  },
+  subtitle: {
+    color: '#718096',
+    fontSize: '14px',
+    margin: '0'
+  },
+  errorMessage: {
+    background: '#fed7d7',
+    border: '1px solid #feb2b2',
+    color: '#c53030',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    fontSize: '14px'
+  },
+  formGroup: {
+    marginBottom: '20px'
+  },
+  label: {
+    display: 'block',
+    fontWeight: '600',
+    color: '#2d3748',
+    marginBottom: '6px',
+    fontSize: '14px'
+  },
+  input: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '16px',
+    boxSizing: 'border-box'
+  },
+  inputError: {
+    borderColor: '#e53e3e'
+  },
+  fieldError: {
+    color: '#e53e3e',
+    fontSize: '12px',
+    marginTop: '4px',
+    display: 'block'
+  },
+  submitButton: {
+    width: '100%',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    color: 'white',
+    border: 'none',
+    padding: '14px',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    marginBottom: '12px'
+  },
+  submitButtonDisabled: {
+    opacity: '0.7',
+    cursor: 'not-allowed'
+  },
+  signOutButton: {
+    width: '100%',
+    background: 'none',
+    border: 'none',
+    color: '#718096',
+    fontSize: '14px',
+    cursor: 'pointer'
+  }
+};
+
+/**
+ * Shown instead of the app when an account still has a temporary password
+ */
+const ChangePasswordPage = () => {
+  const { user, changePassword, logout } = useAuth();
+
+  const [formData, setFormData] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const errors = {};
+    const passwordValidation = validatePassword(formData.newPassword);
+    if (!passwordValidation.isValid) {
+      errors.newPassword = passwordValidation.message;
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+    if (Object.keys(errors).length > 0) {
+      setFormErrors(errors);
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await changePassword(formData.currentPassword, formData.newPassword);
+    setIsSaving(false);
+
+    if (!result.success) {
+      setError(result.message);
+      setFormErrors(result.errors || {});
+    }
+  };
+
+  const renderField = (field, label, autoComplete) => (
+    <div style={styles.formGroup}>
+      <label htmlFor={field} style={styles.label}>{label}</label>
+      <input
+        id={field}
+        type="password"
+        value={formData[field]}
+        onChange={(e) => handleInputChange(field, e.target.value)}
+        style={{
+          ...styles.input,
+          ...(formErrors[field] ? styles.inputError : {})
+        }}
+        disabled={isSaving}
+        autoComplete={autoComplete}
+      />
+      {formErrors[field] && (
+        <span style={styles.fieldError}>{formErrors[field]}</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h1 style={styles.title}>🔑 Choose a New Password</h1>
+          <p style={styles.subtitle}>
+            {user?.firstName}, your password was reset. Please choose a new one to continue.
+          </p>
+        </div>
+
+        {error && (
+          <div style={styles.errorMessage}>⚠️ {error}</div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          {renderField('currentPassword', 'Temporary password', 'current-password')}
+          {renderField('newPassword', 'New password', 'new-password')}
+          {renderField('confirmPassword', 'Confirm new password', 'new-password')}
+
+          <button
+            type="submit"
+            style={{
+              ...styles.submitButton,
+              ...(isSaving ? styles.submitButtonDisabled : {})
+            }}
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+
+        <button type="button" style={styles.signOutButton} onClick={logout}>
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePasswordPage;
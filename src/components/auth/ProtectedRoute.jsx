@@ -1,6 +1,8 @@
 import React from 'react';
 import { useAuth } from './AuthProvider';
 import LoginPage from './LoginPage';
+import ChangePasswordPage from './ChangePasswordPage';
+import ShiftHandoverPage from '../shifts/ShiftHandoverPage';
 
 /**
  * ProtectedRoute component that wraps components requiring authentication
@@ -29,6 +31,16 @@ const ProtectedRoute = ({
     return <LoginPage />;
   }
 
+  // Accounts with a temporary password must replace it before doing anything else
+  if (user?.mustChangePassword) {
+    return <ChangePasswordPage />;
+  }
+
+  // The previous shift's report must be acknowledged before taking over the desk
+  if (user?.pendingHandoverShiftId) {
+    return <ShiftHandoverPage />;
+  }
+
   // Check role requirements
   if (requiredRole && !hasRole(requiredRole)) {
     return fallback || <UnauthorizedScreen requiredRole={requiredRole} userRole={user?.role} />;
@@ -0,0 +1,574 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BARCODE_CONFIG, MEMBERSHIP_STATUS, PERMISSIONS, VALIDATION_RULES } from '../../utils/constants';
+import { formatDate } from '../../utils/dateUtils';
+import { formatCustomerName, formatMembershipStatus } from '../../utils/formatters';
+import { useAuth } from '../auth/AuthProvider';
+
+// Cards rendered in the on-screen preview; printing always includes every selected member
+const PREVIEW_LIMIT = 4;
+
+const CARD_FORMAT_LABELS = {
+  CODE128: 'Barcode (CODE128)',
+  QR: 'QR code'
+};
+
+const MemberCards = () => {
+  const { hasPermission } = useAuth();
+  const canEditDesign = hasPermission(PERMISSIONS.MANAGE_SETTINGS);
+
+  const [customers, setCustomers] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [filter, setFilter] = useState('');
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [design, setDesign] = useState(null);
+  const [savedDesign, setSavedDesign] = useState(null);
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const loadData = async () => {
+    try {
+      setLoading(true);
+      const [customersResult, designResult] = await Promise.all([
+        window.gymApi.customers.getAll(),
+        window.gymApi.cards.getDesign()
+      ]);
+
+      if (customersResult.success) {
+        setCustomers(customersResult.data);
+      } else {
+        setError(customersResult.message);
+      }
+
+      if (designResult.success) {
+        setDesign(designResult.data);
+        setSavedDesign(designResult.data);
+      }
+    } catch (error) {
+      console.error('Error loading member cards:', error);
+      setError('Failed to load members');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Re-render the preview when the selection or the design changes
+  useEffect(() => {
+    if (!design || selectedIds.length === 0) {
+      setPreviewHtml('');
+      return undefined;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await window.gymApi.cards.preview(selectedIds.slice(0, PREVIEW_LIMIT), design);
+        if (result.success) {
+          setPreviewHtml(result.data.html);
+          setError(null);
+        } else {
+          setError(result.message);
+        }
+      } catch (error) {
+        console.error('Error previewing cards:', error);
+        setError('Failed to preview the cards');
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [selectedIds, design]);
+
+  const visibleCustomers = useMemo(() => {
+    const term = filter.trim().toLowerCase();
+    return customers.filter(customer => {
+      if (activeOnly && customer.membership?.status !== MEMBERSHIP_STATUS.ACTIVE) {
+        return false;
+      }
+      return !term ||
+        customer.customerId.includes(term) ||
+        formatCustomerName(customer.personalInfo).toLowerCase().includes(term);
+    });
+  }, [customers, filter, activeOnly]);
+
+  const showSuccess = (text) => {
+    setSuccessMessage(text);
+    setTimeout(() => setSuccessMessage(null), 4000);
+  };
+
+  const toggleCustomer = (customerId) => {
+    setSelectedIds(prev => (
+      prev.includes(customerId) ? prev.filter(id => id !== customerId) : [...prev, customerId]
+    ));
+  };
+
+  const selectAllVisible = () => {
+    const visibleIds = visibleCustomers.map(customer => customer.customerId);
+    setSelectedIds(prev => [...prev, ...visibleIds.filter(id => !prev.includes(id))]);
+  };
+
+  const handleDesignChange = (field, value) => {
+    setDesign(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveDesign = async () => {
+    setWorking(true);
+
+    try {
+      const result = await window.gymApi.cards.updateDesign(design);
+      if (result.success) {
+        setDesign(result.data);
+        setSavedDesign(result.data);
+        setError(null);
+        showSuccess(result.message);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error saving card design:', error);
+      setError('Failed to save the card design');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCreate = async (print) => {
+    setWorking(true);
+
+    try {
+      const result = await window.gymApi.cards.create(selectedIds, { print, design });
+      if (result.success) {
+        setError(null);
+        showSuccess(result.message);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error creating member cards:', error);
+      setError('Failed to create the member cards');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const designChanged = JSON.stringify(design) !== JSON.stringify(savedDesign);
+  const tooMany = selectedIds.length > VALIDATION_RULES.CARDS.MAX_BATCH;
+
+  return (
+    <div className="member-cards">
+      <div className="cards-header">
+        <h1>🪪 Member Cards</h1>
+        <p>Print CR80 membership cards with the member&apos;s barcode, photo and plan</p>
+      </div>
+
+      {successMessage && <div className="success-banner">✅ {successMessage}</div>}
+      {error && <div className="error-banner">❌ {error}</div>}
+
+      {loading ? (
+        <p className="muted">Loading members...</p>
+      ) : (
+        <div className="cards-layout">
+          <div className="cards-panel">
+            <div className="panel-header">
+              <h3>Members</h3>
+              <span className="muted">{selectedIds.length} selected</span>
+            </div>
+
+            <div className="member-filters">
+              <input
+                type="search"
+                placeholder="Search by name or ID"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+              />
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={activeOnly}
+                  onChange={(e) => setActiveOnly(e.target.checked)}
+                />
+                Active memberships only
+              </label>
+            </div>
+
+            <div className="selection-actions">
+              <button type="button" className="link-btn" onClick={selectAllVisible}>
+                Select all shown ({visibleCustomers.length})
+              </button>
+              <button type="button" className="link-btn" onClick={() => setSelectedIds([])} disabled={selectedIds.length === 0}>
+                Clear selection
+              </button>
+            </div>
+
+            <ul className="member-list">
+              {visibleCustomers.map(customer => (
+                <li key={customer.customerId}>
+                  <label className="member-row">
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(customer.customerId)}
+                      onChange={() => toggleCustomer(customer.customerId)}
+                    />
+                    <span className="member-name">{formatCustomerName(customer.personalInfo)}</span>
+                    <span className="muted">{customer.customerId}</span>
+                    <span className="muted member-expiry">
+                      {customer.membership
+                        ? `${formatMembershipStatus(customer.membership.status)} · ${formatDate(customer.membership.endDate, 'date')}`
+                        : 'No membership'}
+                    </span>
+                  </label>
+                </li>
+              ))}
+              {visibleCustomers.length === 0 && <li className="muted">No members match</li>}
+            </ul>
+          </div>
+
+          <div className="cards-panel">
+            <div className="panel-header">
+              <h3>Card Design</h3>
+              {!canEditDesign && <span className="muted">Changes are not saved</span>}
+            </div>
+
+            {design && (
+              <div className="design-form">
+                <div className="form-group">
+                  <label htmlFor="cardBarcodeFormat">Code</label>
+                  <select
+                    id="cardBarcodeFormat"
+                    value={design.barcodeFormat}
+                    onChange={(e) => handleDesignChange('barcodeFormat', e.target.value)}
+                  >
+                    {BARCODE_CONFIG.CARD_FORMATS.map(format => (
+                      <option key={format} value={format}>{CARD_FORMAT_LABELS[format]}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label htmlFor="cardAccentColor">Accent color</label>
+                  <input
+                    id="cardAccentColor"
+                    type="color"
+                    value={design.accentColor}
+                    onChange={(e) => handleDesignChange('accentColor', e.target.value)}
+                  />
+                </div>
+
+                <div className="form-group wide">
+                  <label htmlFor="cardFooterText">Footer text</label>
+                  <input
+                    id="cardFooterText"
+                    type="text"
+                    maxLength={VALIDATION_RULES.CARDS.FOOTER_MAX_LENGTH}
+                    placeholder="e.g. Present this card at reception"
+                    value={design.footerText}
+                    onChange={(e) => handleDesignChange('footerText', e.target.value)}
+                  />
+                </div>
+
+                <div className="design-toggles wide">
+                  {[
+                    ['showPhoto', 'Photo'],
+                    ['showPlan', 'Plan'],
+                    ['showExpiry', 'Expiry date']
+                  ].map(([field, label]) => (
+                    <label key={field} className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={design[field]}
+                        onChange={(e) => handleDesignChange(field, e.target.checked)}
+                      />
+                      {label}
+                    </label>
+                  ))}
+                </div>
+
+                {canEditDesign && (
+                  <div className="form-actions wide">
+                    <button type="button" className="secondary-btn" onClick={handleSaveDesign} disabled={working || !designChanged}>
+                      💾 Save Design
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+
+            <div className="preview">
+              {previewHtml ? (
+                <>
+                  <iframe title="Card preview" sandbox="" srcDoc={previewHtml} className="preview-frame" />
+                  {selectedIds.length > PREVIEW_LIMIT && (
+                    <p className="muted">Showing the first {PREVIEW_LIMIT} of {selectedIds.length} cards</p>
+                  )}
+                </>
+              ) : (
+                <p className="muted preview-empty">Select members to preview their cards</p>
+              )}
+            </div>
+
+            {tooMany && (
+              <p className="field-error">At most {VALIDATION_RULES.CARDS.MAX_BATCH} cards can be printed at once</p>
+            )}
+
+            <div className="form-actions">
+              <button
+                type="button"
+                className="secondary-btn"
+                onClick={() => handleCreate(false)}
+                disabled={working || selectedIds.length === 0 || tooMany}
+              >
+                📄 Save PDF
+              </button>
+              <button
+                type="button"
+                className="primary-btn"
+                onClick={() => handleCreate(true)}
+                disabled={working || selectedIds.length === 0 || tooMany}
+              >
+                🖨️ Print {selectedIds.length > 1 ? `${selectedIds.length} Cards` : 'Card'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <style jsx>{`
+        .cards-header {
+          margin-bottom: 24px;
+        }
+
+        .cards-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .cards-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .success-banner {
+          background: #c6f6d5;
+          color: #276749;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .error-banner {
+          background: #fed7d7;
+          color: #c53030;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .cards-layout {
+          display: grid;
+          grid-template-columns: minmax(280px, 1fr) minmax(360px, 1.2fr);
+          gap: 16px;
+          align-items: start;
+        }
+
+        .cards-panel {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .panel-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          margin-bottom: 12px;
+        }
+
+        .panel-header h3 {
+          margin: 0;
+          color: #2d3748;
+        }
+
+        .member-filters {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .member-filters input[type="search"] {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .selection-actions {
+          display: flex;
+          justify-content: space-between;
+          margin: 12px 0 8px 0;
+        }
+
+        .link-btn {
+          background: none;
+          border: none;
+          color: #667eea;
+          font-size: 13px;
+          cursor: pointer;
+          padding: 0;
+        }
+
+        .member-list {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+          max-height: 480px;
+          overflow-y: auto;
+        }
+
+        .member-list li {
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .member-row {
+          display: grid;
+          grid-template-columns: auto 1fr auto;
+          column-gap: 8px;
+          align-items: center;
+          padding: 8px 0;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .member-name {
+          font-weight: 600;
+          color: #2d3748;
+        }
+
+        .member-expiry {
+          grid-column: 2 / 4;
+          font-size: 12px;
+        }
+
+        .design-form {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: 0 12px;
+        }
+
+        .wide {
+          grid-column: 1 / 3;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .form-group select {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          font-family: inherit;
+        }
+
+        .form-group input[type="color"] {
+          height: 38px;
+          padding: 2px;
+        }
+
+        .design-toggles {
+          display: flex;
+          gap: 16px;
+          margin-bottom: 14px;
+        }
+
+        .preview {
+          margin: 16px 0;
+        }
+
+        .preview-frame {
+          width: 100%;
+          height: 480px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          background: #edf2f7;
+        }
+
+        .preview-empty {
+          padding: 48px 0;
+          text-align: center;
+          border: 1px dashed #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 8px;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        @media (max-width: 1000px) {
+          .cards-layout {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default MemberCards;
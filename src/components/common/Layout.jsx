@@ -2,9 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../auth/AuthProvider';
 import Navigation from './Navigation';
 import { formatDate } from '../../utils/dateUtils';
+import { PERMISSIONS } from '../../utils/constants';
 
 const Layout = ({ children, currentPage = 'dashboard' }) => {
-  const { user, getUserDisplayName, logout, getSessionTimeRemaining, isSessionExpiringSoon } = useAuth();
+  const { user, getUserDisplayName, logout, getSessionTimeRemaining, isSessionExpiringSoon, hasPermission } = useAuth();
   const [currentTime, setCurrentTime] = useState(new Date());
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showSessionWarning, setShowSessionWarning] = useState(false);
@@ -47,6 +48,14 @@ const Layout = ({ children, currentPage = 'dashboard' }) => {
     window.location.reload();
   };
 
+  // Open the settings page from the user menu
+  const handleOpenSettings = () => {
+    setShowUserMenu(false);
+    window.dispatchEvent(new CustomEvent('navigate', {
+      detail: { page: 'settings', path: '/settings' }
+    }));
+  };
+
   // Close user menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -115,9 +124,11 @@ const Layout = ({ children, currentPage = 'dashboard' }) => {
                 <div className="dropdown-divider"></div>
                 
                 <div className="dropdown-items">
-                  <button className="dropdown-item" onClick={() => setShowUserMenu(false)}>
-                    ⚙️ Settings
-                  </button>
+                  {hasPermission(PERMISSIONS.MANAGE_SETTINGS) && (
+                    <button className="dropdown-item" onClick={handleOpenSettings}>
+                      ⚙️ Settings
+                    </button>
+                  )}
                   <button className="dropdown-item" onClick={() => setShowUserMenu(false)}>
                     ❓ Help
                   </button>
@@ -1,26 +1,36 @@
 import React, { useState, useEffect } from 'react';
-import visitorsService from '../../services/visitorsService';
-import statisticsService from '../../services/statisticsService';
+import { useAuth } from '../auth/AuthProvider';
+import { PERMISSIONS } from '../../utils/constants';
 
 const Navigation = ({ currentPage = 'dashboard' }) => {
+  const { hasPermission } = useAuth();
   const [visitorCount, setVisitorCount] = useState(0);
   const [todayStats, setTodayStats] = useState(null);
+  const [reviewCount, setReviewCount] = useState(0);
 
   // Update real-time data
   useEffect(() => {
     const updateData = async () => {
       try {
         // Get current visitor count
-        const countResult = await visitorsService.getVisitorCount();
+        const countResult = await window.gymApi.visitors.getCount();
         if (countResult.success) {
           setVisitorCount(countResult.current);
         }
 
         // Get today's stats
-        const statsResult = await statisticsService.getDashboardStatistics();
+        const statsResult = await window.gymApi.statistics.getDashboard();
         if (statsResult.success) {
           setTodayStats(statsResult.data.quickMetrics);
         }
+
+        // Visits closed automatically that still need a look
+        if (hasPermission(PERMISSIONS.REVIEW_VISITS)) {
+          const reviewResult = await window.gymApi.autoClose.getReviewList();
+          if (reviewResult.success) {
+            setReviewCount(reviewResult.data.pendingCount);
+          }
+        }
       } catch (error) {
         console.error('Error updating navigation data:', error);
       }
@@ -52,6 +62,16 @@ const Navigation = ({ currentPage = 'dashboard' }) => {
       badgeColor: visitorCount > 0 ? 'success' : 'neutral',
       path: '/current-visitors'
     },
+    {
+      id: 'visit-review',
+      label: 'Visit Review',
+      icon: '🌅',
+      description: 'Check visits closed automatically',
+      badge: reviewCount || null,
+      badgeColor: 'warning',
+      path: '/visit-review',
+      permission: PERMISSIONS.REVIEW_VISITS
+    },
     {
       id: 'statistics',
       label: 'Daily Statistics',
@@ -76,8 +96,79 @@ const Navigation = ({ currentPage = 'dashboard' }) => {
       description: 'Overview',
       badge: null,
       path: '/dashboard'
+    },
+    {
+      id: 'employees',
+      label: 'Employees',
+      icon: '🧑‍💼',
+      description: 'Staff accounts & roles',
+      badge: null,
+      path: '/employees',
+      permission: PERMISSIONS.MANAGE_EMPLOYEES
+    },
+    {
+      id: 'plans',
+      label: 'Membership Plans',
+      icon: '🏷️',
+      description: 'Plans, prices & access rules',
+      badge: null,
+      path: '/plans',
+      permission: PERMISSIONS.MANAGE_PLANS
+    },
+    {
+      id: 'payments',
+      label: 'Payments',
+      icon: '💳',
+      description: 'Ledger, invoices & charges',
+      badge: null,
+      path: '/payments',
+      permission: PERMISSIONS.TAKE_PAYMENT
+    },
+    {
+      id: 'closeout',
+      label: 'Cash Close-out',
+      icon: '🧮',
+      description: 'Count the drawer & close the day',
+      badge: null,
+      path: '/closeout',
+      permission: PERMISSIONS.CLOSE_CASH_DRAWER
+    },
+    {
+      id: 'cards',
+      label: 'Member Cards',
+      icon: '🪪',
+      description: 'Design & print membership cards',
+      badge: null,
+      path: '/cards',
+      permission: PERMISSIONS.PRINT_MEMBER_CARDS
+    },
+    {
+      id: 'shifts',
+      label: 'Shifts',
+      icon: '🕘',
+      description: 'Shift reports and handovers',
+      badge: null,
+      path: '/shifts'
+    },
+    {
+      id: 'audit',
+      label: 'Audit Log',
+      icon: '📜',
+      description: 'Sensitive action history',
+      badge: null,
+      path: '/audit',
+      permission: PERMISSIONS.VIEW_AUDIT_LOG
+    },
+    {
+      id: 'settings',
+      label: 'Settings',
+      icon: '⚙️',
+      description: 'Backups, roles & permissions',
+      badge: null,
+      path: '/settings',
+      permission: PERMISSIONS.MANAGE_SETTINGS
     }
-  ];
+  ].filter(item => !item.permission || hasPermission(item.permission));
 
   const handleNavigation = (item) => {
     // In a real app with React Router, this would use navigate()
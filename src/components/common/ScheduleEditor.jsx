@@ -0,0 +1,156 @@
+import React from 'react';
+import { VALIDATION_RULES, WEEKDAYS } from '../../utils/constants';
+
+export const DEFAULT_SCHEDULE = {
+  days: [0, 1, 2, 3, 4, 5, 6],
+  windows: [{ start: '06:00', end: '22:00' }]
+};
+
+const DEFAULT_WINDOW = { start: '09:00', end: '17:00' };
+
+// Weekday and time range picker for plan and service area schedules.
+// With no time ranges the schedule allows the whole of each selected day.
+const ScheduleEditor = ({ schedule, onChange, showDays = true, idPrefix = 'schedule' }) => {
+  const windows = schedule.windows || [];
+
+  const toggleDay = (day) => {
+    const days = schedule.days.includes(day)
+      ? schedule.days.filter(d => d !== day)
+      : [...schedule.days, day].sort((a, b) => a - b);
+    onChange({ ...schedule, days });
+  };
+
+  const updateWindow = (index, field, value) => {
+    onChange({
+      ...schedule,
+      windows: windows.map((range, i) => (i === index ? { ...range, [field]: value } : range))
+    });
+  };
+
+  const addWindow = () => {
+    onChange({ ...schedule, windows: [...windows, DEFAULT_WINDOW] });
+  };
+
+  const removeWindow = (index) => {
+    onChange({ ...schedule, windows: windows.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="schedule-editor">
+      {showDays && (
+        <div className="weekday-chips">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              className={`weekday-chip ${schedule.days.includes(day) ? 'selected' : ''}`}
+              onClick={() => toggleDay(day)}
+              aria-pressed={schedule.days.includes(day)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {windows.map((range, index) => (
+        <div key={index} className="window-row">
+          <input
+            id={`${idPrefix}-start-${index}`}
+            type="time"
+            aria-label="From"
+            value={range.start}
+            onChange={(e) => updateWindow(index, 'start', e.target.value)}
+          />
+          <span>to</span>
+          <input
+            id={`${idPrefix}-end-${index}`}
+            type="time"
+            aria-label="Until"
+            value={range.end}
+            onChange={(e) => updateWindow(index, 'end', e.target.value)}
+          />
+          <button type="button" className="remove-window" onClick={() => removeWindow(index)} title="Remove time range">
+            ✕
+          </button>
+        </div>
+      ))}
+
+      <div className="schedule-footer">
+        <span className="schedule-hint">{windows.length === 0 ? 'All day' : ''}</span>
+        {windows.length < VALIDATION_RULES.SCHEDULE.MAX_WINDOWS && (
+          <button type="button" className="add-window" onClick={addWindow}>
+            + Time range
+          </button>
+        )}
+      </div>
+
+      <style jsx>{`
+        .schedule-editor {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+        }
+
+        .weekday-chips {
+          display: flex;
+          gap: 6px;
+          flex-wrap: wrap;
+        }
+
+        .weekday-chip {
+          padding: 4px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 14px;
+          background: #f7fafc;
+          color: #4a5568;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .weekday-chip.selected {
+          background: #667eea;
+          border-color: #667eea;
+          color: white;
+        }
+
+        .window-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .window-row span {
+          color: #718096;
+          font-size: 13px;
+        }
+
+        .remove-window,
+        .add-window {
+          background: none;
+          border: none;
+          color: #667eea;
+          cursor: pointer;
+          font-size: 13px;
+        }
+
+        .remove-window {
+          color: #e53e3e;
+        }
+
+        .schedule-footer {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .schedule-hint {
+          color: #718096;
+          font-size: 12px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ScheduleEditor;
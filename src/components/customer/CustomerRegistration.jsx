@@ -1,15 +1,20 @@
 import React, { useState, useEffect } from 'react';
-import customerService from '../../services/customerService';
 import { validateCustomerData } from '../../utils/validators';
-import { formatCustomerName, formatMembershipStatus, formatServices } from '../../utils/formatters';
-import { formatDate } from '../../utils/dateUtils';
+import { formatCurrency, formatCustomerName, formatInitials, formatMembershipStatus, formatPaymentMethod, formatQuota, formatServices } from '../../utils/formatters';
+import { calculateEndDate, formatDate } from '../../utils/dateUtils';
+import { CARD_STATUS, FREEZE_STATUS, PAYMENT_METHODS, PERMISSIONS, VALIDATION_RULES } from '../../utils/constants';
+import { useAuth } from '../auth/AuthProvider';
+import MembershipRenewalDialog from './MembershipRenewalDialog';
+import MembershipFreezeDialog from './MembershipFreezeDialog';
 
 const CustomerRegistration = () => {
+  const { hasPermission } = useAuth();
   const [currentView, setCurrentView] = useState('register'); // register | search | profile
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [message, setMessage] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [plans, setPlans] = useState([]);
 
   // Registration form data
   const [formData, setFormData] = useState({
@@ -28,44 +33,59 @@ const CustomerRegistration = () => {
     },
     membership: {
       membershipId: '',
-      type: 'monthly',
+      planId: '',
       startDate: new Date().toISOString().split('T')[0],
       endDate: '',
       status: 'active',
       services: ['gym']
+    },
+    payment: {
+      method: PAYMENT_METHODS.CASH,
+      discount: ''
     }
   });
 
   const [formErrors, setFormErrors] = useState({});
   const [searchTerm, setSearchTerm] = useState('');
+  const [lastRegistered, setLastRegistered] = useState(null);
 
-  // Calculate end date based on membership type and start date
+  // Load the plans on sale
   useEffect(() => {
-    if (formData.membership.startDate && formData.membership.type) {
-      const startDate = new Date(formData.membership.startDate);
-      let endDate = new Date(startDate);
-
-      switch (formData.membership.type) {
-        case 'daily':
-          endDate.setDate(startDate.getDate() + 1);
-          break;
-        case 'monthly':
-          endDate.setMonth(startDate.getMonth() + 1);
-          break;
-        case 'annual':
-          endDate.setFullYear(startDate.getFullYear() + 1);
-          break;
+    loadPlans();
+  }, []);
+
+  const loadPlans = async () => {
+    try {
+      const result = await window.gymApi.plans.list();
+      if (result.success) {
+        setPlans(result.data);
+        if (result.data.length > 0) {
+          setFormData(prev => prev.membership.planId ? prev : ({
+            ...prev,
+            membership: { ...prev.membership, planId: result.data[0].planId }
+          }));
+        }
       }
+    } catch (error) {
+      console.error('Error loading plans:', error);
+    }
+  };
+
+  const selectedPlan = plans.find(plan => plan.planId === formData.membership.planId);
 
+  // Calculate end date and services from the selected plan and start date
+  useEffect(() => {
+    if (formData.membership.startDate && selectedPlan) {
       setFormData(prev => ({
         ...prev,
         membership: {
           ...prev.membership,
-          endDate: endDate.toISOString().split('T')[0]
+          endDate: calculateEndDate(prev.membership.startDate, selectedPlan.durationValue, selectedPlan.durationUnit),
+          services: selectedPlan.services
         }
       }));
     }
-  }, [formData.membership.startDate, formData.membership.type]);
+  }, [formData.membership.startDate, selectedPlan]);
 
   // Generate membership ID based on customer info
   useEffect(() => {
@@ -119,12 +139,21 @@ const CustomerRegistration = () => {
     setMessage(null);
 
     try {
-      const result = await customerService.registerCustomer(formData);
+      const result = await window.gymApi.customers.register({
+        ...formData,
+        payment: {
+          ...formData.payment,
+          discount: formData.payment.discount === '' ? 0 : Number(formData.payment.discount)
+        }
+      });
       
       if (result.success) {
+        setLastRegistered(result.data);
         setMessage({
           type: 'success',
-          text: result.message
+          text: result.payment
+            ? `${result.message} · Invoice ${result.payment.invoiceNumber} (${formatCurrency(result.payment.total)}) · ${result.receipt?.message || 'Receipt not saved'}`
+            : result.message
         });
         
         // Reset form after successful registration
@@ -158,7 +187,7 @@ const CustomerRegistration = () => {
     if (!searchTerm.trim()) return;
 
     try {
-      const result = await customerService.searchCustomers(searchTerm);
+      const result = await window.gymApi.customers.search(searchTerm);
       
       if (result.success) {
         setSearchResults(result.data);
@@ -201,16 +230,43 @@ const CustomerRegistration = () => {
       },
       membership: {
         membershipId: '',
-        type: 'monthly',
+        planId: plans[0]?.planId || '',
         startDate: new Date().toISOString().split('T')[0],
         endDate: '',
         status: 'active',
         services: ['gym']
+      },
+      payment: {
+        method: PAYMENT_METHODS.CASH,
+        discount: ''
       }
     });
     setFormErrors({});
   };
 
+  // Photo and card for the member who was just registered
+  const handleNewMemberPhoto = async () => {
+    try {
+      const result = await window.gymApi.cards.choosePhoto(lastRegistered.customerId);
+      if (!result.canceled) {
+        setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      setMessage({ type: 'error', text: 'Failed to save the photo' });
+    }
+  };
+
+  const handleNewMemberCard = async () => {
+    try {
+      const result = await window.gymApi.cards.create([lastRegistered.customerId]);
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error creating member card:', error);
+      setMessage({ type: 'error', text: 'Failed to create the member card' });
+    }
+  };
+
   // View customer profile
   const viewCustomerProfile = (customer) => {
     setSelectedCustomer(customer);
@@ -255,6 +311,20 @@ const CustomerRegistration = () => {
       <div className="content-area">
         {currentView === 'register' && (
           <div className="register-view">
+            {lastRegistered && (
+              <div className="new-member-bar">
+                <span>
+                  🪪 <strong>{formatCustomerName(lastRegistered.personalInfo)}</strong> ({lastRegistered.customerId}) is registered
+                </span>
+                <div className="new-member-actions">
+                  <button type="button" onClick={handleNewMemberPhoto}>📷 Add Photo</button>
+                  {hasPermission(PERMISSIONS.PRINT_MEMBER_CARDS) && (
+                    <button type="button" onClick={handleNewMemberCard}>🪪 Print Member Card</button>
+                  )}
+                  <button type="button" onClick={() => setLastRegistered(null)} title="Dismiss">✕</button>
+                </div>
+              </div>
+            )}
             <form onSubmit={handleSubmit} className="registration-form">
               <div className="form-sections">
                 {/* Personal Information */}
@@ -267,6 +337,7 @@ const CustomerRegistration = () => {
                       <input
                         id="customerId"
                         type="text"
+                        data-barcode-input
                         value={formData.customerId}
                         onChange={(e) => handleInputChange('customerId', e.target.value)}
                         placeholder="Leave empty to auto-generate"
@@ -414,17 +485,21 @@ const CustomerRegistration = () => {
 
                   <div className="form-row">
                     <div className="form-group">
-                      <label htmlFor="membershipType">Membership Type *</label>
+                      <label htmlFor="membershipPlan">Membership Plan *</label>
                       <select
-                        id="membershipType"
-                        value={formData.membership.type}
-                        onChange={(e) => handleInputChange('membership.type', e.target.value)}
+                        id="membershipPlan"
+                        value={formData.membership.planId}
+                        onChange={(e) => handleInputChange('membership.planId', e.target.value)}
+                        className={formErrors.planId ? 'error' : ''}
                         required
                       >
-                        <option value="daily">Daily Pass - 50 EGP</option>
-                        <option value="monthly">Monthly Membership - 500 EGP</option>
-                        <option value="annual">Annual Membership - 5000 EGP</option>
+                        {plans.map(plan => (
+                          <option key={plan.planId} value={plan.planId}>
+                            {plan.name} - {formatCurrency(plan.price)}
+                          </option>
+                        ))}
                       </select>
+                      {formErrors.planId && <span className="error-text">{formErrors.planId}</span>}
                     </div>
                   </div>
 
@@ -454,12 +529,13 @@ const CustomerRegistration = () => {
 
                   <div className="form-row">
                     <div className="form-group">
-                      <label>Services *</label>
+                      <label>Services (included in plan)</label>
                       <div className="checkbox-group">
                         <label className="checkbox-label">
                           <input
                             type="checkbox"
                             checked={formData.membership.services.includes('gym')}
+                            disabled
                             onChange={(e) => {
                               const services = formData.membership.services;
                               if (e.target.checked) {
@@ -475,6 +551,7 @@ const CustomerRegistration = () => {
                           <input
                             type="checkbox"
                             checked={formData.membership.services.includes('spa')}
+                            disabled
                             onChange={(e) => {
                               const services = formData.membership.services;
                               if (e.target.checked) {
@@ -489,6 +566,37 @@ const CustomerRegistration = () => {
                       </div>
                     </div>
                   </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label htmlFor="paymentMethod">Payment Method</label>
+                      <select
+                        id="paymentMethod"
+                        value={formData.payment.method}
+                        onChange={(e) => handleInputChange('payment.method', e.target.value)}
+                        className={formErrors.method ? 'error' : ''}
+                      >
+                        {Object.values(PAYMENT_METHODS).map(method => (
+                          <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+                        ))}
+                      </select>
+                      {formErrors.method && <span className="error-text">{formErrors.method}</span>}
+                    </div>
+
+                    <div className="form-group">
+                      <label htmlFor="paymentDiscount">Discount</label>
+                      <input
+                        id="paymentDiscount"
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={formData.payment.discount}
+                        onChange={(e) => handleInputChange('payment.discount', e.target.value)}
+                        className={formErrors.discount ? 'error' : ''}
+                      />
+                      {formErrors.discount && <span className="error-text">{formErrors.discount}</span>}
+                    </div>
+                  </div>
                 </div>
               </div>
 
@@ -527,6 +635,7 @@ const CustomerRegistration = () => {
           <CustomerProfile
             customer={selectedCustomer}
             onBack={() => setCurrentView('search')}
+            onCustomerUpdated={setSelectedCustomer}
           />
         )}
       </div>
@@ -626,6 +735,34 @@ const CustomerRegistration = () => {
         }
 
         /* Registration Form */
+        .new-member-bar {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          background: #f0fff4;
+          border: 1px solid #c6f6d5;
+          color: #22543d;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .new-member-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .new-member-actions button {
+          background: white;
+          border: 1px solid #c6f6d5;
+          color: #22543d;
+          padding: 6px 12px;
+          border-radius: 6px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
         .registration-form {
           background: white;
           padding: 24px;
@@ -981,126 +1118,677 @@ const SearchView = ({ searchTerm, setSearchTerm, onSearch, searchResults, onView
   </div>
 );
 
+const CARD_STATUS_TEXT = {
+  [CARD_STATUS.ACTIVE]: 'Active',
+  [CARD_STATUS.LOST]: 'Reported lost',
+  [CARD_STATUS.REVOKED]: 'Revoked'
+};
+
+const CARD_ACTIONS = {
+  lost: { label: 'Report lost', placeholder: 'Where or when it was lost (optional)' },
+  revoke: { label: 'Revoke', placeholder: 'Why the card is revoked (optional)' },
+  reissue: { label: 'Reissue', placeholder: 'Why the card is replaced (optional)' }
+};
+
 // Customer Profile Component
-const CustomerProfile = ({ customer, onBack }) => (
-  <div className="customer-profile">
-    <div className="profile-header">
-      <button onClick={onBack} className="back-button">
-        ← Back to Search
-      </button>
-      <h2>{formatCustomerName(customer.personalInfo)}</h2>
-    </div>
+const CustomerProfile = ({ customer, onBack, onCustomerUpdated }) => {
+  const { hasPermission } = useAuth();
+  const [showRenewal, setShowRenewal] = useState(false);
+  const [showFreeze, setShowFreeze] = useState(false);
+  const [freezeError, setFreezeError] = useState(null);
+  const [receiptError, setReceiptError] = useState(null);
+  const [photo, setPhoto] = useState(null);
+  const [cardMessage, setCardMessage] = useState(null);
+  const [cards, setCards] = useState(customer.cards || []);
+  const [cardAction, setCardAction] = useState(null); // { cardId, type, reason, lost }
+  const today = new Date().toISOString().split('T')[0];
 
-    <div className="profile-content">
-      <div className="info-section">
-        <h3>Personal Information</h3>
-        <div className="info-grid">
-          <div className="info-item">
-            <label>Customer ID:</label>
-            <span>{customer.customerId}</span>
-          </div>
-          <div className="info-item">
-            <label>Email:</label>
-            <span>{customer.personalInfo.email}</span>
-          </div>
-          <div className="info-item">
-            <label>Phone:</label>
-            <span>{customer.personalInfo.phone}</span>
+  useEffect(() => {
+    window.gymApi.cards.getPhoto(customer.customerId)
+      .then(result => setPhoto(result.success ? result.data.photo : null))
+      .catch(error => console.error('Error loading photo:', error));
+  }, [customer.customerId]);
+
+  useEffect(() => {
+    setCards(customer.cards || []);
+    setCardAction(null);
+  }, [customer]);
+
+  const handleChoosePhoto = async () => {
+    try {
+      const result = await window.gymApi.cards.choosePhoto(customer.customerId);
+      if (result.success) {
+        setPhoto(result.data.photo);
+        setCardMessage(null);
+      } else if (!result.canceled) {
+        setCardMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error saving photo:', error);
+      setCardMessage({ type: 'error', text: 'Failed to save the photo' });
+    }
+  };
+
+  const handleRemovePhoto = async () => {
+    if (!confirm('Remove this member\'s photo?')) {
+      return;
+    }
+
+    try {
+      const result = await window.gymApi.cards.removePhoto(customer.customerId);
+      if (result.success) {
+        setPhoto(null);
+      }
+      setCardMessage(result.success ? null : { type: 'error', text: result.message });
+    } catch (error) {
+      console.error('Error removing photo:', error);
+      setCardMessage({ type: 'error', text: 'Failed to remove the photo' });
+    }
+  };
+
+  const loadCards = async () => {
+    try {
+      const result = await window.gymApi.memberCards.list(customer.customerId);
+      if (result.success) {
+        setCards(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading member cards:', error);
+    }
+  };
+
+  const handleIssueCard = async () => {
+    try {
+      const result = await window.gymApi.memberCards.issue(customer.customerId);
+      setCardMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      if (result.success) {
+        loadCards();
+      }
+    } catch (error) {
+      console.error('Error issuing member card:', error);
+      setCardMessage({ type: 'error', text: 'Failed to issue the card' });
+    }
+  };
+
+  const handleCardAction = async (e) => {
+    e.preventDefault();
+    const { cardId, type, reason, lost } = cardAction;
+
+    try {
+      const result = type === 'lost'
+        ? await window.gymApi.memberCards.reportLost(customer.customerId, cardId, reason)
+        : type === 'revoke'
+          ? await window.gymApi.memberCards.revoke(customer.customerId, cardId, reason)
+          : await window.gymApi.memberCards.reissue(customer.customerId, cardId, { lost, reason });
+
+      setCardMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      if (result.success) {
+        setCardAction(null);
+        loadCards();
+      }
+    } catch (error) {
+      console.error('Error updating member card:', error);
+      setCardMessage({ type: 'error', text: 'Failed to update the card' });
+    }
+  };
+
+  const handlePrintCard = async (cardId = null) => {
+    try {
+      const result = await window.gymApi.cards.create([customer.customerId], { cardId });
+      setCardMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error creating member card:', error);
+      setCardMessage({ type: 'error', text: 'Failed to create the member card' });
+    }
+  };
+
+  const handleRenewed = (result) => {
+    setShowRenewal(false);
+    setReceiptError(result.receipt && !result.receipt.success ? result.receipt.message : null);
+    onCustomerUpdated(result.data);
+  };
+
+  const handleOpenReceipt = async (paymentId) => {
+    try {
+      const result = await window.gymApi.receipts.open(paymentId);
+      setReceiptError(result.success ? null : result.message);
+    } catch (error) {
+      console.error('Error opening receipt:', error);
+      setReceiptError('Failed to open the receipt');
+    }
+  };
+
+  const handleFrozen = (result) => {
+    setShowFreeze(false);
+    onCustomerUpdated(result.data);
+  };
+
+  const handleEndFreeze = async (freeze) => {
+    const action = freeze.startDate > today ? 'Cancel' : 'End';
+    if (!confirm(`${action} this freeze? Unused frozen days are taken off the end date.`)) {
+      return;
+    }
+
+    try {
+      const result = await window.gymApi.customers.endFreeze(customer.customerId, freeze.freezeId);
+      if (result.success) {
+        setFreezeError(null);
+        onCustomerUpdated(result.data);
+      } else {
+        setFreezeError(result.message);
+      }
+    } catch (error) {
+      console.error('Error ending freeze:', error);
+      setFreezeError('Failed to end freeze');
+    }
+  };
+
+  return (
+    <div className="customer-profile">
+      <div className="profile-header">
+        <button onClick={onBack} className="back-button">
+          ← Back to Search
+        </button>
+        <h2>{formatCustomerName(customer.personalInfo)}</h2>
+      </div>
+
+      <div className="profile-content">
+        <div className="info-section">
+          <div className="section-header">
+            <h3>Personal Information</h3>
+            <div className="section-actions">
+              {hasPermission(PERMISSIONS.REGISTER_CUSTOMER) && (
+                <button onClick={handleChoosePhoto} className="freeze-button">
+                  📷 {photo ? 'Change Photo' : 'Add Photo'}
+                </button>
+              )}
+              {hasPermission(PERMISSIONS.PRINT_MEMBER_CARDS) && (
+                <button onClick={() => handlePrintCard()} className="renew-button">
+                  🪪 Print Member Card
+                </button>
+              )}
+            </div>
           </div>
-          <div className="info-item">
-            <label>Date of Birth:</label>
-            <span>{customer.personalInfo.dateOfBirth || 'Not provided'}</span>
+          {cardMessage && (
+            <div className={`card-message ${cardMessage.type}`}>{cardMessage.text}</div>
+          )}
+          <div className="personal-details">
+            <div className="member-photo">
+              {photo
+                ? <img src={photo} alt={formatCustomerName(customer.personalInfo)} />
+                : <span>{formatInitials(customer.personalInfo.firstName, customer.personalInfo.lastName)}</span>}
+              {photo && hasPermission(PERMISSIONS.REGISTER_CUSTOMER) && (
+                <button onClick={handleRemovePhoto} className="remove-photo">Remove</button>
+              )}
+            </div>
+            <div className="info-grid">
+              <div className="info-item">
+                <label>Customer ID:</label>
+                <span>{customer.customerId}</span>
+              </div>
+              <div className="info-item">
+                <label>Email:</label>
+                <span>{customer.personalInfo.email}</span>
+              </div>
+              <div className="info-item">
+                <label>Phone:</label>
+                <span>{customer.personalInfo.phone}</span>
+              </div>
+              <div className="info-item">
+                <label>Date of Birth:</label>
+                <span>{customer.personalInfo.dateOfBirth || 'Not provided'}</span>
+              </div>
+            </div>
           </div>
         </div>
-      </div>
 
-      <div className="info-section">
-        <h3>Membership Details</h3>
-        <div className="info-grid">
-          <div className="info-item">
-            <label>Type:</label>
-            <span>{customer.membership?.type}</span>
-          </div>
-          <div className="info-item">
-            <label>Status:</label>
-            <span className={`status-badge ${customer.membership?.status}`}>
-              {formatMembershipStatus(customer.membership?.status)}
-            </span>
+        <div className="info-section">
+          <div className="section-header">
+            <h3>Member Cards</h3>
+            <div className="section-actions">
+              {hasPermission(PERMISSIONS.MANAGE_MEMBER_CARDS) && (
+                <button onClick={handleIssueCard} className="freeze-button">
+                  ➕ Issue Additional Card
+                </button>
+              )}
+            </div>
           </div>
-          <div className="info-item">
-            <label>Services:</label>
-            <span>{formatServices(customer.membership?.services)}</span>
+          {cards.length === 0 ? (
+            <p className="no-cards">No cards issued yet.</p>
+          ) : (
+            <ul className="card-list">
+              {cards.map(card => (
+                <li key={card.cardId} className={card.status}>
+                  <div className="card-row">
+                    <span>
+                      <strong>•••• {card.lastDigits}</strong>
+                      {' · '}{CARD_STATUS_TEXT[card.status]}
+                      {' · '}issued {formatDate(card.issuedAt, 'date')}
+                      {card.endedAt && `, stopped ${formatDate(card.endedAt, 'date')}`}
+                      {card.reason && `: ${card.reason}`}
+                    </span>
+                    {card.status === CARD_STATUS.ACTIVE && (
+                      <span className="card-actions">
+                        {hasPermission(PERMISSIONS.PRINT_MEMBER_CARDS) && (
+                          <button onClick={() => handlePrintCard(card.cardId)} className="end-freeze-button">
+                            🪪 Print
+                          </button>
+                        )}
+                        {hasPermission(PERMISSIONS.MANAGE_MEMBER_CARDS) && Object.entries(CARD_ACTIONS).map(([type, action]) => (
+                          <button
+                            key={type}
+                            onClick={() => setCardAction({ cardId: card.cardId, type, reason: '', lost: false })}
+                            className="end-freeze-button"
+                          >
+                            {action.label}
+                          </button>
+                        ))}
+                      </span>
+                    )}
+                  </div>
+                  {cardAction?.cardId === card.cardId && (
+                    <form onSubmit={handleCardAction} className="card-action-form">
+                      <input
+                        type="text"
+                        value={cardAction.reason}
+                        onChange={(e) => setCardAction({ ...cardAction, reason: e.target.value })}
+                        placeholder={CARD_ACTIONS[cardAction.type].placeholder}
+                        maxLength={VALIDATION_RULES.CARDS.REASON_MAX_LENGTH}
+                        autoFocus
+                      />
+                      {cardAction.type === 'reissue' && (
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={cardAction.lost}
+                            onChange={(e) => setCardAction({ ...cardAction, lost: e.target.checked })}
+                          />
+                          Old card was lost
+                        </label>
+                      )}
+                      <button type="submit" className="renew-button">{CARD_ACTIONS[cardAction.type].label}</button>
+                      <button type="button" onClick={() => setCardAction(null)} className="end-freeze-button">Cancel</button>
+                    </form>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="info-section">
+          <div className="section-header">
+            <h3>Membership Details</h3>
+            <div className="section-actions">
+              {hasPermission(PERMISSIONS.EDIT_MEMBERSHIP) && customer.freezeAllowance?.maxDays > 0 && (
+                <button onClick={() => setShowFreeze(true)} className="freeze-button">
+                  ❄️ Freeze
+                </button>
+              )}
+              {hasPermission(PERMISSIONS.RENEW_MEMBERSHIP) && (
+                <button onClick={() => setShowRenewal(true)} className="renew-button">
+                  🔄 Renew / Change Plan
+                </button>
+              )}
+            </div>
           </div>
-          <div className="info-item">
-            <label>Valid Until:</label>
-            <span>{formatDate(customer.membership?.endDate, 'date')}</span>
+          <div className="info-grid">
+            <div className="info-item">
+              <label>Plan:</label>
+              <span>{customer.planName || customer.membership?.planName}</span>
+            </div>
+            <div className="info-item">
+              <label>Status:</label>
+              <span className={`status-badge ${customer.subscriptionStatus?.isFrozen ? 'frozen' : customer.membership?.status}`}>
+                {customer.subscriptionStatus?.isFrozen
+                  ? `❄️ ${customer.subscriptionStatus.statusText}`
+                  : formatMembershipStatus(customer.membership?.status)}
+              </span>
+            </div>
+            <div className="info-item">
+              <label>Services:</label>
+              <span>{formatServices(customer.membership?.services)}</span>
+            </div>
+            <div className="info-item">
+              <label>Valid Until:</label>
+              <span>{formatDate(customer.membership?.endDate, 'date')}</span>
+            </div>
+            {formatQuota(customer.membership?.quota).length > 0 && (
+              <div className="info-item">
+                <label>Balance:</label>
+                <span>{formatQuota(customer.membership.quota).join(' · ')}</span>
+              </div>
+            )}
           </div>
+
+          {receiptError && <p className="freeze-error">⚠️ {receiptError}</p>}
+
+          {customer.membershipHistory?.length > 0 && (
+            <ul className="renewal-history">
+              {[...customer.membershipHistory].reverse().map(renewal => (
+                <li key={renewal.renewedAt}>
+                  {formatDate(renewal.renewedAt, 'date')}: {renewal.planName}, {formatDate(renewal.startDate, 'date')} – {formatDate(renewal.endDate, 'date')}
+                  <span>
+                    {' '}({formatCurrency(renewal.amountPaid)} {formatPaymentMethod(renewal.paymentMethod).toLowerCase()}
+                    {renewal.invoiceNumber && `, ${renewal.invoiceNumber}`})
+                  </span>
+                  {renewal.paymentId && (
+                    <button onClick={() => handleOpenReceipt(renewal.paymentId)} className="receipt-button">
+                      🧾 Receipt
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
+
+        {customer.freezes?.length > 0 && (
+          <div className="info-section">
+            <h3>Freeze History</h3>
+            {freezeError && <p className="freeze-error">⚠️ {freezeError}</p>}
+            <ul className="freeze-history">
+              {[...customer.freezes].reverse().map(freeze => (
+                <li key={freeze.freezeId} className={freeze.status}>
+                  <span>
+                    {formatDate(freeze.startDate, 'date')} – {formatDate(freeze.endDate, 'date')}
+                    {' '}({freeze.status === FREEZE_STATUS.CANCELLED ? 'cancelled' : `${freeze.days} day${freeze.days === 1 ? '' : 's'}`})
+                    {' · '}{freeze.reason}{freeze.note && `: ${freeze.note}`}
+                  </span>
+                  {freeze.status === FREEZE_STATUS.ACTIVE && freeze.endDate >= today &&
+                    hasPermission(PERMISSIONS.EDIT_MEMBERSHIP) && (
+                    <button onClick={() => handleEndFreeze(freeze)} className="end-freeze-button">
+                      {freeze.startDate > today ? 'Cancel' : 'End now'}
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
       </div>
-    </div>
 
-    <style jsx>{`
-      .customer-profile {
-        background: white;
-        padding: 24px;
-        border-radius: 12px;
-        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-      }
+      {showFreeze && (
+        <MembershipFreezeDialog
+          customer={customer}
+          onClose={() => setShowFreeze(false)}
+          onFrozen={handleFrozen}
+        />
+      )}
 
-      .profile-header {
-        margin-bottom: 24px;
-        border-bottom: 1px solid #e2e8f0;
-        padding-bottom: 16px;
-      }
+      {showRenewal && (
+        <MembershipRenewalDialog
+          customer={customer}
+          onClose={() => setShowRenewal(false)}
+          onRenewed={handleRenewed}
+        />
+      )}
 
-      .back-button {
-        background: #f7fafc;
-        border: 1px solid #e2e8f0;
-        padding: 8px 12px;
-        border-radius: 6px;
-        cursor: pointer;
-        margin-bottom: 12px;
-      }
+      <style jsx>{`
+        .customer-profile {
+          background: white;
+          padding: 24px;
+          border-radius: 12px;
+          box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        }
 
-      .profile-header h2 {
-        margin: 0;
-        color: #2d3748;
-      }
+        .profile-header {
+          margin-bottom: 24px;
+          border-bottom: 1px solid #e2e8f0;
+          padding-bottom: 16px;
+        }
 
-      .profile-content {
-        display: flex;
-        flex-direction: column;
-        gap: 24px;
-      }
+        .back-button {
+          background: #f7fafc;
+          border: 1px solid #e2e8f0;
+          padding: 8px 12px;
+          border-radius: 6px;
+          cursor: pointer;
+          margin-bottom: 12px;
+        }
 
-      .info-section h3 {
-        margin: 0 0 12px 0;
-        color: #4a5568;
-      }
+        .profile-header h2 {
+          margin: 0;
+          color: #2d3748;
+        }
 
-      .info-grid {
-        display: grid;
-        grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-        gap: 16px;
-      }
+        .profile-content {
+          display: flex;
+          flex-direction: column;
+          gap: 24px;
+        }
 
-      .info-item {
-        display: flex;
-        flex-direction: column;
-        gap: 4px;
-      }
+        .info-section h3 {
+          margin: 0 0 12px 0;
+          color: #4a5568;
+        }
 
-      .info-item label {
-        font-weight: 600;
-        color: #718096;
-        font-size: 14px;
-      }
+        .info-grid {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+          gap: 16px;
+        }
 
-      .info-item span {
-        color: #2d3748;
-      }
-    `}</style>
-  </div>
-);
+        .info-item {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .info-item label {
+          font-weight: 600;
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .info-item span {
+          color: #2d3748;
+        }
+
+        .section-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 12px;
+        }
+
+        .section-header h3 {
+          margin: 0;
+        }
+
+        .renew-button {
+          background: #667eea;
+          color: white;
+          border: none;
+          padding: 8px 14px;
+          border-radius: 6px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .renewal-history {
+          margin: 16px 0 0 0;
+          padding-left: 20px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .renewal-history span {
+          color: #718096;
+        }
+
+        .status-badge.frozen {
+          background: #ebf8ff;
+          color: #2c5282;
+        }
+
+        .section-actions {
+          display: flex;
+          gap: 8px;
+        }
+
+        .personal-details {
+          display: flex;
+          gap: 20px;
+          align-items: flex-start;
+        }
+
+        .personal-details .info-grid {
+          flex: 1;
+        }
+
+        .member-photo {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .member-photo img,
+        .member-photo span {
+          width: 96px;
+          height: 120px;
+          border-radius: 8px;
+          object-fit: cover;
+          border: 1px solid #e2e8f0;
+        }
+
+        .member-photo span {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: #edf2f7;
+          color: #667eea;
+          font-size: 28px;
+          font-weight: 700;
+        }
+
+        .remove-photo {
+          background: none;
+          border: none;
+          color: #e53e3e;
+          font-size: 12px;
+          cursor: pointer;
+        }
+
+        .card-message {
+          padding: 8px 12px;
+          border-radius: 6px;
+          margin-bottom: 12px;
+          font-size: 14px;
+        }
+
+        .card-message.success {
+          background: #f0fff4;
+          color: #22543d;
+        }
+
+        .card-message.error {
+          background: #fff5f5;
+          color: #c53030;
+        }
+
+        .freeze-button, .end-freeze-button {
+          background: #ebf8ff;
+          color: #2c5282;
+          border: 1px solid #bee3f8;
+          padding: 8px 14px;
+          border-radius: 6px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .freeze-history {
+          list-style: none;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .freeze-history li {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .freeze-history li.cancelled {
+          color: #a0aec0;
+        }
+
+        .end-freeze-button {
+          padding: 4px 10px;
+          font-size: 12px;
+        }
+
+        .receipt-button {
+          margin-left: 8px;
+          padding: 2px 8px;
+          font-size: 12px;
+        }
+
+        .freeze-error {
+          color: #c53030;
+          font-size: 14px;
+          margin-bottom: 8px;
+        }
+
+        .no-cards {
+          color: #718096;
+          font-size: 14px;
+        }
+
+        .card-list {
+          list-style: none;
+          padding: 0;
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .card-list li.lost,
+        .card-list li.revoked {
+          color: #a0aec0;
+        }
+
+        .card-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .card-actions {
+          display: flex;
+          gap: 6px;
+        }
+
+        .card-action-form {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .card-action-form input[type="text"] {
+          flex: 1;
+          padding: 6px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+        }
+
+        .card-action-form label {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          white-space: nowrap;
+        }
+      `}</style>
+    </div>
+  );
+};
 
 export default CustomerRegistration;
\ No newline at end of file
@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { FREEZE_REASONS } from '../../utils/constants';
+import { formatCustomerName } from '../../utils/formatters';
+import { calculateEndDate, formatDate, getDaysBetween } from '../../utils/dateUtils';
+
+const REASON_LABELS = {
+  [FREEZE_REASONS.MEDICAL]: '🩺 Medical',
+  [FREEZE_REASONS.TRAVEL]: '✈️ Travel',
+  [FREEZE_REASONS.OTHER]: 'Other'
+};
+
+/**
+ * Freeze a membership for a date range
+ * @param {object} props - Component props
+ * @param {object} props.customer - Customer being frozen
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ * @param {Function} props.onFrozen - Called with the freeze result after a successful freeze
+ */
+const MembershipFreezeDialog = ({ customer, onClose, onFrozen }) => {
+  const today = new Date().toISOString().split('T')[0];
+  const allowance = customer.freezeAllowance || { maxDays: 0, usedDays: 0, remainingDays: 0 };
+
+  const [formData, setFormData] = useState({
+    startDate: today,
+    endDate: calculateEndDate(today, Math.min(6, Math.max(0, allowance.remainingDays - 1)), 'day'),
+    reason: FREEZE_REASONS.MEDICAL,
+    note: ''
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const days = formData.startDate && formData.endDate
+    ? getDaysBetween(formData.startDate, formData.endDate) + 1
+    : 0;
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleFreeze = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.customers.freeze(customer.customerId, formData);
+      if (result.success) {
+        onFrozen(result);
+      } else {
+        setFormErrors(result.errors || {});
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error freezing membership:', error);
+      setError('Failed to freeze membership');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={handleFreeze}>
+        <h2>❄️ Freeze Membership</h2>
+        <p className="subtitle">
+          {formatCustomerName(customer.personalInfo)} · {allowance.remainingDays} of {allowance.maxDays} freeze days left
+        </p>
+
+        {error && <div className="dialog-error">⚠️ {error}</div>}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="freezeStart">First day</label>
+            <input
+              id="freezeStart"
+              type="date"
+              min={today}
+              value={formData.startDate}
+              onChange={(e) => handleInputChange('startDate', e.target.value)}
+              className={formErrors.startDate ? 'error' : ''}
+            />
+            {formErrors.startDate && <span className="field-error">{formErrors.startDate}</span>}
+          </div>
+          <div className="form-group">
+            <label htmlFor="freezeEnd">Last day</label>
+            <input
+              id="freezeEnd"
+              type="date"
+              min={formData.startDate}
+              value={formData.endDate}
+              onChange={(e) => handleInputChange('endDate', e.target.value)}
+              className={formErrors.endDate ? 'error' : ''}
+            />
+            {formErrors.endDate && <span className="field-error">{formErrors.endDate}</span>}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="freezeReason">Reason</label>
+          <select
+            id="freezeReason"
+            value={formData.reason}
+            onChange={(e) => handleInputChange('reason', e.target.value)}
+          >
+            {Object.values(FREEZE_REASONS).map(reason => (
+              <option key={reason} value={reason}>{REASON_LABELS[reason]}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="freezeNote">Note{formData.reason !== FREEZE_REASONS.OTHER && ' (optional)'}</label>
+          <input
+            id="freezeNote"
+            value={formData.note}
+            onChange={(e) => handleInputChange('note', e.target.value)}
+            className={formErrors.note ? 'error' : ''}
+          />
+          {formErrors.note && <span className="field-error">{formErrors.note}</span>}
+        </div>
+
+        {days > 0 && customer.membership?.endDate && (
+          <p className="summary">
+            {days} day{days === 1 ? '' : 's'} frozen · membership extended to{' '}
+            <strong>{formatDate(calculateEndDate(customer.membership.endDate, days, 'day'), 'date')}</strong>
+          </p>
+        )}
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="secondary-btn" disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className="primary-btn" disabled={saving || days < 1}>
+            {saving ? 'Saving...' : 'Freeze'}
+          </button>
+        </div>
+      </form>
+
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 460px;
+          max-width: 90vw;
+        }
+
+        .modal h2 {
+          margin: 0 0 4px 0;
+        }
+
+        .subtitle {
+          color: #718096;
+          font-size: 14px;
+          margin-bottom: 16px;
+        }
+
+        .dialog-error {
+          background: #fed7d7;
+          border: 1px solid #feb2b2;
+          color: #c53030;
+          padding: 10px 12px;
+          border-radius: 8px;
+          margin-bottom: 14px;
+          font-size: 14px;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 12px;
+        }
+
+        .form-row > * {
+          flex: 1;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .form-group input.error {
+          border-color: #e53e3e;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .summary {
+          background: #ebf8ff;
+          color: #2c5282;
+          padding: 10px 12px;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default MembershipFreezeDialog;
@@ -0,0 +1,333 @@
+import React, { useState, useEffect } from 'react';
+import { PAYMENT_METHODS, RENEWAL_START } from '../../utils/constants';
+import { formatCurrency, formatCustomerName, formatPaymentMethod } from '../../utils/formatters';
+import { formatDate } from '../../utils/dateUtils';
+
+/**
+ * Renew a membership or move it to another plan, taking the payment
+ * @param {object} props - Component props
+ * @param {object} props.customer - Customer being renewed
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ * @param {Function} props.onRenewed - Called with the renew result after a successful renewal
+ */
+const MembershipRenewalDialog = ({ customer, onClose, onRenewed }) => {
+  const isExpired = !customer.membership?.endDate ||
+    customer.membership.endDate <= new Date().toISOString().split('T')[0];
+
+  const [plans, setPlans] = useState([]);
+  const [planId, setPlanId] = useState('');
+  const [startFrom, setStartFrom] = useState(isExpired ? RENEWAL_START.TODAY : RENEWAL_START.CURRENT_END);
+  const [paymentMethod, setPaymentMethod] = useState(PAYMENT_METHODS.CASH);
+  const [discount, setDiscount] = useState('');
+  const [quote, setQuote] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPlans();
+  }, []);
+
+  useEffect(() => {
+    if (planId) {
+      loadQuote();
+    }
+  }, [planId, startFrom]);
+
+  const loadPlans = async () => {
+    try {
+      const result = await window.gymApi.plans.list();
+      if (result.success) {
+        setPlans(result.data);
+        // Default to the customer's current plan while it is still on sale
+        const current = result.data.find(plan => plan.planId === customer.membership?.planId);
+        setPlanId((current || result.data[0])?.planId || '');
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading plans:', error);
+      setError('Failed to load plans');
+    }
+  };
+
+  const loadQuote = async () => {
+    try {
+      const result = await window.gymApi.customers.getRenewalQuote(customer.customerId, planId, startFrom);
+      if (result.success) {
+        setQuote(result.data);
+        setError(null);
+      } else {
+        setQuote(null);
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error pricing renewal:', error);
+      setError('Failed to price this renewal');
+    }
+  };
+
+  const handleRenew = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.customers.renew(customer.customerId, {
+        planId,
+        startFrom,
+        paymentMethod,
+        discount: discount === '' ? 0 : Number(discount)
+      });
+      if (result.success) {
+        onRenewed(result);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error renewing membership:', error);
+      setError('Failed to renew membership');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <form className="modal" onSubmit={handleRenew}>
+        <h2>🔄 Renew Membership</h2>
+        <p className="subtitle">
+          {formatCustomerName(customer.personalInfo)} · {customer.planName || customer.membership?.planName}
+          {customer.membership?.endDate && (
+            <> · {isExpired ? 'expired' : 'valid until'} {formatDate(customer.membership.endDate, 'date')}</>
+          )}
+        </p>
+
+        {error && <div className="dialog-error">⚠️ {error}</div>}
+
+        <div className="form-group">
+          <label htmlFor="renewalPlan">Plan</label>
+          <select id="renewalPlan" value={planId} onChange={(e) => setPlanId(e.target.value)}>
+            {plans.map(plan => (
+              <option key={plan.planId} value={plan.planId}>
+                {plan.name} - {formatCurrency(plan.price)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label>Starts</label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              name="startFrom"
+              checked={startFrom === RENEWAL_START.CURRENT_END}
+              onChange={() => setStartFrom(RENEWAL_START.CURRENT_END)}
+              disabled={isExpired}
+            />
+            When the current membership ends
+          </label>
+          <label className="radio-label">
+            <input
+              type="radio"
+              name="startFrom"
+              checked={startFrom === RENEWAL_START.TODAY}
+              onChange={() => setStartFrom(RENEWAL_START.TODAY)}
+            />
+            Today{!isExpired && ' (unused days are credited)'}
+          </label>
+        </div>
+
+        {quote && (
+          <div className="quote">
+            <div className="quote-row">
+              <span>Period</span>
+              <span>{formatDate(quote.startDate, 'date')} – {formatDate(quote.endDate, 'date')}</span>
+            </div>
+            <div className="quote-row">
+              <span>Plan price</span>
+              <span>{formatCurrency(quote.price)}</span>
+            </div>
+            {quote.credit > 0 && (
+              <div className="quote-row">
+                <span>Credit for unused days</span>
+                <span>−{formatCurrency(quote.credit)}</span>
+              </div>
+            )}
+            {Number(discount) > 0 && (
+              <div className="quote-row">
+                <span>Discount</span>
+                <span>−{formatCurrency(Math.min(Number(discount), quote.amountDue))}</span>
+              </div>
+            )}
+            <div className="quote-row total">
+              <span>Amount due</span>
+              <span>{formatCurrency(Math.max(0, quote.amountDue - (Number(discount) || 0)))}</span>
+            </div>
+          </div>
+        )}
+
+        <div className="form-row">
+          <div className="form-group">
+            <label htmlFor="paymentMethod">Payment</label>
+            <select id="paymentMethod" value={paymentMethod} onChange={(e) => setPaymentMethod(e.target.value)}>
+              {Object.values(PAYMENT_METHODS).map(method => (
+                <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="renewalDiscount">Discount</label>
+            <input
+              id="renewalDiscount"
+              type="number"
+              min="0"
+              step="0.01"
+              value={discount}
+              onChange={(e) => setDiscount(e.target.value)}
+            />
+          </div>
+        </div>
+
+        <div className="modal-actions">
+          <button type="button" onClick={onClose} className="secondary-btn" disabled={saving}>
+            Cancel
+          </button>
+          <button type="submit" className="primary-btn" disabled={saving || !quote}>
+            {saving ? 'Saving...' : 'Take Payment & Renew'}
+          </button>
+        </div>
+      </form>
+
+      <style jsx>{`
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 460px;
+          max-width: 90vw;
+        }
+
+        .modal h2 {
+          margin: 0 0 4px 0;
+        }
+
+        .subtitle {
+          color: #718096;
+          font-size: 14px;
+          margin-bottom: 16px;
+        }
+
+        .dialog-error {
+          background: #fed7d7;
+          border: 1px solid #feb2b2;
+          color: #c53030;
+          padding: 10px 12px;
+          border-radius: 8px;
+          margin-bottom: 14px;
+          font-size: 14px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group > label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 12px;
+        }
+
+        .form-row > * {
+          flex: 1;
+        }
+
+        .form-group select, .form-group input[type="number"] {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .radio-label {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-weight: 400;
+          cursor: pointer;
+        }
+
+        .quote {
+          background: #f7fafc;
+          border-radius: 8px;
+          padding: 12px 16px;
+          margin-bottom: 14px;
+        }
+
+        .quote-row {
+          display: flex;
+          justify-content: space-between;
+          font-size: 14px;
+          color: #4a5568;
+          padding: 4px 0;
+        }
+
+        .quote-row.total {
+          border-top: 1px solid #e2e8f0;
+          margin-top: 4px;
+          padding-top: 8px;
+          font-weight: 700;
+          color: #2d3748;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default MembershipRenewalDialog;
@@ -1,6 +1,4 @@
 import React, { useState, useEffect } from 'react';
-import statisticsService from '../../services/statisticsService';
-import visitorsService from '../../services/visitorsService';
 import * as formatters from '../../utils/formatters';
 import './Dashboard.css';
 
@@ -17,13 +15,13 @@ const Dashboard = () => {
         setError(null);
 
         // Load today's statistics
-        const todayStats = await statisticsService.getDailyStatistics();
+        const todayStats = await window.gymApi.statistics.getDaily();
         if (todayStats?.success) {
           setStats(todayStats.data);
         }
 
         // Load current visitors count
-        const visitors = await visitorsService.getCurrentVisitors();
+        const visitors = await window.gymApi.visitors.getCurrent();
         if (visitors?.success) {
           setCurrentVisitors(visitors.data || []);
         }
@@ -100,7 +98,7 @@ const Dashboard = () => {
           <div className="stat-content">
             <h3>Today's Revenue</h3>
             <div className="stat-value">{formatters.formatCurrency(stats?.revenue?.total || 0)}</div>
-            <div className="stat-label">Daily Income</div>
+            <div className="stat-label">Collected from {stats?.revenue?.payments || 0} payments</div>
           </div>
         </div>
 
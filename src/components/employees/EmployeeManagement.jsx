@@ -0,0 +1,606 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../auth/AuthProvider';
+import { EMPLOYEE_ROLES } from '../../utils/constants';
+import { formatDate } from '../../utils/dateUtils';
+
+const HISTORY_LABELS = {
+  created: 'Account created',
+  updated: 'Details changed',
+  deactivated: 'Deactivated',
+  reactivated: 'Reactivated',
+  password_reset: 'Password reset'
+};
+
+const EMPTY_FORM = {
+  username: '',
+  firstName: '',
+  lastName: '',
+  role: EMPLOYEE_ROLES.RECEPTIONIST,
+  password: ''
+};
+
+const EmployeeManagement = () => {
+  const { user } = useAuth();
+  const [employees, setEmployees] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or an employee
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [temporaryPassword, setTemporaryPassword] = useState('');
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    loadEmployees();
+  }, []);
+
+  const loadEmployees = async () => {
+    try {
+      setLoading(true);
+      const result = await window.gymApi.employees.getAll();
+      if (result.success) {
+        setEmployees(result.data);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error loading employees:', error);
+      setMessage({ type: 'error', text: 'Failed to load employees' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Resolve an employee ID from the audit fields to a readable name
+  const getEmployeeName = (employeeId) => {
+    if (!employeeId) return 'System';
+    const employee = employees.find(e => e.employeeId === employeeId);
+    return employee ? `${employee.firstName} ${employee.lastName}` : employeeId;
+  };
+
+  const openCreateForm = () => {
+    setEditing('new');
+    setFormData(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const openEditForm = (employee) => {
+    setEditing(employee);
+    setFormData({
+      username: employee.username,
+      firstName: employee.firstName,
+      lastName: employee.lastName,
+      role: employee.role,
+      password: ''
+    });
+    setFormErrors({});
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = editing === 'new'
+        ? await window.gymApi.employees.create(formData)
+        : await window.gymApi.employees.update(editing.employeeId, {
+          username: formData.username,
+          firstName: formData.firstName,
+          lastName: formData.lastName,
+          role: formData.role
+        });
+
+      if (result.success) {
+        setEditing(null);
+        setMessage({ type: 'success', text: result.message });
+        loadEmployees();
+      } else {
+        setFormErrors(result.errors || {});
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error saving employee:', error);
+      setMessage({ type: 'error', text: 'Failed to save employee' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (employee) => {
+    const action = employee.isActive ? 'deactivate' : 'reactivate';
+    if (!confirm(`Are you sure you want to ${action} ${employee.firstName} ${employee.lastName}?`)) {
+      return;
+    }
+
+    try {
+      const result = await window.gymApi.employees.setActive(employee.employeeId, !employee.isActive);
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      if (result.success) {
+        loadEmployees();
+      }
+    } catch (error) {
+      console.error('Error changing employee status:', error);
+      setMessage({ type: 'error', text: 'Failed to change employee status' });
+    }
+  };
+
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.employees.resetPassword(resetTarget.employeeId, temporaryPassword);
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      if (result.success) {
+        setResetTarget(null);
+        setTemporaryPassword('');
+        loadEmployees();
+      }
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      setMessage({ type: 'error', text: 'Failed to reset password' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="employee-management">
+      <div className="employees-header">
+        <div>
+          <h1>🧑‍💼 Employee Management</h1>
+          <p>Staff accounts, roles and access</p>
+        </div>
+        <button onClick={openCreateForm} className="primary-btn">
+          ➕ Add Employee
+        </button>
+      </div>
+
+      {message && (
+        <div className={`employees-message ${message.type}`}>
+          <span>{message.type === 'success' ? '✅' : '❌'} {message.text}</span>
+          <button onClick={() => setMessage(null)} className="dismiss-btn">✕</button>
+        </div>
+      )}
+
+      <div className="employees-card">
+        {loading ? (
+          <p className="muted">Loading employees...</p>
+        ) : (
+          <table className="employees-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Username</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Last change</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {employees.map(employee => (
+                <React.Fragment key={employee.employeeId}>
+                  <tr className={employee.isActive ? '' : 'inactive'}>
+                    <td>
+                      {employee.firstName} {employee.lastName}
+                      {employee.employeeId === user?.employeeId && <span className="you-badge">You</span>}
+                    </td>
+                    <td>@{employee.username}</td>
+                    <td className="role-cell">{employee.role}</td>
+                    <td>
+                      <span className={`status-badge ${employee.isActive ? 'active' : 'inactive'}`}>
+                        {employee.isActive ? 'Active' : 'Inactive'}
+                      </span>
+                      {employee.mustChangePassword && (
+                        <span className="status-badge pending">Password change pending</span>
+                      )}
+                    </td>
+                    <td>
+                      {employee.updatedAt ? (
+                        <button
+                          className="link-btn"
+                          onClick={() => setExpandedId(expandedId === employee.employeeId ? null : employee.employeeId)}
+                        >
+                          {formatDate(employee.updatedAt, 'datetime')} by {getEmployeeName(employee.updatedBy)}
+                        </button>
+                      ) : (
+                        <span className="muted">—</span>
+                      )}
+                    </td>
+                    <td className="row-actions">
+                      <button onClick={() => openEditForm(employee)} className="secondary-btn">Edit</button>
+                      <button onClick={() => setResetTarget(employee)} className="secondary-btn">Reset Password</button>
+                      <button
+                        onClick={() => handleToggleActive(employee)}
+                        className={employee.isActive ? 'danger-btn' : 'secondary-btn'}
+                      >
+                        {employee.isActive ? 'Deactivate' : 'Reactivate'}
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === employee.employeeId && (
+                    <tr className="history-row">
+                      <td colSpan="6">
+                        <ul className="history-list">
+                          {[...(employee.history || [])].reverse().map((entry, index) => (
+                            <li key={index}>
+                              <strong>{HISTORY_LABELS[entry.action] || entry.action}</strong>
+                              {entry.changes?.length > 0 && entry.action === 'updated' && ` (${entry.changes.join(', ')})`}
+                              {' — '}{getEmployeeName(entry.by)}, {formatDate(entry.at, 'datetime')}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {editing && (
+        <div className="modal-overlay">
+          <form className="modal" onSubmit={handleSave}>
+            <h2>{editing === 'new' ? '➕ Add Employee' : '✏️ Edit Employee'}</h2>
+
+            {[
+              ['firstName', 'First name'],
+              ['lastName', 'Last name'],
+              ['username', 'Username']
+            ].map(([field, label]) => (
+              <div className="form-group" key={field}>
+                <label htmlFor={field}>{label}</label>
+                <input
+                  id={field}
+                  value={formData[field]}
+                  onChange={(e) => handleInputChange(field, e.target.value)}
+                  className={formErrors[field] ? 'error' : ''}
+                />
+                {formErrors[field] && <span className="field-error">{formErrors[field]}</span>}
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label htmlFor="role">Role</label>
+              <select
+                id="role"
+                value={formData.role}
+                onChange={(e) => handleInputChange('role', e.target.value)}
+                className="role-select"
+              >
+                {Object.values(EMPLOYEE_ROLES).map(role => (
+                  <option key={role} value={role}>{role.charAt(0).toUpperCase() + role.slice(1)}</option>
+                ))}
+              </select>
+              {formErrors.role && <span className="field-error">{formErrors.role}</span>}
+            </div>
+
+            {editing === 'new' && (
+              <div className="form-group">
+                <label htmlFor="password">Initial password</label>
+                <input
+                  id="password"
+                  type="password"
+                  value={formData.password}
+                  onChange={(e) => handleInputChange('password', e.target.value)}
+                  className={formErrors.password ? 'error' : ''}
+                  autoComplete="new-password"
+                />
+                {formErrors.password && <span className="field-error">{formErrors.password}</span>}
+                <span className="hint">The employee will be asked to change it at first login.</span>
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button type="button" onClick={() => setEditing(null)} className="secondary-btn" disabled={saving}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Reset Password */}
+      {resetTarget && (
+        <div className="modal-overlay">
+          <form className="modal" onSubmit={handleResetPassword}>
+            <h2>🔑 Reset Password</h2>
+            <p>
+              Set a temporary password for <strong>{resetTarget.firstName} {resetTarget.lastName}</strong>.
+              They will have to choose a new password at their next login.
+            </p>
+            <div className="form-group">
+              <label htmlFor="temporaryPassword">Temporary password</label>
+              <input
+                id="temporaryPassword"
+                type="password"
+                value={temporaryPassword}
+                onChange={(e) => setTemporaryPassword(e.target.value)}
+                autoComplete="new-password"
+              />
+            </div>
+            <div className="modal-actions">
+              <button
+                type="button"
+                onClick={() => { setResetTarget(null); setTemporaryPassword(''); }}
+                className="secondary-btn"
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Reset Password'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <style jsx>{`
+        .employees-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 24px;
+        }
+
+        .employees-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .employees-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .employees-message {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .employees-message.success {
+          background: #f0fff4;
+          color: #276749;
+          border: 1px solid #9ae6b4;
+        }
+
+        .employees-message.error {
+          background: #fed7d7;
+          color: #c53030;
+          border: 1px solid #feb2b2;
+        }
+
+        .dismiss-btn {
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: inherit;
+        }
+
+        .employees-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .employees-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .employees-table th, .employees-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+          vertical-align: middle;
+        }
+
+        .employees-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .employees-table tr.inactive td {
+          color: #a0aec0;
+        }
+
+        .role-cell {
+          text-transform: capitalize;
+        }
+
+        .you-badge {
+          margin-left: 8px;
+          padding: 2px 6px;
+          border-radius: 4px;
+          background: #ebf4ff;
+          color: #4c51bf;
+          font-size: 11px;
+          font-weight: 600;
+        }
+
+        .status-badge {
+          display: inline-block;
+          padding: 4px 8px;
+          border-radius: 6px;
+          font-size: 12px;
+          font-weight: 600;
+          margin-right: 6px;
+        }
+
+        .status-badge.active {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .status-badge.inactive {
+          background: #edf2f7;
+          color: #718096;
+        }
+
+        .status-badge.pending {
+          background: #fefcbf;
+          color: #975a16;
+        }
+
+        .row-actions {
+          display: flex;
+          gap: 8px;
+          justify-content: flex-end;
+        }
+
+        .link-btn {
+          background: none;
+          border: none;
+          color: #667eea;
+          cursor: pointer;
+          padding: 0;
+          text-align: left;
+        }
+
+        .history-row td {
+          background: #f7fafc;
+        }
+
+        .history-list {
+          list-style: none;
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .primary-btn, .secondary-btn, .danger-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+          white-space: nowrap;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        .danger-btn {
+          background: #fed7d7;
+          color: #c53030;
+          border: 1px solid #feb2b2;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 440px;
+          max-width: 90vw;
+        }
+
+        .modal h2 {
+          margin: 0 0 16px 0;
+        }
+
+        .modal p {
+          color: #4a5568;
+          margin-bottom: 16px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .role-select {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .form-group input.error {
+          border-color: #e53e3e;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .hint {
+          color: #718096;
+          font-size: 12px;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default EmployeeManagement;
@@ -0,0 +1,552 @@
+import React, { useState, useEffect } from 'react';
+import { CASH_DENOMINATIONS, CLOSEOUT_STATUS, PERMISSIONS } from '../../utils/constants';
+import { formatDate } from '../../utils/dateUtils';
+import { formatCurrency } from '../../utils/formatters';
+import { useAuth } from '../auth/AuthProvider';
+
+const EMPTY_COUNT = Object.fromEntries(CASH_DENOMINATIONS.map(value => [value, '']));
+
+const CashCloseout = () => {
+  const { hasPermission } = useAuth();
+  const today = new Date().toISOString().split('T')[0];
+
+  const [date, setDate] = useState(today);
+  const [summary, setSummary] = useState(null);
+  const [counts, setCounts] = useState(EMPTY_COUNT);
+  const [note, setNote] = useState('');
+  const [reopenReason, setReopenReason] = useState('');
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  useEffect(() => {
+    setCounts(EMPTY_COUNT);
+    setNote('');
+    setReopenReason('');
+    setFormErrors({});
+    loadSummary(date);
+  }, [date]);
+
+  const loadSummary = async (day) => {
+    try {
+      setLoading(true);
+      const result = await window.gymApi.closeout.getSummary(day);
+
+      if (result.success) {
+        setSummary(result.data);
+        setError(null);
+      } else {
+        setSummary(null);
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading close-out:', error);
+      setError('Failed to load the cash summary');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (text) => {
+    setSuccessMessage(text);
+    setTimeout(() => setSuccessMessage(null), 4000);
+  };
+
+  const handleCountChange = (value, count) => {
+    setCounts(prev => ({ ...prev, [value]: count }));
+    if (formErrors.denominations) {
+      setFormErrors(prev => ({ ...prev, denominations: '' }));
+    }
+  };
+
+  const countedCash = Math.round(
+    CASH_DENOMINATIONS.reduce((sum, value) => sum + value * (Number(counts[value]) || 0), 0) * 100
+  ) / 100;
+  const variance = summary ? Math.round((countedCash - summary.expectedCash) * 100) / 100 : 0;
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const denominations = Object.fromEntries(
+        CASH_DENOMINATIONS.map(value => [value, counts[value] === '' ? 0 : Number(counts[value])])
+      );
+      const result = await window.gymApi.closeout.close(date, { denominations, note });
+
+      if (result.success) {
+        showSuccess(result.message);
+        loadSummary(date);
+      } else {
+        setFormErrors(result.errors || {});
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error closing day:', error);
+      setError('Failed to close the day');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReopen = async () => {
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.closeout.reopen(date, reopenReason);
+
+      if (result.success) {
+        setReopenReason('');
+        setFormErrors({});
+        showSuccess(result.message);
+        loadSummary(date);
+      } else {
+        setFormErrors(result.errors || {});
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error reopening day:', error);
+      setError('Failed to reopen the day');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const varianceClass = variance === 0 ? 'balanced' : variance > 0 ? 'over' : 'short';
+  const formatVariance = (amount, currency) => `${amount > 0 ? '+' : ''}${formatCurrency(amount, currency)}`;
+
+  return (
+    <div className="cash-closeout">
+      <div className="closeout-header">
+        <div>
+          <h1>🧮 Cash Close-out</h1>
+          <p>Count the drawer at the end of the day and lock its payments</p>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="closeoutDate">Day</label>
+          <input
+            id="closeoutDate"
+            type="date"
+            max={today}
+            value={date}
+            onChange={(e) => setDate(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {successMessage && <div className="success-banner">✅ {successMessage}</div>}
+      {error && <div className="error-banner">❌ {error}</div>}
+
+      {loading ? (
+        <p className="muted">Loading cash summary...</p>
+      ) : summary && (
+        <>
+          {/* Expected totals */}
+          <div className="summary-tiles">
+            <div className="summary-tile">
+              <span className="tile-value">{formatCurrency(summary.expectedCash, summary.currency)}</span>
+              <span className="tile-label">Expected cash ({summary.cashPayments} payments)</span>
+            </div>
+            <div className="summary-tile">
+              <span className="tile-value">{formatCurrency(summary.summary.total, summary.currency)}</span>
+              <span className="tile-label">All payments ({summary.summary.count})</span>
+            </div>
+            <div className="summary-tile">
+              <span className="tile-value">{formatCurrency(summary.summary.total - summary.expectedCash, summary.currency)}</span>
+              <span className="tile-label">Card & transfer</span>
+            </div>
+          </div>
+
+          {summary.shifts.length > 0 && (
+            <div className="closeout-card">
+              <h3>🕘 Cash by Shift</h3>
+              <table className="closeout-table">
+                <thead>
+                  <tr>
+                    <th>Shift</th>
+                    <th>Employee</th>
+                    <th>Payments</th>
+                    <th>Cash</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.shifts.map(shift => (
+                    <tr key={shift.shiftId || 'none'}>
+                      <td>{shift.shiftId || <span className="muted">No shift</span>}</td>
+                      <td>{shift.employeeName || '—'}</td>
+                      <td>{shift.payments}</td>
+                      <td className="amount">{formatCurrency(shift.cash, summary.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {summary.locked ? (
+            <div className="closeout-card locked">
+              <h3>🔒 Day Closed</h3>
+              <p>
+                Closed by {summary.closeout.closedByName} at {formatDate(summary.closeout.closedAt, 'datetime')}.
+                Payments can't be taken for this day until a manager reopens it.
+              </p>
+              <div className="closeout-totals">
+                <span>Counted: <strong>{formatCurrency(summary.closeout.countedCash, summary.currency)}</strong></span>
+                <span className={`variance ${summary.closeout.variance === 0 ? 'balanced' : summary.closeout.variance > 0 ? 'over' : 'short'}`}>
+                  Variance: {formatVariance(summary.closeout.variance, summary.currency)}
+                </span>
+              </div>
+              {summary.closeout.note && <p className="muted">Note: {summary.closeout.note}</p>}
+
+              {hasPermission(PERMISSIONS.REOPEN_CASH_DAY) && (
+                <div className="reopen-row">
+                  <div className="form-group">
+                    <label htmlFor="reopenReason">Reason for reopening</label>
+                    <input
+                      id="reopenReason"
+                      value={reopenReason}
+                      onChange={(e) => setReopenReason(e.target.value)}
+                      className={formErrors.reason ? 'error' : ''}
+                    />
+                    {formErrors.reason && <span className="field-error">{formErrors.reason}</span>}
+                  </div>
+                  <button onClick={handleReopen} className="secondary-btn" disabled={saving || !reopenReason.trim()}>
+                    🔓 Reopen Day
+                  </button>
+                </div>
+              )}
+            </div>
+          ) : (
+            <form className="closeout-card" onSubmit={handleClose}>
+              <h3>💵 Count the Drawer</h3>
+              <table className="closeout-table">
+                <thead>
+                  <tr>
+                    <th>Denomination</th>
+                    <th>Count</th>
+                    <th>Subtotal</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {CASH_DENOMINATIONS.map(value => (
+                    <tr key={value}>
+                      <td>{formatCurrency(value, summary.currency)}</td>
+                      <td>
+                        <input
+                          type="number"
+                          min="0"
+                          step="1"
+                          value={counts[value]}
+                          onChange={(e) => handleCountChange(value, e.target.value)}
+                          className="count-input"
+                        />
+                      </td>
+                      <td className="amount">{formatCurrency(value * (Number(counts[value]) || 0), summary.currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {formErrors.denominations && <span className="field-error">{formErrors.denominations}</span>}
+
+              <div className="closeout-totals">
+                <span>Counted: <strong>{formatCurrency(countedCash, summary.currency)}</strong></span>
+                <span>Expected: <strong>{formatCurrency(summary.expectedCash, summary.currency)}</strong></span>
+                <span className={`variance ${varianceClass}`}>
+                  Variance: {formatVariance(variance, summary.currency)}
+                </span>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="closeoutNote">Note{variance === 0 && ' (optional)'}</label>
+                <textarea
+                  id="closeoutNote"
+                  rows={2}
+                  value={note}
+                  onChange={(e) => {
+                    setNote(e.target.value);
+                    if (formErrors.note) {
+                      setFormErrors(prev => ({ ...prev, note: '' }));
+                    }
+                  }}
+                  className={formErrors.note ? 'error' : ''}
+                />
+                {formErrors.note && <span className="field-error">{formErrors.note}</span>}
+              </div>
+
+              <div className="form-actions">
+                <button type="submit" className="primary-btn" disabled={saving || (variance !== 0 && !note.trim())}>
+                  {saving ? 'Closing...' : '🔒 Close Day'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          {summary.history.length > 0 && (
+            <div className="closeout-card">
+              <h3>📜 Close-out History</h3>
+              <ul className="history-list">
+                {summary.history.map(closeout => (
+                  <li key={closeout.closeoutId}>
+                    <span>
+                      {closeout.status === CLOSEOUT_STATUS.CLOSED ? '🔒' : '🔓'} Closed by {closeout.closedByName} at{' '}
+                      {formatDate(closeout.closedAt, 'datetime')} · counted {formatCurrency(closeout.countedCash, closeout.currency)}{' '}
+                      ({formatVariance(closeout.variance, closeout.currency)})
+                    </span>
+                    {closeout.status === CLOSEOUT_STATUS.REOPENED && (
+                      <span className="muted">
+                        Reopened by {closeout.reopenedByName} at {formatDate(closeout.reopenedAt, 'datetime')}: {closeout.reopenReason}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+
+      <style jsx>{`
+        .closeout-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 24px;
+        }
+
+        .closeout-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .closeout-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .success-banner {
+          background: #c6f6d5;
+          color: #276749;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .error-banner {
+          background: #fed7d7;
+          color: #c53030;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .filter-group {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .filter-group label {
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+        }
+
+        .filter-group input {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          background: white;
+        }
+
+        .summary-tiles {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .summary-tile {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          padding: 12px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+          text-align: center;
+        }
+
+        .tile-value {
+          font-size: 20px;
+          font-weight: 700;
+          color: #2d3748;
+        }
+
+        .tile-label {
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .closeout-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          margin-bottom: 16px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .closeout-card h3 {
+          margin: 0 0 12px 0;
+          color: #2d3748;
+        }
+
+        .closeout-card.locked {
+          border-left: 4px solid #4a5568;
+        }
+
+        .closeout-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .closeout-table th, .closeout-table td {
+          padding: 8px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .closeout-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .amount {
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .count-input {
+          width: 100px;
+          padding: 6px 8px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+        }
+
+        .closeout-totals {
+          display: flex;
+          gap: 24px;
+          margin: 16px 0;
+          font-size: 16px;
+        }
+
+        .variance {
+          font-weight: 700;
+        }
+
+        .variance.balanced {
+          color: #276749;
+        }
+
+        .variance.over {
+          color: #b7791f;
+        }
+
+        .variance.short {
+          color: #c53030;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+          flex: 1;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .form-group textarea {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          font-family: inherit;
+        }
+
+        .form-group .error {
+          border-color: #e53e3e;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .reopen-row {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+        }
+
+        .form-actions {
+          display: flex;
+          justify-content: flex-end;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .history-list {
+          list-style: none;
+          padding: 0;
+          margin: 0;
+        }
+
+        .history-list li {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+          padding: 8px 0;
+          border-bottom: 1px solid #edf2f7;
+          font-size: 14px;
+        }
+
+        .muted {
+          color: #718096;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CashCloseout;
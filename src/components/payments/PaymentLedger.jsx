@@ -0,0 +1,653 @@
+import React, { useState, useEffect } from 'react';
+import { PAYMENT_METHODS, PAYMENT_TYPES } from '../../utils/constants';
+import { formatDate } from '../../utils/dateUtils';
+import { formatCurrency, formatPaymentMethod, formatPaymentType } from '../../utils/formatters';
+
+const EMPTY_CHARGE = {
+  type: PAYMENT_TYPES.DAY_PASS,
+  customerId: '',
+  amount: '',
+  discount: '',
+  method: PAYMENT_METHODS.CASH,
+  description: ''
+};
+
+const PaymentLedger = () => {
+  const today = new Date().toISOString().split('T')[0];
+
+  const [payments, setPayments] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [canViewAll, setCanViewAll] = useState(false);
+  const [filters, setFilters] = useState({ startDate: today, endDate: today, type: '', method: '', employeeId: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  const [showModal, setShowModal] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_CHARGE);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPayments(filters);
+  }, [filters]);
+
+  const loadPayments = async (activeFilters) => {
+    try {
+      setLoading(true);
+      const query = Object.fromEntries(
+        Object.entries(activeFilters).filter(([, value]) => value !== '')
+      );
+      const result = await window.gymApi.payments.list(query);
+
+      if (result.success) {
+        setPayments(result.data);
+        setSummary(result.summary);
+        setCanViewAll(result.canViewAll);
+        setError(null);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading payments:', error);
+      setError('Failed to load payments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Everyone who appears in the list, for the employee filter
+  const employees = Object.values(payments.reduce((all, payment) => {
+    if (payment.employeeId) {
+      all[payment.employeeId] = { employeeId: payment.employeeId, name: payment.employeeName };
+    }
+    return all;
+  }, {}));
+
+  const openChargeModal = () => {
+    setFormData(EMPTY_CHARGE);
+    setFormErrors({});
+    setError(null);
+    setShowModal(true);
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleCharge = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.payments.create({
+        ...formData,
+        amount: formData.amount === '' ? '' : Number(formData.amount),
+        discount: formData.discount === '' ? 0 : Number(formData.discount)
+      });
+
+      if (result.success) {
+        setShowModal(false);
+        showSuccess(`${result.message} · ${result.receipt?.message || 'Receipt not saved'}`);
+        loadPayments(filters);
+      } else {
+        setFormErrors(result.errors || {});
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      setError('Failed to record payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const showSuccess = (text) => {
+    setSuccessMessage(text);
+    setTimeout(() => setSuccessMessage(null), 4000);
+  };
+
+  const handleOpenReceipt = async (paymentId) => {
+    try {
+      const result = await window.gymApi.receipts.open(paymentId);
+      setError(result.success ? null : result.message);
+    } catch (error) {
+      console.error('Error opening receipt:', error);
+      setError('Failed to open the receipt');
+    }
+  };
+
+  const handlePrintReceipt = async (paymentId) => {
+    try {
+      const result = await window.gymApi.receipts.create(paymentId, { print: true });
+      if (result.success && result.data.printed) {
+        showSuccess(result.message);
+        setError(null);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error printing receipt:', error);
+      setError('Failed to print the receipt');
+    }
+  };
+
+  const chargeTotal = Math.max(0, (Number(formData.amount) || 0) - (Number(formData.discount) || 0));
+
+  return (
+    <div className="payment-ledger">
+      <div className="payments-header">
+        <div>
+          <h1>💳 Payments</h1>
+          <p>{canViewAll ? 'Every payment taken at the front desk' : 'Payments you have taken'}</p>
+        </div>
+        <button className="primary-btn" onClick={openChargeModal}>
+          ➕ New Charge
+        </button>
+      </div>
+
+      {successMessage && <div className="success-banner">✅ {successMessage}</div>}
+      {error && !showModal && payments.length > 0 && <div className="error-banner">❌ {error}</div>}
+
+      {/* Filters */}
+      <div className="payments-filters">
+        <div className="filter-group">
+          <label htmlFor="startDate">From</label>
+          <input
+            id="startDate"
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="endDate">To</label>
+          <input
+            id="endDate"
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="type">Type</label>
+          <select id="type" value={filters.type} onChange={(e) => handleFilterChange('type', e.target.value)}>
+            <option value="">All types</option>
+            {Object.values(PAYMENT_TYPES).map(type => (
+              <option key={type} value={type}>{formatPaymentType(type)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-group">
+          <label htmlFor="method">Method</label>
+          <select id="method" value={filters.method} onChange={(e) => handleFilterChange('method', e.target.value)}>
+            <option value="">All methods</option>
+            {Object.values(PAYMENT_METHODS).map(method => (
+              <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+            ))}
+          </select>
+        </div>
+        {canViewAll && (
+          <div className="filter-group">
+            <label htmlFor="employeeId">Employee</label>
+            <select id="employeeId" value={filters.employeeId} onChange={(e) => handleFilterChange('employeeId', e.target.value)}>
+              <option value="">All employees</option>
+              {employees.map(employee => (
+                <option key={employee.employeeId} value={employee.employeeId}>{employee.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {/* Totals */}
+      {summary && (
+        <div className="summary-tiles">
+          <div className="summary-tile">
+            <span className="tile-value">{formatCurrency(summary.total, summary.currency)}</span>
+            <span className="tile-label">Collected ({summary.count} payments)</span>
+          </div>
+          {Object.entries(summary.byMethod).map(([method, total]) => (
+            <div key={method} className="summary-tile">
+              <span className="tile-value">{formatCurrency(total, summary.currency)}</span>
+              <span className="tile-label">{formatPaymentMethod(method)}</span>
+            </div>
+          ))}
+          <div className="summary-tile">
+            <span className="tile-value">{formatCurrency(summary.discounts, summary.currency)}</span>
+            <span className="tile-label">Discounts given</span>
+          </div>
+        </div>
+      )}
+
+      <div className="payments-card">
+        {loading ? (
+          <p className="muted">Loading payments...</p>
+        ) : error && !showModal && payments.length === 0 ? (
+          <p className="error-text">❌ {error}</p>
+        ) : payments.length === 0 ? (
+          <p className="muted">No payments match these filters</p>
+        ) : (
+          <table className="payments-table">
+            <thead>
+              <tr>
+                <th>Invoice</th>
+                <th>Time</th>
+                <th>Customer</th>
+                <th>Item</th>
+                <th>Method</th>
+                <th>Discount</th>
+                <th>Total</th>
+                <th>Taken by</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map(payment => (
+                <tr key={payment.paymentId}>
+                  <td className="invoice">{payment.invoiceNumber}</td>
+                  <td>{formatDate(payment.createdAt, 'datetime')}</td>
+                  <td>
+                    {payment.customerName || <span className="muted">Walk-in</span>}
+                    {payment.customerId && <span className="muted"> ({payment.customerId})</span>}
+                  </td>
+                  <td>
+                    {payment.description}
+                    <span className="type-label">{formatPaymentType(payment.type)}</span>
+                  </td>
+                  <td>{formatPaymentMethod(payment.method)}</td>
+                  <td>{payment.discount > 0 ? formatCurrency(payment.discount, payment.currency) : '—'}</td>
+                  <td className="amount">{formatCurrency(payment.total, payment.currency)}</td>
+                  <td>{payment.employeeName || '—'}</td>
+                  <td className="row-actions">
+                    <button onClick={() => handleOpenReceipt(payment.paymentId)} className="icon-btn" title="Open receipt PDF">
+                      🧾
+                    </button>
+                    <button onClick={() => handlePrintReceipt(payment.paymentId)} className="icon-btn" title="Print receipt">
+                      🖨️
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* New charge modal */}
+      {showModal && (
+        <div className="modal-overlay">
+          <form className="modal" onSubmit={handleCharge}>
+            <h2>➕ New Charge</h2>
+
+            {error && <div className="dialog-error">⚠️ {error}</div>}
+
+            <div className="form-group">
+              <label htmlFor="chargeType">Charge for</label>
+              <select
+                id="chargeType"
+                value={formData.type}
+                onChange={(e) => handleInputChange('type', e.target.value)}
+              >
+                <option value={PAYMENT_TYPES.DAY_PASS}>{formatPaymentType(PAYMENT_TYPES.DAY_PASS)}</option>
+                <option value={PAYMENT_TYPES.SPA_ADDON}>{formatPaymentType(PAYMENT_TYPES.SPA_ADDON)}</option>
+              </select>
+              {formErrors.type && <span className="field-error">{formErrors.type}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="chargeCustomer">
+                Customer ID{formData.type === PAYMENT_TYPES.DAY_PASS && ' (optional for walk-ins)'}
+              </label>
+              <input
+                id="chargeCustomer"
+                value={formData.customerId}
+                onChange={(e) => handleInputChange('customerId', e.target.value.trim())}
+                className={formErrors.customerId ? 'error' : ''}
+              />
+              {formErrors.customerId && <span className="field-error">{formErrors.customerId}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="chargeDescription">Description (optional)</label>
+              <input
+                id="chargeDescription"
+                value={formData.description}
+                placeholder={formatPaymentType(formData.type)}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+                className={formErrors.description ? 'error' : ''}
+              />
+              {formErrors.description && <span className="field-error">{formErrors.description}</span>}
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="chargeAmount">Amount</label>
+                <input
+                  id="chargeAmount"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.amount}
+                  onChange={(e) => handleInputChange('amount', e.target.value)}
+                  className={formErrors.amount ? 'error' : ''}
+                />
+                {formErrors.amount && <span className="field-error">{formErrors.amount}</span>}
+              </div>
+              <div className="form-group">
+                <label htmlFor="chargeDiscount">Discount</label>
+                <input
+                  id="chargeDiscount"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.discount}
+                  onChange={(e) => handleInputChange('discount', e.target.value)}
+                  className={formErrors.discount ? 'error' : ''}
+                />
+                {formErrors.discount && <span className="field-error">{formErrors.discount}</span>}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="chargeMethod">Payment</label>
+              <select
+                id="chargeMethod"
+                value={formData.method}
+                onChange={(e) => handleInputChange('method', e.target.value)}
+              >
+                {Object.values(PAYMENT_METHODS).map(method => (
+                  <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+                ))}
+              </select>
+            </div>
+
+            <p className="summary">
+              Total to collect: <strong>{formatCurrency(chargeTotal)}</strong>
+            </p>
+
+            <div className="modal-actions">
+              <button type="button" onClick={() => setShowModal(false)} className="secondary-btn" disabled={saving}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={saving || formData.amount === ''}>
+                {saving ? 'Saving...' : 'Take Payment'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <style jsx>{`
+        .payments-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 24px;
+        }
+
+        .payments-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .payments-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .success-banner {
+          background: #c6f6d5;
+          color: #276749;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .error-banner {
+          background: #fed7d7;
+          color: #c53030;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .row-actions {
+          white-space: nowrap;
+        }
+
+        .icon-btn {
+          background: none;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          padding: 4px 8px;
+          margin-left: 4px;
+          cursor: pointer;
+        }
+
+        .payments-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .filter-group {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .filter-group label {
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+        }
+
+        .filter-group input, .filter-group select {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          background: white;
+        }
+
+        .summary-tiles {
+          display: grid;
+          grid-template-columns: repeat(5, 1fr);
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .summary-tile {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          padding: 12px;
+          background: white;
+          border-radius: 8px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+          text-align: center;
+        }
+
+        .tile-value {
+          font-size: 20px;
+          font-weight: 700;
+          color: #2d3748;
+        }
+
+        .tile-label {
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .payments-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .payments-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .payments-table th, .payments-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .payments-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .invoice {
+          font-family: monospace;
+          white-space: nowrap;
+        }
+
+        .type-label {
+          display: block;
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .amount {
+          font-weight: 600;
+          white-space: nowrap;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 460px;
+          max-width: 90vw;
+        }
+
+        .modal h2 {
+          margin: 0 0 16px 0;
+        }
+
+        .dialog-error {
+          background: #fed7d7;
+          border: 1px solid #feb2b2;
+          color: #c53030;
+          padding: 10px 12px;
+          border-radius: 8px;
+          margin-bottom: 14px;
+          font-size: 14px;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 12px;
+        }
+
+        .form-row > * {
+          flex: 1;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .form-group input.error {
+          border-color: #e53e3e;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .summary {
+          background: #ebf8ff;
+          color: #2c5282;
+          padding: 10px 12px;
+          border-radius: 8px;
+          font-size: 14px;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .error-text {
+          color: #c53030;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PaymentLedger;
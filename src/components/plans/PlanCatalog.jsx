@@ -0,0 +1,622 @@
+import React, { useState, useEffect } from 'react';
+import { PLAN_DURATION_UNITS, PLAN_STATUS, SERVICE_TYPES } from '../../utils/constants';
+import { formatCurrency, formatPlanDuration, formatSchedule, formatServices } from '../../utils/formatters';
+import ScheduleEditor, { DEFAULT_SCHEDULE } from '../common/ScheduleEditor';
+
+const SERVICE_OPTIONS = [
+  { value: SERVICE_TYPES.GYM, label: '🏋️ Gym' },
+  { value: SERVICE_TYPES.SPA, label: '🧖 Spa' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  durationValue: 1,
+  durationUnit: PLAN_DURATION_UNITS.MONTH,
+  price: '',
+  services: [SERVICE_TYPES.GYM],
+  visitLimit: '',
+  sessionLimits: {},
+  maxFreezeDays: 0,
+  schedule: null
+};
+
+const PlanCatalog = () => {
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState(null);
+  const [editing, setEditing] = useState(null); // null, 'new' or a plan
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [formErrors, setFormErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPlans();
+  }, []);
+
+  const loadPlans = async () => {
+    try {
+      setLoading(true);
+      const result = await window.gymApi.plans.list({ includeArchived: true });
+      if (result.success) {
+        setPlans(result.data);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error loading plans:', error);
+      setMessage({ type: 'error', text: 'Failed to load plans' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditing('new');
+    setFormData(EMPTY_FORM);
+    setFormErrors({});
+  };
+
+  const openEditForm = (plan) => {
+    setEditing(plan);
+    setFormData({
+      name: plan.name,
+      description: plan.description || '',
+      durationValue: plan.durationValue,
+      durationUnit: plan.durationUnit,
+      price: plan.price,
+      services: plan.services,
+      visitLimit: plan.visitLimit ?? '',
+      sessionLimits: plan.sessionLimits || {},
+      maxFreezeDays: plan.maxFreezeDays || 0,
+      schedule: plan.schedule || null
+    });
+    setFormErrors({});
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleServiceToggle = (service) => {
+    const services = formData.services.includes(service)
+      ? formData.services.filter(s => s !== service)
+      : [...formData.services, service];
+    handleInputChange('services', services);
+
+    // Session packs only apply to services the plan includes
+    if (!services.includes(service) && formData.sessionLimits[service] !== undefined) {
+      const { [service]: removed, ...sessionLimits } = formData.sessionLimits;
+      handleInputChange('sessionLimits', sessionLimits);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = editing === 'new'
+        ? await window.gymApi.plans.create(formData)
+        : await window.gymApi.plans.update(editing.planId, formData);
+
+      if (result.success) {
+        setEditing(null);
+        setMessage({ type: 'success', text: result.message });
+        loadPlans();
+      } else {
+        setFormErrors(result.errors || {});
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error saving plan:', error);
+      setMessage({ type: 'error', text: 'Failed to save plan' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async (plan) => {
+    const archive = plan.status === PLAN_STATUS.ACTIVE;
+    if (archive && !confirm(`Stop selling ${plan.name}? Current members keep their access until their membership ends.`)) {
+      return;
+    }
+
+    try {
+      const result = await window.gymApi.plans.setArchived(plan.planId, archive);
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      if (result.success) {
+        loadPlans();
+      }
+    } catch (error) {
+      console.error('Error changing plan status:', error);
+      setMessage({ type: 'error', text: 'Failed to change plan status' });
+    }
+  };
+
+  const handleSessionLimitChange = (service, value) => {
+    handleInputChange('sessionLimits', { ...formData.sessionLimits, [service]: value });
+  };
+
+  const describeRules = (plan) => {
+    const rules = [];
+    if (plan.visitLimit) rules.push(`${plan.visitLimit} visits`);
+    Object.entries(plan.sessionLimits || {}).forEach(([service, limit]) => {
+      rules.push(`${limit} ${formatServices([service])} sessions`);
+    });
+    if (plan.schedule) rules.push(`${formatSchedule(plan.schedule)} only`);
+    if (plan.maxFreezeDays) rules.push(`up to ${plan.maxFreezeDays} freeze days`);
+    return rules.length > 0 ? rules.join(', ') : 'Unlimited';
+  };
+
+  return (
+    <div className="plan-catalog">
+      <div className="plans-header">
+        <div>
+          <h1>🏷️ Membership Plans</h1>
+          <p>Plans on sale at the front desk and the rules they grant</p>
+        </div>
+        <button onClick={openCreateForm} className="primary-btn">
+          ➕ Add Plan
+        </button>
+      </div>
+
+      {message && (
+        <div className={`plans-message ${message.type}`}>
+          <span>{message.type === 'success' ? '✅' : '❌'} {message.text}</span>
+          <button onClick={() => setMessage(null)} className="dismiss-btn">✕</button>
+        </div>
+      )}
+
+      <div className="plans-card">
+        {loading ? (
+          <p className="muted">Loading plans...</p>
+        ) : (
+          <table className="plans-table">
+            <thead>
+              <tr>
+                <th>Plan</th>
+                <th>Duration</th>
+                <th>Price</th>
+                <th>Services</th>
+                <th>Access</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {plans.map(plan => (
+                <tr key={plan.planId} className={plan.status === PLAN_STATUS.ACTIVE ? '' : 'archived'}>
+                  <td>
+                    <strong>{plan.name}</strong>
+                    {plan.description && <div className="plan-description">{plan.description}</div>}
+                  </td>
+                  <td>{formatPlanDuration(plan)}</td>
+                  <td>{formatCurrency(plan.price)}</td>
+                  <td className="services-cell">{plan.services.join(', ')}</td>
+                  <td>{describeRules(plan)}</td>
+                  <td>
+                    <span className={`status-badge ${plan.status}`}>
+                      {plan.status === PLAN_STATUS.ACTIVE ? 'On sale' : 'Archived'}
+                    </span>
+                  </td>
+                  <td className="row-actions">
+                    <button onClick={() => openEditForm(plan)} className="secondary-btn">Edit</button>
+                    <button
+                      onClick={() => handleToggleArchived(plan)}
+                      className={plan.status === PLAN_STATUS.ACTIVE ? 'danger-btn' : 'secondary-btn'}
+                    >
+                      {plan.status === PLAN_STATUS.ACTIVE ? 'Archive' : 'Restore'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Create / Edit Form */}
+      {editing && (
+        <div className="modal-overlay">
+          <form className="modal" onSubmit={handleSave}>
+            <h2>{editing === 'new' ? '➕ Add Plan' : '✏️ Edit Plan'}</h2>
+
+            {editing !== 'new' && (
+              <p className="hint">Members who already bought this plan keep their dates, price, visits and sessions.</p>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="name">Name</label>
+              <input
+                id="name"
+                value={formData.name}
+                onChange={(e) => handleInputChange('name', e.target.value)}
+                className={formErrors.name ? 'error' : ''}
+              />
+              {formErrors.name && <span className="field-error">{formErrors.name}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="description">Description</label>
+              <input
+                id="description"
+                value={formData.description}
+                onChange={(e) => handleInputChange('description', e.target.value)}
+              />
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="durationValue">Duration</label>
+                <input
+                  id="durationValue"
+                  type="number"
+                  min="1"
+                  value={formData.durationValue}
+                  onChange={(e) => handleInputChange('durationValue', e.target.value)}
+                  className={formErrors.durationValue ? 'error' : ''}
+                />
+                {formErrors.durationValue && <span className="field-error">{formErrors.durationValue}</span>}
+              </div>
+              <div className="form-group">
+                <label htmlFor="durationUnit">Unit</label>
+                <select
+                  id="durationUnit"
+                  value={formData.durationUnit}
+                  onChange={(e) => handleInputChange('durationUnit', e.target.value)}
+                >
+                  {Object.values(PLAN_DURATION_UNITS).map(unit => (
+                    <option key={unit} value={unit}>{unit.charAt(0).toUpperCase() + unit.slice(1)}s</option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor="price">Price</label>
+                <input
+                  id="price"
+                  type="number"
+                  min="0"
+                  value={formData.price}
+                  onChange={(e) => handleInputChange('price', e.target.value)}
+                  className={formErrors.price ? 'error' : ''}
+                />
+                {formErrors.price && <span className="field-error">{formErrors.price}</span>}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label>Services</label>
+              <div className="checkbox-row">
+                {SERVICE_OPTIONS.map(option => (
+                  <label key={option.value} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={formData.services.includes(option.value)}
+                      onChange={() => handleServiceToggle(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+              {formErrors.services && <span className="field-error">{formErrors.services}</span>}
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="visitLimit">Visit limit</label>
+                <input
+                  id="visitLimit"
+                  type="number"
+                  min="1"
+                  value={formData.visitLimit}
+                  onChange={(e) => handleInputChange('visitLimit', e.target.value)}
+                  placeholder="Unlimited"
+                  className={formErrors.visitLimit ? 'error' : ''}
+                />
+                {formErrors.visitLimit && <span className="field-error">{formErrors.visitLimit}</span>}
+              </div>
+              {SERVICE_OPTIONS.filter(option => formData.services.includes(option.value)).map(option => (
+                <div key={option.value} className="form-group">
+                  <label htmlFor={`sessionLimit-${option.value}`}>{option.label} sessions</label>
+                  <input
+                    id={`sessionLimit-${option.value}`}
+                    type="number"
+                    min="1"
+                    value={formData.sessionLimits[option.value] ?? ''}
+                    onChange={(e) => handleSessionLimitChange(option.value, e.target.value)}
+                    placeholder="Unlimited"
+                    className={formErrors.sessionLimits ? 'error' : ''}
+                  />
+                </div>
+              ))}
+            </div>
+            {formErrors.sessionLimits && <span className="field-error">{formErrors.sessionLimits}</span>}
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="maxFreezeDays">Max freeze days</label>
+                <input
+                  id="maxFreezeDays"
+                  type="number"
+                  min="0"
+                  value={formData.maxFreezeDays}
+                  onChange={(e) => handleInputChange('maxFreezeDays', e.target.value)}
+                  className={formErrors.maxFreezeDays ? 'error' : ''}
+                />
+                {formErrors.maxFreezeDays && <span className="field-error">{formErrors.maxFreezeDays}</span>}
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={!!formData.schedule}
+                  onChange={(e) => handleInputChange('schedule', e.target.checked ? DEFAULT_SCHEDULE : null)}
+                />
+                Restrict entry to set days and hours
+              </label>
+              {formData.schedule && (
+                <ScheduleEditor
+                  idPrefix="plan-schedule"
+                  schedule={formData.schedule}
+                  onChange={(schedule) => handleInputChange('schedule', schedule)}
+                />
+              )}
+              {formErrors.schedule && <span className="field-error">{formErrors.schedule}</span>}
+            </div>
+
+            <div className="modal-actions">
+              <button type="button" onClick={() => setEditing(null)} className="secondary-btn" disabled={saving}>
+                Cancel
+              </button>
+              <button type="submit" className="primary-btn" disabled={saving}>
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <style jsx>{`
+        .plans-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: 24px;
+        }
+
+        .plans-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .plans-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .plans-message {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .plans-message.success {
+          background: #f0fff4;
+          color: #276749;
+          border: 1px solid #9ae6b4;
+        }
+
+        .plans-message.error {
+          background: #fed7d7;
+          color: #c53030;
+          border: 1px solid #feb2b2;
+        }
+
+        .dismiss-btn {
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: inherit;
+        }
+
+        .plans-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .plans-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .plans-table th, .plans-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+          vertical-align: middle;
+        }
+
+        .plans-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .plans-table tr.archived td {
+          color: #a0aec0;
+        }
+
+        .plan-description {
+          font-size: 13px;
+          color: #718096;
+        }
+
+        .services-cell {
+          text-transform: capitalize;
+        }
+
+        .status-badge {
+          display: inline-block;
+          padding: 4px 8px;
+          border-radius: 6px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .status-badge.active {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .status-badge.archived {
+          background: #edf2f7;
+          color: #718096;
+        }
+
+        .row-actions {
+          display: flex;
+          gap: 8px;
+          justify-content: flex-end;
+        }
+
+        .primary-btn, .secondary-btn, .danger-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+          white-space: nowrap;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        .danger-btn {
+          background: #fed7d7;
+          color: #c53030;
+          border: 1px solid #feb2b2;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 520px;
+          max-width: 90vw;
+          max-height: 90vh;
+          overflow-y: auto;
+        }
+
+        .modal h2 {
+          margin: 0 0 16px 0;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 12px;
+        }
+
+        .form-row > * {
+          flex: 1;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+          margin-bottom: 14px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input, .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .form-group input.error {
+          border-color: #e53e3e;
+        }
+
+        .checkbox-row {
+          display: flex;
+          gap: 16px;
+        }
+
+        .checkbox-label {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          cursor: pointer;
+        }
+
+        .field-error {
+          color: #e53e3e;
+          font-size: 12px;
+        }
+
+        .hint {
+          color: #718096;
+          font-size: 12px;
+          margin-bottom: 12px;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default PlanCatalog;
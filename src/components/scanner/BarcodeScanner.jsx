@@ -1,15 +1,55 @@
 import React, { useState, useEffect, useRef } from 'react';
-import barcodeService from '../../services/barcodeService';
-import { formatCustomerName, formatMembershipStatus, formatServices } from '../../utils/formatters';
+import { formatCurrency, formatCustomerName, formatMembershipStatus, formatPaymentMethod, formatQuota, formatServices } from '../../utils/formatters';
 import { formatDate, formatDuration } from '../../utils/dateUtils';
+import { CARD_STATUS, PAYMENT_METHODS, PERMISSIONS, SCAN_MODES, SCAN_POLICY_CODES, SERVICE_TYPES } from '../../utils/constants';
+import { useAuth } from '../auth/AuthProvider';
+import MembershipRenewalDialog from '../customer/MembershipRenewalDialog';
+import CameraScanner from './CameraScanner';
+
+const SERVICE_OPTIONS = [
+  { value: SERVICE_TYPES.GYM, label: '🏋️ Gym' },
+  { value: SERVICE_TYPES.SPA, label: '🧖 Spa' }
+];
+
+// Headings for scans that recorded nothing; any other failed scan is shown as Access Denied
+const RESULT_HEADINGS = {
+  [SCAN_POLICY_CODES.DUPLICATE_SCAN]: { icon: '🔁', title: 'Duplicate Scan Ignored' },
+  [SCAN_POLICY_CODES.PASSBACK]: { icon: '🚫', title: 'Already Inside' },
+  [SCAN_POLICY_CODES.MIN_VISIT_TIME]: { icon: '⏱️', title: 'Exit Too Soon' },
+  [SCAN_POLICY_CODES.QUICK_TOGGLE]: { icon: '❓', title: 'Please Confirm' },
+  [SCAN_POLICY_CODES.STILL_INSIDE]: { icon: '❓', title: 'Still Inside' },
+  card_revoked: { icon: '🚫', title: 'Card Revoked' },
+  not_inside: { icon: 'ℹ️', title: 'Not Checked In' }
+};
+
+const SCAN_MODE_LABELS = {
+  [SCAN_MODES.ENTRY]: '➡️ Entry terminal',
+  [SCAN_MODES.EXIT]: '⬅️ Exit terminal'
+};
 
-const BarcodeScanner = () => {
+// Demo customers for trying the scanner out; only shown in development builds
+const DEMO_CUSTOMERS = [
+  { customerId: '12345678', label: 'Ahmed Hassan (Monthly)' },
+  { customerId: '87654321', label: 'Fatima Ali (Annual) - Inside' },
+  { customerId: '11223344', label: 'Omar Mohamed (Daily)' },
+  { customerId: '55667788', label: 'Nour Ibrahim (Expired)' }
+];
+
+const BarcodeScanner = ({ pendingScan = null }) => {
+  const { hasPermission } = useAuth();
   const [barcodeInput, setBarcodeInput] = useState('');
   const [isProcessing, setIsProcessing] = useState(false);
   const [scanResult, setScanResult] = useState(null);
   const [scanHistory, setScanHistory] = useState([]);
   const [error, setError] = useState(null);
   const [showManualInput, setShowManualInput] = useState(true);
+  const [renewalCustomer, setRenewalCustomer] = useState(null);
+  const [services, setServices] = useState([SERVICE_TYPES.GYM]);
+  const [addOnMethod, setAddOnMethod] = useState(PAYMENT_METHODS.CASH);
+  const [chargingAddOn, setChargingAddOn] = useState(false);
+  const [wedgeMode, setWedgeMode] = useState(false);
+  const [inputMode, setInputMode] = useState('keyboard'); // keyboard or camera
+  const [scanMode, setScanMode] = useState(SCAN_MODES.AUTO);
   const inputRef = useRef(null);
 
   // Auto-focus on input when component mounts
@@ -21,10 +61,27 @@ const BarcodeScanner = () => {
 
   // Load scan history on mount
   useEffect(() => {
-    const history = barcodeService.getScanHistory(5); // Get last 5 scans
-    setScanHistory(history);
+    window.gymApi.scanner.getHistory(5).then(setScanHistory); // Get last 5 scans
+    window.gymApi.scanner.getInputSettings().then(result => {
+      if (result.success) {
+        setWedgeMode(result.data.wedgeMode);
+      }
+    });
+    window.gymApi.scanner.getMode().then(result => {
+      if (result.success) {
+        setScanMode(result.data.scanMode);
+      }
+    });
   }, []);
 
+  // Process scans picked up by the hardware scanner listener
+  useEffect(() => {
+    if (pendingScan) {
+      setBarcodeInput(pendingScan.barcode);
+      processScan(pendingScan.barcode);
+    }
+  }, [pendingScan]);
+
   // Handle barcode scan/input
   const handleBarcodeSubmit = async (e) => {
     e.preventDefault();
@@ -34,24 +91,27 @@ const BarcodeScanner = () => {
       return;
     }
 
+    await processScan(barcodeInput.trim());
+  };
+
+  // Process a barcode entry/exit and show the result
+  const processScan = async (barcode, options = {}) => {
     setIsProcessing(true);
     setError(null);
     setScanResult(null);
 
     try {
       // Process barcode entry/exit
-      const result = await barcodeService.processBarcodeEntry(
-        barcodeInput.trim(),
-        ['gym'] // Default to gym service
-      );
+      const result = await window.gymApi.scanner.processBarcode(barcode, services, options);
 
-      setScanResult(result);
+      // Keep the barcode so the same card can be scanned again, e.g. after a renewal
+      setScanResult({ ...result, barcode });
+
+      // Update scan history, which includes denied scans
+      const updatedHistory = await window.gymApi.scanner.getHistory(5);
+      setScanHistory(updatedHistory);
       
       if (result.success) {
-        // Update scan history
-        const updatedHistory = barcodeService.getScanHistory(5);
-        setScanHistory(updatedHistory);
-        
         // Clear input after successful scan
         setBarcodeInput('');
         
@@ -73,14 +133,56 @@ const BarcodeScanner = () => {
     }
   };
 
+  // Scan the customer's card again once their membership has been renewed
+  const handleRenewed = async (result) => {
+    setRenewalCustomer(null);
+    await processScan(scanResult?.barcode || result.data.customerId);
+  };
+
+  // Record an exit or re-entry the scan policy asked the desk to confirm
+  const handleConfirmScan = async () => {
+    await processScan(scanResult.barcode, { direction: scanResult.direction, confirmed: true });
+  };
+
+  // Charge the offered add-on and let the member in
+  const handleAddOn = async () => {
+    setChargingAddOn(true);
+
+    try {
+      const result = await window.gymApi.scanner.admitWithAddOn(scanResult.customer.customerId, scanResult.services || services, addOnMethod);
+      setScanResult(result);
+      setError(result.success ? null : result.message);
+      setScanHistory(await window.gymApi.scanner.getHistory(5));
+
+      if (result.success) {
+        setBarcodeInput('');
+      }
+    } catch (error) {
+      console.error('Add-on error:', error);
+      setError('Failed to charge the add-on');
+    } finally {
+      setChargingAddOn(false);
+    }
+  };
+
+  // Services the member is entering for; at least one stays selected
+  const handleServiceToggle = (service) => {
+    setServices(prev => {
+      const next = prev.includes(service) ? prev.filter(s => s !== service) : [...prev, service];
+      return next.length > 0 ? next : prev;
+    });
+  };
+
+  // Codes read by the camera go through the same entry/exit processing
+  const handleCameraScan = async (barcode) => {
+    setBarcodeInput(barcode);
+    await processScan(barcode);
+  };
+
   // Handle quick test scans
   const handleQuickScan = async (customerId) => {
     setBarcodeInput(customerId);
-    setError(null);
-    
-    // Simulate scanning the barcode
-    const mockEvent = { preventDefault: () => {} };
-    await handleBarcodeSubmit(mockEvent);
+    await processScan(customerId);
   };
 
   // Clear scan result
@@ -94,6 +196,7 @@ const BarcodeScanner = () => {
 
   // Get result styling based on scan type and success
   const getResultStyling = (result) => {
+    if (result.type === SCAN_POLICY_CODES.DUPLICATE_SCAN || result.needsConfirmation) return 'info';
     if (!result.success) return 'error';
     
     switch (result.type) {
@@ -109,8 +212,15 @@ const BarcodeScanner = () => {
   return (
     <div className="barcode-scanner">
       <div className="scanner-header">
-        <h1>📱 Barcode Scanner</h1>
-        <p>Scan or enter customer barcodes for entry/exit</p>
+        <h1>
+          📱 Barcode Scanner
+          {SCAN_MODE_LABELS[scanMode] && <span className="scan-mode-badge">{SCAN_MODE_LABELS[scanMode]}</span>}
+        </h1>
+        <p>
+          {scanMode === SCAN_MODES.ENTRY ? 'Every scan records an entry' :
+            scanMode === SCAN_MODES.EXIT ? 'Every scan records an exit' :
+            'Scan or enter customer barcodes for entry/exit'}
+        </p>
       </div>
 
       <div className="scanner-layout">
@@ -118,6 +228,27 @@ const BarcodeScanner = () => {
         <div className="scanner-main">
           {/* Input Section */}
           <div className="scanner-input-section">
+            <div className="input-mode-toggle">
+              <button
+                type="button"
+                className={inputMode === 'keyboard' ? 'active' : ''}
+                onClick={() => setInputMode('keyboard')}
+              >
+                ⌨️ Scanner / Keyboard
+              </button>
+              <button
+                type="button"
+                className={inputMode === 'camera' ? 'active' : ''}
+                onClick={() => setInputMode('camera')}
+              >
+                📷 Camera
+              </button>
+            </div>
+
+            {inputMode === 'camera' && (
+              <CameraScanner onDetected={handleCameraScan} paused={isProcessing} />
+            )}
+
             <form onSubmit={handleBarcodeSubmit} className="barcode-form">
               <div className="input-group">
                 <label htmlFor="barcode-input">Customer ID / Barcode</label>
@@ -143,26 +274,38 @@ const BarcodeScanner = () => {
                   </button>
                 </div>
               </div>
+              <div className="service-toggle">
+                <span>Entering for:</span>
+                {SERVICE_OPTIONS.map(option => (
+                  <label key={option.value} className={`service-chip ${services.includes(option.value) ? 'selected' : ''}`}>
+                    <input
+                      type="checkbox"
+                      checked={services.includes(option.value)}
+                      onChange={() => handleServiceToggle(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
             </form>
 
+            {wedgeMode && (
+              <p className="wedge-status">📟 Hardware scanner ready — scans are picked up on any page</p>
+            )}
+
             {/* Quick Test Buttons */}
-            <div className="quick-test-section">
-              <h3>Quick Test (Demo)</h3>
-              <div className="quick-test-buttons">
-                <button onClick={() => handleQuickScan('12345678')} className="quick-test-btn">
-                  Ahmed Hassan (Monthly)
-                </button>
-                <button onClick={() => handleQuickScan('87654321')} className="quick-test-btn">
-                  Fatima Ali (Annual) - Inside
-                </button>
-                <button onClick={() => handleQuickScan('11223344')} className="quick-test-btn">
-                  Omar Mohamed (Daily)
-                </button>
-                <button onClick={() => handleQuickScan('55667788')} className="quick-test-btn">
-                  Nour Ibrahim (Expired)
-                </button>
+            {import.meta.env.DEV && (
+              <div className="quick-test-section">
+                <h3>Quick Test (Demo)</h3>
+                <div className="quick-test-buttons">
+                  {DEMO_CUSTOMERS.map(demo => (
+                    <button key={demo.customerId} onClick={() => handleQuickScan(demo.customerId)} className="quick-test-btn">
+                      {demo.label}
+                    </button>
+                  ))}
+                </div>
               </div>
-            </div>
+            )}
           </div>
 
           {/* Result Section */}
@@ -186,13 +329,13 @@ const BarcodeScanner = () => {
                   <span className="result-icon">
                     {scanResult.success ? 
                       (scanResult.type === 'entry' ? '✅' : '🚪') : 
-                      '❌'
+                      RESULT_HEADINGS[scanResult.type]?.icon || '❌'
                     }
                   </span>
                   <h3>
                     {scanResult.success ? 
                       (scanResult.type === 'entry' ? 'Entry Recorded' : 'Exit Recorded') :
-                      'Access Denied'
+                      RESULT_HEADINGS[scanResult.type]?.title || 'Access Denied'
                     }
                   </h3>
                   <button onClick={clearResult} className="close-btn">✕</button>
@@ -217,6 +360,22 @@ const BarcodeScanner = () => {
                         <span>Services:</span>
                         <span>{formatServices(scanResult.customer.membership?.services)}</span>
                       </div>
+
+                      {scanResult.type === 'card_revoked' && scanResult.card && (
+                        <div className="detail-row">
+                          <span>Card:</span>
+                          <span className="card-revoked-highlight">
+                            •••• {scanResult.card.lastDigits}, {scanResult.card.status === CARD_STATUS.LOST ? 'reported lost' : 'revoked'} {formatDate(scanResult.card.endedAt, 'date')}
+                          </span>
+                        </div>
+                      )}
+
+                      {formatQuota(scanResult.quota).map(line => (
+                        <div key={line} className="detail-row">
+                          <span>Balance:</span>
+                          <span className="balance-highlight">{line}</span>
+                        </div>
+                      ))}
                       
                       {scanResult.type === 'entry' && scanResult.entryTime && (
                         <div className="detail-row">
@@ -237,9 +396,50 @@ const BarcodeScanner = () => {
                   </div>
                 )}
 
+                {scanResult.staleVisit && (
+                  <div className="stale-visit-note">
+                    ⚠️ Previous visit ({formatDate(scanResult.staleVisit.entryTime, 'datetime')}) was never scanned out
+                    and has been closed automatically.
+                  </div>
+                )}
+
                 <div className="result-message">
                   {scanResult.message}
+                  {scanResult.reason && <span className="reason-code">{scanResult.reason}</span>}
                 </div>
+
+                {scanResult.type === 'service_not_included' && scanResult.addOn &&
+                  hasPermission(PERMISSIONS.TAKE_PAYMENT) && (
+                  <div className="add-on-offer">
+                    <span>
+                      One-off {formatServices(scanResult.addOn.services)} add-on:{' '}
+                      <strong>{formatCurrency(scanResult.addOn.price, scanResult.addOn.currency)}</strong>
+                    </span>
+                    <div className="add-on-actions">
+                      <select value={addOnMethod} onChange={(e) => setAddOnMethod(e.target.value)} disabled={chargingAddOn}>
+                        {Object.values(PAYMENT_METHODS).map(method => (
+                          <option key={method} value={method}>{formatPaymentMethod(method)}</option>
+                        ))}
+                      </select>
+                      <button onClick={handleAddOn} className="add-on-btn" disabled={chargingAddOn}>
+                        {chargingAddOn ? 'Charging...' : '💳 Charge & Admit'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {scanResult.needsConfirmation && (
+                  <button onClick={handleConfirmScan} className="renew-btn" disabled={isProcessing}>
+                    {scanResult.direction === 'exit' ? '🚪 Record Exit' : '✅ Record Entry'}
+                  </button>
+                )}
+
+                {scanResult.type === 'subscription_invalid' && scanResult.customer &&
+                  hasPermission(PERMISSIONS.RENEW_MEMBERSHIP) && (
+                  <button onClick={() => setRenewalCustomer(scanResult.customer)} className="renew-btn">
+                    🔄 Renew Membership
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -256,7 +456,7 @@ const BarcodeScanner = () => {
                   <div key={scan.id} className="history-item">
                     <div className="history-header">
                       <span className="history-icon">
-                        {scan.action === 'entry' ? '➡️' : '⬅️'}
+                        {scan.action === 'denied' ? '⛔' : scan.action === 'held' ? '⏸️' : scan.action === 'entry' ? '➡️' : '⬅️'}
                       </span>
                       <span className="history-name">{scan.customerName}</span>
                     </div>
@@ -273,6 +473,11 @@ const BarcodeScanner = () => {
                         Duration: {formatDuration(scan.duration)}
                       </div>
                     )}
+                    {(scan.action === 'denied' || scan.action === 'held') && (
+                      <div className="history-denial" title={scan.denialReason || scan.policyCode || ''}>
+                        {scan.message}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -315,6 +520,14 @@ const BarcodeScanner = () => {
         </div>
       </div>
 
+      {renewalCustomer && (
+        <MembershipRenewalDialog
+          customer={renewalCustomer}
+          onClose={() => setRenewalCustomer(null)}
+          onRenewed={handleRenewed}
+        />
+      )}
+
       <style jsx>{`
         .barcode-scanner {
           height: 100%;
@@ -342,6 +555,24 @@ const BarcodeScanner = () => {
           margin: 0;
         }
 
+        .scan-mode-badge {
+          font-size: 14px;
+          font-weight: 600;
+          padding: 4px 12px;
+          border-radius: 12px;
+          background: #ebf8ff;
+          color: #2c5282;
+        }
+
+        .stale-visit-note {
+          margin-bottom: 12px;
+          padding: 10px 12px;
+          border-radius: 6px;
+          background: #fffaf0;
+          color: #975a16;
+          font-size: 14px;
+        }
+
         .scanner-layout {
           flex: 1;
           display: grid;
@@ -430,6 +661,64 @@ const BarcodeScanner = () => {
           box-shadow: none;
         }
 
+        .service-toggle {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          margin-top: 12px;
+          font-size: 14px;
+          color: #4a5568;
+        }
+
+        .service-chip {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 6px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 16px;
+          cursor: pointer;
+        }
+
+        .service-chip.selected {
+          border-color: #667eea;
+          background: #ebf4ff;
+          color: #434190;
+        }
+
+        .service-chip input {
+          display: none;
+        }
+
+        .input-mode-toggle {
+          display: flex;
+          gap: 8px;
+          margin-bottom: 16px;
+        }
+
+        .input-mode-toggle button {
+          flex: 1;
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          background: #f7fafc;
+          color: #4a5568;
+          font-size: 14px;
+          cursor: pointer;
+        }
+
+        .input-mode-toggle button.active {
+          background: #667eea;
+          border-color: #667eea;
+          color: white;
+        }
+
+        .wedge-status {
+          color: #2f855a;
+          font-size: 13px;
+          margin-bottom: 16px;
+        }
+
         /* Quick Test Section */
         .quick-test-section {
           border-top: 1px solid #e2e8f0;
@@ -594,6 +883,24 @@ const BarcodeScanner = () => {
           color: #4299e1;
         }
 
+        .balance-highlight {
+          font-weight: 600;
+          color: #2f855a;
+        }
+
+        .card-revoked-highlight {
+          font-weight: 600;
+          color: #c53030;
+        }
+
+        .reason-code {
+          display: block;
+          margin-top: 6px;
+          font-size: 11px;
+          color: #a0aec0;
+          font-family: 'Courier New', monospace;
+        }
+
         .result-message {
           font-size: 14px;
           color: #4a5568;
@@ -602,6 +909,55 @@ const BarcodeScanner = () => {
           border-radius: 6px;
         }
 
+        .renew-btn {
+          width: 100%;
+          margin-top: 12px;
+          padding: 10px;
+          background: #667eea;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .add-on-offer {
+          margin-top: 12px;
+          padding: 12px;
+          background: #ebf8ff;
+          border-radius: 6px;
+          font-size: 14px;
+          color: #2c5282;
+        }
+
+        .add-on-actions {
+          display: flex;
+          gap: 8px;
+          margin-top: 8px;
+        }
+
+        .add-on-actions select {
+          padding: 8px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+        }
+
+        .add-on-btn {
+          flex: 1;
+          padding: 8px;
+          background: #38a169;
+          color: white;
+          border: none;
+          border-radius: 6px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .add-on-btn:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
         .error-message {
           font-size: 14px;
           color: #c53030;
@@ -687,6 +1043,12 @@ const BarcodeScanner = () => {
           font-weight: 500;
         }
 
+        .history-denial {
+          font-size: 11px;
+          color: #c53030;
+          font-weight: 500;
+        }
+
         .empty-history {
           text-align: center;
           color: #718096;
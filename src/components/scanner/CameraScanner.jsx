@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BARCODE_CONFIG } from '../../utils/constants';
+import { CAMERA_FORMATS, createBarcodeReader, createDecodeConfirmer, decodeImageData } from '../../utils/barcodeDecoder';
+
+// Frames are scaled down to this width before decoding; card barcodes stay readable and decoding stays quick
+const DECODE_WIDTH = 640;
+
+const CAMERA_ERRORS = {
+  NotAllowedError: 'Camera access was refused. Allow camera access for this app and try again.',
+  NotFoundError: 'No camera was found. Connect a webcam or use a barcode scanner.',
+  NotReadableError: 'The camera is in use by another application.'
+};
+
+/**
+ * Draw a frame or image onto a canvas and read its pixels
+ * @param {HTMLCanvasElement} canvas - Work canvas
+ * @param {CanvasImageSource} source - Video element or image
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @returns {ImageData} Pixels, scaled to at most DECODE_WIDTH wide
+ */
+const grabPixels = (canvas, source, width, height) => {
+  const scale = Math.min(1, DECODE_WIDTH / width);
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Camera scanning for desks without a USB scanner.
+ * Reads the printed barcode formats and QR codes from a live webcam preview and
+ * accepts a code once several frames agree on it; still images can be decoded too.
+ * @param {object} props - Component props
+ * @param {Function} props.onDetected - Called with each accepted code
+ * @param {boolean} props.paused - Stop accepting codes, e.g. while a scan is being processed
+ * @returns {React.ReactNode} Camera preview
+ */
+const CameraScanner = ({ onDetected, paused = false }) => {
+  const [cameras, setCameras] = useState([]);
+  const [deviceId, setDeviceId] = useState('');
+  const [status, setStatus] = useState('starting'); // starting, live or error
+  const [error, setError] = useState(null);
+  const [candidate, setCandidate] = useState(null);
+  const [imageMessage, setImageMessage] = useState(null);
+  const videoRef = useRef(null);
+  const workCanvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const readerRef = useRef(null);
+  const confirmerRef = useRef(createDecodeConfirmer());
+  const lastAcceptedRef = useRef({ text: null, at: 0 });
+  const pausedRef = useRef(paused);
+  const onDetectedRef = useRef(onDetected);
+  pausedRef.current = paused;
+  onDetectedRef.current = onDetected;
+
+  const getReader = () => {
+    if (!readerRef.current) {
+      readerRef.current = createBarcodeReader();
+    }
+    return readerRef.current;
+  };
+
+  // Start the camera, and restart it when another one is picked
+  useEffect(() => {
+    let stream = null;
+    let cancelled = false;
+
+    const startCamera = async () => {
+      setStatus('starting');
+      setError(null);
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'environment' },
+          audio: false
+        });
+
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+        setStatus('live');
+
+        // Labels are only available once access has been granted
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        setCameras(devices.filter(device => device.kind === 'videoinput'));
+      } catch (cameraError) {
+        if (cancelled) return;
+        console.error('Camera error:', cameraError);
+        setStatus('error');
+        setError(CAMERA_ERRORS[cameraError.name] || 'Could not start the camera');
+      }
+    };
+
+    startCamera();
+
+    return () => {
+      cancelled = true;
+      if (stream) {
+        stream.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, [deviceId]);
+
+  // Decode the preview a few times a second
+  useEffect(() => {
+    if (status !== 'live') {
+      return undefined;
+    }
+
+    const interval = setInterval(() => {
+      const video = videoRef.current;
+      if (!video || video.readyState < 2 || pausedRef.current) {
+        return;
+      }
+
+      const pixels = grabPixels(workCanvasRef.current, video, video.videoWidth, video.videoHeight);
+      const result = confirmerRef.current.push(decodeImageData(pixels, getReader()));
+      setCandidate(result);
+      drawOverlay(result, pixels.width, pixels.height);
+
+      if (!result?.confirmed) {
+        return;
+      }
+
+      // Don't re-scan a card that is still being held up to the camera
+      const last = lastAcceptedRef.current;
+      if (last.text === result.text && Date.now() - last.at < BARCODE_CONFIG.CAMERA.RESCAN_DELAY) {
+        return;
+      }
+
+      lastAcceptedRef.current = { text: result.text, at: Date.now() };
+      confirmerRef.current.reset();
+      onDetectedRef.current(result.text);
+    }, BARCODE_CONFIG.CAMERA.DECODE_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [status]);
+
+  // Outline the code that was found and show how sure the scanner is of it
+  const drawOverlay = (result, width, height) => {
+    const overlay = overlayRef.current;
+    if (!overlay) return;
+
+    overlay.width = width;
+    overlay.height = height;
+    const context = overlay.getContext('2d');
+    context.clearRect(0, 0, width, height);
+
+    if (!result || result.points.length === 0) {
+      return;
+    }
+
+    const color = result.confirmed ? '#38a169' : '#dd6b20';
+    context.strokeStyle = color;
+    context.fillStyle = color;
+    context.lineWidth = 3;
+
+    context.beginPath();
+    result.points.forEach((point, index) => {
+      if (index === 0) {
+        context.moveTo(point.x, point.y);
+      } else {
+        context.lineTo(point.x, point.y);
+      }
+    });
+    if (result.points.length > 2) {
+      context.closePath();
+    }
+    context.stroke();
+
+    result.points.forEach(point => {
+      context.fillRect(point.x - 4, point.y - 4, 8, 8);
+    });
+  };
+
+  // Decode a photo or saved image of a card instead of the live camera
+  const handleImageFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const bitmap = await createImageBitmap(file);
+      const pixels = grabPixels(workCanvasRef.current, bitmap, bitmap.width, bitmap.height);
+      bitmap.close();
+
+      const decoded = decodeImageData(pixels, getReader());
+      if (!decoded) {
+        setImageMessage('No barcode or QR code found in that image');
+        return;
+      }
+
+      setImageMessage(null);
+      onDetectedRef.current(decoded.text);
+    } catch (imageError) {
+      console.error('Image decode error:', imageError);
+      setImageMessage('Could not read that image');
+    }
+  };
+
+  return (
+    <div className="camera-scanner">
+      <div className="camera-preview">
+        <video ref={videoRef} muted playsInline className="camera-video" />
+        <canvas ref={overlayRef} className="camera-overlay" />
+        <canvas ref={workCanvasRef} hidden />
+
+        {status === 'starting' && <div className="camera-message">Starting camera...</div>}
+        {status === 'error' && <div className="camera-message error">{error}</div>}
+
+        {status === 'live' && (
+          <div className={`confidence-badge ${candidate?.confirmed ? 'confirmed' : ''}`}>
+            {candidate
+              ? `${candidate.format} · ${candidate.text} · ${Math.round(candidate.confidence * 100)}%`
+              : paused ? 'Processing...' : 'Looking for a code...'}
+          </div>
+        )}
+      </div>
+
+      <div className="camera-controls">
+        {cameras.length > 1 && (
+          <select value={deviceId} onChange={(e) => setDeviceId(e.target.value)} aria-label="Camera">
+            <option value="">Default camera</option>
+            {cameras.map((camera, index) => (
+              <option key={camera.deviceId} value={camera.deviceId}>
+                {camera.label || `Camera ${index + 1}`}
+              </option>
+            ))}
+          </select>
+        )}
+        <label className="image-upload">
+          🖼️ Decode an image
+          <input type="file" accept="image/*" onChange={handleImageFile} hidden />
+        </label>
+      </div>
+      <p className="camera-hint">Reads {CAMERA_FORMATS.join(', ')} codes. Hold the card steady until the outline turns green.</p>
+      {imageMessage && <p className="camera-hint error">{imageMessage}</p>}
+
+      <style jsx>{`
+        .camera-scanner {
+          display: flex;
+          flex-direction: column;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .camera-preview {
+          position: relative;
+          background: #1a202c;
+          border-radius: 8px;
+          overflow: hidden;
+          min-height: 200px;
+        }
+
+        .camera-video,
+        .camera-overlay {
+          display: block;
+          width: 100%;
+        }
+
+        .camera-overlay {
+          position: absolute;
+          top: 0;
+          left: 0;
+          height: 100%;
+          pointer-events: none;
+        }
+
+        .camera-message {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 16px;
+          color: #e2e8f0;
+          text-align: center;
+        }
+
+        .camera-message.error {
+          color: #feb2b2;
+        }
+
+        .confidence-badge {
+          position: absolute;
+          left: 12px;
+          bottom: 12px;
+          padding: 4px 10px;
+          border-radius: 12px;
+          background: rgba(221, 107, 32, 0.9);
+          color: white;
+          font-size: 12px;
+          font-family: monospace;
+        }
+
+        .confidence-badge.confirmed {
+          background: rgba(56, 161, 105, 0.9);
+        }
+
+        .camera-controls {
+          display: flex;
+          gap: 12px;
+          align-items: center;
+        }
+
+        .camera-controls select {
+          flex: 1;
+          padding: 8px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+        }
+
+        .image-upload {
+          padding: 8px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          background: #f7fafc;
+          color: #4a5568;
+          font-size: 13px;
+          cursor: pointer;
+        }
+
+        .camera-hint {
+          color: #718096;
+          font-size: 12px;
+        }
+
+        .camera-hint.error {
+          color: #e53e3e;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CameraScanner;
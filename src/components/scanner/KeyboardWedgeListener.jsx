@@ -0,0 +1,70 @@
+import { useEffect, useRef, useState } from 'react';
+import { useAuth } from '../auth/AuthProvider';
+import { PERMISSIONS } from '../../utils/constants';
+import { createKeyboardWedge, removeScannedText } from '../../utils/keyboardWedge';
+
+/**
+ * Listens for keyboard-wedge barcode scans anywhere in the app, whatever has focus.
+ * Characters a scan typed into a text field are taken back out; fields marked
+ * with data-barcode-input (e.g. a new member's card number) keep them instead.
+ * @param {object} props - Component props
+ * @param {Function} props.onScan - Called with each scanned barcode
+ * @returns {null} Renders nothing
+ */
+const KeyboardWedgeListener = ({ onScan }) => {
+  const { hasPermission } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  const canScan = hasPermission(PERMISSIONS.SCAN_BARCODE);
+
+  // Load the scanner settings, and pick up changes saved on the Settings page
+  useEffect(() => {
+    window.gymApi.scanner.getInputSettings()
+      .then(result => {
+        if (result.success) {
+          setSettings(result.data);
+        }
+      })
+      .catch(error => console.error('Error loading scanner settings:', error));
+
+    const handleSettingsChanged = (event) => setSettings(event.detail);
+    window.addEventListener('scanner-settings-changed', handleSettingsChanged);
+    return () => window.removeEventListener('scanner-settings-changed', handleSettingsChanged);
+  }, []);
+
+  useEffect(() => {
+    if (!canScan || !settings?.wedgeMode) {
+      return undefined;
+    }
+
+    const wedge = createKeyboardWedge({
+      maxKeyInterval: settings.maxKeyInterval,
+      onScan: (barcode) => onScanRef.current(barcode)
+    });
+
+    const handleKeyDown = (event) => {
+      if (event.target.closest?.('[data-barcode-input]')) {
+        wedge.reset();
+        return;
+      }
+
+      const scanned = wedge.handleKeyDown(event);
+      if (scanned) {
+        // Keep the scanner's Enter from submitting whatever form has focus
+        event.preventDefault();
+        event.stopPropagation();
+        removeScannedText(document.activeElement, scanned);
+      }
+    };
+
+    // Capture phase, so the scan is seen before any focused field handles the keys
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [canScan, settings]);
+
+  return null;
+};
+
+export default KeyboardWedgeListener;
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { EMPLOYEE_ROLES, PERMISSIONS } from '../../utils/constants';
+
+// 'manage_employees' -> 'Manage employees'
+const formatPermission = (permission) => {
+  const label = permission.replace(/_/g, ' ');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+const RolePermissionsEditor = () => {
+  const [matrix, setMatrix] = useState(null);
+  const [savingRole, setSavingRole] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    loadMatrix();
+  }, []);
+
+  const loadMatrix = async () => {
+    try {
+      const result = await window.gymApi.auth.getRolePermissions();
+      if (result.success) {
+        setMatrix(result.data);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error loading role permissions:', error);
+      setMessage({ type: 'error', text: 'Failed to load role permissions' });
+    }
+  };
+
+  const handleToggle = async (role, permission) => {
+    const current = matrix[role] || [];
+    const permissions = current.includes(permission)
+      ? current.filter(p => p !== permission)
+      : [...current, permission];
+
+    setSavingRole(role);
+    try {
+      const result = await window.gymApi.auth.updateRolePermissions(role, permissions);
+      if (result.success) {
+        setMatrix(result.data);
+        setMessage(null);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error updating role permissions:', error);
+      setMessage({ type: 'error', text: 'Failed to update role permissions' });
+    } finally {
+      setSavingRole(null);
+    }
+  };
+
+  const roles = Object.values(EMPLOYEE_ROLES);
+
+  return (
+    <section className="role-permissions">
+      <h2>🔐 Roles & Permissions</h2>
+      <p className="hint">Administrators always have every permission.</p>
+
+      {message && <div className={`role-message ${message.type}`}>❌ {message.text}</div>}
+
+      {!matrix ? (
+        <p className="hint">Loading permissions...</p>
+      ) : (
+        <table className="matrix-table">
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {roles.map(role => <th key={role} className="role-name">{role}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.values(PERMISSIONS).map(permission => (
+              <tr key={permission}>
+                <td>{formatPermission(permission)}</td>
+                {roles.map(role => (
+                  <td key={role} className="matrix-cell">
+                    <input
+                      type="checkbox"
+                      checked={(matrix[role] || []).includes(permission)}
+                      disabled={role === EMPLOYEE_ROLES.ADMIN || savingRole === role}
+                      onChange={() => handleToggle(role, permission)}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <style jsx>{`
+        .role-permissions {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          margin-bottom: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .role-permissions h2 {
+          font-size: 20px;
+          font-weight: 600;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .hint {
+          color: #718096;
+          margin-bottom: 16px;
+        }
+
+        .role-message.error {
+          background: #fed7d7;
+          color: #c53030;
+          padding: 10px 14px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .matrix-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .matrix-table th, .matrix-table td {
+          padding: 8px 12px;
+          border-bottom: 1px solid #edf2f7;
+          text-align: left;
+        }
+
+        .matrix-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+        }
+
+        .role-name {
+          text-transform: capitalize;
+        }
+
+        .matrix-table .matrix-cell {
+          text-align: center;
+        }
+      `}</style>
+    </section>
+  );
+};
+
+export default RolePermissionsEditor;
@@ -0,0 +1,1242 @@
+import React, { useState, useEffect } from 'react';
+import { formatDate } from '../../utils/dateUtils';
+import { useAuth } from '../auth/AuthProvider';
+import { EXIT_ESTIMATES, PERMISSIONS, SCAN_MODES, VALIDATION_RULES } from '../../utils/constants';
+import RolePermissionsEditor from './RolePermissionsEditor';
+import ScheduleEditor, { DEFAULT_SCHEDULE } from '../common/ScheduleEditor';
+
+const BACKUP_REASON_LABELS = {
+  scheduled: 'Scheduled',
+  manual: 'Manual',
+  quit: 'On quit',
+  'pre-migration': 'Before upgrade',
+  'pre-restore': 'Before restore'
+};
+
+const ACCESS_AREAS = [
+  { value: 'gym', label: '🏋️ Gym' },
+  { value: 'spa', label: '🧖 Spa' }
+];
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const SettingsPage = () => {
+  const { hasPermission } = useAuth();
+  const [backupSettings, setBackupSettings] = useState(null);
+  const [terminalId, setTerminalId] = useState('');
+  const [scanMode, setScanMode] = useState(SCAN_MODES.AUTO);
+  const [receiptSettings, setReceiptSettings] = useState(null);
+  const [addOnPrices, setAddOnPrices] = useState(null);
+  const [accessSettings, setAccessSettings] = useState(null);
+  const [scannerSettings, setScannerSettings] = useState(null);
+  const [scanPolicy, setScanPolicy] = useState(null);
+  const [autoCloseSettings, setAutoCloseSettings] = useState(null);
+  const [backups, setBackups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [restorePreview, setRestorePreview] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+
+  useEffect(() => {
+    loadSettings();
+    loadTerminal();
+    loadReceiptSettings();
+    loadAddOnPrices();
+    loadAccessSettings();
+    loadScannerSettings();
+    loadScanPolicy();
+    loadAutoCloseSettings();
+    loadBackups();
+  }, []);
+
+  const loadTerminal = async () => {
+    try {
+      const [result, modeResult] = await Promise.all([
+        window.gymApi.shifts.getTerminal(),
+        window.gymApi.scanner.getMode()
+      ]);
+      if (result.success) {
+        setTerminalId(result.data.terminalId);
+      }
+      if (modeResult.success) {
+        setScanMode(modeResult.data.scanMode);
+      }
+    } catch (error) {
+      console.error('Error loading terminal name:', error);
+    }
+  };
+
+  const handleSaveTerminal = async (e) => {
+    e.preventDefault();
+
+    try {
+      let result = await window.gymApi.shifts.updateTerminal(terminalId);
+
+      if (result.success) {
+        setTerminalId(result.data.terminalId);
+        result = await window.gymApi.scanner.updateMode(scanMode);
+        if (result.success) {
+          setScanMode(result.data.scanMode);
+        }
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving terminal name:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadReceiptSettings = async () => {
+    try {
+      const result = await window.gymApi.receipts.getSettings();
+      if (result.success) {
+        setReceiptSettings(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading receipt settings:', error);
+    }
+  };
+
+  const handleReceiptSettingChange = (field, value) => {
+    setReceiptSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveReceiptSettings = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.receipts.updateSettings({
+        ...receiptSettings,
+        vatRate: Number(receiptSettings.vatRate)
+      });
+
+      if (result.success) {
+        setReceiptSettings(result.data);
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving receipt settings:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadAddOnPrices = async () => {
+    try {
+      const result = await window.gymApi.payments.getAddOnPrices();
+      if (result.success) {
+        setAddOnPrices(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading add-on prices:', error);
+    }
+  };
+
+  const handleSaveAddOnPrices = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.payments.updateAddOnPrices({
+        gym: Number(addOnPrices.gym),
+        spa: Number(addOnPrices.spa)
+      });
+
+      if (result.success) {
+        setAddOnPrices(result.data);
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving add-on prices:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadScannerSettings = async () => {
+    try {
+      const result = await window.gymApi.scanner.getInputSettings();
+      if (result.success) {
+        setScannerSettings(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading scanner settings:', error);
+    }
+  };
+
+  const loadScanPolicy = async () => {
+    try {
+      const result = await window.gymApi.scanner.getPolicy();
+      if (result.success) {
+        setScanPolicy(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading scan policy:', error);
+    }
+  };
+
+  const handleSaveScanPolicy = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.scanner.updatePolicy({
+        duplicateWindowSeconds: Number(scanPolicy.duplicateWindowSeconds),
+        minVisitMinutes: Number(scanPolicy.minVisitMinutes),
+        quickToggleMinutes: Number(scanPolicy.quickToggleMinutes),
+        blockPassback: scanPolicy.blockPassback
+      });
+
+      if (result.success) {
+        setScanPolicy(result.data);
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving scan policy:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadAutoCloseSettings = async () => {
+    try {
+      const result = await window.gymApi.autoClose.getSettings();
+      if (result.success) {
+        setAutoCloseSettings(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading forgotten visit settings:', error);
+    }
+  };
+
+  const handleSaveAutoCloseSettings = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.autoClose.updateSettings({
+        closingTime: autoCloseSettings.closingTime,
+        estimate: autoCloseSettings.estimate,
+        fixedMinutes: Number(autoCloseSettings.fixedMinutes)
+      });
+
+      if (result.success) {
+        setAutoCloseSettings(result.data);
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving forgotten visit settings:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const handleSaveScannerSettings = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.scanner.updateInputSettings({
+        wedgeMode: scannerSettings.wedgeMode,
+        maxKeyInterval: Number(scannerSettings.maxKeyInterval),
+        acceptCustomerIds: scannerSettings.acceptCustomerIds
+      });
+
+      if (result.success) {
+        setScannerSettings(result.data);
+        window.dispatchEvent(new CustomEvent('scanner-settings-changed', { detail: result.data }));
+      }
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+    } catch (error) {
+      console.error('Error saving scanner settings:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadAccessSettings = async () => {
+    try {
+      const result = await window.gymApi.access.getSettings();
+      if (result.success) {
+        setAccessSettings(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading access hours:', error);
+    }
+  };
+
+  const handleAreaScheduleChange = (area, schedule) => {
+    setAccessSettings(prev => ({
+      ...prev,
+      serviceSchedules: { ...prev.serviceSchedules, [area]: schedule }
+    }));
+  };
+
+  const handleHolidayChange = (index, changes) => {
+    setAccessSettings(prev => ({
+      ...prev,
+      holidays: prev.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday))
+    }));
+  };
+
+  const handleAddHoliday = () => {
+    setAccessSettings(prev => ({
+      ...prev,
+      holidays: [...prev.holidays, { date: '', name: '', closed: true, windows: [] }]
+    }));
+  };
+
+  const handleRemoveHoliday = (index) => {
+    setAccessSettings(prev => ({
+      ...prev,
+      holidays: prev.holidays.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSaveAccessSettings = async (e) => {
+    e.preventDefault();
+
+    try {
+      const result = await window.gymApi.access.updateSettings(accessSettings);
+      if (result.success) {
+        setAccessSettings(result.data);
+      }
+      setMessage({
+        type: result.success ? 'success' : 'error',
+        text: result.success ? result.message : Object.values(result.errors || {})[0] || result.message
+      });
+    } catch (error) {
+      console.error('Error saving access hours:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    }
+  };
+
+  const loadSettings = async () => {
+    try {
+      const result = await window.gymApi.backups.getSettings();
+      if (result.success) {
+        setBackupSettings(result.data);
+      }
+    } catch (error) {
+      console.error('Error loading backup settings:', error);
+    }
+  };
+
+  const loadBackups = async () => {
+    try {
+      setLoading(true);
+      const result = await window.gymApi.backups.list();
+      if (result.success) {
+        setBackups(result.data);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error loading backups:', error);
+      setMessage({ type: 'error', text: 'Failed to load backups' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSettingChange = (field, value) => {
+    setBackupSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSaveSettings = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const result = await window.gymApi.backups.updateSettings({
+        ...backupSettings,
+        intervalHours: Number(backupSettings.intervalHours),
+        keepCount: Number(backupSettings.keepCount)
+      });
+
+      if (result.success) {
+        setBackupSettings(result.data);
+        setMessage({ type: 'success', text: result.message });
+        loadBackups();
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error saving backup settings:', error);
+      setMessage({ type: 'error', text: 'Failed to save settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleBackupNow = async () => {
+    setCreating(true);
+
+    try {
+      const result = await window.gymApi.backups.create();
+      setMessage({ type: result.success ? 'success' : 'error', text: result.message });
+      loadBackups();
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      setMessage({ type: 'error', text: 'Failed to create backup' });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handlePreviewRestore = async (backupId) => {
+    try {
+      const result = await window.gymApi.backups.previewRestore(backupId);
+      if (result.success) {
+        setRestorePreview(result.data);
+      } else {
+        setMessage({ type: 'error', text: result.message });
+      }
+    } catch (error) {
+      console.error('Error previewing restore:', error);
+      setMessage({ type: 'error', text: 'Failed to read backup' });
+    }
+  };
+
+  const handleConfirmRestore = async () => {
+    setRestoring(true);
+
+    try {
+      const result = await window.gymApi.backups.restore(restorePreview.backup.id);
+      if (result.success) {
+        setRestorePreview(null);
+        // Reload so every page picks up the restored data
+        window.location.reload();
+      } else {
+        setMessage({ type: 'error', text: result.message });
+        setRestorePreview(null);
+      }
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      setMessage({ type: 'error', text: 'Failed to restore backup' });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="settings-page">
+      <div className="settings-header">
+        <h1>⚙️ Settings</h1>
+        <p>Data backups, recovery and staff permissions</p>
+      </div>
+
+      {message && (
+        <div className={`settings-message ${message.type}`}>
+          <span>{message.type === 'success' ? '✅' : '❌'} {message.text}</span>
+          <button onClick={() => setMessage(null)} className="dismiss-btn">✕</button>
+        </div>
+      )}
+
+      {/* Terminal */}
+      <section className="settings-card">
+        <h2>🖥️ Terminal</h2>
+        <form onSubmit={handleSaveTerminal} className="backup-settings-form">
+          <div className="form-group">
+            <label htmlFor="terminalId">Terminal name</label>
+            <input
+              id="terminalId"
+              type="text"
+              maxLength="40"
+              value={terminalId}
+              onChange={(e) => setTerminalId(e.target.value)}
+              placeholder="e.g. Front Desk 1"
+            />
+          </div>
+          <p className="muted">Shifts and handovers are tracked per terminal. Leave empty to use the computer name.</p>
+
+          <div className="form-group">
+            <label htmlFor="scanMode">Scans on this terminal record</label>
+            <select id="scanMode" value={scanMode} onChange={(e) => setScanMode(e.target.value)}>
+              <option value={SCAN_MODES.AUTO}>Entry or exit (auto toggle)</option>
+              <option value={SCAN_MODES.ENTRY}>Entries only</option>
+              <option value={SCAN_MODES.EXIT}>Exits only</option>
+            </select>
+          </div>
+          <p className="muted">Use entries only or exits only for a scanner at a one-way gate. Forgotten visits are closed automatically; see Forgotten Visits below.</p>
+          <button type="submit" className="primary-btn">💾 Save Terminal</button>
+        </form>
+      </section>
+
+      {/* Receipts */}
+      <section className="settings-card">
+        <h2>🧾 Receipts</h2>
+        {receiptSettings ? (
+          <form onSubmit={handleSaveReceiptSettings} className="backup-settings-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="businessName">Business name</label>
+                <input
+                  id="businessName"
+                  type="text"
+                  maxLength="60"
+                  value={receiptSettings.businessName}
+                  onChange={(e) => handleReceiptSettingChange('businessName', e.target.value)}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="receiptPhone">Phone</label>
+                <input
+                  id="receiptPhone"
+                  type="text"
+                  value={receiptSettings.phone}
+                  onChange={(e) => handleReceiptSettingChange('phone', e.target.value)}
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="receiptAddress">Address</label>
+              <input
+                id="receiptAddress"
+                type="text"
+                value={receiptSettings.address}
+                onChange={(e) => handleReceiptSettingChange('address', e.target.value)}
+              />
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="taxId">Tax registration number</label>
+                <input
+                  id="taxId"
+                  type="text"
+                  value={receiptSettings.taxId}
+                  onChange={(e) => handleReceiptSettingChange('taxId', e.target.value)}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="vatRate">VAT included in prices (%)</label>
+                <input
+                  id="vatRate"
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="0.5"
+                  value={receiptSettings.vatRate}
+                  onChange={(e) => handleReceiptSettingChange('vatRate', e.target.value)}
+                />
+              </div>
+            </div>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={receiptSettings.printAutomatically}
+                onChange={(e) => handleReceiptSettingChange('printAutomatically', e.target.checked)}
+              />
+              Print every receipt on the default printer
+            </label>
+
+            <p className="muted">A PDF receipt is saved in the member's folder after every payment.</p>
+            <button type="submit" className="primary-btn">💾 Save Receipt Settings</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Add-on Prices */}
+      <section className="settings-card">
+        <h2>🎟️ Add-on Prices</h2>
+        {addOnPrices ? (
+          <form onSubmit={handleSaveAddOnPrices} className="backup-settings-form">
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="gymAddOn">Gym visit</label>
+                <input
+                  id="gymAddOn"
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={addOnPrices.gym}
+                  onChange={(e) => setAddOnPrices(prev => ({ ...prev, gym: e.target.value }))}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="spaAddOn">Spa session</label>
+                <input
+                  id="spaAddOn"
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={addOnPrices.spa}
+                  onChange={(e) => setAddOnPrices(prev => ({ ...prev, spa: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <p className="muted">Offered at the scanner when a member asks for a service their membership doesn't include.</p>
+            <button type="submit" className="primary-btn">💾 Save Add-on Prices</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Barcode Scanner */}
+      <section className="settings-card">
+        <h2>📟 Barcode Scanner</h2>
+        {scannerSettings ? (
+          <form onSubmit={handleSaveScannerSettings} className="backup-settings-form">
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={scannerSettings.wedgeMode}
+                onChange={(e) => setScannerSettings(prev => ({ ...prev, wedgeMode: e.target.checked }))}
+              />
+              Pick up scans from a USB/Bluetooth scanner on any page
+            </label>
+
+            <div className="form-group">
+              <label htmlFor="maxKeyInterval">Max time between scanned characters (ms)</label>
+              <input
+                id="maxKeyInterval"
+                type="number"
+                min={VALIDATION_RULES.SCANNER.MIN_KEY_INTERVAL}
+                max={VALIDATION_RULES.SCANNER.MAX_KEY_INTERVAL}
+                value={scannerSettings.maxKeyInterval}
+                onChange={(e) => setScannerSettings(prev => ({ ...prev, maxKeyInterval: e.target.value }))}
+                disabled={!scannerSettings.wedgeMode}
+              />
+            </div>
+
+            <p className="muted">Scanners type much faster than people. Raise the limit if scans are missed, lower it if fast typing is mistaken for a scan.</p>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={scannerSettings.acceptCustomerIds}
+                onChange={(e) => setScannerSettings(prev => ({ ...prev, acceptCustomerIds: e.target.checked }))}
+              />
+              Accept older cards printed with the customer ID
+            </label>
+            <p className="muted">New cards carry a random card number that can be cancelled if the card is lost. Turn this off once every member has a new card, so a customer ID alone no longer opens the gym.</p>
+            <button type="submit" className="primary-btn">💾 Save Scanner Settings</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Scan Policy */}
+      <section className="settings-card">
+        <h2>🛡️ Scan Policy</h2>
+        {scanPolicy ? (
+          <form onSubmit={handleSaveScanPolicy} className="backup-settings-form">
+            <div className="form-group">
+              <label htmlFor="duplicateWindowSeconds">Ignore repeat scans of the same member within (seconds)</label>
+              <input
+                id="duplicateWindowSeconds"
+                type="number"
+                min="0"
+                max={VALIDATION_RULES.SCAN_POLICY.MAX_DUPLICATE_WINDOW}
+                value={scanPolicy.duplicateWindowSeconds}
+                onChange={(e) => setScanPolicy(prev => ({ ...prev, duplicateWindowSeconds: e.target.value }))}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="minVisitMinutes">Minimum time between entry and exit (minutes)</label>
+              <input
+                id="minVisitMinutes"
+                type="number"
+                min="0"
+                max={VALIDATION_RULES.SCAN_POLICY.MAX_MIN_VISIT}
+                value={scanPolicy.minVisitMinutes}
+                onChange={(e) => setScanPolicy(prev => ({ ...prev, minVisitMinutes: e.target.value }))}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="quickToggleMinutes">Ask to confirm an exit or re-entry within (minutes)</label>
+              <input
+                id="quickToggleMinutes"
+                type="number"
+                min="0"
+                max={VALIDATION_RULES.SCAN_POLICY.MAX_QUICK_TOGGLE}
+                value={scanPolicy.quickToggleMinutes}
+                onChange={(e) => setScanPolicy(prev => ({ ...prev, quickToggleMinutes: e.target.value }))}
+              />
+            </div>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={scanPolicy.blockPassback}
+                onChange={(e) => setScanPolicy(prev => ({ ...prev, blockPassback: e.target.checked }))}
+              />
+              Refuse entry scans while the member is still inside
+            </label>
+
+            <p className="muted">Held scans are not recorded as entries or exits; they appear in the scanner's recent scans with the rule that stopped them. Set a time to 0 to turn that rule off.</p>
+            <button type="submit" className="primary-btn">💾 Save Scan Policy</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Forgotten Visits */}
+      <section className="settings-card">
+        <h2>🌙 Forgotten Visits</h2>
+        {autoCloseSettings ? (
+          <form onSubmit={handleSaveAutoCloseSettings} className="backup-settings-form">
+            <div className="form-group">
+              <label htmlFor="closingTime">Close visits still open at</label>
+              <input
+                id="closingTime"
+                type="time"
+                value={autoCloseSettings.closingTime}
+                onChange={(e) => setAutoCloseSettings(prev => ({ ...prev, closingTime: e.target.value }))}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="exitEstimate">Record the exit time as</label>
+              <select
+                id="exitEstimate"
+                value={autoCloseSettings.estimate}
+                onChange={(e) => setAutoCloseSettings(prev => ({ ...prev, estimate: e.target.value }))}
+              >
+                <option value={EXIT_ESTIMATES.AVERAGE}>The member's average visit length</option>
+                <option value={EXIT_ESTIMATES.FIXED}>A fixed visit length</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="fixedMinutes">Fixed visit length (minutes)</label>
+              <input
+                id="fixedMinutes"
+                type="number"
+                min={VALIDATION_RULES.AUTO_CLOSE.MIN_FIXED_MINUTES}
+                max={VALIDATION_RULES.AUTO_CLOSE.MAX_FIXED_MINUTES}
+                value={autoCloseSettings.fixedMinutes}
+                onChange={(e) => setAutoCloseSettings(prev => ({ ...prev, fixedMinutes: e.target.value }))}
+              />
+            </div>
+
+            <p className="muted">Visits are closed at the closing time, or 12 hours after entry if no closing time is set. The fixed length is also used for members without earlier visits. Closed visits are listed under Visit Review so staff can correct the exit time.</p>
+            <button type="submit" className="primary-btn">💾 Save Forgotten Visits</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Access Hours */}
+      <section className="settings-card">
+        <h2>🕒 Access Hours</h2>
+        {accessSettings ? (
+          <form onSubmit={handleSaveAccessSettings} className="backup-settings-form">
+            {ACCESS_AREAS.map(area => (
+              <div key={area.value} className="form-group">
+                <label className="checkbox-field">
+                  <input
+                    type="checkbox"
+                    checked={!!accessSettings.serviceSchedules[area.value]}
+                    onChange={(e) => handleAreaScheduleChange(area.value, e.target.checked ? DEFAULT_SCHEDULE : null)}
+                  />
+                  {area.label} has set opening hours
+                </label>
+                {accessSettings.serviceSchedules[area.value] && (
+                  <ScheduleEditor
+                    idPrefix={`${area.value}-hours`}
+                    schedule={accessSettings.serviceSchedules[area.value]}
+                    onChange={(schedule) => handleAreaScheduleChange(area.value, schedule)}
+                  />
+                )}
+              </div>
+            ))}
+
+            <h3>Holidays</h3>
+            {accessSettings.holidays.length === 0 && <p className="muted">No holidays set.</p>}
+            {accessSettings.holidays.map((holiday, index) => (
+              <div key={index} className="holiday-row">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label htmlFor={`holidayDate-${index}`}>Date</label>
+                    <input
+                      id={`holidayDate-${index}`}
+                      type="date"
+                      value={holiday.date}
+                      onChange={(e) => handleHolidayChange(index, { date: e.target.value })}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label htmlFor={`holidayName-${index}`}>Name</label>
+                    <input
+                      id={`holidayName-${index}`}
+                      type="text"
+                      value={holiday.name}
+                      onChange={(e) => handleHolidayChange(index, { name: e.target.value })}
+                    />
+                  </div>
+                </div>
+                <label className="checkbox-field">
+                  <input
+                    type="checkbox"
+                    checked={holiday.closed}
+                    onChange={(e) => handleHolidayChange(index, { closed: e.target.checked, windows: [] })}
+                  />
+                  Closed all day
+                </label>
+                {!holiday.closed && (
+                  <ScheduleEditor
+                    idPrefix={`holiday-${index}`}
+                    showDays={false}
+                    schedule={{ days: [], windows: holiday.windows }}
+                    onChange={({ windows }) => handleHolidayChange(index, { windows })}
+                  />
+                )}
+                <button type="button" className="danger-btn" onClick={() => handleRemoveHoliday(index)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button type="button" className="secondary-btn" onClick={handleAddHoliday}>+ Add Holiday</button>
+
+            <p className="muted">Members can only enter an area during its hours. On a holiday its own hours apply to every area instead; plan schedules still apply.</p>
+            <button type="submit" className="primary-btn">💾 Save Access Hours</button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Backup Schedule */}
+      <section className="settings-card">
+        <h2>🗄️ Automatic Backups</h2>
+        {backupSettings ? (
+          <form onSubmit={handleSaveSettings} className="backup-settings-form">
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={backupSettings.enabled}
+                onChange={(e) => handleSettingChange('enabled', e.target.checked)}
+              />
+              Back up automatically
+            </label>
+
+            <label className="checkbox-field">
+              <input
+                type="checkbox"
+                checked={backupSettings.backupOnQuit}
+                onChange={(e) => handleSettingChange('backupOnQuit', e.target.checked)}
+              />
+              Back up when the application closes
+            </label>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="intervalHours">Every (hours)</label>
+                <input
+                  id="intervalHours"
+                  type="number"
+                  min="1"
+                  max="168"
+                  value={backupSettings.intervalHours}
+                  onChange={(e) => handleSettingChange('intervalHours', e.target.value)}
+                  disabled={!backupSettings.enabled}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="keepCount">Backups to keep</label>
+                <input
+                  id="keepCount"
+                  type="number"
+                  min="1"
+                  max="365"
+                  value={backupSettings.keepCount}
+                  onChange={(e) => handleSettingChange('keepCount', e.target.value)}
+                />
+              </div>
+            </div>
+
+            <button type="submit" className="primary-btn" disabled={saving}>
+              {saving ? 'Saving...' : '💾 Save Settings'}
+            </button>
+          </form>
+        ) : (
+          <p className="muted">Loading settings...</p>
+        )}
+      </section>
+
+      {/* Backup List */}
+      <section className="settings-card">
+        <div className="card-header">
+          <h2>📦 Backups</h2>
+          <button onClick={handleBackupNow} className="secondary-btn" disabled={creating}>
+            {creating ? 'Backing up...' : '➕ Back Up Now'}
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="muted">Loading backups...</p>
+        ) : backups.length === 0 ? (
+          <p className="muted">No backups yet</p>
+        ) : (
+          <table className="backups-table">
+            <thead>
+              <tr>
+                <th>Created</th>
+                <th>Type</th>
+                <th>Customers</th>
+                <th>Visits</th>
+                <th>Size</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {backups.map(backup => (
+                <tr key={backup.id}>
+                  <td>{formatDate(backup.createdAt, 'datetime')}</td>
+                  <td>{BACKUP_REASON_LABELS[backup.reason] || backup.reason}</td>
+                  <td>{backup.counts.customers ?? '-'}</td>
+                  <td>{backup.counts.visits ?? '-'}</td>
+                  <td>{formatSize(backup.size)}</td>
+                  <td>
+                    {backup.valid ? (
+                      <span className="status-badge valid">✓ Verified</span>
+                    ) : (
+                      <span className="status-badge invalid" title={backup.problems.join('\n')}>
+                        ⚠️ Damaged
+                      </span>
+                    )}
+                  </td>
+                  <td>
+                    <button
+                      onClick={() => handlePreviewRestore(backup.id)}
+                      className="restore-btn"
+                      disabled={!backup.valid}
+                    >
+                      Restore...
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+
+      {hasPermission(PERMISSIONS.MANAGE_ROLES) && <RolePermissionsEditor />}
+
+      {/* Restore Preview */}
+      {restorePreview && (
+        <div className="modal-overlay">
+          <div className="modal">
+            <h2>♻️ Restore Backup</h2>
+            <p>
+              Restore the backup from <strong>{formatDate(restorePreview.backup.createdAt, 'datetime')}</strong>?
+              Current data will be replaced. A backup of the current data is taken first.
+            </p>
+
+            <table className="preview-table">
+              <thead>
+                <tr>
+                  <th>Records</th>
+                  <th>Current</th>
+                  <th>Backup</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(restorePreview.backupCounts).map(collection => {
+                  const current = restorePreview.currentCounts[collection];
+                  const backup = restorePreview.backupCounts[collection];
+                  return (
+                    <tr key={collection}>
+                      <td className="collection-name">{collection}</td>
+                      <td>{current}</td>
+                      <td className={backup < current ? 'fewer' : ''}>{backup}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+
+            {!restorePreview.verification.valid && (
+              <div className="settings-message error">
+                ⚠️ {restorePreview.verification.problems.join(', ')}
+              </div>
+            )}
+
+            <div className="modal-actions">
+              <button onClick={() => setRestorePreview(null)} className="secondary-btn" disabled={restoring}>
+                Cancel
+              </button>
+              <button
+                onClick={handleConfirmRestore}
+                className="danger-btn"
+                disabled={restoring || !restorePreview.verification.valid}
+              >
+                {restoring ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <style jsx>{`
+        .settings-page {
+          max-width: 960px;
+        }
+
+        .settings-header {
+          margin-bottom: 24px;
+        }
+
+        .settings-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .settings-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .settings-message {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .settings-message.success {
+          background: #f0fff4;
+          color: #276749;
+          border: 1px solid #9ae6b4;
+        }
+
+        .settings-message.error {
+          background: #fed7d7;
+          color: #c53030;
+          border: 1px solid #feb2b2;
+        }
+
+        .dismiss-btn {
+          background: none;
+          border: none;
+          cursor: pointer;
+          color: inherit;
+        }
+
+        .settings-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          margin-bottom: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .settings-card h2 {
+          font-size: 20px;
+          font-weight: 600;
+          color: #2d3748;
+          margin: 0 0 16px 0;
+        }
+
+        .card-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: 16px;
+        }
+
+        .card-header h2 {
+          margin: 0;
+        }
+
+        .backup-settings-form {
+          display: flex;
+          flex-direction: column;
+          gap: 16px;
+        }
+
+        .checkbox-field {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          color: #4a5568;
+        }
+
+        .form-row {
+          display: flex;
+          gap: 16px;
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: 6px;
+        }
+
+        .form-group label {
+          font-weight: 500;
+          color: #4a5568;
+        }
+
+        .form-group input,
+        .form-group select {
+          padding: 10px 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          width: 160px;
+        }
+
+        .form-group select {
+          width: 240px;
+        }
+
+        .primary-btn, .secondary-btn, .danger-btn, .restore-btn {
+          padding: 10px 18px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+          transition: all 0.2s;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+          align-self: flex-start;
+        }
+
+        .secondary-btn, .restore-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        .danger-btn {
+          background: #e53e3e;
+          color: white;
+        }
+
+        .holiday-row {
+          display: flex;
+          flex-direction: column;
+          gap: 10px;
+          padding: 12px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+        }
+
+        .holiday-row .danger-btn,
+        .backup-settings-form .secondary-btn {
+          align-self: flex-start;
+        }
+
+        .backup-settings-form h3 {
+          margin: 8px 0 0;
+          font-size: 15px;
+          color: #2d3748;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .backups-table, .preview-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .backups-table th, .backups-table td,
+        .preview-table th, .preview-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .backups-table th, .preview-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .status-badge {
+          padding: 4px 8px;
+          border-radius: 6px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .status-badge.valid {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .status-badge.invalid {
+          background: #fed7d7;
+          color: #c53030;
+        }
+
+        .modal-overlay {
+          position: fixed;
+          inset: 0;
+          background: rgba(0, 0, 0, 0.5);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          z-index: 1000;
+        }
+
+        .modal {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          width: 480px;
+          max-width: 90vw;
+        }
+
+        .modal h2 {
+          margin: 0 0 12px 0;
+        }
+
+        .modal p {
+          color: #4a5568;
+          margin-bottom: 16px;
+        }
+
+        .collection-name {
+          text-transform: capitalize;
+        }
+
+        .fewer {
+          color: #c53030;
+          font-weight: 600;
+        }
+
+        .modal-actions {
+          display: flex;
+          justify-content: flex-end;
+          gap: 12px;
+          margin-top: 20px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default SettingsPage;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../auth/AuthProvider';
+import ShiftReportSummary from './ShiftReportSummary';
+import { formatDate } from '../../utils/dateUtils';
+import { SHIFT_END_REASONS } from '../../utils/constants';
+
+// CSS Styles
+const styles = {
+  container: {
+    minHeight: '100vh',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    padding: '20px'
+  },
+  card: {
+    background: 'white',
+    borderRadius: '12px',
+    boxShadow: '0 20px 40px rgba(0, 0, 0, 0.1)',
+    padding: '40px',
+    width: '100%',
+    maxWidth: '560px'
+  },
+  header: {
+    textAlign: 'center',
+    marginBottom: '24px'
+  },
+  title: {
+    fontSize: '24px',
+    fontWeight: '700',
+    color: '#2d3748',
+    margin: '0 0 8px 0'
+  },
+  subtitle: {
+    color: '#718096',
+    fontSize: '14px',
+    margin: '0'
+  },
+  warning: {
+    background: '#fefcbf',
+    border: '1px solid #f6e05e',
+    color: '#975a16',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    fontSize: '14px'
+  },
+  errorMessage: {
+    background: '#fed7d7',
+    border: '1px solid #feb2b2',
+    color: '#c53030',
+    padding: '12px',
+    borderRadius: '8px',
+    marginBottom: '20px',
+    fontSize: '14px'
+  },
+  formGroup: {
+    margin: '24px 0 20px 0'
+  },
+  label: {
+    display: 'block',
+    fontWeight: '600',
+    color: '#2d3748',
+    marginBottom: '6px',
+    fontSize: '14px'
+  },
+  textarea: {
+    width: '100%',
+    padding: '12px 16px',
+    border: '2px solid #e2e8f0',
+    borderRadius: '8px',
+    fontSize: '14px',
+    boxSizing: 'border-box',
+    resize: 'vertical'
+  },
+  submitButton: {
+    width: '100%',
+    background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    color: 'white',
+    border: 'none',
+    padding: '14px',
+    borderRadius: '8px',
+    fontSize: '16px',
+    fontWeight: '600',
+    cursor: 'pointer',
+    marginBottom: '12px'
+  },
+  submitButtonDisabled: {
+    opacity: '0.7',
+    cursor: 'not-allowed'
+  },
+  signOutButton: {
+    width: '100%',
+    background: 'none',
+    border: 'none',
+    color: '#718096',
+    fontSize: '14px',
+    cursor: 'pointer'
+  }
+};
+
+/**
+ * Shown after login until the previous shift's report on this terminal is acknowledged
+ */
+const ShiftHandoverPage = () => {
+  const { user, acknowledgeHandover, logout } = useAuth();
+
+  const [shift, setShift] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    loadShift();
+  }, []);
+
+  const loadShift = async () => {
+    try {
+      const result = await window.gymApi.shifts.getPendingHandover();
+      if (result.success) {
+        setShift(result.data);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading handover:', error);
+      setError('Failed to load the previous shift');
+    }
+  };
+
+  const handleAcknowledge = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    setIsSaving(true);
+    const result = await acknowledgeHandover(user.pendingHandoverShiftId, note);
+    setIsSaving(false);
+
+    if (!result.success) {
+      setError(result.message);
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.card}>
+        <div style={styles.header}>
+          <h1 style={styles.title}>🤝 Shift Handover</h1>
+          <p style={styles.subtitle}>
+            {shift
+              ? `${shift.employeeName} · ${shift.terminalId} · ${formatDate(shift.startTime, 'datetime')} – ${formatDate(shift.endTime, 'time')}`
+              : 'Loading previous shift...'}
+          </p>
+        </div>
+
+        {shift?.endReason === SHIFT_END_REASONS.NOT_CLOSED && (
+          <div style={styles.warning}>
+            ⚠️ This shift was not signed out. Its report covers activity up to your login.
+          </div>
+        )}
+
+        {error && (
+          <div style={styles.errorMessage}>⚠️ {error}</div>
+        )}
+
+        {shift && <ShiftReportSummary report={shift.report} />}
+
+        <form onSubmit={handleAcknowledge}>
+          <div style={styles.formGroup}>
+            <label htmlFor="handoverNote" style={styles.label}>Handover note (optional)</label>
+            <textarea
+              id="handoverNote"
+              rows="3"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Cash count differences, issues to follow up..."
+              style={styles.textarea}
+              disabled={isSaving}
+            />
+          </div>
+
+          <button
+            type="submit"
+            style={{
+              ...styles.submitButton,
+              ...(isSaving ? styles.submitButtonDisabled : {})
+            }}
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : 'Acknowledge & Start My Shift'}
+          </button>
+        </form>
+
+        <button type="button" style={styles.signOutButton} onClick={logout}>
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShiftHandoverPage;
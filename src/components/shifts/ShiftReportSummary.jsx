@@ -0,0 +1,120 @@
+import React from 'react';
+import { formatCurrency } from '../../utils/formatters';
+
+/**
+ * Tiles summarising one shift's report
+ * @param {object} props - Component props
+ * @param {object} props.report - Report from shiftService.buildShiftReport
+ */
+const ShiftReportSummary = ({ report }) => {
+  if (!report) {
+    return <p className="report-empty">No report for this shift</p>;
+  }
+
+  const tiles = [
+    { label: 'Entries', value: report.entries, icon: '➡️' },
+    { label: 'Exits', value: report.exits, icon: '⬅️' },
+    { label: 'Registrations / renewals', value: `${report.newRegistrations} / ${report.renewals || 0}`, icon: '📝' },
+    { label: 'Overrides', value: report.emergencyOverrides + report.forceExits, icon: '🚨' },
+    { label: 'Cash collected', value: formatCurrency(report.cashCollected, report.currency), icon: '💵' },
+    { label: 'Inside at handover', value: report.visitorsInside, icon: '🏋️' }
+  ];
+
+  return (
+    <div className="shift-report">
+      <div className="report-tiles">
+        {tiles.map(tile => (
+          <div key={tile.label} className="report-tile">
+            <span className="tile-icon">{tile.icon}</span>
+            <span className="tile-value">{tile.value}</span>
+            <span className="tile-label">{tile.label}</span>
+          </div>
+        ))}
+      </div>
+
+      {report.otherCollected > 0 && (
+        <p className="report-payments">
+          {formatCurrency(report.otherCollected, report.currency)} taken by card or transfer ({report.payments} payment{report.payments === 1 ? '' : 's'} in total)
+        </p>
+      )}
+
+      {(report.emergencyOverrides > 0 || report.forceExits > 0) && (
+        <p className="report-note">
+          {report.emergencyOverrides} emergency override{report.emergencyOverrides === 1 ? '' : 's'}, {report.forceExits} force exit{report.forceExits === 1 ? '' : 's'}
+        </p>
+      )}
+
+      {report.registeredCustomers?.length > 0 && (
+        <ul className="report-registrations">
+          {report.registeredCustomers.map(customer => (
+            <li key={customer.customerId}>
+              {customer.name} <span>({customer.customerId}, {customer.planName})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <style jsx>{`
+        .report-tiles {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 12px;
+        }
+
+        .report-tile {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          padding: 12px;
+          background: #f7fafc;
+          border-radius: 8px;
+          text-align: center;
+        }
+
+        .tile-icon {
+          font-size: 20px;
+        }
+
+        .tile-value {
+          font-size: 22px;
+          font-weight: 700;
+          color: #2d3748;
+        }
+
+        .tile-label {
+          font-size: 12px;
+          color: #718096;
+        }
+
+        .report-note {
+          margin: 12px 0 0 0;
+          font-size: 13px;
+          color: #c05621;
+        }
+
+        .report-payments {
+          margin: 12px 0 0 0;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .report-registrations {
+          margin: 12px 0 0 0;
+          padding-left: 20px;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .report-registrations span {
+          color: #718096;
+        }
+
+        .report-empty {
+          color: #718096;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ShiftReportSummary;
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import ShiftReportSummary from './ShiftReportSummary';
+import { SHIFT_STATUS } from '../../utils/constants';
+import { formatDate, formatDuration } from '../../utils/dateUtils';
+import { formatCurrency } from '../../utils/formatters';
+
+const STATUS_LABELS = {
+  [SHIFT_STATUS.OPEN]: 'On duty',
+  [SHIFT_STATUS.CLOSED]: 'Awaiting handover',
+  [SHIFT_STATUS.ACKNOWLEDGED]: 'Handed over'
+};
+
+const ShiftReports = () => {
+  const [currentShift, setCurrentShift] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [canViewAll, setCanViewAll] = useState(false);
+  const [filters, setFilters] = useState({ employeeId: '', startDate: '', endDate: '' });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    loadShifts(filters);
+  }, [filters]);
+
+  const loadShifts = async (activeFilters) => {
+    try {
+      setLoading(true);
+      const query = Object.fromEntries(
+        Object.entries(activeFilters).filter(([, value]) => value !== '')
+      );
+      const [currentResult, listResult] = await Promise.all([
+        window.gymApi.shifts.getCurrent(),
+        window.gymApi.shifts.list(query)
+      ]);
+
+      if (currentResult.success) {
+        setCurrentShift(currentResult.data);
+      }
+
+      if (listResult.success) {
+        setShifts(listResult.data);
+        setCanViewAll(listResult.canViewAll);
+        setError(null);
+      } else {
+        setError(listResult.message);
+      }
+    } catch (error) {
+      console.error('Error loading shifts:', error);
+      setError('Failed to load shifts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Everyone who appears in the list, for the employee filter
+  const employees = Object.values(shifts.reduce((all, shift) => {
+    all[shift.employeeId] = { employeeId: shift.employeeId, name: shift.employeeName };
+    return all;
+  }, {}));
+
+  const getShiftMinutes = (shift) => {
+    const end = shift.endTime ? new Date(shift.endTime) : new Date();
+    return Math.floor((end - new Date(shift.startTime)) / (1000 * 60));
+  };
+
+  return (
+    <div className="shift-reports">
+      <div className="shifts-header">
+        <h1>🕘 Shifts</h1>
+        <p>{canViewAll ? 'Shift reports for every employee' : 'Your shift reports'}</p>
+      </div>
+
+      {currentShift && (
+        <div className="shifts-card current-shift">
+          <div className="card-title">
+            <h2>Current shift</h2>
+            <span className="muted">
+              {currentShift.terminalId} · since {formatDate(currentShift.startTime, 'time')} ({formatDuration(getShiftMinutes(currentShift))})
+            </span>
+          </div>
+          <ShiftReportSummary report={currentShift.report} />
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="shifts-filters">
+        {canViewAll && (
+          <div className="filter-group">
+            <label htmlFor="employeeId">Employee</label>
+            <select id="employeeId" value={filters.employeeId} onChange={(e) => handleFilterChange('employeeId', e.target.value)}>
+              <option value="">All employees</option>
+              {employees.map(employee => (
+                <option key={employee.employeeId} value={employee.employeeId}>{employee.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="filter-group">
+          <label htmlFor="startDate">From</label>
+          <input
+            id="startDate"
+            type="date"
+            value={filters.startDate}
+            onChange={(e) => handleFilterChange('startDate', e.target.value)}
+          />
+        </div>
+        <div className="filter-group">
+          <label htmlFor="endDate">To</label>
+          <input
+            id="endDate"
+            type="date"
+            value={filters.endDate}
+            onChange={(e) => handleFilterChange('endDate', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="shifts-card">
+        {loading ? (
+          <p className="muted">Loading shifts...</p>
+        ) : error ? (
+          <p className="error-text">❌ {error}</p>
+        ) : shifts.length === 0 ? (
+          <p className="muted">No shifts match these filters</p>
+        ) : (
+          <table className="shifts-table">
+            <thead>
+              <tr>
+                <th>Employee</th>
+                <th>Terminal</th>
+                <th>Start</th>
+                <th>Length</th>
+                <th>Entries / Exits</th>
+                <th>Cash</th>
+                <th>Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shifts.map(shift => (
+                <React.Fragment key={shift.shiftId}>
+                  <tr
+                    className="shift-row"
+                    onClick={() => setExpandedId(expandedId === shift.shiftId ? null : shift.shiftId)}
+                  >
+                    <td>{shift.employeeName}</td>
+                    <td>{shift.terminalId}</td>
+                    <td>{formatDate(shift.startTime, 'datetime')}</td>
+                    <td>{formatDuration(getShiftMinutes(shift))}</td>
+                    <td>{shift.report ? `${shift.report.entries} / ${shift.report.exits}` : '—'}</td>
+                    <td>{shift.report ? formatCurrency(shift.report.cashCollected, shift.report.currency) : '—'}</td>
+                    <td>
+                      <span className={`status-badge ${shift.status}`}>{STATUS_LABELS[shift.status]}</span>
+                    </td>
+                  </tr>
+                  {expandedId === shift.shiftId && (
+                    <tr className="details-row">
+                      <td colSpan="7">
+                        <ShiftReportSummary report={shift.report} />
+                        {shift.handover && (
+                          <p className="handover-info">
+                            🤝 Acknowledged by {shift.handover.acknowledgedByName} at {formatDate(shift.handover.acknowledgedAt, 'datetime')}
+                            {shift.handover.note && <> — “{shift.handover.note}”</>}
+                          </p>
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <style jsx>{`
+        .shifts-header {
+          margin-bottom: 24px;
+        }
+
+        .shifts-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .shifts-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .shifts-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .current-shift {
+          margin-bottom: 24px;
+        }
+
+        .card-title {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          margin-bottom: 16px;
+        }
+
+        .card-title h2 {
+          font-size: 20px;
+          color: #2d3748;
+          margin: 0;
+        }
+
+        .shifts-filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 12px;
+          margin-bottom: 16px;
+        }
+
+        .filter-group {
+          display: flex;
+          flex-direction: column;
+          gap: 4px;
+        }
+
+        .filter-group label {
+          font-size: 13px;
+          font-weight: 600;
+          color: #4a5568;
+        }
+
+        .filter-group input, .filter-group select {
+          padding: 8px 10px;
+          border: 1px solid #e2e8f0;
+          border-radius: 8px;
+          background: white;
+        }
+
+        .shifts-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .shifts-table th, .shifts-table td {
+          padding: 10px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+        }
+
+        .shifts-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .shift-row {
+          cursor: pointer;
+        }
+
+        .shift-row:hover {
+          background: #f7fafc;
+        }
+
+        .details-row td {
+          background: #fdfdfe;
+        }
+
+        .status-badge {
+          padding: 4px 10px;
+          border-radius: 12px;
+          font-size: 12px;
+          font-weight: 600;
+        }
+
+        .status-badge.open {
+          background: #c6f6d5;
+          color: #276749;
+        }
+
+        .status-badge.closed {
+          background: #fefcbf;
+          color: #975a16;
+        }
+
+        .status-badge.acknowledged {
+          background: #e2e8f0;
+          color: #4a5568;
+        }
+
+        .handover-info {
+          margin: 12px 0 0 0;
+          font-size: 13px;
+          color: #4a5568;
+        }
+
+        .muted {
+          color: #718096;
+        }
+
+        .error-text {
+          color: #c53030;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ShiftReports;
@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import statisticsService from '../../services/statisticsService';
 import * as formatters from '../../utils/formatters';
 import * as dateUtils from '../../utils/dateUtils';
+import { useAuth } from '../auth/AuthProvider';
+import { PERMISSIONS } from '../../utils/constants';
 import './DailyDashboard.css';
 
 const DailyDashboard = () => {
+  const { hasPermission } = useAuth();
   const [statistics, setStatistics] = useState(null);
   // Use ISO date (YYYY-MM-DD) for the date input and statistics service
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
@@ -21,8 +23,7 @@ const DailyDashboard = () => {
       setLoading(true);
       setError(null);
 
-      // statisticsService exposes getDailyStatistics, not getStatisticsByDate
-      const result = await statisticsService.getDailyStatistics(selectedDate);
+      const result = await window.gymApi.statistics.getDaily(selectedDate);
 
       if (!result || !result.success) {
         throw new Error(result?.message || 'Failed to load statistics data');
@@ -51,17 +52,17 @@ const DailyDashboard = () => {
 
       setExportLoading(true);
 
-      // Use the current statistics data for export
+      // Use the current statistics data for export; the main process writes the file
       const csvContent = convertToCSV(statistics);
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      const url = URL.createObjectURL(blob);
-      link.setAttribute('href', url);
-      link.setAttribute('download', `gym-stats-${selectedDate}.csv`);
-      link.style.visibility = 'hidden';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      const result = await window.gymApi.export.saveFile({
+        defaultPath: `gym-stats-${selectedDate}.csv`,
+        content: csvContent,
+        filters: [{ name: 'CSV Files', extensions: ['csv'] }]
+      });
+
+      if (!result.success && !result.canceled) {
+        alert(result.message || 'Failed to export data');
+      }
     } catch (err) {
       console.error('Error exporting data:', err);
       alert('Failed to export data');
@@ -81,9 +82,28 @@ const DailyDashboard = () => {
     rows.push(['Completed Visits', data.overview?.completedVisits || 0]);
     rows.push(['Currently Inside', data.overview?.currentlyInside || 0]);
     rows.push(['Average Duration', formatters.formatDuration(data.overview?.averageDuration || 0)]);
-    rows.push(['Total Revenue', formatters.formatCurrency(data.revenue?.total || 0)]);
+    rows.push(['Collected Revenue', formatters.formatCurrency(data.revenue?.total || 0)]);
+    rows.push(['Payments', data.revenue?.payments || 0]);
+    rows.push(['Discounts Given', formatters.formatCurrency(data.revenue?.discounts || 0)]);
     rows.push([]);
 
+    // Revenue by payment method and type
+    if (data.revenue?.byMethod) {
+      rows.push(['Revenue by Payment Method']);
+      Object.entries(data.revenue.byMethod).forEach(([method, total]) => {
+        rows.push([formatters.formatPaymentMethod(method), formatters.formatCurrency(total)]);
+      });
+      rows.push([]);
+    }
+
+    if (data.revenue?.breakdown) {
+      rows.push(['Revenue by Type']);
+      Object.entries(data.revenue.breakdown).forEach(([type, total]) => {
+        rows.push([formatters.formatPaymentType(type), formatters.formatCurrency(total)]);
+      });
+      rows.push([]);
+    }
+
     // Hourly data
     if (data.hourlyData && data.hourlyData.length > 0) {
       rows.push(['Hourly Visitor Flow']);
@@ -149,13 +169,15 @@ const DailyDashboard = () => {
             onChange={handleDateChange}
             className="date-picker"
           />
-          <button
-            onClick={handleExport}
-            disabled={exportLoading}
-            className="export-btn"
-          >
-            {exportLoading ? 'Exporting...' : '📊 Export CSV'}
-          </button>
+          {hasPermission(PERMISSIONS.EXPORT_DATA) && (
+            <button
+              onClick={handleExport}
+              disabled={exportLoading}
+              className="export-btn"
+            >
+              {exportLoading ? 'Exporting...' : '📊 Export CSV'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -175,10 +197,10 @@ const DailyDashboard = () => {
         <div className="metric-card revenue">
           <div className="metric-icon">💰</div>
           <div className="metric-content">
-            <h3>Total Revenue</h3>
+            <h3>Collected Revenue</h3>
             <div className="metric-value">{formatters.formatCurrency(statistics?.revenue?.total || 0)}</div>
             <div className="metric-change">
-              Average per visit: {formatters.formatCurrency(statistics?.revenue?.averagePerVisit || 0)}
+              {statistics?.revenue?.payments || 0} payments · {formatters.formatCurrency(statistics?.revenue?.averagePerVisit || 0)} per visit
             </div>
           </div>
         </div>
@@ -293,6 +315,16 @@ const DailyDashboard = () => {
             <span className="summary-label">Currently Inside:</span>
             <span className="summary-value">{statistics?.overview?.currentlyInside || 0} visitors</span>
           </div>
+          <div className="summary-item">
+            <span className="summary-label">Collected:</span>
+            <span className="summary-value">
+              {statistics?.revenue?.byMethod
+                ? Object.entries(statistics.revenue.byMethod)
+                    .map(([method, total]) => `${formatters.formatPaymentMethod(method)} ${formatters.formatCurrency(total)}`)
+                    .join(' · ')
+                : 'N/A'}
+            </span>
+          </div>
           <div className="summary-item">
             <span className="summary-label">Total Duration:</span>
             <span className="summary-value">{formatters.formatDuration(statistics?.overview?.totalDuration || 0)}</span>
@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import visitorsService from '../../services/visitorsService';
 import { formatCustomerName, formatServices, formatCapacityStatus } from '../../utils/formatters';
 import { formatDate, formatDuration, calculateDuration } from '../../utils/dateUtils';
+import { useAuth } from '../auth/AuthProvider';
+import { PERMISSIONS } from '../../utils/constants';
 
 const CurrentVisitorsList = () => {
+  const { hasPermission } = useAuth();
+  const canForceExit = hasPermission(PERMISSIONS.FORCE_EXIT);
   const [visitors, setVisitors] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -29,7 +32,7 @@ const CurrentVisitorsList = () => {
   const loadVisitors = async () => {
     try {
       setLoading(true);
-      const result = await visitorsService.getCurrentVisitors();
+      const result = await window.gymApi.visitors.getCurrent();
       
       if (result.success) {
         setVisitors(result.data);
@@ -48,7 +51,7 @@ const CurrentVisitorsList = () => {
   // Load capacity information
   const loadCapacityInfo = async () => {
     try {
-      const result = await visitorsService.getVisitorCount();
+      const result = await window.gymApi.visitors.getCount();
       if (result.success) {
         setCapacityInfo(result);
       }
@@ -71,7 +74,7 @@ const CurrentVisitorsList = () => {
     }
 
     try {
-      const result = await visitorsService.forceExitVisitor(
+      const result = await window.gymApi.visitors.forceExit(
         customerId, 
         'Manual exit by staff'
       );
@@ -95,7 +98,7 @@ const CurrentVisitorsList = () => {
 
     try {
       const promises = visitors.map(visitor => 
-        visitorsService.forceExitVisitor(visitor.customerId, 'Emergency evacuation')
+        window.gymApi.visitors.forceExit(visitor.customerId, 'Emergency evacuation')
       );
       
       await Promise.all(promises);
@@ -145,7 +148,7 @@ const CurrentVisitorsList = () => {
             {refreshing ? 'Refreshing...' : 'Refresh'}
           </button>
           
-          {visitors.length > 0 && (
+          {canForceExit && visitors.length > 0 && (
             <button 
               onClick={handleEmergencyEvacuation}
               className="emergency-btn"
@@ -253,7 +256,7 @@ const CurrentVisitorsList = () => {
                 key={visitor.customerId}
                 visitor={visitor}
                 currentDuration={getUpdatedDuration(visitor)}
-                onForceExit={handleForceExit}
+                onForceExit={canForceExit ? handleForceExit : null}
               />
             ))}
           </div>
@@ -608,19 +611,21 @@ const VisitorCard = ({ visitor, currentDuration, onForceExit }) => {
         <div className="detail-row">
           <span>Membership:</span>
           <span className={`membership-badge ${visitor.membership?.status}`}>
-            {visitor.membership?.type || 'Unknown'}
+            {visitor.planName || 'Unknown'}
           </span>
         </div>
       </div>
 
-      <div className="visitor-actions">
-        <button
-          onClick={() => onForceExit(visitor.customerId, customerName)}
-          className="exit-btn"
-        >
-          🚪 Manual Exit
-        </button>
-      </div>
+      {onForceExit && (
+        <div className="visitor-actions">
+          <button
+            onClick={() => onForceExit(visitor.customerId, customerName)}
+            className="exit-btn"
+          >
+            🚪 Manual Exit
+          </button>
+        </div>
+      )}
 
       <style jsx>{`
         .visitor-card {
@@ -0,0 +1,318 @@
+import React, { useState, useEffect } from 'react';
+import { AUTO_CLOSE_REASONS } from '../../utils/constants';
+import { formatDate, formatDuration } from '../../utils/dateUtils';
+
+const REASON_TEXT = {
+  [AUTO_CLOSE_REASONS.TIMEOUT]: 'Open past the visit timeout',
+  [AUTO_CLOSE_REASONS.CLOSING_TIME]: 'Still open at closing time'
+};
+
+/**
+ * Local date and time of a timestamp in the format a datetime-local input takes
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} YYYY-MM-DDTHH:MM
+ */
+const toInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const VisitReview = () => {
+  const [visits, setVisits] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [includeReviewed, setIncludeReviewed] = useState(false);
+  const [exitTimes, setExitTimes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  useEffect(() => {
+    loadVisits();
+  }, [includeReviewed]);
+
+  const loadVisits = async () => {
+    try {
+      setLoading(true);
+      const result = await window.gymApi.autoClose.getReviewList({ includeReviewed });
+
+      if (result.success) {
+        setVisits(result.data.visits);
+        setPendingCount(result.data.pendingCount);
+        setExitTimes(Object.fromEntries(result.data.visits.map(visit => [visit.visitId, toInputValue(visit.exitTime)])));
+        setError(null);
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error loading visit review:', error);
+      setError('Failed to load visits to review');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showSuccess = (text) => {
+    setSuccessMessage(text);
+    setTimeout(() => setSuccessMessage(null), 4000);
+  };
+
+  const handleAction = async (visit, action) => {
+    setSavingId(visit.visitId);
+
+    try {
+      const result = action === 'confirm'
+        ? await window.gymApi.autoClose.confirm(visit.visitId)
+        : await window.gymApi.autoClose.correctExit(visit.visitId, new Date(exitTimes[visit.visitId]).toISOString());
+
+      if (result.success) {
+        showSuccess(`${visit.customerName}: ${result.message}`);
+        setError(null);
+        loadVisits();
+      } else {
+        setError(result.message);
+      }
+    } catch (error) {
+      console.error('Error reviewing visit:', error);
+      setError('Failed to save the review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  return (
+    <div className="visit-review">
+      <div className="review-header">
+        <div>
+          <h1>🌅 Visit Review</h1>
+          <p>Visits closed automatically because the member never scanned out. Check each exit time and correct it if you know better.</p>
+        </div>
+        <label className="toggle-reviewed">
+          <input
+            type="checkbox"
+            checked={includeReviewed}
+            onChange={(e) => setIncludeReviewed(e.target.checked)}
+          />
+          Show reviewed visits
+        </label>
+      </div>
+
+      {successMessage && <div className="success-banner">✅ {successMessage}</div>}
+      {error && <div className="error-banner">❌ {error}</div>}
+
+      {loading ? (
+        <p className="muted">Loading visits...</p>
+      ) : visits.length === 0 ? (
+        <div className="review-card empty">
+          <p>No visits waiting for review. 🎉</p>
+        </div>
+      ) : (
+        <div className="review-card">
+          <h3>{pendingCount} visit{pendingCount === 1 ? '' : 's'} to review</h3>
+          <table className="review-table">
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Entry</th>
+                <th>Closed because</th>
+                <th>Exit</th>
+                <th>Duration</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {visits.map(visit => (
+                <tr key={visit.visitId} className={visit.reviewedAt ? 'reviewed' : ''}>
+                  <td>
+                    <strong>{visit.customerName}</strong>
+                    <div className="muted">{visit.customerId}</div>
+                  </td>
+                  <td>{formatDate(visit.entryTime, 'datetime')}</td>
+                  <td>{REASON_TEXT[visit.autoCloseReason] || REASON_TEXT[AUTO_CLOSE_REASONS.TIMEOUT]}</td>
+                  <td>
+                    {visit.reviewedAt ? (
+                      <>
+                        {formatDate(visit.exitTime, 'datetime')}
+                        <div className="muted">
+                          {visit.exitCorrected ? `Corrected from ${formatDate(visit.estimatedExitTime, 'time')}` : 'Estimate confirmed'}
+                          {visit.reviewedByName && ` by ${visit.reviewedByName}`}
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                        <input
+                          type="datetime-local"
+                          className="exit-input"
+                          min={toInputValue(visit.entryTime)}
+                          max={toInputValue(visit.latestExitTime)}
+                          value={exitTimes[visit.visitId] || ''}
+                          onChange={(e) => setExitTimes(prev => ({ ...prev, [visit.visitId]: e.target.value }))}
+                        />
+                        <div className="muted">Estimated {formatDate(visit.estimatedExitTime, 'time')}</div>
+                      </>
+                    )}
+                  </td>
+                  <td>{formatDuration(visit.duration)}</td>
+                  <td className="actions">
+                    {!visit.reviewedAt && (
+                      exitTimes[visit.visitId] === toInputValue(visit.exitTime) ? (
+                        <button
+                          className="secondary-btn"
+                          onClick={() => handleAction(visit, 'confirm')}
+                          disabled={savingId === visit.visitId}
+                        >
+                          ✔️ Confirm Estimate
+                        </button>
+                      ) : (
+                        <button
+                          className="primary-btn"
+                          onClick={() => handleAction(visit, 'correct')}
+                          disabled={savingId === visit.visitId || !exitTimes[visit.visitId]}
+                        >
+                          {savingId === visit.visitId ? 'Saving...' : '💾 Save Exit Time'}
+                        </button>
+                      )
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <style jsx>{`
+        .review-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 24px;
+          margin-bottom: 24px;
+        }
+
+        .review-header h1 {
+          font-size: 32px;
+          font-weight: 700;
+          color: #2d3748;
+          margin: 0 0 8px 0;
+        }
+
+        .review-header p {
+          color: #718096;
+          font-size: 16px;
+          margin: 0;
+        }
+
+        .toggle-reviewed {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          white-space: nowrap;
+          color: #4a5568;
+          font-weight: 500;
+        }
+
+        .success-banner {
+          background: #c6f6d5;
+          color: #276749;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .error-banner {
+          background: #fed7d7;
+          color: #c53030;
+          padding: 12px 16px;
+          border-radius: 8px;
+          margin-bottom: 16px;
+        }
+
+        .review-card {
+          background: white;
+          border-radius: 12px;
+          padding: 24px;
+          margin-bottom: 16px;
+          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        }
+
+        .review-card h3 {
+          margin: 0 0 12px 0;
+          color: #2d3748;
+        }
+
+        .review-card.empty {
+          text-align: center;
+          color: #718096;
+        }
+
+        .review-table {
+          width: 100%;
+          border-collapse: collapse;
+        }
+
+        .review-table th, .review-table td {
+          padding: 8px 12px;
+          text-align: left;
+          border-bottom: 1px solid #edf2f7;
+          vertical-align: top;
+        }
+
+        .review-table th {
+          font-size: 13px;
+          color: #718096;
+          font-weight: 600;
+          text-transform: uppercase;
+        }
+
+        .review-table tr.reviewed td {
+          background: #f7fafc;
+        }
+
+        .exit-input {
+          padding: 6px 8px;
+          border: 1px solid #e2e8f0;
+          border-radius: 6px;
+          font-family: inherit;
+        }
+
+        .actions {
+          text-align: right;
+          white-space: nowrap;
+        }
+
+        .primary-btn, .secondary-btn {
+          padding: 8px 14px;
+          border: none;
+          border-radius: 8px;
+          font-weight: 600;
+          cursor: pointer;
+        }
+
+        .primary-btn {
+          background: #667eea;
+          color: white;
+        }
+
+        .secondary-btn {
+          background: #f7fafc;
+          color: #4a5568;
+          border: 1px solid #e2e8f0;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .muted {
+          color: #718096;
+          font-size: 13px;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default VisitReview;
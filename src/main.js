@@ -1,6 +1,16 @@
-import { app, BrowserWindow } from 'electron';
+import { app, BrowserWindow, dialog } from 'electron';
 import path from 'node:path';
 import started from 'electron-squirrel-startup';
+import dataStore from './main/dataStore';
+import { runMigrations } from './main/migrations';
+import backupService from './main/backupService';
+import receiptService from './main/receiptService';
+import cardService from './main/cardService';
+import { registerIpcHandlers } from './main/ipcHandlers';
+import dataService from './services/dataService';
+import shiftService from './services/shiftService';
+import autoCloseService from './services/autoCloseService';
+import { SHIFT_END_REASONS } from './utils/constants';
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling.
 if (started) {
@@ -44,7 +54,35 @@ const createWindow = () => {
 // This method will be called when Electron has finished
 // initialization and is ready to create browser windows.
 // Some APIs can only be used after this event occurs.
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
+  // Load persisted data and expose the services to the renderer
+  dataStore.open(path.join(app.getPath('userData'), 'data'));
+  backupService.configure(path.join(app.getPath('userData'), 'backups'));
+  receiptService.configure(path.join(app.getPath('userData'), 'receipts'));
+  cardService.configure(
+    path.join(app.getPath('userData'), 'photos'),
+    path.join(app.getPath('userData'), 'cards')
+  );
+
+  try {
+    const migration = runMigrations(dataStore, {
+      createBackup: () => backupService.createBackup('pre-migration').id
+    });
+    if (migration.migrated) {
+      console.log(`Data migrated from schema v${migration.fromVersion} to v${migration.toVersion}`);
+    }
+  } catch (error) {
+    console.error('Data migration failed:', error);
+    dialog.showErrorBox('Data upgrade failed', error.message);
+    app.quit();
+    return;
+  }
+
+  await dataService.initialize(dataStore);
+  backupService.startSchedule();
+  autoCloseService.startSchedule();
+  registerIpcHandlers();
+
   createWindow();
 
   // On OS X it's common to re-create a window in the app when the
@@ -65,5 +103,20 @@ app.on('window-all-closed', () => {
   }
 });
 
+// Close the open shift and take a final backup on the way out so the day's work is never lost
+app.on('before-quit', () => {
+  backupService.stopSchedule();
+  autoCloseService.stopSchedule();
+  shiftService.endShift(SHIFT_END_REASONS.APP_CLOSED);
+
+  if (dataService.store && backupService.getSettings().backupOnQuit) {
+    try {
+      backupService.createBackup('quit');
+    } catch (error) {
+      console.error('Backup on quit failed:', error);
+    }
+  }
+});
+
 // In this file you can include the rest of your app's specific main process
 // code. You can also put them in separate files and import them here.
@@ -0,0 +1,74 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import dataService from '../../services/dataService';
+import memberCardService from '../../services/memberCardService';
+import { closeTestStore, openTestStore } from '../../services/__tests__/testStore';
+import { EMPLOYEE_ROLES, PERMISSIONS } from '../../utils/constants';
+import { CURRENT_SCHEMA_VERSION, MIGRATIONS } from '../migrations';
+
+const migration = (version) => MIGRATIONS.find(m => m.version === version);
+
+describe('MIGRATIONS', () => {
+  it('are numbered one after another', () => {
+    expect(MIGRATIONS.map(m => m.version)).toEqual(MIGRATIONS.map((m, index) => index + 1));
+    expect(CURRENT_SCHEMA_VERSION).toBe(MIGRATIONS.length);
+  });
+
+  describe('v3 audit log for managers', () => {
+    const data = { settings: { rolePermissions: { [EMPLOYEE_ROLES.MANAGER]: [PERMISSIONS.VIEW_STATISTICS] } } };
+
+    it('grants the permission once', () => {
+      const migrated = migration(3).migrate(data);
+
+      expect(migrated.settings.rolePermissions[EMPLOYEE_ROLES.MANAGER]).toEqual([PERMISSIONS.VIEW_STATISTICS, PERMISSIONS.VIEW_AUDIT_LOG]);
+      expect(migration(3).migrate(migrated)).toBe(migrated);
+    });
+
+    it('leaves stores without a stored permission matrix alone', () => {
+      const empty = { settings: {} };
+      expect(migration(3).migrate(empty)).toBe(empty);
+    });
+  });
+
+  describe('v15 customer ID cards', () => {
+    const data = { customers: [], settings: { scanner: { wedgeMode: true } } };
+
+    it('stay accepted on stores that had members before card tokens', () => {
+      expect(migration(15).migrate(data, { fromVersion: 14 }).settings.scanner)
+        .toEqual({ wedgeMode: true, acceptCustomerIds: true });
+    });
+
+    it('are not accepted on new stores', () => {
+      expect(migration(15).migrate(data, { fromVersion: 0 })).toBe(data);
+    });
+
+    it('keep a choice staff already made', () => {
+      const turnedOff = { ...data, settings: { scanner: { acceptCustomerIds: false } } };
+      expect(migration(15).migrate(turnedOff, { fromVersion: 13 })).toBe(turnedOff);
+    });
+  });
+});
+
+describe('runMigrations on a new store', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('gives every seeded member a card token', () => {
+    dataService.getAllCustomers().forEach(customer => {
+      expect(customer.cards).toEqual([expect.objectContaining({ cardId: 'card001', status: 'active' })]);
+    });
+  });
+
+  it('only lets card tokens in at the scanner', () => {
+    const [customer] = dataService.getAllCustomers();
+
+    expect(memberCardService.resolveBarcode(customer.customerId).success).toBe(false);
+    expect(memberCardService.resolveBarcode(customer.cards[0].token).data.customerId).toBe(customer.customerId);
+  });
+});
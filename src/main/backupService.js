@@ -0,0 +1,494 @@
+// Backup Service - Scheduled snapshots of the data store with verified restore
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import dataStore from './dataStore';
+import { CURRENT_SCHEMA_VERSION, runMigrations } from './migrations';
+import dataService from '../services/dataService';
+import authService from '../services/authService';
+import auditService from '../services/auditService';
+import { AUDIT_ACTIONS, DEFAULT_SETTINGS, ERROR_MESSAGES, PERMISSIONS } from '../utils/constants';
+
+// Every backup folder carries a manifest describing its files
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Calculate the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {string} Hex digest
+ */
+const checksumFile = (filePath) => {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+};
+
+class BackupService {
+  constructor() {
+    this.directory = null;
+    this.timer = null;
+  }
+
+  /**
+   * Set the directory that holds backup folders
+   * @param {string} directory - Backup root directory
+   */
+  configure(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Get backup settings merged over the defaults
+   * @returns {object} Backup settings
+   */
+  getSettings() {
+    return {
+      ...DEFAULT_SETTINGS.backup,
+      ...(dataService.getSettings().backup || {})
+    };
+  }
+
+  /**
+   * Update backup settings and restart the schedule
+   * @param {object} values - Settings to change
+   * @returns {Promise<object>} Result with the new settings
+   */
+  async updateSettings(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const intervalHours = Number(values.intervalHours ?? this.getSettings().intervalHours);
+      const keepCount = Number(values.keepCount ?? this.getSettings().keepCount);
+
+      if (!Number.isFinite(intervalHours) || intervalHours < 1 || intervalHours > 168) {
+        return {
+          success: false,
+          message: 'Backup interval must be between 1 and 168 hours'
+        };
+      }
+
+      if (!Number.isInteger(keepCount) || keepCount < 1 || keepCount > 365) {
+        return {
+          success: false,
+          message: 'Number of backups to keep must be between 1 and 365'
+        };
+      }
+
+      dataService.updateSettings('backup', {
+        enabled: values.enabled ?? this.getSettings().enabled,
+        backupOnQuit: values.backupOnQuit ?? this.getSettings().backupOnQuit,
+        intervalHours,
+        keepCount
+      });
+      this.startSchedule();
+
+      return {
+        success: true,
+        message: 'Backup settings saved',
+        data: this.getSettings()
+      };
+
+    } catch (error) {
+      console.error('Update backup settings error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * (Re)start the periodic backup timer from the current settings
+   */
+  startSchedule() {
+    this.stopSchedule();
+
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      try {
+        this.createBackup('scheduled');
+      } catch (error) {
+        console.error('Scheduled backup failed:', error);
+      }
+    }, settings.intervalHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Stop the periodic backup timer
+   */
+  stopSchedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Resolve a backup ID to its folder, rejecting anything outside the backup root
+   * @param {string} backupId - Backup folder name
+   * @returns {string} Absolute folder path
+   */
+  getBackupPath(backupId) {
+    if (!this.directory) {
+      throw new Error('Backups are not configured');
+    }
+
+    if (!backupId || path.basename(backupId) !== backupId) {
+      throw new Error('Invalid backup ID');
+    }
+
+    return path.join(this.directory, backupId);
+  }
+
+  /**
+   * Snapshot the whole store into a new backup folder
+   * @param {string} reason - Why the backup was taken (scheduled, manual, quit, pre-migration, pre-restore)
+   * @returns {object} Manifest of the new backup
+   */
+  createBackup(reason = 'manual') {
+    const createdAt = new Date().toISOString();
+    const backupId = `${createdAt.replace(/[:.]/g, '-')}-${reason}`;
+    const backupPath = this.getBackupPath(backupId);
+
+    const files = dataStore.createSnapshot(backupPath).map(name => ({
+      name,
+      size: fs.statSync(path.join(backupPath, name)).size,
+      checksum: checksumFile(path.join(backupPath, name))
+    }));
+
+    const manifest = {
+      id: backupId,
+      createdAt,
+      reason,
+      schemaVersion: dataStore.readMeta().schemaVersion || 0,
+      counts: this.countRecords(backupPath, files),
+      files
+    };
+
+    fs.writeFileSync(path.join(backupPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    this.rotateBackups();
+
+    return manifest;
+  }
+
+  /**
+   * Count the records in each collection file of a backup
+   * @param {string} backupPath - Backup folder
+   * @param {Array<object>} files - Manifest file entries
+   * @returns {object} Record count keyed by collection
+   */
+  countRecords(backupPath, files) {
+    return files.reduce((counts, file) => {
+      const collection = path.basename(file.name, '.json');
+      if (collection === 'meta' || path.extname(file.name) !== '.json') {
+        return counts;
+      }
+
+      const content = JSON.parse(fs.readFileSync(path.join(backupPath, file.name), 'utf8'));
+      if (Array.isArray(content)) {
+        counts[collection] = content.length;
+      }
+      return counts;
+    }, {});
+  }
+
+  /**
+   * Read a backup's manifest
+   * @param {string} backupId - Backup folder name
+   * @returns {object|null} Manifest, or null if the folder has none
+   */
+  readManifest(backupId) {
+    const manifestPath = path.join(this.getBackupPath(backupId), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      return null;
+    }
+
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  }
+
+  /**
+   * Get all backups that have a manifest, newest first
+   * @returns {Array<object>} Backup manifests
+   */
+  getBackupManifests() {
+    if (!this.directory || !fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => {
+        try {
+          return this.readManifest(entry.name);
+        } catch (error) {
+          console.error(`Unreadable backup manifest in ${entry.name}:`, error);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * Delete the oldest backups beyond the configured rotation size
+   */
+  rotateBackups() {
+    const { keepCount } = this.getSettings();
+
+    this.getBackupManifests().slice(keepCount).forEach(manifest => {
+      fs.rmSync(this.getBackupPath(manifest.id), { recursive: true, force: true });
+    });
+  }
+
+  /**
+   * Check every file of a backup against its recorded checksum
+   * @param {string} backupId - Backup folder name
+   * @returns {object} Verification result with a list of problems
+   */
+  verifyBackup(backupId) {
+    const manifest = this.readManifest(backupId);
+    if (!manifest) {
+      return { valid: false, problems: ['Backup manifest is missing'] };
+    }
+
+    const backupPath = this.getBackupPath(backupId);
+    const problems = [];
+
+    manifest.files.forEach(file => {
+      const filePath = path.join(backupPath, file.name);
+      if (!fs.existsSync(filePath)) {
+        problems.push(`${file.name} is missing`);
+      } else if (checksumFile(filePath) !== file.checksum) {
+        problems.push(`${file.name} does not match its checksum`);
+      }
+    });
+
+    return { valid: problems.length === 0, problems };
+  }
+
+  /**
+   * List backups with their verification status
+   * @returns {Promise<object>} Result with backups data
+   */
+  async listBackups() {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const backups = this.getBackupManifests().map(manifest => ({
+        id: manifest.id,
+        createdAt: manifest.createdAt,
+        reason: manifest.reason,
+        schemaVersion: manifest.schemaVersion,
+        counts: manifest.counts,
+        size: manifest.files.reduce((total, file) => total + file.size, 0),
+        ...this.verifyBackup(manifest.id)
+      }));
+
+      return {
+        success: true,
+        data: backups,
+        total: backups.length
+      };
+
+    } catch (error) {
+      console.error('List backups error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Take a backup on request
+   * @returns {Promise<object>} Result with the new backup's manifest
+   */
+  async backupNow() {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const manifest = this.createBackup('manual');
+      return {
+        success: true,
+        message: 'Backup created successfully',
+        data: manifest
+      };
+
+    } catch (error) {
+      console.error('Create backup error:', error);
+      return {
+        success: false,
+        message: 'Failed to create backup'
+      };
+    }
+  }
+
+  /**
+   * Compare a backup's record counts with the current data before restoring
+   * @param {string} backupId - Backup folder name
+   * @returns {Promise<object>} Result with backup and current counts
+   */
+  async previewRestore(backupId) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const manifest = this.readManifest(backupId);
+      if (!manifest) {
+        return {
+          success: false,
+          message: 'Backup not found'
+        };
+      }
+
+      const current = dataStore.load();
+      const currentCounts = Object.keys(manifest.counts).reduce((counts, collection) => {
+        counts[collection] = Array.isArray(current[collection]) ? current[collection].length : 0;
+        return counts;
+      }, {});
+
+      return {
+        success: true,
+        data: {
+          backup: manifest,
+          backupCounts: manifest.counts,
+          currentCounts,
+          verification: this.verifyBackup(backupId)
+        }
+      };
+
+    } catch (error) {
+      console.error('Preview restore error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Replace the current data with a verified backup.
+   * The current data is backed up first so a restore can itself be undone.
+   * @param {string} backupId - Backup folder name
+   * @returns {Promise<object>} Restore result
+   */
+  async restoreBackup(backupId) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const manifest = this.readManifest(backupId);
+      if (!manifest) {
+        return {
+          success: false,
+          message: 'Backup not found'
+        };
+      }
+
+      const verification = this.verifyBackup(backupId);
+      if (!verification.valid) {
+        return {
+          success: false,
+          message: `Backup failed verification: ${verification.problems.join(', ')}`
+        };
+      }
+
+      // Read the backup before taking the safety copy, whose rotation may remove it
+      const backupPath = this.getBackupPath(backupId);
+      // Append-only logs are kept with the backup but never rolled back
+      const contents = manifest.files.filter(file => path.extname(file.name) === '.json').map(file => ({
+        name: file.name,
+        content: JSON.parse(fs.readFileSync(path.join(backupPath, file.name), 'utf8'))
+      }));
+
+      // Migrations only run forwards, so a backup from a newer version can't be used
+      const meta = contents.find(({ name }) => name === 'meta.json')?.content || {};
+      const schemaVersion = meta.schemaVersion || manifest.schemaVersion || 0;
+      if (schemaVersion > CURRENT_SCHEMA_VERSION) {
+        return {
+          success: false,
+          message: `This backup was made by a newer version of the application (schema v${schemaVersion}, supported v${CURRENT_SCHEMA_VERSION})`
+        };
+      }
+
+      const safetyBackup = this.createBackup('pre-restore');
+
+      const collections = contents
+        .filter(({ name }) => name !== 'meta.json')
+        .map(({ name, content }) => {
+          const collection = path.basename(name, '.json');
+          dataStore.save(collection, content);
+          return collection;
+        });
+
+      // Collections the backup predates start from the seed, as they would have on that version
+      dataStore.getCollectionNames()
+        .filter(collection => !collections.includes(collection))
+        .forEach(collection => dataStore.resetCollection(collection));
+      dataStore.writeMeta({ ...meta, schemaVersion });
+
+      // Older backups are brought up to the current schema before use
+      runMigrations(dataStore);
+      await dataService.initialize(dataStore);
+      this.startSchedule();
+
+      auditService.record(AUDIT_ACTIONS.BACKUP_RESTORE, {
+        details: {
+          backupId,
+          backupCreatedAt: manifest.createdAt,
+          safetyBackupId: safetyBackup.id,
+          counts: manifest.counts
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Backup restored successfully',
+        data: {
+          restored: manifest,
+          safetyBackupId: safetyBackup.id
+        }
+      };
+
+    } catch (error) {
+      console.error('Restore backup error:', error);
+      return {
+        success: false,
+        message: 'Failed to restore backup'
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const backupService = new BackupService();
+
+export default backupService;
@@ -0,0 +1,718 @@
+// Card Service - Design member cards and render them to print-ready PDFs
+import { BrowserWindow, dialog, shell } from 'electron';
+import fs from 'node:fs';
+import path from 'node:path';
+import bwipjs from 'bwip-js';
+import dataService from '../services/dataService';
+import authService from '../services/authService';
+import memberCardService from '../services/memberCardService';
+import receiptService from './receiptService';
+import {
+  BARCODE_CONFIG,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  EXPORT_TYPES,
+  PERMISSIONS,
+  VALIDATION_RULES
+} from '../utils/constants';
+import { formatDate, getCurrentTimestamp } from '../utils/dateUtils';
+import { formatCustomerName, formatInitials } from '../utils/formatters';
+
+// CR80 card stock: 85.6 x 53.98 mm (3.37 x 2.125 in)
+const CARD_SIZE = { width: 3.37, height: 2.125 };
+
+const BARCODE_TYPES = {
+  CODE128: 'code128',
+  QR: 'qrcode'
+};
+
+const PHOTO_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+/**
+ * Escape text for safe use inside the card HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+class CardService {
+  constructor() {
+    this.photosDirectory = null;
+    this.cardsDirectory = null;
+  }
+
+  /**
+   * Set where member photos and generated card PDFs are kept
+   * @param {string} photosDirectory - Member photos directory
+   * @param {string} cardsDirectory - Card PDFs directory
+   */
+  configure(photosDirectory, cardsDirectory) {
+    this.photosDirectory = photosDirectory;
+    this.cardsDirectory = cardsDirectory;
+    fs.mkdirSync(photosDirectory, { recursive: true });
+    fs.mkdirSync(cardsDirectory, { recursive: true });
+  }
+
+  /**
+   * Get the card design merged over the defaults
+   * @returns {object} Card design
+   */
+  getDesign() {
+    return {
+      ...DEFAULT_SETTINGS.cards,
+      ...(dataService.getSettings().cards || {})
+    };
+  }
+
+  /**
+   * Check a card design
+   * @param {object} design - Card design
+   * @returns {string|null} Error message, or null if the design is valid
+   */
+  validateDesign(design) {
+    if (!BARCODE_CONFIG.CARD_FORMATS.includes(design.barcodeFormat)) {
+      return `Barcode format must be one of: ${BARCODE_CONFIG.CARD_FORMATS.join(', ')}`;
+    }
+
+    if (!VALIDATION_RULES.CARDS.COLOR_PATTERN.test(design.accentColor)) {
+      return 'Accent color must be a hex color such as #667eea';
+    }
+
+    if (String(design.footerText || '').trim().length > VALIDATION_RULES.CARDS.FOOTER_MAX_LENGTH) {
+      return `Footer text must be ${VALIDATION_RULES.CARDS.FOOTER_MAX_LENGTH} characters or fewer`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Bring a design into its stored shape
+   * @param {object} design - Card design
+   * @returns {object} Normalized design
+   */
+  normalizeDesign(design) {
+    return {
+      barcodeFormat: design.barcodeFormat,
+      accentColor: design.accentColor.toLowerCase(),
+      showPhoto: Boolean(design.showPhoto),
+      showPlan: Boolean(design.showPlan),
+      showExpiry: Boolean(design.showExpiry),
+      footerText: String(design.footerText || '').trim()
+    };
+  }
+
+  /**
+   * Save the card design
+   * @param {object} values - Design settings to change
+   * @returns {Promise<object>} Result with the new design
+   */
+  async updateDesign(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const design = { ...this.getDesign(), ...values };
+      const error = this.validateDesign(design);
+      if (error) {
+        return {
+          success: false,
+          message: error
+        };
+      }
+
+      dataService.updateSettings('cards', this.normalizeDesign(design));
+
+      return {
+        success: true,
+        message: 'Card design saved',
+        data: this.getDesign()
+      };
+
+    } catch (error) {
+      console.error('Update card design error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Render a card token as a barcode image
+   * @param {string} token - Card token
+   * @param {string} format - CODE128 or QR
+   * @returns {string} SVG data URL
+   */
+  renderBarcode(token, format) {
+    const options = format === 'QR'
+      ? { bcid: BARCODE_TYPES.QR, text: token, eclevel: 'M' }
+      : { bcid: BARCODE_TYPES.CODE128, text: token, height: 9, includetext: true, textxalign: 'center', textsize: 9 };
+
+    const svg = bwipjs.toSVG(options);
+    return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+  }
+
+  /**
+   * Where a member photo is stored
+   * @param {string} fileName - Photo file name from personalInfo.photo
+   * @returns {string|null} Absolute path, or null if the name is not a plain file name
+   */
+  getPhotoPath(fileName) {
+    if (!fileName || path.basename(fileName) !== fileName) {
+      return null;
+    }
+    return path.join(this.photosDirectory, fileName);
+  }
+
+  /**
+   * Read a member's photo
+   * @param {object} customer - Customer record
+   * @returns {string|null} Image data URL, or null if the member has no photo
+   */
+  readPhoto(customer) {
+    const photoPath = this.getPhotoPath(customer.personalInfo?.photo);
+    if (!photoPath || !fs.existsSync(photoPath)) {
+      return null;
+    }
+
+    const extension = path.extname(photoPath).slice(1).toLowerCase();
+    return `data:${PHOTO_TYPES[extension]};base64,${fs.readFileSync(photoPath).toString('base64')}`;
+  }
+
+  /**
+   * Build one card
+   * @param {object} customer - Customer record
+   * @param {object} card - The member's card, whose token goes in the barcode
+   * @param {object} design - Card design
+   * @param {string} businessName - Name printed on the card's top band
+   * @returns {string} Card markup
+   */
+  buildCardMarkup(customer, card, design, businessName) {
+    const { personalInfo, membership } = customer;
+    const photo = design.showPhoto ? this.readPhoto(customer) : null;
+    const isQr = design.barcodeFormat === 'QR';
+
+    const rows = [
+      design.showPlan && membership && ['Plan', dataService.getMembershipPlanName(membership)],
+      design.showExpiry && membership?.endDate && ['Valid until', formatDate(membership.endDate, 'date')]
+    ].filter(Boolean);
+
+    const portrait = !design.showPhoto
+      ? ''
+      : photo
+        ? `<img class="photo" src="${photo}" alt="">`
+        : `<div class="photo initials">${escapeHtml(formatInitials(personalInfo.firstName, personalInfo.lastName))}</div>`;
+
+    return `<section class="card ${isQr ? 'qr' : 'linear'}">
+    <div class="band">${escapeHtml(businessName)}</div>
+    <div class="body">
+      ${portrait}
+      <div class="details">
+        <div class="name">${escapeHtml(formatCustomerName(personalInfo))}</div>
+        <div class="member-id">Member ${escapeHtml(customer.customerId)}</div>
+        ${rows.map(([label, value]) => `<div class="row"><span>${escapeHtml(label)}</span> ${escapeHtml(value)}</div>`).join('\n        ')}
+      </div>
+      ${isQr ? `<img class="barcode" src="${this.renderBarcode(card.token, 'QR')}" alt="">` : ''}
+    </div>
+    ${isQr ? '' : `<img class="barcode" src="${this.renderBarcode(card.token, 'CODE128')}" alt="">`}
+    ${design.footerText ? `<div class="footer">${escapeHtml(design.footerText)}</div>` : ''}
+  </section>`;
+  }
+
+  /**
+   * Build the card sheet for a list of members, one card per CR80 page
+   * @param {Array<object>} cards - Members and the card to print for each: { customer, card }
+   * @param {object} design - Card design
+   * @returns {string} Complete HTML document
+   */
+  buildCardsHtml(cards, design) {
+    const { businessName } = receiptService.getSettings();
+    const accent = design.accentColor;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Member cards</title>
+<style>
+  @page { size: 85.6mm 53.98mm; margin: 0; }
+  * { box-sizing: border-box; }
+  html, body { margin: 0; padding: 0; }
+  body { font-family: 'Segoe UI', Arial, sans-serif; color: #2d3748; -webkit-print-color-adjust: exact; }
+  .card { width: 85.6mm; height: 53.98mm; overflow: hidden; display: flex; flex-direction: column; page-break-after: always; break-after: page; background: white; }
+  .card:last-child { page-break-after: auto; break-after: auto; }
+  .band { background: ${accent}; color: white; font-weight: 700; font-size: 9pt; padding: 1.8mm 4mm; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .body { flex: 1; display: flex; gap: 3mm; padding: 2.5mm 4mm 0 4mm; min-height: 0; }
+  .photo { width: 20mm; height: 25mm; object-fit: cover; border-radius: 1.5mm; border: 0.3mm solid #e2e8f0; flex-shrink: 0; }
+  .initials { display: flex; align-items: center; justify-content: center; background: #edf2f7; color: ${accent}; font-size: 16pt; font-weight: 700; }
+  .details { flex: 1; min-width: 0; }
+  .name { font-size: 10.5pt; font-weight: 700; line-height: 1.2; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .member-id { font-size: 7.5pt; color: #718096; margin: 0.5mm 0 1.5mm 0; }
+  .row { font-size: 7.5pt; line-height: 1.4; }
+  .row span { color: #718096; }
+  .linear .barcode { display: block; height: 11mm; max-width: 72mm; margin: 1mm auto 0 auto; }
+  .qr .barcode { width: 22mm; height: 22mm; flex-shrink: 0; }
+  .footer { font-size: 6.5pt; color: #718096; text-align: center; padding: 0.8mm 4mm 1.5mm 4mm; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  @media screen {
+    body { background: #edf2f7; padding: 4mm; }
+    .card { margin: 0 auto 4mm auto; border-radius: 3mm; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.2); }
+  }
+</style>
+</head>
+<body>
+  ${cards.map(({ customer, card }) => this.buildCardMarkup(customer, card, design, businessName)).join('\n  ')}
+</body>
+</html>`;
+  }
+
+  /**
+   * Look up the members to print and the card to print for each, in the order they were given
+   * @param {Array<string>} customerIds - Customer IDs
+   * @param {string} cardId - Card to print when printing for one member (defaults to their newest active card)
+   * @returns {object} Cards found, IDs that were not found and members without an active card
+   */
+  findCards(customerIds, cardId = null) {
+    const uniqueIds = [...new Set(customerIds)];
+    const cards = [];
+    const missing = [];
+    const withoutCard = [];
+
+    uniqueIds.forEach(id => {
+      const customer = dataService.getCustomerById(id);
+      const card = customer && memberCardService.getPrintableCard(customer, uniqueIds.length === 1 ? cardId : null);
+      if (!customer) {
+        missing.push(id);
+      } else if (!card) {
+        withoutCard.push(id);
+      } else {
+        cards.push({ customer, card });
+      }
+    });
+
+    return { cards, missing, withoutCard };
+  }
+
+  /**
+   * Describe the members left out of a batch
+   * @param {Array<string>} missing - IDs that were not found
+   * @param {Array<string>} withoutCard - Members without an active card
+   * @returns {string} Note to append to the result message, or an empty string
+   */
+  describeSkipped(missing, withoutCard) {
+    const notes = [
+      missing.length > 0 && `${missing.length} member(s) not found`,
+      withoutCard.length > 0 && `${withoutCard.length} member(s) without an active card`
+    ].filter(Boolean);
+    return notes.length > 0 ? ` (${notes.join(', ')})` : '';
+  }
+
+  /**
+   * Failure result when nothing in a batch can be printed
+   * @param {Array<string>} withoutCard - Members without an active card
+   * @returns {object} Failure result
+   */
+  noCardsResult(withoutCard) {
+    return {
+      success: false,
+      message: withoutCard.length > 0
+        ? 'No active card to print. Issue the member a new card first'
+        : ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+    };
+  }
+
+  /**
+   * Check who may print cards for a list of members
+   * @param {Array<string>} customerIds - Customer IDs
+   * @returns {object|null} Failure result, or null if printing may go ahead
+   */
+  checkCardRequest(customerIds) {
+    if (!authService.hasPermission(PERMISSIONS.PRINT_MEMBER_CARDS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    if (!Array.isArray(customerIds) || customerIds.length === 0) {
+      return {
+        success: false,
+        message: 'Select at least one member'
+      };
+    }
+
+    if (customerIds.length > VALIDATION_RULES.CARDS.MAX_BATCH) {
+      return {
+        success: false,
+        message: `At most ${VALIDATION_RULES.CARDS.MAX_BATCH} cards can be printed at once`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Render cards as HTML for an on-screen preview
+   * @param {Array<string>} customerIds - Customer IDs
+   * @param {object} design - Design to preview (defaults to the saved design)
+   * @returns {Promise<object>} Result with the HTML
+   */
+  async previewCards(customerIds, design = null) {
+    const denied = this.checkCardRequest(customerIds);
+    if (denied) {
+      return denied;
+    }
+
+    try {
+      const previewDesign = { ...this.getDesign(), ...(design || {}) };
+      const error = this.validateDesign(previewDesign);
+      if (error) {
+        return {
+          success: false,
+          message: error
+        };
+      }
+
+      const { cards, missing, withoutCard } = this.findCards(customerIds);
+      if (cards.length === 0) {
+        return this.noCardsResult(withoutCard);
+      }
+
+      return {
+        success: true,
+        data: {
+          html: this.buildCardsHtml(cards, this.normalizeDesign(previewDesign)),
+          count: cards.length,
+          missing,
+          withoutCard
+        }
+      };
+
+    } catch (error) {
+      console.error('Preview cards error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Load card HTML into a hidden window
+   * @param {string} html - Card sheet
+   * @returns {Promise<BrowserWindow>} Window with the page loaded
+   */
+  async loadCardsWindow(html) {
+    const window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        javascript: false,
+        sandbox: true
+      }
+    });
+
+    await window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return window;
+  }
+
+  /**
+   * Send loaded cards to a printer chosen in the print dialog
+   * @param {BrowserWindow} window - Window with the cards loaded
+   * @returns {Promise<boolean>} True once the job is spooled, false if the dialog was canceled
+   */
+  printWindow(window) {
+    return new Promise((resolve, reject) => {
+      window.webContents.print({ silent: false, printBackground: true }, (success, failureReason) => {
+        if (success) {
+          resolve(true);
+        } else if (failureReason === 'cancelled') {
+          resolve(false);
+        } else {
+          reject(new Error(failureReason || 'Printing failed'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Render cards for one or more members to a CR80-sized PDF, one card per page,
+   * then open it or send it to a card printer
+   * @param {Array<string>} customerIds - Customer IDs
+   * @param {object} options - Card options
+   * @param {boolean} options.print - Print through the print dialog instead of opening the PDF
+   * @param {object} options.design - Design to print with (defaults to the saved design)
+   * @param {string} options.cardId - Card to print when printing for one member (defaults to their newest active card)
+   * @returns {Promise<object>} Result with the file path
+   */
+  async createCards(customerIds, { print = false, design = null, cardId = null } = {}) {
+    const denied = this.checkCardRequest(customerIds);
+    if (denied) {
+      return denied;
+    }
+
+    const cardDesign = { ...this.getDesign(), ...(design || {}) };
+    const designError = this.validateDesign(cardDesign);
+    if (designError) {
+      return {
+        success: false,
+        message: designError
+      };
+    }
+
+    const { cards, missing, withoutCard } = this.findCards(customerIds, cardId);
+    if (cards.length === 0) {
+      return this.noCardsResult(withoutCard);
+    }
+
+    let window = null;
+    try {
+      const fileName = cards.length === 1
+        ? `${cards[0].customer.customerId}-${cards[0].card.cardId}.${EXPORT_TYPES.PDF}`
+        : `cards-${getCurrentTimestamp().replace(/[:.]/g, '-')}.${EXPORT_TYPES.PDF}`;
+      const filePath = path.join(this.cardsDirectory, fileName);
+
+      window = await this.loadCardsWindow(this.buildCardsHtml(cards, this.normalizeDesign(cardDesign)));
+      const pdf = await window.webContents.printToPDF({
+        pageSize: CARD_SIZE,
+        margins: { marginType: 'none' },
+        preferCSSPageSize: true,
+        printBackground: true
+      });
+      fs.writeFileSync(filePath, pdf);
+
+      let printed = false;
+      let printError = null;
+      if (print) {
+        try {
+          printed = await this.printWindow(window);
+        } catch (error) {
+          console.error('Print cards error:', error);
+          printError = error.message;
+        }
+      } else {
+        const openError = await shell.openPath(filePath);
+        if (openError) {
+          console.error('Open cards error:', openError);
+        }
+      }
+
+      const count = cards.length === 1 ? '1 card' : `${cards.length} cards`;
+      const skipped = this.describeSkipped(missing, withoutCard);
+
+      return {
+        success: true,
+        message: printError
+          ? `${count} saved, but printing failed: ${printError}`
+          : printed ? `${count} sent to the printer${skipped}` : `${count} saved${skipped}`,
+        data: {
+          filePath,
+          count: cards.length,
+          missing,
+          withoutCard,
+          printed
+        }
+      };
+
+    } catch (error) {
+      console.error('Create cards error:', error);
+      return {
+        success: false,
+        message: `Failed to create the cards: ${error.message}`
+      };
+    } finally {
+      if (window && !window.isDestroyed()) {
+        window.destroy();
+      }
+    }
+  }
+
+  /**
+   * Get a member's photo for display
+   * @param {string} customerId - Customer ID
+   * @returns {object} Result with the image data URL (null if there is none)
+   */
+  getPhoto(customerId) {
+    if (!authService.hasPermission(PERMISSIONS.VIEW_CUSTOMERS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const customer = dataService.getCustomerById(customerId);
+    if (!customer) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+      };
+    }
+
+    return {
+      success: true,
+      data: { photo: this.readPhoto(customer) }
+    };
+  }
+
+  /**
+   * Store a photo file as a member's card photo
+   * @param {string} customerId - Customer ID
+   * @param {string} sourcePath - Image file to copy
+   * @returns {object} Result with the new photo
+   */
+  savePhoto(customerId, sourcePath) {
+    if (!authService.hasPermission(PERMISSIONS.REGISTER_CUSTOMER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const customer = dataService.getCustomerById(customerId);
+    if (!customer) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+      };
+    }
+
+    try {
+      const extension = path.extname(sourcePath).slice(1).toLowerCase();
+      if (!VALIDATION_RULES.CARDS.PHOTO_EXTENSIONS.includes(extension)) {
+        return {
+          success: false,
+          message: `Photo must be one of: ${VALIDATION_RULES.CARDS.PHOTO_EXTENSIONS.join(', ')}`
+        };
+      }
+
+      if (fs.statSync(sourcePath).size > VALIDATION_RULES.CARDS.MAX_PHOTO_SIZE) {
+        return {
+          success: false,
+          message: `Photo must be smaller than ${VALIDATION_RULES.CARDS.MAX_PHOTO_SIZE / (1024 * 1024)} MB`
+        };
+      }
+
+      const fileName = `${customerId}.${extension}`;
+      this.removePhotoFile(customer.personalInfo.photo);
+      fs.copyFileSync(sourcePath, this.getPhotoPath(fileName));
+
+      const updated = dataService.updateCustomer(customerId, {
+        personalInfo: { ...customer.personalInfo, photo: fileName }
+      });
+
+      return {
+        success: true,
+        message: 'Photo saved',
+        data: { photo: this.readPhoto(updated) }
+      };
+
+    } catch (error) {
+      console.error('Save photo error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Ask for an image file and store it as a member's card photo
+   * @param {BrowserWindow} window - Window the file dialog belongs to
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>} Result with the new photo
+   */
+  async choosePhoto(window, customerId) {
+    if (!authService.hasPermission(PERMISSIONS.REGISTER_CUSTOMER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+      title: 'Choose member photo',
+      properties: ['openFile'],
+      filters: [{ name: 'Images', extensions: VALIDATION_RULES.CARDS.PHOTO_EXTENSIONS }]
+    });
+
+    if (canceled || filePaths.length === 0) {
+      return {
+        success: false,
+        canceled: true,
+        message: 'No photo chosen'
+      };
+    }
+
+    return this.savePhoto(customerId, filePaths[0]);
+  }
+
+  /**
+   * Remove a member's card photo
+   * @param {string} customerId - Customer ID
+   * @returns {object} Result
+   */
+  removePhoto(customerId) {
+    if (!authService.hasPermission(PERMISSIONS.REGISTER_CUSTOMER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const customer = dataService.getCustomerById(customerId);
+    if (!customer) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+      };
+    }
+
+    try {
+      this.removePhotoFile(customer.personalInfo.photo);
+      const { photo, ...personalInfo } = customer.personalInfo;
+      dataService.updateCustomer(customerId, { personalInfo });
+
+      return {
+        success: true,
+        message: 'Photo removed',
+        data: { photo: null }
+      };
+
+    } catch (error) {
+      console.error('Remove photo error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Delete a stored photo file if it exists
+   * @param {string} fileName - Photo file name
+   */
+  removePhotoFile(fileName) {
+    const photoPath = this.getPhotoPath(fileName);
+    if (photoPath && fs.existsSync(photoPath)) {
+      fs.unlinkSync(photoPath);
+    }
+  }
+}
+
+// Create singleton instance
+const cardService = new CardService();
+
+export default cardService;
@@ -0,0 +1,24 @@
+// Card Tokens - Random numbers printed on member cards in place of the customer ID
+import crypto from 'node:crypto';
+import { VALIDATION_RULES } from '../utils/constants';
+import { getLuhnCheckDigit } from '../utils/validators';
+
+/**
+ * Create a new card token: random digits followed by a Luhn check digit.
+ * The token says nothing about the member, so it can't be worked out from a customer ID.
+ * @param {Set<string>} existingTokens - Tokens already issued, to avoid
+ * @returns {string} Card token
+ */
+export const generateCardToken = (existingTokens = new Set()) => {
+  let token;
+  do {
+    // Never start with 0, so scanners and spreadsheets don't drop a leading zero
+    let digits = String(crypto.randomInt(1, 10));
+    while (digits.length < VALIDATION_RULES.CARD_TOKEN.LENGTH - 1) {
+      digits += crypto.randomInt(0, 10);
+    }
+    token = `${digits}${getLuhnCheckDigit(digits)}`;
+  } while (existingTokens.has(token));
+
+  return token;
+};
@@ -0,0 +1,273 @@
+// Data Store - Durable JSON persistence for the Electron main process
+import fs from 'node:fs';
+import path from 'node:path';
+import customersSeed from '../data/customers.json';
+import employeesSeed from '../data/employees.json';
+import visitsSeed from '../data/visits.json';
+import plansSeed from '../data/plans.json';
+import { runMigrations } from './migrations';
+
+// Bundled data is only used to seed a fresh store on first run.
+// Collections are arrays of records; settings is a single document.
+const SEED_DATA = {
+  customers: customersSeed,
+  employees: employeesSeed,
+  visits: visitsSeed,
+  plans: plansSeed,
+  shifts: [],
+  payments: [],
+  closeouts: [],
+  settings: {}
+};
+
+// Store metadata (schema version etc.) lives next to the collections
+const META_FILE = 'meta.json';
+
+// Append-only logs, one JSON entry per line; never rewritten or migrated
+const LOGS = ['audit'];
+
+class DataStore {
+  constructor() {
+    this.directory = null;
+  }
+
+  /**
+   * Open the store, creating the directory and seeding missing collections
+   * @param {string} directory - Directory that holds the data files
+   */
+  open(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+
+    Object.keys(SEED_DATA).forEach(collection => {
+      if (!fs.existsSync(this.getCollectionPath(collection))) {
+        this.save(collection, SEED_DATA[collection]);
+      }
+    });
+  }
+
+  /**
+   * Check that the store has been opened and the collection is known
+   * @param {string} collection - Collection name
+   */
+  assertCollection(collection) {
+    if (!this.directory) {
+      throw new Error('Data store is not open');
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(SEED_DATA, collection)) {
+      throw new Error(`Unknown collection: ${collection}`);
+    }
+  }
+
+  /**
+   * Get the file path for a collection
+   * @param {string} collection - Collection name
+   * @returns {string} Absolute file path
+   */
+  getCollectionPath(collection) {
+    return path.join(this.directory, `${collection}.json`);
+  }
+
+  /**
+   * Read a collection from disk, falling back to the previous good copy
+   * @param {string} collection - Collection name
+   * @returns {Array<object>|object} Collection records (or document)
+   */
+  read(collection) {
+    this.assertCollection(collection);
+
+    const filePath = this.getCollectionPath(collection);
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      console.error(`Failed to read ${collection}, trying backup copy:`, error);
+      return JSON.parse(fs.readFileSync(`${filePath}.bak`, 'utf8'));
+    }
+  }
+
+  /**
+   * Load all collections
+   * @returns {object} Object keyed by collection name
+   */
+  load() {
+    return Object.keys(SEED_DATA).reduce((data, collection) => {
+      data[collection] = this.read(collection);
+      return data;
+    }, {});
+  }
+
+  /**
+   * Write a collection to disk atomically.
+   * The new content goes to a temp file first and is renamed over the
+   * current file, which is kept as a .bak copy, so a crash mid-write
+   * never leaves a half-written collection behind.
+   * @param {string} collection - Collection name
+   * @param {Array<object>|object} records - Records (or document) to persist
+   * @returns {boolean} True when written
+   */
+  save(collection, records) {
+    this.assertCollection(collection);
+
+    if (Array.isArray(records) !== Array.isArray(SEED_DATA[collection]) || typeof records !== 'object' || records === null) {
+      throw new Error(`Invalid data for ${collection}`);
+    }
+
+    const filePath = this.getCollectionPath(collection);
+    const tempPath = `${filePath}.tmp`;
+
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(records, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    if (fs.existsSync(filePath)) {
+      fs.copyFileSync(filePath, `${filePath}.bak`);
+    }
+    fs.renameSync(tempPath, filePath);
+
+    return true;
+  }
+
+  /**
+   * Get the file path for an append-only log
+   * @param {string} log - Log name
+   * @returns {string} Absolute file path
+   */
+  getLogPath(log) {
+    if (!this.directory) {
+      throw new Error('Data store is not open');
+    }
+
+    if (!LOGS.includes(log)) {
+      throw new Error(`Unknown log: ${log}`);
+    }
+
+    return path.join(this.directory, `${log}.jsonl`);
+  }
+
+  /**
+   * Append an entry to a log and flush it to disk
+   * @param {string} log - Log name
+   * @param {object} entry - Entry to append
+   */
+  appendLog(log, entry) {
+    const fd = fs.openSync(this.getLogPath(log), 'a');
+    try {
+      fs.writeSync(fd, `${JSON.stringify(entry)}\n`);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Read every entry of a log
+   * @param {string} log - Log name
+   * @returns {Array<object>} Entries in the order they were written
+   */
+  readLog(log) {
+    const logPath = this.getLogPath(log);
+    if (!fs.existsSync(logPath)) {
+      return [];
+    }
+
+    return fs.readFileSync(logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map((line, index) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          console.error(`Unreadable line ${index + 1} in ${log} log:`, error);
+          return { corrupted: true, line: index + 1 };
+        }
+      });
+  }
+
+  /**
+   * Read store metadata
+   * @returns {object} Metadata, empty for stores that predate versioning
+   */
+  readMeta() {
+    const metaPath = path.join(this.directory, META_FILE);
+    if (!fs.existsSync(metaPath)) {
+      return {};
+    }
+
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  }
+
+  /**
+   * Write store metadata
+   * @param {object} meta - Metadata to write
+   */
+  writeMeta(meta) {
+    const metaPath = path.join(this.directory, META_FILE);
+    const tempPath = `${metaPath}.tmp`;
+
+    fs.writeFileSync(tempPath, JSON.stringify(meta, null, 2));
+    fs.renameSync(tempPath, metaPath);
+  }
+
+  /**
+   * Copy every collection file and the metadata into another directory
+   * @param {string} targetDirectory - Directory to copy the store into
+   * @returns {Array<string>} Copied file names
+   */
+  createSnapshot(targetDirectory) {
+    fs.mkdirSync(targetDirectory, { recursive: true });
+
+    const files = [
+      ...Object.keys(SEED_DATA).map(collection => `${collection}.json`),
+      ...LOGS.map(log => `${log}.jsonl`),
+      META_FILE
+    ].filter(file => fs.existsSync(path.join(this.directory, file)));
+
+    files.forEach(file => {
+      fs.copyFileSync(path.join(this.directory, file), path.join(targetDirectory, file));
+    });
+
+    return files;
+  }
+
+  /**
+   * Get the names of every collection the store holds
+   * @returns {Array<string>} Collection names
+   */
+  getCollectionNames() {
+    return Object.keys(SEED_DATA);
+  }
+
+  /**
+   * Replace one collection with its bundled seed data
+   * @param {string} collection - Collection name
+   */
+  resetCollection(collection) {
+    this.assertCollection(collection);
+    this.save(collection, SEED_DATA[collection]);
+  }
+
+  /**
+   * Replace every collection with the bundled seed data
+   * @returns {object} The freshly seeded data, migrated to the current schema
+   */
+  reset() {
+    this.getCollectionNames().forEach(collection => {
+      this.resetCollection(collection);
+    });
+
+    this.writeMeta({});
+    runMigrations(this);
+
+    return this.load();
+  }
+}
+
+// Create singleton instance
+const dataStore = new DataStore();
+
+export default dataStore;
@@ -0,0 +1,267 @@
+// IPC Handlers - Expose the main-process services to the renderer
+import { BrowserWindow, dialog, ipcMain } from 'electron';
+import fs from 'node:fs/promises';
+import authService from '../services/authService';
+import customerService from '../services/customerService';
+import employeeService from '../services/employeeService';
+import barcodeService from '../services/barcodeService';
+import visitorsService from '../services/visitorsService';
+import statisticsService from '../services/statisticsService';
+import auditService from '../services/auditService';
+import shiftService from '../services/shiftService';
+import planService from '../services/planService';
+import paymentService from '../services/paymentService';
+import cashDrawerService from '../services/cashDrawerService';
+import accessScheduleService from '../services/accessScheduleService';
+import memberCardService from '../services/memberCardService';
+import autoCloseService from '../services/autoCloseService';
+import backupService from './backupService';
+import receiptService from './receiptService';
+import cardService from './cardService';
+import { AUDIT_ACTIONS, ERROR_MESSAGES, PERMISSIONS } from '../utils/constants';
+
+/**
+ * Save export content to a file chosen by the user
+ * @param {Electron.IpcMainInvokeEvent} event - IPC event
+ * @param {object} options - Export options
+ * @param {string} options.defaultPath - Suggested file name
+ * @param {string} options.content - File content
+ * @param {Array<object>} options.filters - Save dialog file filters
+ * @returns {Promise<object>} Save result
+ */
+const saveExportFile = async (event, { defaultPath, content, filters = [] }) => {
+  if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+    return {
+      success: false,
+      message: ERROR_MESSAGES.PERMISSION_DENIED
+    };
+  }
+
+  try {
+    const window = BrowserWindow.fromWebContents(event.sender);
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      defaultPath,
+      filters
+    });
+
+    if (canceled || !filePath) {
+      return {
+        success: false,
+        canceled: true,
+        message: 'Export canceled'
+      };
+    }
+
+    await fs.writeFile(filePath, content, 'utf8');
+    auditService.record(AUDIT_ACTIONS.EXPORT, {
+      details: { type: 'file', filePath }
+    });
+
+    return {
+      success: true,
+      message: 'Export saved successfully',
+      filePath
+    };
+
+  } catch (error) {
+    console.error('Save export file error:', error);
+    return {
+      success: false,
+      message: ERROR_MESSAGES.NETWORK_ERROR
+    };
+  }
+};
+
+/**
+ * Save (and, if set up to, print) the receipt for a payment a handler just took.
+ * A receipt that fails is reported alongside the result; the payment itself stands.
+ * @param {object} result - Service result
+ * @param {object|null} payment - Payment recorded by the service
+ * @returns {Promise<object>} Result with the receipt outcome attached
+ */
+const attachReceipt = async (result, payment) => {
+  if (!result.success || !payment) {
+    return result;
+  }
+
+  return {
+    ...result,
+    receipt: await receiptService.createReceipt(payment.paymentId)
+  };
+};
+
+// Channel name -> handler; handlers receive the renderer's arguments
+const handlers = {
+  // Authentication
+  'auth:login': (username, password) => authService.login(username, password),
+  'auth:logout': () => authService.logout(),
+  'auth:getCurrentUser': () => authService.getCurrentUser(),
+  'auth:getSessionInfo': () => authService.getSessionInfo(),
+  'auth:refreshSession': () => authService.refreshSession(),
+  'auth:getPermissions': () => authService.getUserPermissions(),
+  'auth:changePassword': (currentPassword, newPassword) => authService.changePassword(currentPassword, newPassword),
+  'auth:getRolePermissions': () => authService.getRolePermissions(),
+  'auth:updateRolePermissions': (role, permissions) => authService.updateRolePermissions(role, permissions),
+
+  // Customers
+  'customers:getAll': () => customerService.getAllCustomers(),
+  'customers:getById': (customerId) => customerService.getCustomerById(customerId),
+  'customers:search': (query) => customerService.searchCustomers(query),
+  'customers:register': async (customerData) => {
+    const result = await customerService.registerCustomer(customerData);
+    return attachReceipt(result, result.payment);
+  },
+  'customers:update': (customerId, updates) => customerService.updateCustomer(customerId, updates),
+  'customers:validateSubscription': (customerId, services) => customerService.validateSubscription(customerId, services),
+  'customers:getStatistics': (customerId) => customerService.getCustomerStatistics(customerId),
+  'customers:getRenewalQuote': (customerId, planId, startFrom) => customerService.getRenewalQuote(customerId, planId, startFrom),
+  'customers:renew': async (customerId, renewal) => {
+    const result = await customerService.renewMembership(customerId, renewal);
+    return attachReceipt(result, result.payment);
+  },
+  'customers:freeze': (customerId, freezeData) => customerService.freezeMembership(customerId, freezeData),
+  'customers:endFreeze': (customerId, freezeId) => customerService.endFreeze(customerId, freezeId),
+
+  // Membership plans
+  'plans:list': (options) => planService.getPlans(options),
+  'plans:create': (planData) => planService.createPlan(planData),
+  'plans:update': (planId, planData) => planService.updatePlan(planId, planData),
+  'plans:setArchived': (planId, archived) => planService.setPlanArchived(planId, archived),
+
+  // Payments
+  'payments:list': (filters) => paymentService.getPayments(filters),
+  'payments:create': async (paymentData) => {
+    const result = await paymentService.createPayment(paymentData);
+    return attachReceipt(result, result.data);
+  },
+  'payments:getAddOnPrices': () => ({ success: true, data: paymentService.getAddOnPrices() }),
+  'payments:updateAddOnPrices': (prices) => paymentService.updateAddOnPrices(prices),
+
+  // Receipts
+  'receipts:create': (paymentId, options) => receiptService.createReceipt(paymentId, options),
+  'receipts:open': (paymentId) => receiptService.openReceipt(paymentId),
+  'receipts:getSettings': () => ({ success: true, data: receiptService.getSettings() }),
+  'receipts:updateSettings': (values) => receiptService.updateSettings(values),
+
+  // Member cards
+  'cards:getDesign': () => ({ success: true, data: cardService.getDesign() }),
+  'cards:updateDesign': (values) => cardService.updateDesign(values),
+  'cards:preview': (customerIds, design) => cardService.previewCards(customerIds, design),
+  'cards:create': (customerIds, options) => cardService.createCards(customerIds, options),
+  'cards:getPhoto': (customerId) => cardService.getPhoto(customerId),
+  'cards:removePhoto': (customerId) => cardService.removePhoto(customerId),
+  'memberCards:list': (customerId) => memberCardService.getCards(customerId),
+  'memberCards:issue': (customerId) => memberCardService.issueCard(customerId),
+  'memberCards:reportLost': (customerId, cardId, reason) => memberCardService.reportLost(customerId, cardId, reason),
+  'memberCards:revoke': (customerId, cardId, reason) => memberCardService.revoke(customerId, cardId, reason),
+  'memberCards:reissue': (customerId, cardId, options) => memberCardService.reissue(customerId, cardId, options),
+
+  // Cash close-out
+  'closeout:getSummary': (date) => cashDrawerService.getCloseoutSummary(date),
+  'closeout:close': (date, countData) => cashDrawerService.closeDay(date, countData),
+  'closeout:reopen': (date, reason) => cashDrawerService.reopenDay(date, reason),
+
+  // Access hours
+  'access:getSettings': () => ({ success: true, data: accessScheduleService.getSettings() }),
+  'access:updateSettings': (values) => accessScheduleService.updateSettings(values),
+
+  // Visits
+  'visits:getByCustomer': (customerId, limit) => customerService.getCustomerVisitHistory(customerId, limit),
+  'visits:getTodayFlow': () => visitorsService.getTodayEntryExitFlow(),
+
+  // Visits closed automatically
+  'autoClose:getSettings': () => ({ success: true, data: autoCloseService.getSettings() }),
+  'autoClose:updateSettings': (values) => autoCloseService.updateSettings(values),
+  'autoClose:getReviewList': (options) => autoCloseService.getReviewList(options),
+  'autoClose:correctExit': (visitId, exitTime) => autoCloseService.correctExitTime(visitId, exitTime),
+  'autoClose:confirm': (visitId) => autoCloseService.confirmEstimate(visitId),
+
+  // Current visitors
+  'visitors:getCurrent': () => visitorsService.getCurrentVisitors(),
+  'visitors:getCount': () => visitorsService.getVisitorCount(),
+  'visitors:search': (query) => visitorsService.searchCurrentVisitors(query),
+  'visitors:getLongStay': (minDuration) => visitorsService.getLongStayVisitors(minDuration),
+  'visitors:forceExit': (customerId, reason) => visitorsService.forceExitVisitor(customerId, reason),
+  'visitors:getStatistics': () => visitorsService.getVisitorStatistics(),
+  'visitors:getEvacuationList': () => visitorsService.getEmergencyEvacuationList(),
+
+  // Barcode scanner
+  'scanner:processBarcode': (barcode, services, options) => barcodeService.processBarcodeEntry(barcode, services, options),
+  'scanner:validateAccess': (barcode) => barcodeService.validateCustomerAccess(barcode),
+  'scanner:manualEntryExit': (customerId, action, services) => barcodeService.manualEntryExit(customerId, action, services),
+  'scanner:admitWithAddOn': async (customerId, services, paymentMethod) => {
+    const result = await barcodeService.admitWithAddOn(customerId, services, paymentMethod);
+    return attachReceipt(result, result.payment);
+  },
+  'scanner:emergencyOverride': (customerId, reason) => barcodeService.emergencyOverride(customerId, reason),
+  'scanner:getHistory': (limit) => barcodeService.getScanHistory(limit),
+  'scanner:getStatus': () => barcodeService.getScannerStatus(),
+  'scanner:getStatistics': (date) => barcodeService.getScanStatistics(date),
+  'scanner:getInputSettings': () => ({ success: true, data: barcodeService.getInputSettings() }),
+  'scanner:updateInputSettings': (values) => barcodeService.updateInputSettings(values),
+  'scanner:getMode': () => ({ success: true, data: { scanMode: barcodeService.getScanMode() } }),
+  'scanner:updateMode': (scanMode) => barcodeService.updateScanMode(scanMode),
+  'scanner:getPolicy': () => ({ success: true, data: barcodeService.getScanPolicy() }),
+  'scanner:updatePolicy': (values) => barcodeService.updateScanPolicy(values),
+
+  // Employees
+  'employees:getAll': () => employeeService.getAllEmployees(),
+  'employees:getById': (employeeId) => employeeService.getEmployeeById(employeeId),
+  'employees:create': (employeeData) => employeeService.createEmployee(employeeData),
+  'employees:update': (employeeId, updates) => employeeService.updateEmployee(employeeId, updates),
+  'employees:setActive': (employeeId, isActive) => employeeService.setEmployeeActive(employeeId, isActive),
+  'employees:resetPassword': (employeeId, temporaryPassword) => employeeService.resetPassword(employeeId, temporaryPassword),
+
+  // Statistics
+  'statistics:getDaily': (date) => statisticsService.getDailyStatistics(date),
+  'statistics:getWeekly': (startDate) => statisticsService.getWeeklyStatistics(startDate),
+  'statistics:getMonthly': (date) => statisticsService.getMonthlyStatistics(date),
+  'statistics:getDashboard': () => statisticsService.getDashboardStatistics(),
+
+  // Audit log
+  'audit:getLog': (filters) => auditService.getAuditLog(filters),
+
+  // Shifts
+  'shifts:getCurrent': () => shiftService.getCurrentShift(),
+  'shifts:list': (filters) => shiftService.getShifts(filters),
+  'shifts:getPendingHandover': () => shiftService.getPendingHandover(),
+  'shifts:acknowledgeHandover': (shiftId, note) => shiftService.acknowledgeHandover(shiftId, note),
+  'shifts:getTerminal': () => ({ success: true, data: { terminalId: shiftService.getTerminalId() } }),
+  'shifts:updateTerminal': (terminalId) => shiftService.updateTerminal(terminalId),
+
+  // Backups
+  'backups:list': () => backupService.listBackups(),
+  'backups:create': () => backupService.backupNow(),
+  'backups:previewRestore': (backupId) => backupService.previewRestore(backupId),
+  'backups:restore': (backupId) => backupService.restoreBackup(backupId),
+  'backups:getSettings': () => ({ success: true, data: backupService.getSettings() }),
+  'backups:updateSettings': (values) => backupService.updateSettings(values),
+
+  // Export
+  'export:customers': (customerIds) => customerService.exportCustomersData(customerIds),
+  'export:visits': (startDate, endDate) => statisticsService.exportVisits(startDate, endDate),
+  'export:statistics': (period, date) => statisticsService.exportStatistics(period, date),
+  'export:currentVisitors': () => visitorsService.exportCurrentVisitors(),
+  'export:scanHistory': (startDate, endDate) => barcodeService.exportScanHistory(startDate, endDate)
+};
+
+/**
+ * Register all IPC handlers and main -> renderer notifications
+ */
+export const registerIpcHandlers = () => {
+  Object.entries(handlers).forEach(([channel, handler]) => {
+    ipcMain.handle(channel, (event, ...args) => handler(...args));
+  });
+
+  ipcMain.handle('export:saveFile', saveExportFile);
+  ipcMain.handle('cards:choosePhoto', (event, customerId) =>
+    cardService.choosePhoto(BrowserWindow.fromWebContents(event.sender), customerId)
+  );
+
+  // Forward session expiry to every open window
+  authService.subscribeToSessionExpired((detail) => {
+    BrowserWindow.getAllWindows().forEach(window => {
+      window.webContents.send('auth:sessionExpired', detail);
+    });
+  });
+};
@@ -0,0 +1,356 @@
+// Schema Migrations - Upgrade older data stores on startup
+import plansSeed from '../data/plans.json';
+import { CARD_STATUS, DEFAULT_ROLE_PERMISSIONS, EMPLOYEE_ROLES, PERMISSIONS } from '../utils/constants';
+import { generateCardToken } from './cardTokens';
+
+// Plans that replace the old fixed membership types
+const LEGACY_TYPE_PLAN_IDS = {
+  daily: 'plan001',
+  monthly: 'plan002',
+  annual: 'plan003'
+};
+
+/**
+ * Add a permission to a role in the stored matrix, leaving it alone if
+ * the role already has it or the matrix hasn't been stored yet
+ * @param {object} data - Data set being migrated
+ * @param {string} role - Role to grant the permission to
+ * @param {string} permission - Permission to add
+ * @returns {object} Data set with the permission granted
+ */
+const grantPermission = (data, role, permission) => {
+  const permissions = data.settings?.rolePermissions?.[role];
+  if (!permissions || permissions.includes(permission)) {
+    return data;
+  }
+
+  return {
+    ...data,
+    settings: {
+      ...data.settings,
+      rolePermissions: {
+        ...data.settings.rolePermissions,
+        [role]: [...permissions, permission]
+      }
+    }
+  };
+};
+
+/**
+ * Ordered list of schema migrations.
+ * Each migration receives the whole data set at the previous version
+ * (an object keyed by collection name) and returns it upgraded. The second
+ * argument holds the version the store started from, which is 0 for a
+ * freshly seeded store.
+ * Append new migrations to the end; never change one that has shipped.
+ * Seed data in src/data is treated as version 0 and migrated like any
+ * other store, so migrations must tolerate records that already have
+ * the new fields.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalize customer and visit records and backfill customer createdAt',
+    migrate: (data) => ({
+      ...data,
+      customers: data.customers.map(customer => ({
+        ...customer,
+        createdAt: customer.createdAt || (customer.membership?.startDate
+          ? new Date(customer.membership.startDate).toISOString()
+          : null),
+        membership: customer.membership
+          ? { ...customer.membership, services: customer.membership.services || [] }
+          : customer.membership,
+        currentVisit: customer.currentVisit || {
+          isInside: false,
+          entryTime: null,
+          exitTime: null
+        }
+      })),
+      visits: data.visits.map(visit => ({
+        ...visit,
+        services: visit.services || []
+      }))
+    })
+  },
+  {
+    version: 2,
+    description: 'Store the role permission matrix and make the admin account an administrator',
+    migrate: (data) => ({
+      ...data,
+      settings: {
+        ...data.settings,
+        rolePermissions: data.settings?.rolePermissions || Object.fromEntries(
+          Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([role, permissions]) => [role, [...permissions]])
+        )
+      },
+      // Every store needs at least one administrator to manage staff and roles
+      employees: data.employees.some(employee => employee.role === EMPLOYEE_ROLES.ADMIN)
+        ? data.employees
+        : data.employees.map(employee => employee.username === 'admin'
+          ? { ...employee, role: EMPLOYEE_ROLES.ADMIN }
+          : employee)
+    })
+  },
+  {
+    version: 3,
+    description: 'Let managers view the audit log',
+    migrate: (data) => grantPermission(data, EMPLOYEE_ROLES.MANAGER, PERMISSIONS.VIEW_AUDIT_LOG)
+  },
+  {
+    version: 4,
+    description: 'Let managers view shift reports',
+    migrate: (data) => grantPermission(data, EMPLOYEE_ROLES.MANAGER, PERMISSIONS.VIEW_SHIFT_REPORTS)
+  },
+  {
+    version: 5,
+    description: 'Move memberships from fixed types to the plan catalog',
+    migrate: (data) => {
+      const plans = data.plans && data.plans.length > 0 ? data.plans : plansSeed;
+
+      const customers = data.customers.map(customer => {
+        if (!customer.membership || customer.membership.planId) {
+          return customer;
+        }
+
+        const { type, ...membership } = customer.membership;
+        const plan = plans.find(p => p.planId === LEGACY_TYPE_PLAN_IDS[type]);
+
+        return {
+          ...customer,
+          membership: {
+            ...membership,
+            planId: plan ? plan.planId : null,
+            planName: plan ? plan.name : type,
+            price: plan ? plan.price : 0
+          }
+        };
+      });
+
+      return grantPermission({ ...data, plans, customers }, EMPLOYEE_ROLES.MANAGER, PERMISSIONS.MANAGE_PLANS);
+    }
+  },
+  {
+    version: 6,
+    description: 'Let front desk staff renew memberships',
+    migrate: (data) => [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+      .reduce((next, role) => grantPermission(next, role, PERMISSIONS.RENEW_MEMBERSHIP), data)
+  },
+  {
+    version: 7,
+    description: 'Add a freeze allowance to membership plans',
+    migrate: (data) => ({
+      ...data,
+      plans: (data.plans || []).map(plan => ({
+        ...plan,
+        maxFreezeDays: plan.maxFreezeDays ?? plansSeed.find(p => p.planId === plan.planId)?.maxFreezeDays ?? 0
+      })),
+      customers: data.customers.map(customer => ({
+        ...customer,
+        freezes: customer.freezes || []
+      }))
+    })
+  },
+  {
+    version: 8,
+    description: 'Let front desk staff take payments and managers review the ledger',
+    migrate: (data) => grantPermission(
+      [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+        .reduce((next, role) => grantPermission(next, role, PERMISSIONS.TAKE_PAYMENT), data),
+      EMPLOYEE_ROLES.MANAGER,
+      PERMISSIONS.VIEW_PAYMENTS
+    )
+  },
+  {
+    version: 9,
+    description: 'Let front desk staff close the cash drawer and managers reopen a closed day',
+    migrate: (data) => grantPermission(
+      [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+        .reduce((next, role) => grantPermission(next, role, PERMISSIONS.CLOSE_CASH_DRAWER), data),
+      EMPLOYEE_ROLES.MANAGER,
+      PERMISSIONS.REOPEN_CASH_DAY
+    )
+  },
+  {
+    version: 10,
+    description: 'Track visit and session balances on memberships',
+    migrate: (data) => {
+      const plans = (data.plans || []).map(plan => ({
+        ...plan,
+        sessionLimits: plan.sessionLimits || {}
+      }));
+
+      // Visit-limited memberships start from the visits already made in their period
+      const customers = data.customers.map(customer => {
+        const membership = customer.membership;
+        if (!membership || membership.quota) {
+          return customer;
+        }
+
+        const visitLimit = plans.find(p => p.planId === membership.planId)?.visitLimit;
+        const used = visitLimit
+          ? (data.visits || []).filter(visit =>
+              visit.customerId === customer.customerId &&
+              visit.date >= membership.startDate &&
+              visit.date <= membership.endDate
+            ).length
+          : 0;
+
+        return {
+          ...customer,
+          membership: {
+            ...membership,
+            quota: {
+              visits: visitLimit ? { total: visitLimit, remaining: Math.max(0, visitLimit - used) } : null,
+              sessions: {}
+            }
+          }
+        };
+      });
+
+      return { ...data, plans, customers };
+    }
+  },
+  {
+    version: 11,
+    description: 'Replace off-peak hours on plans with weekly access schedules',
+    migrate: (data) => {
+      const plans = (data.plans || []).map(plan => {
+        const { offPeak, ...rest } = plan;
+        if ('schedule' in plan) {
+          return rest;
+        }
+
+        return {
+          ...rest,
+          schedule: offPeak
+            ? { days: [0, 1, 2, 3, 4, 5, 6], windows: [{ start: offPeak.start, end: offPeak.end }] }
+            : null
+        };
+      });
+
+      return { ...data, plans };
+    }
+  },
+  {
+    version: 12,
+    description: 'Let front desk staff print member cards',
+    migrate: (data) => [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+      .reduce((next, role) => grantPermission(next, role, PERMISSIONS.PRINT_MEMBER_CARDS), data)
+  },
+  {
+    version: 13,
+    description: 'Give every member a card token and let front desk staff manage member cards',
+    migrate: (data) => {
+      const tokens = new Set(
+        data.customers.flatMap(customer => (customer.cards || []).map(card => card.token))
+      );
+
+      const customers = data.customers.map(customer => {
+        if (customer.cards) {
+          return customer;
+        }
+
+        const token = generateCardToken(tokens);
+        tokens.add(token);
+        return {
+          ...customer,
+          cards: [{
+            cardId: 'card001',
+            token,
+            status: CARD_STATUS.ACTIVE,
+            issuedAt: customer.createdAt || null,
+            issuedBy: null
+          }]
+        };
+      });
+
+      return [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+        .reduce((next, role) => grantPermission(next, role, PERMISSIONS.MANAGE_MEMBER_CARDS), { ...data, customers });
+    }
+  },
+  {
+    version: 14,
+    description: 'Let front desk staff review visits that were closed automatically',
+    migrate: (data) => [EMPLOYEE_ROLES.MANAGER, EMPLOYEE_ROLES.RECEPTIONIST]
+      .reduce((next, role) => grantPermission(next, role, PERMISSIONS.REVIEW_VISITS), data)
+  },
+  {
+    version: 15,
+    description: 'Keep accepting cards printed with the customer ID on stores that already had members',
+    // New stores only take card tokens; older ones keep the setting's old default until staff turn it off
+    migrate: (data, { fromVersion }) => (fromVersion === 0 || data.settings?.scanner?.acceptCustomerIds !== undefined
+      ? data
+      : {
+          ...data,
+          settings: {
+            ...data.settings,
+            scanner: { ...data.settings?.scanner, acceptCustomerIds: true }
+          }
+        })
+  }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.length > 0
+  ? MIGRATIONS[MIGRATIONS.length - 1].version
+  : 0;
+
+/**
+ * Bring the store up to the current schema version
+ * @param {object} store - Opened data store
+ * @param {object} options - Migration options
+ * @param {Function} options.createBackup - Snapshots the store before migrating and returns its ID (optional)
+ * @returns {object} Migration result
+ */
+export const runMigrations = (store, { createBackup = null } = {}) => {
+  const meta = store.readMeta();
+  const fromVersion = meta.schemaVersion || 0;
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(
+      `Data was created by a newer version of the application (schema v${fromVersion}, supported v${CURRENT_SCHEMA_VERSION})`
+    );
+  }
+
+  if (fromVersion === CURRENT_SCHEMA_VERSION) {
+    return {
+      migrated: false,
+      fromVersion,
+      toVersion: CURRENT_SCHEMA_VERSION
+    };
+  }
+
+  // Keep an untouched copy of the store in case a migration goes wrong
+  const backupId = createBackup ? createBackup() : null;
+
+  const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+  let data = store.load();
+
+  pending.forEach(migration => {
+    console.log(`Applying schema migration v${migration.version}: ${migration.description}`);
+    data = migration.migrate(data, { fromVersion });
+  });
+
+  Object.keys(data).forEach(collection => {
+    store.save(collection, data[collection]);
+  });
+
+  store.writeMeta({
+    ...meta,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    migratedAt: new Date().toISOString(),
+    lastMigration: {
+      fromVersion,
+      toVersion: CURRENT_SCHEMA_VERSION,
+      backupId
+    }
+  });
+
+  return {
+    migrated: true,
+    fromVersion,
+    toVersion: CURRENT_SCHEMA_VERSION,
+    applied: pending.map(migration => migration.version),
+    backupId
+  };
+};
@@ -0,0 +1,60 @@
+// Password Hashing - Salted scrypt hashes for employee credentials
+import crypto from 'node:crypto';
+
+// Stored format: scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+const HASH_PREFIX = 'scrypt';
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+
+/**
+ * Check whether a stored password is already hashed
+ * @param {string} storedPassword - Password as stored on the employee record
+ * @returns {boolean} True if the value is a scrypt hash
+ */
+export const isPasswordHash = (storedPassword) => {
+  return typeof storedPassword === 'string' && storedPassword.startsWith(`${HASH_PREFIX}$`);
+};
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {string} Encoded hash including its parameters and salt
+ */
+export const hashPassword = (password) => {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH, { N, r, p });
+
+  return [HASH_PREFIX, N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against a stored value.
+ * Plaintext values from stores that predate hashing are still accepted
+ * so they can be re-hashed on the employee's next login.
+ * @param {string} password - Plaintext password to check
+ * @param {string} storedPassword - Stored hash (or legacy plaintext)
+ * @returns {boolean} True if the password matches
+ */
+export const verifyPassword = (password, storedPassword) => {
+  if (typeof password !== 'string' || typeof storedPassword !== 'string') {
+    return false;
+  }
+
+  if (!isPasswordHash(storedPassword)) {
+    const expected = Buffer.from(storedPassword);
+    const actual = Buffer.from(password);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  const [, N, r, p, salt, hash] = storedPassword.split('$');
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,390 @@
+// Receipt Service - Render payment receipts to PDF and send them to the printer
+import { BrowserWindow, shell } from 'electron';
+import fs from 'node:fs';
+import path from 'node:path';
+import dataService from '../services/dataService';
+import authService from '../services/authService';
+import { DEFAULT_SETTINGS, ERROR_MESSAGES, EXPORT_TYPES, PERMISSIONS } from '../utils/constants';
+import { formatDate } from '../utils/dateUtils';
+import { formatCurrency, formatPaymentMethod, formatPaymentType } from '../utils/formatters';
+
+// Receipts of payments without a member (walk-in day passes) share one folder
+const WALK_IN_FOLDER = 'walk-in';
+
+/**
+ * Escape text for safe use inside the receipt HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+class ReceiptService {
+  constructor() {
+    this.directory = null;
+  }
+
+  /**
+   * Set the directory that holds the per-member receipt folders
+   * @param {string} directory - Receipts root directory
+   */
+  configure(directory) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  /**
+   * Get receipt settings merged over the defaults
+   * @returns {object} Receipt settings
+   */
+  getSettings() {
+    return {
+      ...DEFAULT_SETTINGS.receipts,
+      ...(dataService.getSettings().receipts || {})
+    };
+  }
+
+  /**
+   * Update the business details printed on receipts
+   * @param {object} values - Settings to change
+   * @returns {Promise<object>} Result with the new settings
+   */
+  async updateSettings(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const settings = { ...this.getSettings(), ...values };
+      const businessName = String(settings.businessName || '').trim();
+      const vatRate = Number(settings.vatRate);
+
+      if (!businessName || businessName.length > 60) {
+        return {
+          success: false,
+          message: 'Business name must be between 1 and 60 characters'
+        };
+      }
+
+      if (!Number.isFinite(vatRate) || vatRate < 0 || vatRate > 100) {
+        return {
+          success: false,
+          message: 'VAT rate must be between 0 and 100 percent'
+        };
+      }
+
+      dataService.updateSettings('receipts', {
+        businessName,
+        address: String(settings.address || '').trim(),
+        phone: String(settings.phone || '').trim(),
+        taxId: String(settings.taxId || '').trim(),
+        vatRate,
+        printAutomatically: Boolean(settings.printAutomatically)
+      });
+
+      return {
+        success: true,
+        message: 'Receipt settings saved',
+        data: this.getSettings()
+      };
+
+    } catch (error) {
+      console.error('Update receipt settings error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Check that the current employee may see a payment's receipt
+   * @param {object} payment - Payment record
+   * @returns {boolean} True if allowed
+   */
+  canAccessReceipt(payment) {
+    const user = authService.getCurrentUser();
+    if (!user || !authService.isUserAuthenticated()) {
+      return false;
+    }
+
+    return payment.employeeId === user.employeeId ||
+      authService.hasPermission(PERMISSIONS.TAKE_PAYMENT) ||
+      authService.hasPermission(PERMISSIONS.VIEW_PAYMENTS);
+  }
+
+  /**
+   * Where a payment's receipt is saved
+   * @param {object} payment - Payment record
+   * @returns {string} Absolute PDF path
+   */
+  getReceiptPath(payment) {
+    return path.join(
+      this.directory,
+      payment.customerId || WALK_IN_FOLDER,
+      `${payment.invoiceNumber}.${EXPORT_TYPES.PDF}`
+    );
+  }
+
+  /**
+   * Split a VAT-inclusive total into net amount and VAT
+   * @param {number} total - Amount paid
+   * @param {number} vatRate - VAT rate in percent
+   * @returns {object} Net and VAT amounts
+   */
+  calculateVat(total, vatRate) {
+    const vat = Math.round((total * vatRate / (100 + vatRate)) * 100) / 100;
+    return {
+      net: Math.round((total - vat) * 100) / 100,
+      vat
+    };
+  }
+
+  /**
+   * Build the receipt page for a payment
+   * @param {object} payment - Payment record
+   * @param {object} settings - Receipt settings
+   * @returns {string} Complete HTML document
+   */
+  buildReceiptHtml(payment, settings) {
+    const customer = payment.customerId ? dataService.getCustomerById(payment.customerId) : null;
+    const plan = payment.planId ? dataService.getPlanById(payment.planId) : null;
+    const { net, vat } = this.calculateVat(payment.total, settings.vatRate);
+    const money = (amount) => escapeHtml(formatCurrency(amount, payment.currency));
+
+    const rows = [
+      ['Member', payment.customerName ? `${payment.customerName} (${payment.customerId})` : 'Walk-in'],
+      customer?.personalInfo?.phone && ['Phone', customer.personalInfo.phone],
+      plan && ['Plan', plan.name],
+      payment.period && ['Period', `${formatDate(payment.period.startDate, 'date')} – ${formatDate(payment.period.endDate, 'date')}`],
+      ['Payment', formatPaymentMethod(payment.method)],
+      ['Served by', payment.employeeName || '—']
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(payment.invoiceNumber)}</title>
+<style>
+  body { font-family: 'Segoe UI', Arial, sans-serif; color: #2d3748; margin: 0; padding: 32px; font-size: 13px; }
+  .brand { border-bottom: 4px solid #667eea; padding-bottom: 12px; margin-bottom: 20px; }
+  .brand h1 { margin: 0; font-size: 24px; color: #667eea; }
+  .brand p { margin: 2px 0 0 0; color: #718096; }
+  .title { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 16px; }
+  .title h2 { margin: 0; font-size: 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  .details td { padding: 4px 0; }
+  .details td:first-child { color: #718096; width: 30%; }
+  .items { margin-top: 20px; }
+  .items th { text-align: left; border-bottom: 2px solid #e2e8f0; padding: 8px 0; color: #718096; font-size: 12px; text-transform: uppercase; }
+  .items td { padding: 8px 0; border-bottom: 1px solid #edf2f7; }
+  .amount { text-align: right; }
+  .totals { margin-top: 12px; width: 50%; margin-left: auto; }
+  .totals td { padding: 4px 0; }
+  .totals .grand td { font-size: 16px; font-weight: 700; border-top: 2px solid #2d3748; padding-top: 8px; }
+  .footer { margin-top: 32px; text-align: center; color: #718096; font-size: 12px; }
+</style>
+</head>
+<body>
+  <div class="brand">
+    <h1>${escapeHtml(settings.businessName)}</h1>
+    ${settings.address ? `<p>${escapeHtml(settings.address)}</p>` : ''}
+    ${settings.phone ? `<p>Tel: ${escapeHtml(settings.phone)}</p>` : ''}
+    ${settings.taxId ? `<p>Tax ID: ${escapeHtml(settings.taxId)}</p>` : ''}
+  </div>
+
+  <div class="title">
+    <h2>Receipt / Invoice ${escapeHtml(payment.invoiceNumber)}</h2>
+    <span>${escapeHtml(formatDate(payment.createdAt, 'datetime'))}</span>
+  </div>
+
+  <table class="details">
+    ${rows.map(([label, value]) => `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`).join('\n    ')}
+  </table>
+
+  <table class="items">
+    <thead>
+      <tr><th>Item</th><th class="amount">Amount</th></tr>
+    </thead>
+    <tbody>
+      <tr>
+        <td>${escapeHtml(payment.description)}<br><small>${escapeHtml(formatPaymentType(payment.type))}</small></td>
+        <td class="amount">${money(payment.amount)}</td>
+      </tr>
+      ${payment.discount > 0 ? `<tr><td>Discount</td><td class="amount">−${money(payment.discount)}</td></tr>` : ''}
+    </tbody>
+  </table>
+
+  <table class="totals">
+    <tr><td>Net</td><td class="amount">${money(net)}</td></tr>
+    <tr><td>VAT (${escapeHtml(settings.vatRate)}%)</td><td class="amount">${money(vat)}</td></tr>
+    <tr class="grand"><td>Total paid</td><td class="amount">${money(payment.total)}</td></tr>
+  </table>
+
+  <p class="footer">Thank you for training with us.</p>
+</body>
+</html>`;
+  }
+
+  /**
+   * Load receipt HTML into a hidden window
+   * @param {string} html - Receipt page
+   * @returns {Promise<BrowserWindow>} Window with the page loaded
+   */
+  async loadReceiptWindow(html) {
+    const window = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        javascript: false,
+        sandbox: true
+      }
+    });
+
+    await window.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+    return window;
+  }
+
+  /**
+   * Send a loaded receipt to the default printer without a dialog
+   * @param {BrowserWindow} window - Window with the receipt loaded
+   * @returns {Promise<void>} Resolves once the job is spooled
+   */
+  printWindow(window) {
+    return new Promise((resolve, reject) => {
+      window.webContents.print({ silent: true, printBackground: true }, (success, failureReason) => {
+        if (success) {
+          resolve();
+        } else {
+          reject(new Error(failureReason || 'Printing failed'));
+        }
+      });
+    });
+  }
+
+  /**
+   * Render a payment's receipt to PDF in the member's folder, printing it when asked
+   * or when automatic printing is switched on
+   * @param {string} paymentId - Payment ID
+   * @param {object} options - Receipt options
+   * @param {boolean} options.print - Also send it to the default printer (defaults to the setting)
+   * @returns {Promise<object>} Result with the file path and whether it was printed
+   */
+  async createReceipt(paymentId, { print } = {}) {
+    const payment = dataService.getPaymentById(paymentId);
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Payment not found'
+      };
+    }
+
+    if (!this.canAccessReceipt(payment)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    let window = null;
+    try {
+      const settings = this.getSettings();
+      const filePath = this.getReceiptPath(payment);
+      const shouldPrint = print ?? settings.printAutomatically;
+
+      window = await this.loadReceiptWindow(this.buildReceiptHtml(payment, settings));
+      const pdf = await window.webContents.printToPDF({
+        pageSize: 'A5',
+        printBackground: true
+      });
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, pdf);
+
+      let printed = false;
+      let printError = null;
+      if (shouldPrint) {
+        try {
+          await this.printWindow(window);
+          printed = true;
+        } catch (error) {
+          console.error('Print receipt error:', error);
+          printError = error.message;
+        }
+      }
+
+      return {
+        success: true,
+        message: printError
+          ? `Receipt saved, but printing failed: ${printError}`
+          : printed ? 'Receipt saved and sent to the printer' : 'Receipt saved',
+        data: {
+          paymentId,
+          invoiceNumber: payment.invoiceNumber,
+          filePath,
+          printed
+        }
+      };
+
+    } catch (error) {
+      console.error('Create receipt error:', error);
+      return {
+        success: false,
+        message: 'Failed to create the receipt'
+      };
+    } finally {
+      if (window && !window.isDestroyed()) {
+        window.destroy();
+      }
+    }
+  }
+
+  /**
+   * Open a payment's receipt in the system PDF viewer, creating it if needed
+   * @param {string} paymentId - Payment ID
+   * @returns {Promise<object>} Result with the file path
+   */
+  async openReceipt(paymentId) {
+    const payment = dataService.getPaymentById(paymentId);
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Payment not found'
+      };
+    }
+
+    if (!fs.existsSync(this.getReceiptPath(payment))) {
+      const created = await this.createReceipt(paymentId, { print: false });
+      if (!created.success) {
+        return created;
+      }
+    } else if (!this.canAccessReceipt(payment)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const filePath = this.getReceiptPath(payment);
+    const error = await shell.openPath(filePath);
+
+    return {
+      success: !error,
+      message: error || 'Receipt opened',
+      data: { filePath }
+    };
+  }
+}
+
+// Create singleton instance
+const receiptService = new ReceiptService();
+
+export default receiptService;
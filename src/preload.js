@@ -1,2 +1,306 @@
 // See the Electron documentation for details on how to use preload scripts:
 // https://www.electronjs.org/docs/latest/tutorial/process-model#preload-scripts
+import { contextBridge, ipcRenderer } from 'electron';
+
+/**
+ * Standard result returned by every service call
+ * @typedef {object} ServiceResult
+ * @property {boolean} success - Whether the call succeeded
+ * @property {string} [message] - User-facing message
+ * @property {*} [data] - Result payload
+ * @property {object} [errors] - Field validation errors
+ */
+
+/**
+ * Subscribe to a main -> renderer notification
+ * @param {string} channel - IPC channel
+ * @param {Function} callback - Called with the notification detail
+ * @returns {Function} Unsubscribe function
+ */
+const subscribe = (channel, callback) => {
+  const listener = (event, detail) => callback(detail);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+const invoke = (channel) => (...args) => ipcRenderer.invoke(channel, ...args);
+
+/**
+ * Data API exposed to the renderer as `window.gymApi`.
+ * All business data and logic live in the main process; every method
+ * returns a Promise resolving to the service's result.
+ */
+const gymApi = {
+  auth: {
+    /** @type {(username: string, password: string) => Promise<ServiceResult>} */
+    login: invoke('auth:login'),
+    /** @type {() => Promise<ServiceResult>} */
+    logout: invoke('auth:logout'),
+    /** @type {() => Promise<object|null>} */
+    getCurrentUser: invoke('auth:getCurrentUser'),
+    /** @type {() => Promise<object|null>} */
+    getSessionInfo: invoke('auth:getSessionInfo'),
+    /** @type {() => Promise<ServiceResult>} */
+    refreshSession: invoke('auth:refreshSession'),
+    /** @type {() => Promise<Array<string>>} */
+    getPermissions: invoke('auth:getPermissions'),
+    /** @type {(currentPassword: string, newPassword: string) => Promise<ServiceResult>} */
+    changePassword: invoke('auth:changePassword'),
+    /** @type {() => Promise<ServiceResult>} */
+    getRolePermissions: invoke('auth:getRolePermissions'),
+    /** @type {(role: string, permissions: Array<string>) => Promise<ServiceResult>} */
+    updateRolePermissions: invoke('auth:updateRolePermissions'),
+    /** @type {(callback: Function) => Function} */
+    onSessionExpired: (callback) => subscribe('auth:sessionExpired', callback)
+  },
+
+  customers: {
+    /** @type {() => Promise<ServiceResult>} */
+    getAll: invoke('customers:getAll'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    getById: invoke('customers:getById'),
+    /** @type {(query: string) => Promise<ServiceResult>} */
+    search: invoke('customers:search'),
+    /** @type {(customerData: object) => Promise<ServiceResult>} */
+    register: invoke('customers:register'),
+    /** @type {(customerId: string, updates: object) => Promise<ServiceResult>} */
+    update: invoke('customers:update'),
+    /** @type {(customerId: string, services?: string[]) => Promise<ServiceResult>} */
+    validateSubscription: invoke('customers:validateSubscription'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    getStatistics: invoke('customers:getStatistics'),
+    /** @type {(customerId: string, planId: string, startFrom: string) => Promise<ServiceResult>} */
+    getRenewalQuote: invoke('customers:getRenewalQuote'),
+    /** @type {(customerId: string, renewal: {planId: string, startFrom: string, paymentMethod: string}) => Promise<ServiceResult>} */
+    renew: invoke('customers:renew'),
+    /** @type {(customerId: string, freezeData: {startDate: string, endDate: string, reason: string, note?: string}) => Promise<ServiceResult>} */
+    freeze: invoke('customers:freeze'),
+    /** @type {(customerId: string, freezeId: string) => Promise<ServiceResult>} */
+    endFreeze: invoke('customers:endFreeze')
+  },
+
+  plans: {
+    /** @type {(options?: {includeArchived?: boolean}) => Promise<ServiceResult>} */
+    list: invoke('plans:list'),
+    /** @type {(planData: object) => Promise<ServiceResult>} */
+    create: invoke('plans:create'),
+    /** @type {(planId: string, planData: object) => Promise<ServiceResult>} */
+    update: invoke('plans:update'),
+    /** @type {(planId: string, archived: boolean) => Promise<ServiceResult>} */
+    setArchived: invoke('plans:setArchived')
+  },
+
+  payments: {
+    /** @type {(filters?: {startDate?: string, endDate?: string, employeeId?: string, type?: string, method?: string, customerId?: string}) => Promise<ServiceResult>} */
+    list: invoke('payments:list'),
+    /** @type {(paymentData: {type: string, method: string, amount: number, discount?: number, customerId?: string, description?: string}) => Promise<ServiceResult>} */
+    create: invoke('payments:create'),
+    /** @type {() => Promise<ServiceResult>} */
+    getAddOnPrices: invoke('payments:getAddOnPrices'),
+    /** @type {(prices: {gym?: number, spa?: number}) => Promise<ServiceResult>} */
+    updateAddOnPrices: invoke('payments:updateAddOnPrices')
+  },
+
+  receipts: {
+    /** @type {(paymentId: string, options?: {print?: boolean}) => Promise<ServiceResult>} */
+    create: invoke('receipts:create'),
+    /** @type {(paymentId: string) => Promise<ServiceResult>} */
+    open: invoke('receipts:open'),
+    /** @type {() => Promise<ServiceResult>} */
+    getSettings: invoke('receipts:getSettings'),
+    /** @type {(values: object) => Promise<ServiceResult>} */
+    updateSettings: invoke('receipts:updateSettings')
+  },
+
+  cards: {
+    /** @type {() => Promise<ServiceResult>} */
+    getDesign: invoke('cards:getDesign'),
+    /** @type {(values: object) => Promise<ServiceResult>} */
+    updateDesign: invoke('cards:updateDesign'),
+    /** @type {(customerIds: string[], design?: object) => Promise<ServiceResult>} */
+    preview: invoke('cards:preview'),
+    /** @type {(customerIds: string[], options?: {print?: boolean, design?: object, cardId?: string}) => Promise<ServiceResult>} */
+    create: invoke('cards:create'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    getPhoto: invoke('cards:getPhoto'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    choosePhoto: invoke('cards:choosePhoto'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    removePhoto: invoke('cards:removePhoto')
+  },
+
+  memberCards: {
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    list: invoke('memberCards:list'),
+    /** @type {(customerId: string) => Promise<ServiceResult>} */
+    issue: invoke('memberCards:issue'),
+    /** @type {(customerId: string, cardId: string, reason?: string) => Promise<ServiceResult>} */
+    reportLost: invoke('memberCards:reportLost'),
+    /** @type {(customerId: string, cardId: string, reason?: string) => Promise<ServiceResult>} */
+    revoke: invoke('memberCards:revoke'),
+    /** @type {(customerId: string, cardId: string, options?: {lost?: boolean, reason?: string}) => Promise<ServiceResult>} */
+    reissue: invoke('memberCards:reissue')
+  },
+
+  closeout: {
+    /** @type {(date?: string) => Promise<ServiceResult>} */
+    getSummary: invoke('closeout:getSummary'),
+    /** @type {(date: string, countData: {denominations: Object<string, number>, note?: string}) => Promise<ServiceResult>} */
+    close: invoke('closeout:close'),
+    /** @type {(date: string, reason: string) => Promise<ServiceResult>} */
+    reopen: invoke('closeout:reopen')
+  },
+
+  access: {
+    /** @type {() => Promise<ServiceResult>} */
+    getSettings: invoke('access:getSettings'),
+    /** @type {(values: {serviceSchedules?: object, holidays?: Array<{date: string, name: string, closed: boolean, windows: Array<{start: string, end: string}>}>}) => Promise<ServiceResult>} */
+    updateSettings: invoke('access:updateSettings')
+  },
+
+  visits: {
+    /** @type {(customerId: string, limit?: number) => Promise<ServiceResult>} */
+    getByCustomer: invoke('visits:getByCustomer'),
+    /** @type {() => Promise<ServiceResult>} */
+    getTodayFlow: invoke('visits:getTodayFlow')
+  },
+
+  autoClose: {
+    /** @type {() => Promise<ServiceResult>} */
+    getSettings: invoke('autoClose:getSettings'),
+    /** @type {(values: {closingTime?: string, estimate?: string, fixedMinutes?: number}) => Promise<ServiceResult>} */
+    updateSettings: invoke('autoClose:updateSettings'),
+    /** @type {(options?: {includeReviewed?: boolean}) => Promise<ServiceResult>} */
+    getReviewList: invoke('autoClose:getReviewList'),
+    /** @type {(visitId: string, exitTime: string) => Promise<ServiceResult>} */
+    correctExit: invoke('autoClose:correctExit'),
+    /** @type {(visitId: string) => Promise<ServiceResult>} */
+    confirm: invoke('autoClose:confirm')
+  },
+
+  visitors: {
+    /** @type {() => Promise<ServiceResult>} */
+    getCurrent: invoke('visitors:getCurrent'),
+    /** @type {() => Promise<ServiceResult>} */
+    getCount: invoke('visitors:getCount'),
+    /** @type {(query: string) => Promise<ServiceResult>} */
+    search: invoke('visitors:search'),
+    /** @type {(minDuration?: number) => Promise<ServiceResult>} */
+    getLongStay: invoke('visitors:getLongStay'),
+    /** @type {(customerId: string, reason?: string) => Promise<ServiceResult>} */
+    forceExit: invoke('visitors:forceExit'),
+    /** @type {() => Promise<ServiceResult>} */
+    getStatistics: invoke('visitors:getStatistics'),
+    /** @type {() => Promise<ServiceResult>} */
+    getEvacuationList: invoke('visitors:getEvacuationList')
+  },
+
+  scanner: {
+    /** @type {(barcode: string, services?: Array<string>, options?: {direction?: string, confirmed?: boolean}) => Promise<ServiceResult>} */
+    processBarcode: invoke('scanner:processBarcode'),
+    /** @type {(barcode: string) => Promise<ServiceResult>} */
+    validateAccess: invoke('scanner:validateAccess'),
+    /** @type {(customerId: string, action: string, services?: Array<string>) => Promise<ServiceResult>} */
+    manualEntryExit: invoke('scanner:manualEntryExit'),
+    /** @type {(customerId: string, services: Array<string>, paymentMethod: string) => Promise<ServiceResult>} */
+    admitWithAddOn: invoke('scanner:admitWithAddOn'),
+    /** @type {(customerId: string, reason: string) => Promise<ServiceResult>} */
+    emergencyOverride: invoke('scanner:emergencyOverride'),
+    /** @type {(limit?: number) => Promise<Array<object>>} */
+    getHistory: invoke('scanner:getHistory'),
+    /** @type {() => Promise<object>} */
+    getStatus: invoke('scanner:getStatus'),
+    /** @type {(date?: string) => Promise<object>} */
+    getStatistics: invoke('scanner:getStatistics'),
+    /** @type {() => Promise<ServiceResult>} */
+    getInputSettings: invoke('scanner:getInputSettings'),
+    /** @type {(values: {wedgeMode?: boolean, maxKeyInterval?: number, acceptCustomerIds?: boolean}) => Promise<ServiceResult>} */
+    updateInputSettings: invoke('scanner:updateInputSettings'),
+    /** @type {() => Promise<ServiceResult>} */
+    getMode: invoke('scanner:getMode'),
+    /** @type {(scanMode: 'auto'|'entry'|'exit') => Promise<ServiceResult>} */
+    updateMode: invoke('scanner:updateMode'),
+    /** @type {() => Promise<ServiceResult>} */
+    getPolicy: invoke('scanner:getPolicy'),
+    /** @type {(values: {duplicateWindowSeconds?: number, minVisitMinutes?: number, quickToggleMinutes?: number, blockPassback?: boolean}) => Promise<ServiceResult>} */
+    updatePolicy: invoke('scanner:updatePolicy')
+  },
+
+  employees: {
+    /** @type {() => Promise<ServiceResult>} */
+    getAll: invoke('employees:getAll'),
+    /** @type {(employeeId: string) => Promise<ServiceResult>} */
+    getById: invoke('employees:getById'),
+    /** @type {(employeeData: object) => Promise<ServiceResult>} */
+    create: invoke('employees:create'),
+    /** @type {(employeeId: string, updates: object) => Promise<ServiceResult>} */
+    update: invoke('employees:update'),
+    /** @type {(employeeId: string, isActive: boolean) => Promise<ServiceResult>} */
+    setActive: invoke('employees:setActive'),
+    /** @type {(employeeId: string, temporaryPassword: string) => Promise<ServiceResult>} */
+    resetPassword: invoke('employees:resetPassword')
+  },
+
+  statistics: {
+    /** @type {(date?: string) => Promise<ServiceResult>} */
+    getDaily: invoke('statistics:getDaily'),
+    /** @type {(startDate?: string) => Promise<ServiceResult>} */
+    getWeekly: invoke('statistics:getWeekly'),
+    /** @type {(date?: string) => Promise<ServiceResult>} */
+    getMonthly: invoke('statistics:getMonthly'),
+    /** @type {() => Promise<ServiceResult>} */
+    getDashboard: invoke('statistics:getDashboard')
+  },
+
+  audit: {
+    /** @type {(filters?: {startDate?: string, endDate?: string, actor?: string, action?: string, search?: string, limit?: number}) => Promise<ServiceResult>} */
+    getLog: invoke('audit:getLog')
+  },
+
+  shifts: {
+    /** @type {() => Promise<ServiceResult>} */
+    getCurrent: invoke('shifts:getCurrent'),
+    /** @type {(filters?: {employeeId?: string, startDate?: string, endDate?: string}) => Promise<ServiceResult>} */
+    list: invoke('shifts:list'),
+    /** @type {() => Promise<ServiceResult>} */
+    getPendingHandover: invoke('shifts:getPendingHandover'),
+    /** @type {(shiftId: string, note?: string) => Promise<ServiceResult>} */
+    acknowledgeHandover: invoke('shifts:acknowledgeHandover'),
+    /** @type {() => Promise<ServiceResult>} */
+    getTerminal: invoke('shifts:getTerminal'),
+    /** @type {(terminalId: string) => Promise<ServiceResult>} */
+    updateTerminal: invoke('shifts:updateTerminal')
+  },
+
+  backups: {
+    /** @type {() => Promise<ServiceResult>} */
+    list: invoke('backups:list'),
+    /** @type {() => Promise<ServiceResult>} */
+    create: invoke('backups:create'),
+    /** @type {(backupId: string) => Promise<ServiceResult>} */
+    previewRestore: invoke('backups:previewRestore'),
+    /** @type {(backupId: string) => Promise<ServiceResult>} */
+    restore: invoke('backups:restore'),
+    /** @type {() => Promise<ServiceResult>} */
+    getSettings: invoke('backups:getSettings'),
+    /** @type {(values: object) => Promise<ServiceResult>} */
+    updateSettings: invoke('backups:updateSettings')
+  },
+
+  export: {
+    /** @type {(customerIds?: Array<string>) => Promise<ServiceResult>} */
+    customers: invoke('export:customers'),
+    /** @type {(startDate?: string, endDate?: string) => Promise<ServiceResult>} */
+    visits: invoke('export:visits'),
+    /** @type {(period?: string, date?: string) => Promise<ServiceResult>} */
+    statistics: invoke('export:statistics'),
+    /** @type {() => Promise<ServiceResult>} */
+    currentVisitors: invoke('export:currentVisitors'),
+    /** @type {(startDate?: string, endDate?: string) => Promise<ServiceResult>} */
+    scanHistory: invoke('export:scanHistory'),
+    /** @type {(options: {defaultPath: string, content: string, filters?: Array<object>}) => Promise<ServiceResult>} */
+    saveFile: invoke('export:saveFile')
+  }
+};
+
+contextBridge.exposeInMainWorld('gymApi', gymApi);
@@ -4,13 +4,24 @@ import { createRoot } from 'react-dom/client';
 import AuthProvider from './components/auth/AuthProvider';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import Layout from './components/common/Layout';
+import { PERMISSIONS } from './utils/constants';
 
 // Import page components (we'll create these next)
 import Dashboard from './components/dashboard/Dashboard';
 import BarcodeScanner from './components/scanner/BarcodeScanner';
+import KeyboardWedgeListener from './components/scanner/KeyboardWedgeListener';
 import CurrentVisitorsList from './components/visitors/CurrentVisitorsList';
+import VisitReview from './components/visitors/VisitReview';
 import DailyDashboard from './components/statistics/DailyDashboard';
 import CustomerRegistration from './components/customer/CustomerRegistration';
+import SettingsPage from './components/settings/SettingsPage';
+import EmployeeManagement from './components/employees/EmployeeManagement';
+import AuditLogViewer from './components/audit/AuditLogViewer';
+import ShiftReports from './components/shifts/ShiftReports';
+import PlanCatalog from './components/plans/PlanCatalog';
+import PaymentLedger from './components/payments/PaymentLedger';
+import CashCloseout from './components/payments/CashCloseout';
+import MemberCards from './components/cards/MemberCards';
 
 const App = () => {
   const [currentPage, setCurrentPage] = useState('scanner'); // Default to scanner page
@@ -28,6 +39,12 @@ const App = () => {
     return () => window.removeEventListener('navigate', handleNavigation);
   }, []);
 
+  // Hardware scans go to the scanner page, whichever page is open
+  const handleWedgeScan = (barcode) => {
+    setCurrentPage('scanner');
+    setPageProps({ pendingScan: { barcode, scannedAt: Date.now() } });
+  };
+
   // Render current page component
   const renderCurrentPage = () => {
     switch (currentPage) {
@@ -37,10 +54,60 @@ const App = () => {
         return <BarcodeScanner {...pageProps} />;
       case 'current-visitors':
         return <CurrentVisitorsList {...pageProps} />;
+      case 'visit-review':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.REVIEW_VISITS}>
+            <VisitReview {...pageProps} />
+          </ProtectedRoute>
+        );
       case 'statistics':
         return <DailyDashboard {...pageProps} />;
       case 'customers':
         return <CustomerRegistration {...pageProps} />;
+      case 'employees':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.MANAGE_EMPLOYEES}>
+            <EmployeeManagement {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'plans':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.MANAGE_PLANS}>
+            <PlanCatalog {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'payments':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.TAKE_PAYMENT}>
+            <PaymentLedger {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'closeout':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.CLOSE_CASH_DRAWER}>
+            <CashCloseout {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'cards':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.PRINT_MEMBER_CARDS}>
+            <MemberCards {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'shifts':
+        return <ShiftReports {...pageProps} />;
+      case 'audit':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.VIEW_AUDIT_LOG}>
+            <AuditLogViewer {...pageProps} />
+          </ProtectedRoute>
+        );
+      case 'settings':
+        return (
+          <ProtectedRoute requiredPermission={PERMISSIONS.MANAGE_SETTINGS}>
+            <SettingsPage {...pageProps} />
+          </ProtectedRoute>
+        );
       default:
         return <BarcodeScanner {...pageProps} />;
     }
@@ -50,6 +117,7 @@ const App = () => {
     <AuthProvider>
       <ProtectedRoute>
         <Layout currentPage={currentPage}>
+          <KeyboardWedgeListener onScan={handleWedgeScan} />
           {renderCurrentPage()}
         </Layout>
       </ProtectedRoute>
@@ -0,0 +1,104 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import dataService from '../dataService';
+import barcodeService from '../barcodeService';
+import { closeTestStore, giveMembership, loginAsAdmin, openTestStore } from './testStore';
+
+// Give the member a 12-visit pack with some visits left
+const withVisitsLeft = (customerId, remaining) => {
+  const { membership } = giveMembership(customerId, 'plan004');
+  return dataService.updateCustomer(customerId, {
+    membership: { ...membership, quota: { ...membership.quota, visits: { total: 12, remaining } } }
+  });
+};
+
+const visitsLeft = (customerId) => dataService.getCustomerById(customerId).membership.quota.visits.remaining;
+
+describe('visit balances', () => {
+  let directory;
+  let customer;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+    [customer] = dataService.getAllCustomers();
+    await loginAsAdmin();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('are used up by a scanned entry', async () => {
+    withVisitsLeft(customer.customerId, 5);
+
+    const result = await barcodeService.processBarcodeEntry(customer.cards[0].token);
+
+    expect(result).toMatchObject({ success: true, type: 'entry' });
+    expect(visitsLeft(customer.customerId)).toBe(4);
+  });
+
+  it('are not charged for an emergency override', async () => {
+    withVisitsLeft(customer.customerId, 0);
+
+    const result = await barcodeService.emergencyOverride(customer.customerId, 'Out of visits, renewing tomorrow');
+
+    expect(result).toMatchObject({ success: true, type: 'entry', isEmergencyOverride: true });
+    expect(visitsLeft(customer.customerId)).toBe(0);
+  });
+
+  it('are not charged for a manual entry', async () => {
+    withVisitsLeft(customer.customerId, 5);
+
+    const result = await barcodeService.manualEntryExit(customer.customerId, 'entry', ['gym']);
+
+    expect(result).toMatchObject({ success: true, type: 'entry' });
+    expect(visitsLeft(customer.customerId)).toBe(5);
+  });
+});
+
+describe('scan policy', () => {
+  let directory;
+  let customer;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+    [customer] = dataService.getAllCustomers();
+    giveMembership(customer.customerId, 'plan002');
+    barcodeService.clearScanHistory();
+    await loginAsAdmin();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('ignores a second scan seconds after a recorded entry', async () => {
+    const token = customer.cards[0].token;
+
+    expect((await barcodeService.processBarcodeEntry(token)).type).toBe('entry');
+    expect((await barcodeService.processBarcodeEntry(token)).type).toBe('duplicate_scan');
+  });
+
+  it('still catches the duplicate after a restart wiped the scan history', async () => {
+    await barcodeService.processBarcodeEntry(customer.cards[0].token);
+    barcodeService.clearScanHistory();
+
+    expect((await barcodeService.processBarcodeEntry(customer.cards[0].token)).type).toBe('duplicate_scan');
+  });
+
+  it('still catches the duplicate on a busy desk', async () => {
+    await barcodeService.processBarcodeEntry(customer.cards[0].token);
+    Array.from({ length: 150 }, (_, i) => barcodeService.addToScanHistory({ customerId: `other${i}`, action: 'entry', timestamp: new Date().toISOString() }));
+
+    expect((await barcodeService.processBarcodeEntry(customer.cards[0].token)).type).toBe('duplicate_scan');
+  });
+
+  it('blocks passback from the stored visit status after a restart', async () => {
+    const entryTime = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    dataService.addVisit({ customerId: customer.customerId, entryTime });
+    dataService.updateCustomerVisitStatus(customer.customerId, true, entryTime);
+
+    const result = await barcodeService.processBarcodeEntry(customer.cards[0].token, ['gym'], { direction: 'entry' });
+
+    expect(result.type).toBe('passback');
+  });
+});
@@ -0,0 +1,163 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import dataService from '../dataService';
+import customerService from '../customerService';
+import { AUDIT_ACTIONS, ERROR_MESSAGES, FREEZE_REASONS } from '../../utils/constants';
+import { calculateEndDate } from '../../utils/dateUtils';
+import { closeTestStore, loginAsAdmin, loginAsReceptionist, openTestStore } from './testStore';
+
+describe('customerService.updateCustomer', () => {
+  let directory;
+  let customer;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+    [customer] = dataService.getAllCustomers();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('refuses edits when nobody is logged in', async () => {
+    const result = await customerService.updateCustomer(customer.customerId, {
+      personalInfo: { ...customer.personalInfo, phone: '+20-100-000-0000' }
+    });
+
+    expect(result).toMatchObject({ success: false, message: ERROR_MESSAGES.PERMISSION_DENIED });
+  });
+
+  it('lets the front desk edit the profile and keeps the fields it does not send', async () => {
+    dataService.updateCustomer(customer.customerId, { personalInfo: { ...customer.personalInfo, photo: 'member.jpg' } });
+    await loginAsReceptionist();
+
+    const result = await customerService.updateCustomer(customer.customerId, {
+      personalInfo: { phone: '+20-100-000-0000', email: 'new.address@email.com' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(dataService.getCustomerById(customer.customerId).personalInfo).toEqual({
+      ...customer.personalInfo,
+      phone: '+20-100-000-0000',
+      email: 'new.address@email.com',
+      photo: 'member.jpg'
+    });
+  });
+
+  it.each([
+    ['customerId', { customerId: '00000001' }],
+    ['currentVisit', { currentVisit: { isInside: true, entryTime: '2026-01-01T08:00:00.000Z', exitTime: null } }],
+    ['freezes', { freezes: [{ freezeId: 'frz1', startDate: '2026-01-01', endDate: '2099-12-31', days: 99, status: 'active' }] }],
+    ['membershipHistory', { membershipHistory: [] }],
+    ['cards', { cards: [{ cardId: 'card009', token: '4716038251937261', status: 'active' }] }],
+    ['personalInfo.photo', { personalInfo: { photo: '../../../etc/passwd' } }]
+  ])('refuses a front desk payload that changes %s', async (field, updates) => {
+    await loginAsReceptionist();
+
+    const result = await customerService.updateCustomer(customer.customerId, {
+      personalInfo: { ...customer.personalInfo, firstName: 'Renamed', ...updates.personalInfo },
+      ...updates
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveProperty([field]);
+    expect(dataService.getCustomerById(customer.customerId)).toEqual(customer);
+    expect(dataService.getCustomerById('00000001')).toBeUndefined();
+  });
+
+  it('refuses locked fields for administrators too', async () => {
+    await loginAsAdmin();
+
+    const result = await customerService.updateCustomer(customer.customerId, {
+      currentVisit: { isInside: true, entryTime: '2026-01-01T08:00:00.000Z', exitTime: null }
+    });
+
+    expect(result.success).toBe(false);
+    expect(dataService.getCustomerById(customer.customerId).currentVisit.isInside).toBe(false);
+  });
+
+  it('accepts locked fields sent back unchanged', async () => {
+    await loginAsReceptionist();
+
+    const result = await customerService.updateCustomer(customer.customerId, {
+      ...customer,
+      personalInfo: { ...customer.personalInfo, lastName: 'Updated' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(dataService.getCustomerById(customer.customerId).personalInfo.lastName).toBe('Updated');
+  });
+
+  it('needs the edit membership permission to change the membership', async () => {
+    await loginAsReceptionist();
+    const membership = { ...customer.membership, endDate: '2099-12-31' };
+
+    expect(await customerService.updateCustomer(customer.customerId, { membership }))
+      .toMatchObject({ success: false, message: ERROR_MESSAGES.PERMISSION_DENIED });
+
+    await loginAsAdmin();
+    expect((await customerService.updateCustomer(customer.customerId, { membership })).success).toBe(true);
+    expect(dataService.getCustomerById(customer.customerId).membership.endDate).toBe('2099-12-31');
+  });
+});
+
+describe('membership freezes', () => {
+  let directory;
+  let customerId;
+
+  // Date a number of days from today (YYYY-MM-DD)
+  const day = (offset) => new Date(Date.now() + offset * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+    const [customer] = dataService.getAllCustomers();
+    customerId = customer.customerId;
+
+    // Monthly Membership allows 14 freeze days per term
+    dataService.updateCustomer(customerId, {
+      membership: { ...customer.membership, planId: 'plan002', startDate: day(-10), endDate: day(20), status: 'active' }
+    });
+    await loginAsAdmin();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('cannot be written straight onto the customer record', async () => {
+    const result = await customerService.updateCustomer(customerId, {
+      freezes: [{ freezeId: 'freeze001', startDate: day(0), endDate: day(90), days: 91, status: 'active', reason: FREEZE_REASONS.OTHER }]
+    });
+
+    expect(result.success).toBe(false);
+    expect(customerService.getActiveFreeze(dataService.getCustomerById(customerId))).toBeNull();
+    expect(dataService.getCustomerById(customerId).membership.endDate).toBe(day(20));
+  });
+
+  it('extends the end date by the frozen days and records the change', async () => {
+    const result = await customerService.freezeMembership(customerId, { startDate: day(2), endDate: day(6), reason: FREEZE_REASONS.TRAVEL });
+
+    expect(result.success).toBe(true);
+    expect(dataService.getCustomerById(customerId).membership.endDate).toBe(calculateEndDate(day(20), 5, 'day'));
+    expect(dataService.getAuditLog().at(-1)).toMatchObject({
+      action: AUDIT_ACTIONS.MEMBERSHIP_CHANGE,
+      target: { customerId },
+      details: { action: 'freeze', freeze: { days: 5 } }
+    });
+  });
+
+  it("is limited to the plan's freeze allowance", async () => {
+    const result = await customerService.freezeMembership(customerId, { startDate: day(1), endDate: day(15), reason: FREEZE_REASONS.MEDICAL });
+
+    expect(result).toMatchObject({ success: false, message: 'Only 14 freeze days are left on this membership' });
+    expect(dataService.getCustomerById(customerId).freezes || []).toEqual([]);
+  });
+
+  it('gives the days back when a freeze is cancelled before it starts', async () => {
+    const { data } = await customerService.freezeMembership(customerId, { startDate: day(2), endDate: day(6), reason: FREEZE_REASONS.TRAVEL });
+    const result = await customerService.endFreeze(customerId, data.freezes[0].freezeId);
+
+    expect(result).toMatchObject({ success: true, message: 'Freeze cancelled' });
+    expect(dataService.getCustomerById(customerId).membership.endDate).toBe(day(20));
+    expect(customerService.getFreezeAllowance(dataService.getCustomerById(customerId)).remainingDays).toBe(14);
+  });
+});
@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import dataStore from '../../main/dataStore';
+import dataService from '../dataService';
+import { closeTestStore, openTestStore } from './testStore';
+
+describe('dataService writes', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await closeTestStore(directory);
+  });
+
+  const failWrites = () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(dataStore, 'save').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+  };
+
+  it('writes a change to the store before reporting it', () => {
+    const [customer] = dataService.getAllCustomers();
+    dataService.updateCustomer(customer.customerId, { notes: 'Prefers mornings' });
+
+    expect(dataStore.read('customers').find(c => c.customerId === customer.customerId).notes).toBe('Prefers mornings');
+  });
+
+  it('leaves memory untouched when a record update cannot be written', () => {
+    const [customer] = dataService.getAllCustomers();
+    failWrites();
+
+    expect(() => dataService.updateCustomer(customer.customerId, { notes: 'Lost' })).toThrow('disk full');
+    expect(() => dataService.updateCustomerVisitStatus(customer.customerId, true, new Date().toISOString())).toThrow('disk full');
+    expect(dataService.getCustomerById(customer.customerId)).toEqual(customer);
+  });
+
+  it('does not keep a new record or use up its ID when the write fails', () => {
+    const visits = dataService.getAllVisits();
+    const { nextVisitId } = dataService;
+    failWrites();
+
+    expect(() => dataService.addVisit({ customerId: '12345678' })).toThrow('disk full');
+    expect(dataService.getAllVisits()).toEqual(visits);
+    expect(dataService.nextVisitId).toBe(nextVisitId);
+  });
+
+  it('keeps a visit open in memory when closing it cannot be written', () => {
+    const visit = dataService.addVisit({ customerId: '12345678' });
+    failWrites();
+
+    expect(() => dataService.endVisit(visit.visitId)).toThrow('disk full');
+    expect(dataService.getVisitById(visit.visitId).exitTime).toBeNull();
+    expect(dataService.getCurrentVisits().map(v => v.visitId)).toContain(visit.visitId);
+  });
+
+  it('keeps the previous settings when saving them fails', () => {
+    const settings = dataService.getSettings();
+    failWrites();
+
+    expect(() => dataService.updateSettings('scanner', { duplicateWindowMinutes: 99 })).toThrow('disk full');
+    expect(dataService.getSettings()).toEqual(settings);
+  });
+});
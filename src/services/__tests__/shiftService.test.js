@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import dataService from '../dataService';
+import shiftService from '../shiftService';
+import authService from '../authService';
+import { SHIFT_STATUS } from '../../utils/constants';
+import { closeTestStore, loginAsAdmin, loginAsReceptionist, openTestStore } from './testStore';
+
+describe('shiftService.updateTerminal', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('moves the shift open on the terminal to its new name', async () => {
+    await loginAsAdmin();
+    const open = shiftService.getOpenShift();
+
+    const result = await shiftService.updateTerminal('Front Desk 2');
+
+    expect(result).toMatchObject({ success: true, data: { terminalId: 'Front Desk 2' } });
+    expect(shiftService.getOpenShift()).toMatchObject({ shiftId: open.shiftId, terminalId: 'Front Desk 2' });
+  });
+
+  it('still ends and hands over a shift that was open during the rename', async () => {
+    const { employeeId } = await loginAsAdmin();
+    const { shiftId } = shiftService.getOpenShift();
+    await shiftService.updateTerminal('Front Desk 2');
+    await authService.logout();
+
+    expect(dataService.getShiftById(shiftId)).toMatchObject({ status: SHIFT_STATUS.CLOSED, terminalId: 'Front Desk 2' });
+    expect(dataService.getAllShifts().filter(shift => shift.status === SHIFT_STATUS.OPEN)).toEqual([]);
+
+    const result = await authService.login('sarah.jones', 'password123');
+    expect(result.user.pendingHandoverShiftId).toBe(shiftId);
+    expect(dataService.getShiftById(shiftId).employeeId).toBe(employeeId);
+  });
+
+  it('leaves closed shifts under the name they were worked under', async () => {
+    await loginAsReceptionist();
+    const { shiftId, terminalId } = shiftService.getOpenShift();
+    await loginAsAdmin();
+
+    await shiftService.updateTerminal('Front Desk 2');
+
+    expect(dataService.getShiftById(shiftId)).toMatchObject({ status: SHIFT_STATUS.ACKNOWLEDGED, terminalId });
+  });
+
+  it('needs the manage settings permission', async () => {
+    await loginAsReceptionist();
+    const { terminalId } = shiftService.getOpenShift();
+
+    expect((await shiftService.updateTerminal('Front Desk 2')).success).toBe(false);
+    expect(shiftService.getTerminalId()).toBe(terminalId);
+  });
+});
@@ -0,0 +1,86 @@
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { vi } from 'vitest';
+import dataStore from '../../main/dataStore';
+import { runMigrations } from '../../main/migrations';
+import dataService from '../dataService';
+import authService from '../authService';
+import shiftService from '../shiftService';
+import planService from '../planService';
+
+// Service tests run against a real store seeded with the bundled data in a
+// throwaway directory, the same way the main process opens it on startup.
+
+/**
+ * Open a freshly seeded, migrated store and load it into the data service
+ * @returns {Promise<string>} Temp directory holding the store
+ */
+export const openTestStore = async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gym-test-'));
+
+  // Keep the migration progress lines out of the test output
+  const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+  dataStore.open(path.join(directory, 'data'));
+  runMigrations(dataStore);
+  log.mockRestore();
+  await dataService.initialize(dataStore);
+
+  return directory;
+};
+
+/**
+ * Log out and delete a store opened with openTestStore
+ * @param {string} directory - Temp directory holding the store
+ */
+export const closeTestStore = async (directory) => {
+  await authService.logout();
+  fs.rmSync(directory, { recursive: true, force: true });
+};
+
+/**
+ * Log in as a seeded employee, acknowledging any pending shift handover
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<object>} Logged in user
+ */
+export const loginAs = async (username, password) => {
+  await authService.logout();
+
+  const result = await authService.login(username, password);
+  if (!result.success) {
+    throw new Error(`Could not log in as ${username}: ${result.message}`);
+  }
+
+  if (result.user.pendingHandoverShiftId) {
+    await shiftService.acknowledgeHandover(result.user.pendingHandoverShiftId);
+  }
+
+  return result.user;
+};
+
+export const loginAsAdmin = () => loginAs('admin', 'admin123');
+
+export const loginAsReceptionist = () => loginAs('sarah.jones', 'password123');
+
+/**
+ * A seeded member with an active membership who is not inside
+ * @returns {object} Customer record
+ */
+export const findActiveMember = () => dataService.getAllCustomers().find(customer =>
+  customer.membership?.status === 'active' && !customer.currentVisit?.isInside
+);
+
+/**
+ * Sell a seeded member a plan starting today, skipping the payment
+ * @param {string} customerId - Customer ID
+ * @param {string} planId - Plan ID
+ * @returns {object} Updated customer record
+ */
+export const giveMembership = (customerId, planId) => dataService.updateCustomer(customerId, {
+  membership: {
+    ...planService.buildMembership(dataService.getPlanById(planId), new Date().toISOString().split('T')[0]),
+    membershipId: `MEM-${customerId}`,
+    status: 'active'
+  }
+});
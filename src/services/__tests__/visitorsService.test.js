@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import dataService from '../dataService';
+import visitorsService from '../visitorsService';
+import statisticsService from '../statisticsService';
+import { closeTestStore, loginAsAdmin, openTestStore } from './testStore';
+
+describe('visitor endpoints', () => {
+  let directory;
+  let member;
+
+  beforeEach(async () => {
+    directory = await openTestStore();
+    [member] = dataService.getAllCustomers();
+
+    const entryTime = new Date(Date.now() - 4 * 60 * 60 * 1000).toISOString();
+    dataService.addVisit({ customerId: member.customerId, entryTime, services: ['gym'] });
+    dataService.updateCustomerVisitStatus(member.customerId, true, entryTime);
+    await loginAsAdmin();
+  });
+
+  afterEach(async () => {
+    await closeTestStore(directory);
+  });
+
+  it('list the member inside with their cards but without card tokens', async () => {
+    const result = await visitorsService.getCurrentVisitors();
+    const [visitor] = result.data;
+    const [card] = member.cards;
+
+    expect(visitor).toMatchObject({ customerId: member.customerId, services: ['gym'] });
+    expect(visitor.cards).toEqual([expect.objectContaining({ cardId: card.cardId, lastDigits: card.token.slice(-4) })]);
+    expect(visitor.cards[0]).not.toHaveProperty('token');
+  });
+
+  it('never send a card token to the renderer', async () => {
+    const name = member.personalInfo.firstName;
+    const responses = await Promise.all([
+      visitorsService.getCurrentVisitors(),
+      visitorsService.getVisitorById(member.customerId),
+      visitorsService.searchCurrentVisitors(name),
+      visitorsService.getVisitorsByService('gym'),
+      visitorsService.getLongStayVisitors(60),
+      visitorsService.getVisitorStatistics(),
+      visitorsService.getEmergencyEvacuationList(),
+      visitorsService.getRealTimeVisitorData(),
+      visitorsService.exportCurrentVisitors(),
+      statisticsService.getDashboardStatistics()
+    ]);
+    const forceExit = await visitorsService.forceExitVisitor(member.customerId, 'Closing up');
+
+    [...responses, forceExit].forEach(response => {
+      expect(response.success).toBe(true);
+      expect(JSON.stringify(response)).not.toContain(member.cards[0].token);
+    });
+    expect(JSON.stringify(responses[0])).toContain(member.customerId);
+  });
+});
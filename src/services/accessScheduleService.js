@@ -0,0 +1,347 @@
+import dataService from './dataService';
+import authService from './authService';
+import { validateAccessSettings } from '../utils/validators';
+import {
+  ACCESS_DENIAL_REASONS,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+  SERVICE_TYPES,
+  WEEKDAYS
+} from '../utils/constants';
+import { formatDate } from '../utils/dateUtils';
+import { formatSchedule, formatServices, formatTimeWindows } from '../utils/formatters';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far ahead to look for the next time a refused member may come in
+const LOOKAHEAD_DAYS = 14;
+
+/**
+ * Convert an 'HH:MM' time to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Local time of day of a moment, as HH:MM
+ * @param {Date} date - Moment
+ * @returns {string} Time of day
+ */
+const toTimeOfDay = (date) => {
+  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+};
+
+/**
+ * Local calendar date of a moment, as YYYY-MM-DD
+ * @param {Date} date - Moment
+ * @returns {string} Date key
+ */
+const toDateKey = (date) => {
+  return [
+    date.getFullYear(),
+    (date.getMonth() + 1).toString().padStart(2, '0'),
+    date.getDate().toString().padStart(2, '0')
+  ].join('-');
+};
+
+/**
+ * Overlap of two sorted lists of [start, end) minute ranges
+ * @param {Array<Array<number>>} a - Ranges
+ * @param {Array<Array<number>>} b - Ranges
+ * @returns {Array<Array<number>>} Ranges covered by both
+ */
+const intersectIntervals = (a, b) => {
+  const result = [];
+  a.forEach(([startA, endA]) => {
+    b.forEach(([startB, endB]) => {
+      const start = Math.max(startA, startB);
+      const end = Math.min(endA, endB);
+      if (start < end) {
+        result.push([start, end]);
+      }
+    });
+  });
+  return result.sort((x, y) => x[0] - y[0]);
+};
+
+// Weekly opening hours for plans and service areas, with per-date holiday hours
+class AccessScheduleService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Get service area hours and holidays merged over the defaults
+   * @returns {object} Access settings: { serviceSchedules, holidays }
+   */
+  getSettings() {
+    const stored = dataService.getSettings().access || {};
+
+    return {
+      serviceSchedules: {
+        ...DEFAULT_SETTINGS.access.serviceSchedules,
+        ...(stored.serviceSchedules || {})
+      },
+      holidays: stored.holidays || DEFAULT_SETTINGS.access.holidays
+    };
+  }
+
+  /**
+   * Update service area hours and holidays
+   * @param {object} values - Settings to change: { serviceSchedules, holidays }
+   * @returns {Promise<object>} Result with the new settings
+   */
+  async updateSettings(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const current = this.getSettings();
+      const settings = {
+        serviceSchedules: { ...current.serviceSchedules, ...(values.serviceSchedules || {}) },
+        holidays: values.holidays || current.holidays
+      };
+
+      const validation = validateAccessSettings(settings);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      const normalizeWindows = (windows) => (windows || [])
+        .map(({ start, end }) => ({ start, end }))
+        .sort((a, b) => a.start.localeCompare(b.start));
+
+      dataService.updateSettings('access', {
+        serviceSchedules: Object.fromEntries(
+          Object.entries(settings.serviceSchedules).map(([service, schedule]) => [
+            service,
+            schedule
+              ? { days: [...new Set(schedule.days)].sort((a, b) => a - b), windows: normalizeWindows(schedule.windows) }
+              : null
+          ])
+        ),
+        holidays: settings.holidays
+          .map(holiday => ({
+            date: holiday.date,
+            name: holiday.name.trim(),
+            closed: !!holiday.closed,
+            windows: holiday.closed ? [] : normalizeWindows(holiday.windows)
+          }))
+          .sort((a, b) => a.date.localeCompare(b.date))
+      });
+
+      return {
+        success: true,
+        message: 'Access hours saved',
+        data: this.getSettings()
+      };
+
+    } catch (error) {
+      console.error('Update access settings error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Find the holiday falling on a day
+   * @param {Date} date - Any moment of the day
+   * @returns {object|null} Holiday, or null on a normal day
+   */
+  getHoliday(date) {
+    const key = toDateKey(date);
+    return this.getSettings().holidays.find(holiday => holiday.date === key) || null;
+  }
+
+  /**
+   * Schedules that apply to a member entering for some services.
+   * The plan's schedule always applies; each requested service area adds its own hours.
+   * @param {object} customer - Customer record
+   * @param {Array<string>} services - Services the member is entering for
+   * @returns {Array<object>} Rules: { label, reason, schedule, isServiceArea }
+   */
+  getApplicableRules(customer, services = []) {
+    const rules = [];
+
+    const plan = dataService.getPlanById(customer.membership?.planId);
+    if (plan?.schedule) {
+      rules.push({
+        label: plan.name,
+        reason: ACCESS_DENIAL_REASONS.OUTSIDE_PLAN_HOURS,
+        schedule: plan.schedule,
+        isServiceArea: false
+      });
+    }
+
+    const requested = services.includes(SERVICE_TYPES.BOTH)
+      ? [SERVICE_TYPES.GYM, SERVICE_TYPES.SPA]
+      : services;
+    const { serviceSchedules } = this.getSettings();
+    [...new Set(requested)].forEach(service => {
+      if (serviceSchedules[service]) {
+        rules.push({
+          label: formatServices([service]),
+          reason: ACCESS_DENIAL_REASONS.OUTSIDE_SERVICE_HOURS,
+          schedule: serviceSchedules[service],
+          isServiceArea: true
+        });
+      }
+    });
+
+    return rules;
+  }
+
+  /**
+   * Minutes of a day a schedule allows entry
+   * @param {object} schedule - Schedule: { days, windows }
+   * @param {Date} date - Any moment of the day
+   * @returns {Array<Array<number>>} Sorted [start, end) minute ranges
+   */
+  getOpenIntervals(schedule, date) {
+    if (!schedule.days.includes(date.getDay())) {
+      return [];
+    }
+
+    if (!schedule.windows || schedule.windows.length === 0) {
+      return [[0, MINUTES_PER_DAY]];
+    }
+
+    return schedule.windows
+      .map(({ start, end }) => [toMinutes(start), toMinutes(end)])
+      .sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Minutes of a day every rule allows entry.
+   * On a holiday its hours replace the service area hours; plan schedules still apply.
+   * @param {Array<object>} rules - Rules from getApplicableRules()
+   * @param {Date} date - Any moment of the day
+   * @returns {Array<Array<number>>} Sorted [start, end) minute ranges
+   */
+  getAllowedIntervals(rules, date) {
+    const holiday = this.getHoliday(date);
+    let intervals = [[0, MINUTES_PER_DAY]];
+
+    if (holiday) {
+      if (holiday.closed) {
+        return [];
+      }
+      intervals = this.getOpenIntervals({ days: [date.getDay()], windows: holiday.windows }, date);
+    }
+
+    rules
+      .filter(rule => !(holiday && rule.isServiceArea))
+      .forEach(rule => {
+        intervals = intersectIntervals(intervals, this.getOpenIntervals(rule.schedule, date));
+      });
+
+    return intervals;
+  }
+
+  /**
+   * Find the next moment every rule allows entry
+   * @param {Array<object>} rules - Rules from getApplicableRules()
+   * @param {Date} from - Moment to search from
+   * @returns {Date|null} Next allowed moment, or null if there is none in the next two weeks
+   */
+  findNextAllowedTime(rules, from) {
+    for (let offset = 0; offset <= LOOKAHEAD_DAYS; offset++) {
+      const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+      const earliest = offset === 0 ? from.getHours() * 60 + from.getMinutes() : 0;
+      const interval = this.getAllowedIntervals(rules, day).find(([, end]) => end > earliest);
+
+      if (interval) {
+        const minute = Math.max(interval[0], earliest);
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(minute / 60), minute % 60);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe when a refused member may next come in
+   * @param {Date|null} next - Next allowed moment
+   * @param {Date} now - Time of the scan
+   * @returns {string} Sentence for the denial message
+   */
+  describeNextEntry(next, now) {
+    if (!next) {
+      return `No entry times in the next ${LOOKAHEAD_DAYS} days.`;
+    }
+
+    const time = toTimeOfDay(next);
+    if (toDateKey(next) === toDateKey(now)) {
+      return `Next entry: today at ${time}.`;
+    }
+
+    return `Next entry: ${WEEKDAYS[next.getDay()]} ${formatDate(next, 'date')} at ${time}.`;
+  }
+
+  /**
+   * Check whether a member may enter now under their plan's schedule, the service area hours and holidays
+   * @param {object} customer - Customer record
+   * @param {Array<string>} services - Services the member is entering for
+   * @param {Date} now - Time of the scan (defaults to now)
+   * @returns {object} Result with allowed, and when refused a reason code, message and the next allowed time
+   */
+  checkAccess(customer, services = [], now = new Date()) {
+    const rules = this.getApplicableRules(customer, services);
+    const holiday = this.getHoliday(now);
+    if (rules.length === 0 && !holiday) {
+      return { allowed: true };
+    }
+
+    const minute = now.getHours() * 60 + now.getMinutes();
+    const isInside = (intervals) => intervals.some(([start, end]) => minute >= start && minute < end);
+    if (isInside(this.getAllowedIntervals(rules, now))) {
+      return { allowed: true };
+    }
+
+    // Explain the first rule that refuses this minute
+    let reason;
+    let detail;
+    if (holiday?.closed) {
+      reason = ACCESS_DENIAL_REASONS.CLOSED_FOR_HOLIDAY;
+      detail = `Closed today for ${holiday.name}.`;
+    } else if (holiday && !isInside(this.getOpenIntervals({ days: [now.getDay()], windows: holiday.windows }, now))) {
+      reason = ACCESS_DENIAL_REASONS.CLOSED_FOR_HOLIDAY;
+      detail = `Open ${formatTimeWindows(holiday.windows)} only today for ${holiday.name}.`;
+    } else {
+      const rule = rules
+        .filter(candidate => !(holiday && candidate.isServiceArea))
+        .find(candidate => !isInside(this.getOpenIntervals(candidate.schedule, now)));
+      reason = rule.reason;
+      detail = `${rule.label} hours: ${formatSchedule(rule.schedule)}.`;
+    }
+
+    const nextAllowedAt = this.findNextAllowedTime(rules, now);
+
+    return {
+      allowed: false,
+      reason,
+      message: `${detail} ${this.describeNextEntry(nextAllowedAt, now)}`,
+      nextAllowedAt: nextAllowedAt ? nextAllowedAt.toISOString() : null
+    };
+  }
+}
+
+// Create singleton instance
+const accessScheduleService = new AccessScheduleService();
+
+export default accessScheduleService;
@@ -0,0 +1,167 @@
+import crypto from 'node:crypto';
+import dataService from './dataService';
+import authService from './authService';
+import { ERROR_MESSAGES, PERMISSIONS } from '../utils/constants';
+import { getCurrentTimestamp } from '../utils/dateUtils';
+
+/**
+ * Hash an entry together with the previous entry's hash.
+ * Chaining the hashes means editing or deleting any line breaks every
+ * hash after it, which verifyChain() detects.
+ * @param {string} previousHash - Hash of the previous entry ('' for the first)
+ * @param {object} entry - Entry without its own hash
+ * @returns {string} Hex digest
+ */
+const hashEntry = (previousHash, entry) => {
+  return crypto.createHash('sha256').update(previousHash + JSON.stringify(entry)).digest('hex');
+};
+
+class AuditService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Append an action to the audit log.
+   * Failures are logged but never undo the action being audited.
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {object} details - What was affected
+   * @param {string} details.customerId - Target customer (optional)
+   * @param {string} details.employeeId - Target employee (optional)
+   * @param {*} details.before - Value before the change (optional)
+   * @param {*} details.after - Value after the change (optional)
+   * @param {string} details.reason - Reason given by the employee (optional)
+   * @param {object} details.details - Any other context (optional)
+   * @param {object} actor - Acting employee, defaults to the logged-in user
+   * @returns {object|null} The written entry
+   */
+  record(action, { customerId = null, employeeId = null, before = null, after = null, reason = null, details = null } = {}, actor = authService.getCurrentUser()) {
+    try {
+      const log = dataService.getAuditLog();
+      const previousHash = log.length > 0 ? log[log.length - 1].hash || '' : '';
+
+      const entry = {
+        id: log.length + 1,
+        timestamp: getCurrentTimestamp(),
+        action,
+        actor: actor ? {
+          employeeId: actor.employeeId,
+          username: actor.username,
+          name: `${actor.firstName} ${actor.lastName}`
+        } : null,
+        target: { customerId, employeeId },
+        before,
+        after,
+        reason,
+        details,
+        previousHash
+      };
+
+      return dataService.appendAuditEntry({ ...entry, hash: hashEntry(previousHash, entry) });
+
+    } catch (error) {
+      console.error('Audit log write error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check that no entry has been altered or removed
+   * @returns {object} Verification result with the first broken entry, if any
+   */
+  verifyChain() {
+    const log = dataService.getAuditLog();
+    let previousHash = '';
+
+    for (let index = 0; index < log.length; index++) {
+      const { hash, ...entry } = log[index];
+
+      if (entry.corrupted || entry.previousHash !== previousHash || hashEntry(previousHash, entry) !== hash) {
+        return {
+          valid: false,
+          checked: log.length,
+          brokenAt: index + 1
+        };
+      }
+
+      previousHash = hash;
+    }
+
+    return {
+      valid: true,
+      checked: log.length,
+      brokenAt: null
+    };
+  }
+
+  /**
+   * Search the audit log
+   * @param {object} filters - Search filters
+   * @param {string} filters.startDate - First day to include (YYYY-MM-DD)
+   * @param {string} filters.endDate - Last day to include (YYYY-MM-DD)
+   * @param {string} filters.actor - Employee ID of the actor
+   * @param {string} filters.action - Action type
+   * @param {string} filters.search - Text to find in target, reason or details
+   * @param {number} filters.limit - Maximum entries to return
+   * @returns {Promise<object>} Result with matching entries, newest first
+   */
+  async getAuditLog(filters = {}) {
+    if (!authService.hasPermission(PERMISSIONS.VIEW_AUDIT_LOG)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const { startDate, endDate, actor, action, search, limit = 200 } = filters;
+      const searchTerm = search ? search.trim().toLowerCase() : '';
+      const log = dataService.getAuditLog().filter(entry => !entry.corrupted);
+
+      const matches = log.filter(entry => {
+        const day = entry.timestamp.split('T')[0];
+        if (startDate && day < startDate) return false;
+        if (endDate && day > endDate) return false;
+        if (actor && entry.actor?.employeeId !== actor) return false;
+        if (action && entry.action !== action) return false;
+
+        if (searchTerm) {
+          const haystack = JSON.stringify([entry.target, entry.reason, entry.details, entry.actor]).toLowerCase();
+          if (!haystack.includes(searchTerm)) return false;
+        }
+
+        return true;
+      });
+
+      // Everyone who appears in the log, for the actor filter
+      const actors = Object.values(log.reduce((all, entry) => {
+        if (entry.actor) {
+          all[entry.actor.employeeId] = entry.actor;
+        }
+        return all;
+      }, {}));
+
+      return {
+        success: true,
+        data: matches.reverse().slice(0, limit),
+        total: matches.length,
+        actors,
+        integrity: this.verifyChain()
+      };
+
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const auditService = new AuditService();
+
+export default auditService;
@@ -1,15 +1,27 @@
 import dataService from './dataService';
-import { STORAGE_KEYS, ERROR_MESSAGES, SUCCESS_MESSAGES } from '../utils/constants';
-import { validateLoginCredentials } from '../utils/validators';
-
+import auditService from './auditService';
+import shiftService from './shiftService';
+import {
+  AUDIT_ACTIONS,
+  AUTH_POLICY,
+  DEFAULT_ROLE_PERMISSIONS,
+  EMPLOYEE_ROLES,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+import { validateLoginCredentials, validatePassword } from '../utils/validators';
+
+// Runs in the main process; the session lives in memory for the app's lifetime
 class AuthService {
   constructor() {
     this.currentUser = null;
+    this.session = null;
     this.sessionTimeout = null;
     this.isAuthenticated = false;
-    
-    // Try to restore session on initialization
-    this.restoreSession();
+    this.sessionExpiredCallbacks = [];
+    // username -> { count, firstFailedAt, lockedUntil }
+    this.failedLogins = new Map();
   }
 
   /**
@@ -30,16 +42,36 @@ class AuthService {
         };
       }
 
+      // Refuse locked accounts before checking the password
+      const lockout = this.getLockout(username);
+      if (lockout) {
+        auditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { details: { username, locked: true } }, null);
+        return this.lockedResult(lockout);
+      }
+
       // Check credentials against data service
       const isValid = dataService.validateEmployeeCredentials(username, password);
       
       if (!isValid) {
+        const failure = this.recordFailedLogin(username);
+        auditService.record(AUDIT_ACTIONS.LOGIN_FAILED, { details: { username, attempt: failure.count } }, null);
+
+        if (failure.lockedUntil) {
+          auditService.record(AUDIT_ACTIONS.ACCOUNT_LOCKED, {
+            details: { username, lockedUntil: new Date(failure.lockedUntil).toISOString() }
+          }, null);
+          return this.lockedResult(failure);
+        }
+
         return {
           success: false,
-          message: ERROR_MESSAGES.INVALID_LOGIN
+          message: ERROR_MESSAGES.INVALID_LOGIN,
+          attemptsRemaining: AUTH_POLICY.MAX_FAILED_ATTEMPTS - failure.count
         };
       }
 
+      this.failedLogins.delete(this.getLoginKey(username));
+
       // Get employee data
       const employee = dataService.getEmployeeByUsername(username);
       if (!employee || !employee.isActive) {
@@ -49,39 +81,127 @@ class AuthService {
         };
       }
 
-      // Create user session
-      const userData = {
+      return this.startSession(employee);
+
+    } catch (error) {
+      console.error('Login error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Start a session for an authenticated employee
+   * @param {object} employee - Employee record
+   * @returns {object} Login result
+   */
+  startSession(employee) {
+    // Create user session
+    const userData = {
         employeeId: employee.employeeId,
         username: employee.username,
         firstName: employee.firstName,
         lastName: employee.lastName,
-        role: employee.role,
-        loginTime: new Date().toISOString()
-      };
+      role: employee.role,
+      mustChangePassword: Boolean(employee.mustChangePassword),
+      loginTime: new Date().toISOString()
+    };
 
-      // Set current user
-      this.currentUser = userData;
-      this.isAuthenticated = true;
+    // Every login starts a shift on this terminal
+    const { shift, pendingHandover } = shiftService.startShift(userData);
+    userData.shiftId = shift.shiftId;
+    userData.pendingHandoverShiftId = pendingHandover ? pendingHandover.shiftId : null;
 
-      // Store session data
-      this.storeSession(userData);
+    // Set current user
+    this.currentUser = userData;
+    this.isAuthenticated = true;
 
-      // Set session timeout
-      this.setSessionTimeout();
+    // Store session data
+    this.storeSession(userData);
 
-      return {
-        success: true,
-        message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
-        user: userData
-      };
+    // Set session timeout
+    this.setSessionTimeout();
 
-    } catch (error) {
-      console.error('Login error:', error);
-      return {
-        success: false,
-        message: ERROR_MESSAGES.NETWORK_ERROR
-      };
+    auditService.record(AUDIT_ACTIONS.LOGIN, {
+      employeeId: employee.employeeId,
+      details: { mustChangePassword: userData.mustChangePassword, shiftId: shift.shiftId, terminalId: shift.terminalId }
+    });
+
+    return {
+      success: true,
+      message: SUCCESS_MESSAGES.LOGIN_SUCCESS,
+      user: userData
+    };
+  }
+
+  /**
+   * Normalize a username for failed-attempt tracking
+   * @param {string} username - Username as typed
+   * @returns {string} Tracking key
+   */
+  getLoginKey(username) {
+    return String(username).trim().toLowerCase();
+  }
+
+  /**
+   * Get the active lockout for a username, if any
+   * @param {string} username - Username
+   * @returns {object|null} Failed-login entry while locked, otherwise null
+   */
+  getLockout(username) {
+    const entry = this.failedLogins.get(this.getLoginKey(username));
+    if (!entry || !entry.lockedUntil) {
+      return null;
+    }
+
+    if (Date.now() >= entry.lockedUntil) {
+      this.failedLogins.delete(this.getLoginKey(username));
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Count a failed login and lock the username once the limit is reached.
+   * Unknown usernames are tracked too so they behave like real ones.
+   * @param {string} username - Username
+   * @returns {object} Updated failed-login entry
+   */
+  recordFailedLogin(username) {
+    const key = this.getLoginKey(username);
+    const now = Date.now();
+    const previous = this.failedLogins.get(key);
+
+    const entry = previous && now - previous.firstFailedAt < AUTH_POLICY.FAILED_ATTEMPT_WINDOW
+      ? { ...previous, count: previous.count + 1 }
+      : { count: 1, firstFailedAt: now, lockedUntil: null };
+
+    if (entry.count >= AUTH_POLICY.MAX_FAILED_ATTEMPTS) {
+      entry.lockedUntil = now + AUTH_POLICY.LOCKOUT_DURATION;
+      console.warn(`Login locked for ${key} after ${entry.count} failed attempts`);
     }
+
+    this.failedLogins.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Build the result returned while a username is locked out
+   * @param {object} lockout - Failed-login entry
+   * @returns {object} Login result
+   */
+  lockedResult(lockout) {
+    const minutes = Math.ceil((lockout.lockedUntil - Date.now()) / 60000);
+
+    return {
+      success: false,
+      locked: true,
+      lockedUntil: new Date(lockout.lockedUntil).toISOString(),
+      message: `${ERROR_MESSAGES.ACCOUNT_LOCKED}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    };
   }
 
   /**
@@ -90,6 +210,11 @@ class AuthService {
    */
   async logout() {
     try {
+      if (this.currentUser) {
+        shiftService.endShift();
+        auditService.record(AUDIT_ACTIONS.LOGOUT, { employeeId: this.currentUser.employeeId });
+      }
+
       // Clear current user
       this.currentUser = null;
       this.isAuthenticated = false;
@@ -184,84 +309,22 @@ class AuthService {
   }
 
   /**
-   * Store session data in local storage
+   * Store session data
    * @param {object} userData - User data to store
    */
   storeSession(userData) {
-    try {
-      const sessionData = {
-        user: userData,
-        timestamp: new Date().toISOString(),
-        expires: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString() // 8 hours
-      };
-
-      localStorage.setItem(STORAGE_KEYS.USER_DATA, JSON.stringify(sessionData));
-      
-      // Generate and store simple auth token
-      const token = btoa(`${userData.username}:${userData.loginTime}`);
-      localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
-
-    } catch (error) {
-      console.error('Failed to store session:', error);
-    }
-  }
-
-  /**
-   * Restore session from local storage
-   */
-  restoreSession() {
-    try {
-      const storedData = localStorage.getItem(STORAGE_KEYS.USER_DATA);
-      const storedToken = localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
-
-      if (!storedData || !storedToken) {
-        return false;
-      }
-
-      const sessionData = JSON.parse(storedData);
-      const expiryTime = new Date(sessionData.expires);
-      const currentTime = new Date();
-
-      // Check if session has expired
-      if (currentTime >= expiryTime) {
-        this.clearSession();
-        return false;
-      }
-
-      // Verify employee still exists and is active
-      const employee = dataService.getEmployeeById(sessionData.user.employeeId);
-      if (!employee || !employee.isActive) {
-        this.clearSession();
-        return false;
-      }
-
-      // Restore session
-      this.currentUser = sessionData.user;
-      this.isAuthenticated = true;
-
-      // Set session timeout for remaining time
-      const remainingTime = expiryTime - currentTime;
-      this.setSessionTimeout(remainingTime);
-
-      return true;
-
-    } catch (error) {
-      console.error('Failed to restore session:', error);
-      this.clearSession();
-      return false;
-    }
+    this.session = {
+      user: userData,
+      timestamp: userData.loginTime,
+      expires: new Date(Date.now() + 8 * 60 * 60 * 1000).toISOString() // 8 hours
+    };
   }
 
   /**
-   * Clear session data from local storage
+   * Clear stored session data
    */
   clearSession() {
-    try {
-      localStorage.removeItem(STORAGE_KEYS.USER_DATA);
-      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
-    } catch (error) {
-      console.error('Failed to clear session:', error);
-    }
+    this.session = null;
   }
 
   /**
@@ -293,11 +356,34 @@ class AuthService {
     console.log('Session expired');
     this.logout();
     
-    // Dispatch custom event for components to listen to
-    const event = new CustomEvent('sessionExpired', {
-      detail: { message: ERROR_MESSAGES.SESSION_EXPIRED }
+    // Notify subscribers (the renderer is told over IPC)
+    this.sessionExpiredCallbacks.forEach(callback => {
+      try {
+        callback({ message: ERROR_MESSAGES.SESSION_EXPIRED });
+      } catch (error) {
+        console.error('Error in session expired callback:', error);
+      }
     });
-    window.dispatchEvent(event);
+  }
+
+  /**
+   * Subscribe to session expiry
+   * @param {Function} callback - Callback function to call when the session expires
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeToSessionExpired(callback) {
+    if (typeof callback === 'function') {
+      this.sessionExpiredCallbacks.push(callback);
+      
+      return () => {
+        const index = this.sessionExpiredCallbacks.indexOf(callback);
+        if (index > -1) {
+          this.sessionExpiredCallbacks.splice(index, 1);
+        }
+      };
+    }
+    
+    return () => {};
   }
 
   /**
@@ -310,13 +396,11 @@ class AuthService {
     }
 
     try {
-      const storedData = localStorage.getItem(STORAGE_KEYS.USER_DATA);
-      if (!storedData) {
+      if (!this.session) {
         return false;
       }
 
-      const sessionData = JSON.parse(storedData);
-      const expiryTime = new Date(sessionData.expires);
+      const expiryTime = new Date(this.session.expires);
       const currentTime = new Date();
 
       return currentTime < expiryTime;
@@ -337,20 +421,18 @@ class AuthService {
     }
 
     try {
-      const storedData = localStorage.getItem(STORAGE_KEYS.USER_DATA);
-      if (!storedData) {
+      if (!this.session) {
         return null;
       }
 
-      const sessionData = JSON.parse(storedData);
-      const expiryTime = new Date(sessionData.expires);
+      const expiryTime = new Date(this.session.expires);
       const currentTime = new Date();
       const remainingTime = expiryTime - currentTime;
 
       return {
         user: this.currentUser,
-        loginTime: sessionData.timestamp,
-        expiryTime: sessionData.expires,
+        loginTime: this.session.timestamp,
+        expiryTime: this.session.expires,
         remainingTime: Math.max(0, remainingTime),
         isValid: remainingTime > 0
       };
@@ -362,7 +444,7 @@ class AuthService {
   }
 
   /**
-   * Change password (for future use)
+   * Change the current user's password
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
    * @returns {Promise<object>} Change password result
@@ -389,11 +471,33 @@ class AuthService {
         };
       }
 
-      // In a real app, this would update the password in the database
-      // For now, we'll just return success
+      const validation = validatePassword(newPassword);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: { newPassword: validation.message }
+        };
+      }
+
+      if (newPassword === currentPassword) {
+        return {
+          success: false,
+          message: 'New password must be different from the current password'
+        };
+      }
+
+      dataService.setEmployeePassword(this.currentUser.employeeId, newPassword);
+      auditService.record(AUDIT_ACTIONS.PASSWORD_CHANGE, {
+        employeeId: this.currentUser.employeeId,
+        details: { wasTemporary: this.currentUser.mustChangePassword }
+      });
+      this.currentUser.mustChangePassword = false;
+
       return {
         success: true,
-        message: 'Password changed successfully'
+        message: 'Password changed successfully',
+        user: this.currentUser
       };
 
     } catch (error) {
@@ -406,27 +510,119 @@ class AuthService {
   }
 
   /**
-   * Get user permissions (for future role-based access)
+   * Mark the current user's pending shift handover as done
+   */
+  completeHandover() {
+    if (this.currentUser) {
+      this.currentUser.pendingHandoverShiftId = null;
+    }
+  }
+
+  /**
+   * Get the role -> permission matrix stored with the data
+   * @returns {object} Permissions keyed by role
+   */
+  getRolePermissionMatrix() {
+    return {
+      ...DEFAULT_ROLE_PERMISSIONS,
+      ...(dataService.getSettings().rolePermissions || {}),
+      // Administrators always keep every permission so they can't lock themselves out
+      [EMPLOYEE_ROLES.ADMIN]: Object.values(PERMISSIONS)
+    };
+  }
+
+  /**
+   * Get the current user's permissions from their role
    * @returns {Array<string>} Array of user permissions
    */
   getUserPermissions() {
-    if (!this.isAuthenticated || !this.currentUser) {
+    // Nothing is allowed until a temporary password has been replaced
+    // and the previous shift on this terminal has been handed over
+    if (!this.isAuthenticated || !this.currentUser || this.currentUser.mustChangePassword ||
+        this.currentUser.pendingHandoverShiftId) {
       return [];
     }
 
-    // For now, all receptionists have the same permissions
-    const rolePermissions = {
-      receptionist: [
-        'scan_barcode',
-        'view_customers',
-        'register_customer',
-        'view_current_visitors',
-        'view_statistics',
-        'manual_entry_exit'
-      ]
+    return this.getRolePermissionMatrix()[this.currentUser.role] || [];
+  }
+
+  /**
+   * Get the role -> permission matrix for editing
+   * @returns {Promise<object>} Result with the matrix
+   */
+  async getRolePermissions() {
+    if (!this.hasPermission(PERMISSIONS.MANAGE_ROLES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    return {
+      success: true,
+      data: this.getRolePermissionMatrix()
     };
+  }
 
-    return rolePermissions[this.currentUser.role] || [];
+  /**
+   * Replace the permissions granted to a role
+   * @param {string} role - Role to change
+   * @param {Array<string>} permissions - Permissions the role should have
+   * @returns {Promise<object>} Result with the updated matrix
+   */
+  async updateRolePermissions(role, permissions) {
+    if (!this.hasPermission(PERMISSIONS.MANAGE_ROLES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      if (!Object.values(EMPLOYEE_ROLES).includes(role)) {
+        return {
+          success: false,
+          message: 'Unknown role'
+        };
+      }
+
+      if (role === EMPLOYEE_ROLES.ADMIN) {
+        return {
+          success: false,
+          message: 'Administrator permissions cannot be changed'
+        };
+      }
+
+      const knownPermissions = Object.values(PERMISSIONS);
+      if (!Array.isArray(permissions) || permissions.some(p => !knownPermissions.includes(p))) {
+        return {
+          success: false,
+          message: 'Unknown permission'
+        };
+      }
+
+      const before = this.getRolePermissionMatrix()[role] || [];
+      dataService.updateSettings('rolePermissions', { [role]: [...new Set(permissions)] });
+
+      auditService.record(AUDIT_ACTIONS.PERMISSIONS_CHANGE, {
+        before,
+        after: this.getRolePermissionMatrix()[role],
+        details: { role }
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SETTINGS_SAVED,
+        data: this.getRolePermissionMatrix()
+      };
+
+    } catch (error) {
+      console.error('Update role permissions error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
   }
 
   /**
@@ -438,25 +634,6 @@ class AuthService {
     const permissions = this.getUserPermissions();
     return permissions.includes(permission);
   }
-
-  /**
-   * Auto-login for development (remove in production)
-   * @param {string} username - Username for auto-login
-   * @returns {Promise<object>} Login result
-   */
-  async autoLogin(username = 'admin') {
-    if (process.env.NODE_ENV === 'development') {
-      const employee = dataService.getEmployeeByUsername(username);
-      if (employee) {
-        return this.login(username, employee.password);
-      }
-    }
-    
-    return {
-      success: false,
-      message: 'Auto-login not available'
-    };
-  }
 }
 
 // Create singleton instance
@@ -0,0 +1,455 @@
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import {
+  AUDIT_ACTIONS,
+  AUTO_CLOSE_REASONS,
+  DEFAULTS,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  EXIT_ESTIMATES,
+  PERMISSIONS,
+  SUCCESS_MESSAGES,
+  VALIDATION_RULES
+} from '../utils/constants';
+import { formatDate, getCurrentTimestamp } from '../utils/dateUtils';
+
+// How often open visits are checked against the timeout and closing time
+const CHECK_INTERVAL = 5 * 60 * 1000;
+
+// Earlier visits the average estimate is taken over
+const AVERAGE_OVER_VISITS = 10;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Closes visits members never scanned out of, so they stop counting as inside.
+ * The real exit time is unknown, so an estimate is recorded and the visit is
+ * listed for staff to confirm or correct the next morning.
+ */
+class AutoCloseService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Get the forgotten visit settings merged over the defaults
+   * @returns {object} Settings: { closingTime, estimate, fixedMinutes }
+   */
+  getSettings() {
+    return {
+      ...DEFAULT_SETTINGS.autoClose,
+      ...(dataService.getSettings().autoClose || {})
+    };
+  }
+
+  /**
+   * Update the forgotten visit settings
+   * @param {object} values - Settings to change: { closingTime, estimate, fixedMinutes }
+   * @returns {Promise<object>} Result with the new settings
+   */
+  async updateSettings(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const settings = { ...this.getSettings(), ...values };
+      const { MIN_FIXED_MINUTES, MAX_FIXED_MINUTES } = VALIDATION_RULES.AUTO_CLOSE;
+
+      if (settings.closingTime && !VALIDATION_RULES.SCHEDULE.TIME_PATTERN.test(settings.closingTime)) {
+        return {
+          success: false,
+          message: 'Closing time must be in HH:MM format'
+        };
+      }
+
+      if (!Object.values(EXIT_ESTIMATES).includes(settings.estimate)) {
+        return {
+          success: false,
+          message: 'Unknown exit time estimate'
+        };
+      }
+
+      if (!Number.isInteger(settings.fixedMinutes) || settings.fixedMinutes < MIN_FIXED_MINUTES || settings.fixedMinutes > MAX_FIXED_MINUTES) {
+        return {
+          success: false,
+          message: `Visit length must be between ${MIN_FIXED_MINUTES} and ${MAX_FIXED_MINUTES} minutes`
+        };
+      }
+
+      dataService.updateSettings('autoClose', {
+        closingTime: settings.closingTime,
+        estimate: settings.estimate,
+        fixedMinutes: settings.fixedMinutes
+      });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SETTINGS_SAVED,
+        data: this.getSettings()
+      };
+
+    } catch (error) {
+      console.error('Update auto close settings error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * When a visit that has not been scanned out of gets closed: at the visit
+   * timeout, or at the first closing time after entry if that comes sooner
+   * @param {string} entryTime - Entry timestamp
+   * @returns {object} { at: Date, reason } where reason is one of AUTO_CLOSE_REASONS
+   */
+  getDeadline(entryTime) {
+    const entry = new Date(entryTime);
+    const timeout = new Date(entry.getTime() + DEFAULTS.VISIT_TIMEOUT);
+    const { closingTime } = this.getSettings();
+
+    if (closingTime) {
+      const [hours, minutes] = closingTime.split(':').map(Number);
+      const closing = new Date(entry);
+      closing.setHours(hours, minutes, 0, 0);
+      if (closing <= entry) {
+        closing.setDate(closing.getDate() + 1);
+      }
+
+      if (closing < timeout) {
+        return { at: closing, reason: AUTO_CLOSE_REASONS.CLOSING_TIME };
+      }
+    }
+
+    return { at: timeout, reason: AUTO_CLOSE_REASONS.TIMEOUT };
+  }
+
+  /**
+   * Whether a visit entered at this time should have been closed by now
+   * @param {string} entryTime - Entry timestamp
+   * @param {Date} now - Current time
+   * @returns {boolean} True once the visit is past its deadline
+   */
+  isDue(entryTime, now = new Date()) {
+    return !!entryTime && this.getDeadline(entryTime).at <= now;
+  }
+
+  /**
+   * Estimate when a member really left. The average rule uses the member's own
+   * recent visits that were scanned out of; the fixed rule, and members with no
+   * such visits, use the fixed visit length. The estimate never passes the deadline.
+   * @param {object} visit - Open visit
+   * @param {Date} deadline - When the visit is being closed
+   * @returns {string} Estimated exit timestamp
+   */
+  estimateExitTime(visit, deadline) {
+    const { estimate, fixedMinutes } = this.getSettings();
+    let minutes = fixedMinutes;
+
+    if (estimate === EXIT_ESTIMATES.AVERAGE) {
+      const durations = dataService.getVisitsByCustomerId(visit.customerId)
+        .filter(v => v.visitId !== visit.visitId && v.exitTime && !v.autoClosed && v.duration > 0)
+        .sort((a, b) => new Date(b.entryTime) - new Date(a.entryTime))
+        .slice(0, AVERAGE_OVER_VISITS)
+        .map(v => v.duration);
+
+      if (durations.length > 0) {
+        minutes = Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length);
+      }
+    }
+
+    const estimated = new Date(new Date(visit.entryTime).getTime() + minutes * MINUTE);
+    return (estimated < deadline ? estimated : deadline).toISOString();
+  }
+
+  /**
+   * Close an open visit at its estimated exit time and mark it for review
+   * @param {object} visit - Open visit
+   * @returns {object} The closed visit
+   */
+  closeVisit(visit) {
+    const deadline = this.getDeadline(visit.entryTime);
+    const exitTime = this.estimateExitTime(visit, deadline.at);
+
+    dataService.endVisit(visit.visitId, exitTime, null);
+    return dataService.updateVisit(visit.visitId, {
+      autoClosed: true,
+      autoCloseReason: deadline.reason,
+      estimatedExitTime: exitTime,
+      reviewedAt: null,
+      reviewedBy: null
+    });
+  }
+
+  /**
+   * Close the open visit of a member still marked inside
+   * @param {object} customer - Customer data
+   * @returns {object} The closed visit, or the member's visit status if no visit record was open
+   */
+  closeCustomerVisit(customer) {
+    const { entryTime } = customer.currentVisit;
+    const open = dataService.getCurrentVisits().find(v => v.customerId === customer.customerId);
+    let visit;
+
+    if (open) {
+      visit = this.closeVisit(open);
+    } else {
+      const deadline = this.getDeadline(entryTime);
+      visit = { entryTime, exitTime: deadline.at.toISOString(), autoClosed: true, autoCloseReason: deadline.reason };
+    }
+
+    dataService.updateCustomerVisitStatus(customer.customerId, false, null, visit.exitTime);
+    return visit;
+  }
+
+  /**
+   * Close every visit that is past its deadline
+   * @param {Date} now - Current time
+   * @returns {Array} The closed visits
+   */
+  closeDueVisits(now = new Date()) {
+    const closed = dataService.getAllCustomers()
+      .filter(customer => customer.currentVisit?.isInside && this.isDue(customer.currentVisit.entryTime, now))
+      .map(customer => this.closeCustomerVisit(customer));
+
+    // Visit records left open for members no longer marked inside
+    dataService.getCurrentVisits()
+      .filter(visit => this.isDue(visit.entryTime, now))
+      .forEach(visit => closed.push(this.closeVisit(visit)));
+
+    return closed;
+  }
+
+  /**
+   * (Re)start the periodic check; due visits are closed straight away, e.g. after the app was off overnight
+   */
+  startSchedule() {
+    this.stopSchedule();
+
+    const check = () => {
+      try {
+        this.closeDueVisits();
+      } catch (error) {
+        console.error('Auto close visits failed:', error);
+      }
+    };
+
+    check();
+    this.timer = setInterval(check, CHECK_INTERVAL);
+  }
+
+  /**
+   * Stop the periodic check
+   */
+  stopSchedule() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Latest exit a closed visit can be corrected to: now, or the member's next entry
+   * @param {object} visit - Closed visit
+   * @returns {string} Timestamp
+   */
+  getLatestExitTime(visit) {
+    const next = dataService.getVisitsByCustomerId(visit.customerId)
+      .filter(v => v.visitId !== visit.visitId && new Date(v.entryTime) > new Date(visit.entryTime))
+      .sort((a, b) => new Date(a.entryTime) - new Date(b.entryTime))[0];
+
+    return next ? next.entryTime : getCurrentTimestamp();
+  }
+
+  /**
+   * Get automatically closed visits for the morning review, oldest first
+   * @param {object} options - { includeReviewed } to also list visits reviewed in the last few days
+   * @returns {Promise<object>} Result with the visits and the number still to review
+   */
+  async getReviewList({ includeReviewed = false } = {}) {
+    if (!authService.hasPermission(PERMISSIONS.REVIEW_VISITS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const since = Date.now() - VALIDATION_RULES.AUTO_CLOSE.REVIEW_DAYS * 24 * 60 * MINUTE;
+      const autoClosed = dataService.getAllVisits().filter(visit => visit.autoClosed);
+      const pending = autoClosed.filter(visit => !visit.reviewedAt);
+
+      const visits = autoClosed
+        .filter(visit => !visit.reviewedAt || (includeReviewed && new Date(visit.reviewedAt).getTime() >= since))
+        .sort((a, b) => new Date(a.entryTime) - new Date(b.entryTime))
+        .map(visit => {
+          const customer = dataService.getCustomerById(visit.customerId);
+          const reviewer = visit.reviewedBy ? dataService.getEmployeeById(visit.reviewedBy) : null;
+          return {
+            ...visit,
+            customerName: customer ? `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}` : visit.customerId,
+            reviewedByName: reviewer ? `${reviewer.firstName} ${reviewer.lastName}` : null,
+            latestExitTime: this.getLatestExitTime(visit)
+          };
+        });
+
+      return {
+        success: true,
+        data: {
+          visits,
+          pendingCount: pending.length
+        }
+      };
+
+    } catch (error) {
+      console.error('Get visit review list error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Find an automatically closed visit for review
+   * @param {string} visitId - Visit ID
+   * @returns {object} { visit } or { error } with a failed result
+   */
+  findReviewVisit(visitId) {
+    if (!authService.hasPermission(PERMISSIONS.REVIEW_VISITS)) {
+      return { error: { success: false, message: ERROR_MESSAGES.PERMISSION_DENIED } };
+    }
+
+    const visit = dataService.getVisitById(visitId);
+    if (!visit || !visit.autoClosed) {
+      return { error: { success: false, message: 'Visit not found' } };
+    }
+
+    return { visit };
+  }
+
+  /**
+   * Record the real exit time of an automatically closed visit
+   * @param {string} visitId - Visit ID
+   * @param {string} exitTime - Exit timestamp
+   * @returns {Promise<object>} Result with the corrected visit
+   */
+  async correctExitTime(visitId, exitTime) {
+    const { visit, error } = this.findReviewVisit(visitId);
+    if (error) {
+      return error;
+    }
+
+    try {
+      const exit = new Date(exitTime);
+      if (!exitTime || Number.isNaN(exit.getTime())) {
+        return {
+          success: false,
+          message: 'Enter a valid exit time'
+        };
+      }
+
+      if (exit <= new Date(visit.entryTime)) {
+        return {
+          success: false,
+          message: `Exit time must be after the entry at ${formatDate(visit.entryTime, 'datetime')}`
+        };
+      }
+
+      const latest = this.getLatestExitTime(visit);
+      if (exit > new Date(latest)) {
+        return {
+          success: false,
+          message: `Exit time can't be later than ${formatDate(latest, 'datetime')}`
+        };
+      }
+
+      const before = { exitTime: visit.exitTime, duration: visit.duration };
+      const user = authService.getCurrentUser();
+
+      dataService.endVisit(visitId, exit.toISOString(), visit.exitShiftId);
+      const corrected = dataService.updateVisit(visitId, {
+        exitCorrected: true,
+        reviewedAt: getCurrentTimestamp(),
+        reviewedBy: user?.employeeId || null
+      });
+
+      const customer = dataService.getCustomerById(visit.customerId);
+      if (customer && !customer.currentVisit?.isInside && customer.currentVisit?.exitTime === before.exitTime) {
+        dataService.updateCustomerVisitStatus(customer.customerId, false, null, corrected.exitTime);
+      }
+
+      auditService.record(AUDIT_ACTIONS.VISIT_CORRECTION, {
+        customerId: visit.customerId,
+        before,
+        after: { exitTime: corrected.exitTime, duration: corrected.duration },
+        details: {
+          visitId,
+          autoCloseReason: visit.autoCloseReason || null
+        }
+      });
+
+      return {
+        success: true,
+        message: `Exit time corrected to ${formatDate(corrected.exitTime, 'datetime')}`,
+        data: corrected
+      };
+
+    } catch (error) {
+      console.error('Correct exit time error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Accept the estimated exit time of an automatically closed visit
+   * @param {string} visitId - Visit ID
+   * @returns {Promise<object>} Result with the reviewed visit
+   */
+  async confirmEstimate(visitId) {
+    const { visit, error } = this.findReviewVisit(visitId);
+    if (error) {
+      return error;
+    }
+
+    try {
+      if (visit.reviewedAt) {
+        return {
+          success: false,
+          message: 'This visit was already reviewed'
+        };
+      }
+
+      const reviewed = dataService.updateVisit(visitId, {
+        reviewedAt: getCurrentTimestamp(),
+        reviewedBy: authService.getCurrentUser()?.employeeId || null
+      });
+
+      return {
+        success: true,
+        message: 'Estimated exit time confirmed',
+        data: reviewed
+      };
+
+    } catch (error) {
+      console.error('Confirm estimated exit error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const autoCloseService = new AutoCloseService();
+
+export default autoCloseService;
@@ -1,14 +1,31 @@
 import dataService from './dataService.js';
 import customerService from './customerService.js';
+import authService from './authService.js';
+import auditService from './auditService.js';
+import shiftService from './shiftService.js';
+import planService from './planService.js';
+import paymentService from './paymentService.js';
+import accessScheduleService from './accessScheduleService.js';
+import autoCloseService from './autoCloseService.js';
 import { validateBarcode } from '../utils/validators.js';
 import { 
   ERROR_MESSAGES, 
   SUCCESS_MESSAGES,
-  MEMBERSHIP_STATUS 
+  MEMBERSHIP_STATUS,
+  PERMISSIONS,
+  AUDIT_ACTIONS,
+  ACCESS_DENIAL_REASONS,
+  SCAN_POLICY_CODES,
+  SCAN_MODES,
+  CURRENCY,
+  DEFAULT_SETTINGS,
+  VALIDATION_RULES
 } from '../utils/constants.js';
 import { 
   getCurrentTimestamp,
   calculateDuration,
+  formatDate,
+  formatDuration,
   isSubscriptionExpired 
 } from '../utils/dateUtils.js';
 
@@ -22,9 +39,22 @@ class BarcodeService {
    * Process barcode scan for entry/exit
    * @param {string} barcode - Scanned barcode
    * @param {Array<string>} services - Services to access (gym, spa)
+   * @param {object} options - Scan options
+   * @param {string} options.direction - 'entry' or 'exit'; defaults to the terminal's scan mode,
+   *   and on an auto terminal the scan toggles the member in or out
+   * @param {boolean} options.confirmed - The desk confirmed a scan the policy asked about
    * @returns {Promise<object>} Scan result
    */
-  async processBarcodeEntry(barcode, services = ['gym']) {
+  async processBarcodeEntry(barcode, services = ['gym'], options = {}) {
+    // Scans are only processed inside a signed-in shift so they can be attributed to it
+    if (!authService.hasPermission(PERMISSIONS.SCAN_BARCODE)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        type: 'permission_denied'
+      };
+    }
+
     try {
       // Validate barcode format
       const barcodeValidation = validateBarcode(barcode);
@@ -38,6 +68,9 @@ class BarcodeService {
 
       // Get customer by barcode
       const customerResult = await customerService.getCustomerByBarcode(barcode);
+      if (customerResult.reason === ACCESS_DENIAL_REASONS.CARD_REVOKED) {
+        return this.denyCard(customerResult, services);
+      }
       if (!customerResult.success) {
         return {
           success: false,
@@ -46,31 +79,445 @@ class BarcodeService {
         };
       }
 
-      const customer = customerResult.data;
+      let customer = customerResult.data;
+      const scanMode = this.getScanMode();
+
+      // A visit left open past the timeout or closing time is from a member who forgot to scan out, so it is
+      // closed before this scan rather than being treated as the way out
+      let staleVisit = null;
+      if (scanMode !== SCAN_MODES.EXIT && options.direction !== 'exit' && this.isVisitStale(customer)) {
+        staleVisit = this.closeStaleVisit(customer);
+        customer = (await customerService.getCustomerById(customer.customerId)).data;
+      }
+
+      const direction = options.direction ||
+        (scanMode === SCAN_MODES.AUTO ? (customer.currentVisit?.isInside ? 'exit' : 'entry') : scanMode);
+
+      // Double beeps, passed-back cards and quick in-and-out scans are held back first
+      const held = this.checkScanPolicy(customer, direction, services, !!options.confirmed);
+      if (held) {
+        return held;
+      }
+
+      // Members inside can always leave, even if their membership lapsed during the visit
+      if (direction === 'exit') {
+        return await this.processExit(customer);
+      }
+
+      // With passback blocking off, an entry while inside closes the open visit first. Freezes, plan
+      // access and quotas are only checked for members outside, so the entry is validated after that
+      if (customer.currentVisit?.isInside) {
+        const exit = await this.processExit(customer);
+        if (!exit.success) {
+          return exit;
+        }
+        customer = (await customerService.getCustomerById(customer.customerId)).data;
+      }
 
       // Validate subscription
-      const subscriptionResult = await customerService.validateSubscription(customer.customerId);
+      const subscriptionResult = await customerService.validateSubscription(customer.customerId, services);
       if (!subscriptionResult.isValid) {
+        return this.denyEntry(customer, services, subscriptionResult);
+      }
+
+      // Entries follow the plan's schedule and the service area hours
+      const access = accessScheduleService.checkAccess(customer, services);
+      if (!access.allowed) {
+        return this.denyEntry(customer, services, { ...subscriptionResult, ...access });
+      }
+
+      const entry = await this.processEntry(customer, services);
+      if (entry.success && staleVisit) {
+        return {
+          ...entry,
+          message: `${entry.message}. The previous visit from ${formatDate(staleVisit.entryTime, 'datetime')} was still open and has been closed`,
+          staleVisit
+        };
+      }
+
+      return entry;
+
+    } catch (error) {
+      console.error('Process barcode entry error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        type: 'system_error'
+      };
+    }
+  }
+
+  /**
+   * Get what scans record on this terminal
+   * @returns {string} One of SCAN_MODES
+   */
+  getScanMode() {
+    return {
+      ...DEFAULT_SETTINGS.terminal,
+      ...(dataService.getSettings().terminal || {})
+    }.scanMode;
+  }
+
+  /**
+   * Set what scans record on this terminal, e.g. entries only for a scanner at the turnstile
+   * @param {string} scanMode - One of SCAN_MODES
+   * @returns {Promise<object>} Result with the scan mode in use
+   */
+  async updateScanMode(scanMode) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      if (!Object.values(SCAN_MODES).includes(scanMode)) {
         return {
           success: false,
-          message: subscriptionResult.message,
-          customer: customer,
-          type: 'subscription_invalid',
-          warnings: subscriptionResult.warnings || []
+          message: 'Scan mode must be auto, entry or exit'
         };
       }
 
-      // Check current visit status and process entry/exit
+      dataService.updateSettings('terminal', { scanMode });
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SETTINGS_SAVED,
+        data: { scanMode: this.getScanMode() }
+      };
+
+    } catch (error) {
+      console.error('Update scan mode error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Whether a member's open visit has run past the visit timeout or the closing time
+   * @param {object} customer - Customer data
+   * @returns {boolean} True if the member is still marked inside from a visit that should have ended
+   */
+  isVisitStale(customer) {
+    const { isInside, entryTime } = customer.currentVisit || {};
+    return !!isInside && autoCloseService.isDue(entryTime);
+  }
+
+  /**
+   * Close a visit the member never scanned out of. The real exit time is unknown, so an
+   * estimate is recorded and the visit is left for staff to review.
+   * @param {object} customer - Customer data
+   * @returns {object} The closed visit, or the member's visit status if no visit record was open
+   */
+  closeStaleVisit(customer) {
+    const visit = autoCloseService.closeCustomerVisit(customer);
+
+    this.addToScanHistory({
+      customerId: customer.customerId,
+      customerName: `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`,
+      action: 'exit',
+      timestamp: visit.exitTime,
+      duration: calculateDuration(visit.entryTime, visit.exitTime),
+      autoClosed: true
+    });
+
+    return visit;
+  }
+
+  /**
+   * Get the scan policy: duplicate scan window, minimum visit, quick toggle confirmation and passback blocking
+   * @returns {object} Scan policy settings
+   */
+  getScanPolicy() {
+    return {
+      ...DEFAULT_SETTINGS.scanPolicy,
+      ...(dataService.getSettings().scanPolicy || {})
+    };
+  }
+
+  /**
+   * Update the scan policy
+   * @param {object} values - Settings to change: { duplicateWindowSeconds, minVisitMinutes, quickToggleMinutes, blockPassback }
+   * @returns {Promise<object>} Result with the new policy
+   */
+  async updateScanPolicy(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const settings = { ...this.getScanPolicy(), ...values };
+      const { MAX_DUPLICATE_WINDOW, MAX_MIN_VISIT, MAX_QUICK_TOGGLE } = VALIDATION_RULES.SCAN_POLICY;
+      const limits = [
+        ['duplicateWindowSeconds', MAX_DUPLICATE_WINDOW, `Duplicate scan window must be between 0 and ${MAX_DUPLICATE_WINDOW} seconds`],
+        ['minVisitMinutes', MAX_MIN_VISIT, `Minimum visit must be between 0 and ${MAX_MIN_VISIT} minutes`],
+        ['quickToggleMinutes', MAX_QUICK_TOGGLE, `Confirmation window must be between 0 and ${MAX_QUICK_TOGGLE} minutes`]
+      ];
+
+      for (const [key, max, message] of limits) {
+        const value = Number(settings[key]);
+        if (!Number.isInteger(value) || value < 0 || value > max) {
+          return {
+            success: false,
+            message
+          };
+        }
+      }
+
+      dataService.updateSettings('scanPolicy', {
+        duplicateWindowSeconds: Number(settings.duplicateWindowSeconds),
+        minVisitMinutes: Number(settings.minVisitMinutes),
+        quickToggleMinutes: Number(settings.quickToggleMinutes),
+        blockPassback: !!settings.blockPassback
+      });
+
+      return {
+        success: true,
+        message: 'Scan policy saved',
+        data: this.getScanPolicy()
+      };
+
+    } catch (error) {
+      console.error('Update scan policy error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Check a scan against the scan policy before anything is recorded
+   * @param {object} customer - Customer data
+   * @param {string} direction - 'entry' or 'exit'
+   * @param {Array<string>} services - Services requested
+   * @param {boolean} confirmed - The desk already confirmed a quick toggle
+   * @returns {object|null} Held scan result with one of SCAN_POLICY_CODES, or null if the scan may go ahead
+   */
+  checkScanPolicy(customer, direction, services, confirmed = false) {
+    const policy = this.getScanPolicy();
+    const visit = customer.currentVisit || {};
+    const minutesSince = (timestamp) => (Date.now() - new Date(timestamp).getTime()) / (1000 * 60);
+    const describe = (minutes) => (minutes < 1 ? 'less than a minute' : formatDuration(Math.floor(minutes)));
+
+    let code = null;
+    let message = null;
+
+    if (!confirmed && policy.duplicateWindowSeconds > 0 &&
+      this.checkForDuplicateEntry(customer.customerId, policy.duplicateWindowSeconds * 1000)) {
+      code = SCAN_POLICY_CODES.DUPLICATE_SCAN;
+      message = 'Scanned again within a few seconds; this scan was ignored';
+    } else if (direction === 'entry' && visit.isInside && policy.blockPassback) {
+      code = SCAN_POLICY_CODES.PASSBACK;
+      message = `${ERROR_MESSAGES.ALREADY_INSIDE}. The card can't be used to enter again until it is scanned out`;
+    } else if (direction === 'entry' && visit.isInside && !confirmed) {
+      // e.g. a repeat scan at an entry-only terminal; closing the open visit is left to the desk
+      code = SCAN_POLICY_CODES.STILL_INSIDE;
+      message = `Still marked inside since ${formatDate(visit.entryTime, 'time')}. Confirm to record the exit and a new entry`;
+    } else if (direction === 'exit' && visit.isInside && visit.entryTime) {
+      const minutes = minutesSince(visit.entryTime);
+      if (minutes < policy.minVisitMinutes) {
+        code = SCAN_POLICY_CODES.MIN_VISIT_TIME;
+        message = `Came in ${describe(minutes)} ago. Exits are recorded after at least ${policy.minVisitMinutes} minute(s)`;
+      } else if (!confirmed && minutes < policy.quickToggleMinutes) {
+        code = SCAN_POLICY_CODES.QUICK_TOGGLE;
+        message = `Came in ${describe(minutes)} ago. Confirm to record the exit`;
+      }
+    } else if (direction === 'entry' && !visit.isInside && visit.exitTime && !confirmed) {
+      const minutes = minutesSince(visit.exitTime);
+      if (minutes < policy.quickToggleMinutes) {
+        code = SCAN_POLICY_CODES.QUICK_TOGGLE;
+        message = `Left ${describe(minutes)} ago. Confirm to record a new entry`;
+      }
+    }
+
+    if (!code) {
+      return null;
+    }
+
+    this.addToScanHistory({
+      customerId: customer.customerId,
+      customerName: `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`,
+      action: 'held',
+      timestamp: getCurrentTimestamp(),
+      services: services,
+      direction,
+      policyCode: code,
+      message
+    });
+
+    return {
+      success: false,
+      message,
+      customer,
+      type: code,
+      reason: code,
+      direction,
+      services,
+      needsConfirmation: code === SCAN_POLICY_CODES.QUICK_TOGGLE || code === SCAN_POLICY_CODES.STILL_INSIDE
+    };
+  }
+
+  /**
+   * Refuse an entry, keeping the reason in the scan history.
+   * Services the membership doesn't include come with an add-on offer the desk can charge.
+   * @param {object} customer - Customer data
+   * @param {Array<string>} services - Services requested
+   * @param {object} subscriptionResult - Failed subscription validation or access schedule check
+   * @returns {object} Denied scan result
+   */
+  denyEntry(customer, services, subscriptionResult) {
+    const reason = subscriptionResult.reason || null;
+
+    this.addToScanHistory({
+      customerId: customer.customerId,
+      customerName: `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`,
+      action: 'denied',
+      timestamp: getCurrentTimestamp(),
+      services: services,
+      denialReason: reason,
+      message: subscriptionResult.message
+    });
+
+    const result = {
+      success: false,
+      message: subscriptionResult.message,
+      customer: customer,
+      type: 'subscription_invalid',
+      reason,
+      services: services,
+      quota: subscriptionResult.quota || null,
+      nextAllowedAt: subscriptionResult.nextAllowedAt || null,
+      warnings: subscriptionResult.warnings || []
+    };
+
+    if (reason === ACCESS_DENIAL_REASONS.SERVICE_NOT_INCLUDED) {
+      const prices = paymentService.getAddOnPrices();
+      result.type = 'service_not_included';
+      result.addOn = {
+        services: subscriptionResult.missingServices,
+        price: paymentService.roundAmount(
+          subscriptionResult.missingServices.reduce((sum, service) => sum + (prices[service] || 0), 0)
+        ),
+        currency: CURRENCY
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Refuse a lost or revoked card. The scan is kept in the history so staff can see
+   * when and where a stopped card turned up.
+   * @param {object} customerResult - Failed barcode lookup with the member and the card
+   * @param {Array<string>} services - Services requested
+   * @returns {object} Denied scan result
+   */
+  denyCard(customerResult, services) {
+    const { data: customer, card, message } = customerResult;
+
+    this.addToScanHistory({
+      customerId: customer.customerId,
+      customerName: `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`,
+      action: 'denied',
+      timestamp: getCurrentTimestamp(),
+      services: services,
+      denialReason: ACCESS_DENIAL_REASONS.CARD_REVOKED,
+      cardId: card.cardId,
+      message
+    });
+
+    return {
+      success: false,
+      message,
+      customer,
+      card,
+      type: 'card_revoked',
+      reason: ACCESS_DENIAL_REASONS.CARD_REVOKED,
+      services: services
+    };
+  }
+
+  /**
+   * Charge a one-off add-on for services the membership doesn't include, then let the member in
+   * @param {string} customerId - Customer ID
+   * @param {Array<string>} services - All services the member is entering for
+   * @param {string} paymentMethod - One of PAYMENT_METHODS
+   * @returns {Promise<object>} Entry result with the add-on payment
+   */
+  async admitWithAddOn(customerId, services, paymentMethod) {
+    if (!authService.hasPermission(PERMISSIONS.SCAN_BARCODE) || !authService.hasPermission(PERMISSIONS.TAKE_PAYMENT)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        type: 'permission_denied'
+      };
+    }
+
+    try {
+      const customerResult = await customerService.getCustomerById(customerId);
+      if (!customerResult.success) {
+        return {
+          success: false,
+          message: customerResult.message,
+          type: 'customer_not_found'
+        };
+      }
+
+      const customer = customerResult.data;
       if (customer.currentVisit?.isInside) {
-        // Customer is inside - process exit
-        return await this.processExit(customer);
-      } else {
-        // Customer is outside - process entry
-        return await this.processEntry(customer, services);
+        return {
+          success: false,
+          message: ERROR_MESSAGES.ALREADY_INSIDE,
+          type: 'already_inside'
+        };
+      }
+
+      const addOnServices = planService.getMissingServices(customer.membership, services);
+      if (addOnServices.length === 0) {
+        return {
+          success: false,
+          message: 'The membership already includes these services',
+          type: 'validation_error'
+        };
+      }
+
+      // Everything else about the membership still has to be valid
+      const includedServices = services.filter(service => !addOnServices.includes(service));
+      const subscriptionResult = await customerService.validateSubscription(customer.customerId, includedServices);
+      if (!subscriptionResult.isValid) {
+        return this.denyEntry(customer, services, subscriptionResult);
       }
 
+      const access = accessScheduleService.checkAccess(customer, services);
+      if (!access.allowed) {
+        return this.denyEntry(customer, services, { ...subscriptionResult, ...access });
+      }
+
+      const paymentResult = paymentService.chargeAddOn(customer, addOnServices, paymentMethod);
+      if (!paymentResult.success) {
+        return paymentResult;
+      }
+
+      const result = await this.processEntry(customer, services, {
+        services: addOnServices,
+        paymentId: paymentResult.data.paymentId
+      });
+
+      return {
+        ...result,
+        message: result.success ? `Add-on paid (${paymentResult.data.invoiceNumber}). ${result.message}` : result.message,
+        payment: paymentResult.data
+      };
+
     } catch (error) {
-      console.error('Process barcode entry error:', error);
+      console.error('Admit with add-on error:', error);
       return {
         success: false,
         message: ERROR_MESSAGES.NETWORK_ERROR,
@@ -83,9 +530,12 @@ class BarcodeService {
    * Process customer entry
    * @param {object} customer - Customer data
    * @param {Array<string>} services - Services to access
+   * @param {object} addOn - Services paid for as a one-off on this visit: { services, paymentId } (optional)
+   * @param {object} options - Entry options
+   * @param {boolean} options.useQuota - Use up a visit and sessions (false for staff overrides and manual entries)
    * @returns {Promise<object>} Entry result
    */
-  async processEntry(customer, services) {
+  async processEntry(customer, services, addOn = null, { useQuota = true } = {}) {
     try {
       const entryTime = getCurrentTimestamp();
 
@@ -96,11 +546,20 @@ class BarcodeService {
         exitTime: null,
         duration: null,
         services: services || ['gym'],
-        date: new Date().toISOString().split('T')[0]
+        date: new Date().toISOString().split('T')[0],
+        entryShiftId: shiftService.getCurrentShiftId(),
+        addOn
       };
 
       const newVisit = dataService.addVisit(visitData);
 
+      // Visit and session packs are used up as the member comes in, unless staff let them in
+      const membership = dataService.getCustomerById(customer.customerId)?.membership;
+      const quota = useQuota ? planService.consumeQuota(membership?.quota, visitData.services) : null;
+      if (quota) {
+        dataService.updateCustomer(customer.customerId, { membership: { ...membership, quota } });
+      }
+
       // Update customer visit status
       dataService.updateCustomerVisitStatus(
         customer.customerId, 
@@ -125,7 +584,8 @@ class BarcodeService {
         customer: customer,
         visit: newVisit,
         entryTime: entryTime,
-        services: services
+        services: services,
+        quota
       };
 
     } catch (error) {
@@ -149,7 +609,8 @@ class BarcodeService {
         return {
           success: false,
           message: ERROR_MESSAGES.NOT_INSIDE,
-          type: 'not_inside'
+          type: 'not_inside',
+          customer: customer
         };
       }
 
@@ -172,7 +633,7 @@ class BarcodeService {
       const duration = calculateDuration(entryTime, exitTime);
 
       // Update visit record
-      dataService.endVisit(currentVisit.visitId, exitTime);
+      const endedVisit = dataService.endVisit(currentVisit.visitId, exitTime, shiftService.getCurrentShiftId());
 
       // Update customer visit status
       dataService.updateCustomerVisitStatus(
@@ -196,7 +657,7 @@ class BarcodeService {
         message: SUCCESS_MESSAGES.EXIT_RECORDED,
         type: 'exit',
         customer: customer,
-        visit: currentVisit,
+        visit: endedVisit,
         entryTime: entryTime,
         exitTime: exitTime,
         duration: duration
@@ -220,6 +681,13 @@ class BarcodeService {
    * @returns {Promise<object>} Manual operation result
    */
   async manualEntryExit(customerId, action, services = ['gym']) {
+    if (!authService.hasPermission(PERMISSIONS.MANUAL_ENTRY_EXIT)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       if (!customerId) {
         return {
@@ -252,7 +720,7 @@ class BarcodeService {
             type: 'already_inside'
           };
         }
-        return await this.processEntry(customer, services);
+        return await this.processEntry(customer, services, null, { useQuota: false });
       } else {
         if (!customer.currentVisit?.isInside) {
           return {
@@ -297,6 +765,7 @@ class BarcodeService {
         return {
           success: false,
           message: customerResult.message,
+          reason: customerResult.reason || null,
           isValid: false
         };
       }
@@ -349,7 +818,8 @@ class BarcodeService {
 
     this.scanHistory.push(historyEntry);
 
-    // Keep only last 100 entries to prevent memory issues
+    // Keep only last 100 entries to prevent memory issues. The history is for display only;
+    // scan policy checks read the stored visits
     if (this.scanHistory.length > 100) {
       this.scanHistory = this.scanHistory.slice(-100);
     }
@@ -384,6 +854,63 @@ class BarcodeService {
     this.isScanning = status;
   }
 
+  /**
+   * Get how the app recognises input from a keyboard-wedge scanner
+   * @returns {object} Scanner input settings: { wedgeMode, maxKeyInterval }
+   */
+  getInputSettings() {
+    return {
+      ...DEFAULT_SETTINGS.scanner,
+      ...(dataService.getSettings().scanner || {})
+    };
+  }
+
+  /**
+   * Update keyboard-wedge scanner settings
+   * @param {object} values - Settings to change: { wedgeMode, maxKeyInterval, acceptCustomerIds }
+   * @returns {Promise<object>} Result with the new settings
+   */
+  async updateInputSettings(values) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const settings = { ...this.getInputSettings(), ...values };
+      const maxKeyInterval = Number(settings.maxKeyInterval);
+      const { MIN_KEY_INTERVAL, MAX_KEY_INTERVAL } = VALIDATION_RULES.SCANNER;
+
+      if (!Number.isInteger(maxKeyInterval) || maxKeyInterval < MIN_KEY_INTERVAL || maxKeyInterval > MAX_KEY_INTERVAL) {
+        return {
+          success: false,
+          message: `Key interval must be between ${MIN_KEY_INTERVAL} and ${MAX_KEY_INTERVAL} ms`
+        };
+      }
+
+      dataService.updateSettings('scanner', {
+        wedgeMode: !!settings.wedgeMode,
+        maxKeyInterval,
+        acceptCustomerIds: !!settings.acceptCustomerIds
+      });
+
+      return {
+        success: true,
+        message: 'Scanner settings saved',
+        data: this.getInputSettings()
+      };
+
+    } catch (error) {
+      console.error('Update scanner settings error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
   /**
    * Simulate barcode scan (for testing)
    * @param {string} customerId - Customer ID to simulate
@@ -399,17 +926,15 @@ class BarcodeService {
    * Check for duplicate entries (prevent rapid consecutive scans)
    * @param {string} customerId - Customer ID
    * @param {number} timeWindowMs - Time window in milliseconds (default: 5 seconds)
-   * @returns {boolean} True if recent scan found
+   * @returns {boolean} True if an entry or exit was recorded within the window
    */
   checkForDuplicateEntry(customerId, timeWindowMs = 5000) {
-    const now = new Date();
-    const recentScans = this.scanHistory.filter(scan => {
-      const scanTime = new Date(scan.timestamp);
-      const timeDiff = now - scanTime;
-      return scan.customerId === customerId && timeDiff < timeWindowMs;
-    });
-
-    return recentScans.length > 0;
+    const now = Date.now();
+    // Read from the stored visits, so the check survives restarts and busy desks. Only recorded
+    // entries and exits count; held and denied scans would otherwise keep extending the window
+    return dataService.getVisitsByCustomerId(customerId).some(visit =>
+      [visit.entryTime, visit.exitTime].some(timestamp => timestamp && now - new Date(timestamp).getTime() < timeWindowMs)
+    );
   }
 
   /**
@@ -419,6 +944,13 @@ class BarcodeService {
    * @returns {Promise<object>} Override result
    */
   async emergencyOverride(customerId, reason) {
+    if (!authService.hasPermission(PERMISSIONS.EMERGENCY_OVERRIDE)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       if (!customerId || !reason) {
         return {
@@ -440,7 +972,7 @@ class BarcodeService {
       if (customer.currentVisit?.isInside) {
         result = await this.processExit(customer);
       } else {
-        result = await this.processEntry(customer, ['gym', 'spa']);
+        result = await this.processEntry(customer, ['gym', 'spa'], null, { useQuota: false });
       }
 
       if (result.success) {
@@ -456,6 +988,14 @@ class BarcodeService {
 
         result.isEmergencyOverride = true;
         result.overrideReason = reason;
+
+        auditService.record(AUDIT_ACTIONS.EMERGENCY_OVERRIDE, {
+          customerId: customer.customerId,
+          before: { isInside: Boolean(customer.currentVisit?.isInside), membershipStatus: customer.membership?.status },
+          after: { isInside: result.type === 'entry' },
+          reason,
+          details: { action: result.type }
+        });
       }
 
       return result;
@@ -485,6 +1025,8 @@ class BarcodeService {
 
     const entries = dayScans.filter(scan => scan.action === 'entry').length;
     const exits = dayScans.filter(scan => scan.action === 'exit').length;
+    const denied = dayScans.filter(scan => scan.action === 'denied').length;
+    const held = dayScans.filter(scan => scan.action === 'held').length;
     const emergencyOverrides = dayScans.filter(scan => scan.isEmergencyOverride).length;
 
     return {
@@ -493,6 +1035,8 @@ class BarcodeService {
       entries: entries,
       exits: exits,
       currentlyInside: entries - exits,
+      denied: denied,
+      held: held,
       emergencyOverrides: emergencyOverrides,
       peakHour: this.calculatePeakScanningHour(dayScans)
     };
@@ -531,6 +1075,13 @@ class BarcodeService {
    * @returns {object} Export data
    */
   exportScanHistory(startDate = null, endDate = null) {
+    if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     let filteredHistory = [...this.scanHistory];
 
     if (startDate || endDate) {
@@ -544,7 +1095,12 @@ class BarcodeService {
       });
     }
 
+    auditService.record(AUDIT_ACTIONS.EXPORT, {
+      details: { type: 'scan_history', startDate, endDate, total: filteredHistory.length }
+    });
+
     return {
+      success: true,
       data: filteredHistory,
       total: filteredHistory.length,
       dateRange: { startDate, endDate },
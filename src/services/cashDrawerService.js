@@ -0,0 +1,294 @@
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import shiftService from './shiftService';
+import paymentService from './paymentService';
+import { validateCloseoutData, validateDate } from '../utils/validators';
+import {
+  AUDIT_ACTIONS,
+  CASH_DENOMINATIONS,
+  CLOSEOUT_STATUS,
+  CURRENCY,
+  ERROR_MESSAGES,
+  PAYMENT_METHODS,
+  PERMISSIONS,
+  VALIDATION_RULES
+} from '../utils/constants';
+import { getCurrentTimestamp } from '../utils/dateUtils';
+
+// End-of-day cash counts. Closing a day locks it against new payments until a manager reopens it.
+class CashDrawerService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Add up a drawer count
+   * @param {object} denominations - Count per denomination, keyed by its value
+   * @returns {number} Counted cash
+   */
+  countCash(denominations = {}) {
+    return paymentService.roundAmount(
+      CASH_DENOMINATIONS.reduce((sum, value) => sum + value * (Number(denominations[value]) || 0), 0)
+    );
+  }
+
+  /**
+   * Cash expected in the drawer for a day, from the payments ledger
+   * @param {string} date - Business day (YYYY-MM-DD)
+   * @returns {object} Expected cash, the day's payment totals and cash per shift
+   */
+  calculateExpectedCash(date) {
+    const payments = dataService.getPaymentsByDate(date);
+    const cashPayments = payments.filter(payment => payment.method === PAYMENT_METHODS.CASH);
+
+    const byShift = {};
+    cashPayments.forEach(payment => {
+      const key = payment.shiftId || 'none';
+      if (!byShift[key]) {
+        byShift[key] = {
+          shiftId: payment.shiftId || null,
+          employeeName: payment.employeeName,
+          payments: 0,
+          cash: 0
+        };
+      }
+      byShift[key].payments++;
+      byShift[key].cash = paymentService.roundAmount(byShift[key].cash + payment.total);
+    });
+
+    return {
+      expectedCash: paymentService.roundAmount(cashPayments.reduce((sum, payment) => sum + payment.total, 0)),
+      cashPayments: cashPayments.length,
+      summary: paymentService.summarizePayments(payments),
+      shifts: Object.values(byShift)
+    };
+  }
+
+  /**
+   * Check a business day before counting or reopening it
+   * @param {string} date - Business day (YYYY-MM-DD)
+   * @returns {string|null} Error message, or null if the date can be closed
+   */
+  checkDate(date) {
+    const validation = validateDate(date);
+    if (!validation.isValid) {
+      return validation.message;
+    }
+
+    const today = new Date().toISOString().split('T')[0];
+    if (date > today) {
+      return 'Cannot close a day that hasn\'t happened yet';
+    }
+
+    return null;
+  }
+
+  /**
+   * Cash expected for a day alongside its close-out state
+   * @param {string} date - Business day (YYYY-MM-DD, defaults to today)
+   * @returns {Promise<object>} Result with expected cash, shifts, the latest close-out and earlier counts
+   */
+  async getCloseoutSummary(date = new Date().toISOString().split('T')[0]) {
+    if (!authService.hasPermission(PERMISSIONS.CLOSE_CASH_DRAWER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const dateError = this.checkDate(date);
+      if (dateError) {
+        return {
+          success: false,
+          message: dateError
+        };
+      }
+
+      const history = dataService.getCloseoutsByDate(date);
+      const latest = history[history.length - 1] || null;
+
+      return {
+        success: true,
+        data: {
+          date,
+          ...this.calculateExpectedCash(date),
+          denominations: CASH_DENOMINATIONS,
+          currency: CURRENCY,
+          closeout: latest,
+          locked: latest?.status === CLOSEOUT_STATUS.CLOSED,
+          history: [...history].reverse()
+        }
+      };
+
+    } catch (error) {
+      console.error('Get close-out summary error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Record the counted drawer for a day and lock its transactions
+   * @param {string} date - Business day (YYYY-MM-DD)
+   * @param {object} countData - Drawer count
+   * @param {object} countData.denominations - Count per denomination, keyed by its value
+   * @param {string} countData.note - Explanation, required when the count doesn't match
+   * @returns {Promise<object>} Result with the close-out
+   */
+  async closeDay(date, { denominations = {}, note = '' } = {}) {
+    if (!authService.hasPermission(PERMISSIONS.CLOSE_CASH_DRAWER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const dateError = this.checkDate(date);
+      if (dateError) {
+        return {
+          success: false,
+          message: dateError
+        };
+      }
+
+      if (paymentService.isDayClosed(date)) {
+        return {
+          success: false,
+          message: 'This day is already closed'
+        };
+      }
+
+      const { expectedCash, cashPayments, summary } = this.calculateExpectedCash(date);
+      const countedCash = this.countCash(denominations);
+      const variance = paymentService.roundAmount(countedCash - expectedCash);
+
+      const validation = validateCloseoutData({ denominations, note }, variance !== 0);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      const user = authService.getCurrentUser();
+      const closeout = dataService.addCloseout({
+        date,
+        status: CLOSEOUT_STATUS.CLOSED,
+        expectedCash,
+        countedCash,
+        variance,
+        denominations: Object.fromEntries(CASH_DENOMINATIONS.map(value => [value, Number(denominations[value]) || 0])),
+        note: note.trim(),
+        cashPayments,
+        paymentCount: summary.count,
+        currency: CURRENCY,
+        closedBy: user.employeeId,
+        closedByName: `${user.firstName} ${user.lastName}`,
+        closedAt: getCurrentTimestamp(),
+        shiftId: shiftService.getCurrentShiftId()
+      });
+
+      auditService.record(AUDIT_ACTIONS.CASH_CLOSEOUT, {
+        after: { status: closeout.status, expectedCash, countedCash, variance },
+        reason: closeout.note || null,
+        details: { closeoutId: closeout.closeoutId, date }
+      });
+
+      return {
+        success: true,
+        message: variance === 0
+          ? 'Day closed, drawer balanced'
+          : `Day closed with a variance of ${variance > 0 ? '+' : ''}${variance.toFixed(2)} ${CURRENCY}`,
+        data: closeout
+      };
+
+    } catch (error) {
+      console.error('Close day error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Reopen a closed day so payments can be taken again
+   * @param {string} date - Business day (YYYY-MM-DD)
+   * @param {string} reason - Why the day is being reopened
+   * @returns {Promise<object>} Result with the reopened close-out
+   */
+  async reopenDay(date, reason = '') {
+    if (!authService.hasPermission(PERMISSIONS.REOPEN_CASH_DAY)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const closeout = dataService.getLatestCloseout(date);
+      if (!closeout || closeout.status !== CLOSEOUT_STATUS.CLOSED) {
+        return {
+          success: false,
+          message: 'This day is not closed'
+        };
+      }
+
+      const trimmedReason = (reason || '').trim();
+      if (!trimmedReason) {
+        return {
+          success: false,
+          message: 'Please give a reason for reopening the day',
+          errors: { reason: 'Reason is required' }
+        };
+      }
+      if (trimmedReason.length > VALIDATION_RULES.CLOSEOUT.NOTE_MAX_LENGTH) {
+        return {
+          success: false,
+          message: 'Please fix the validation errors',
+          errors: { reason: `Reason must be no more than ${VALIDATION_RULES.CLOSEOUT.NOTE_MAX_LENGTH} characters` }
+        };
+      }
+
+      const user = authService.getCurrentUser();
+      const updatedCloseout = dataService.updateCloseout(closeout.closeoutId, {
+        status: CLOSEOUT_STATUS.REOPENED,
+        reopenedBy: user.employeeId,
+        reopenedByName: `${user.firstName} ${user.lastName}`,
+        reopenedAt: getCurrentTimestamp(),
+        reopenReason: trimmedReason
+      });
+
+      auditService.record(AUDIT_ACTIONS.CASH_CLOSEOUT, {
+        before: { status: closeout.status },
+        after: { status: updatedCloseout.status },
+        reason: trimmedReason,
+        details: { closeoutId: closeout.closeoutId, date }
+      });
+
+      return {
+        success: true,
+        message: 'Day reopened',
+        data: updatedCloseout
+      };
+
+    } catch (error) {
+      console.error('Reopen day error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const cashDrawerService = new CashDrawerService();
+
+export default cashDrawerService;
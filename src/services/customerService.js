@@ -1,15 +1,38 @@
 import dataService from './dataService';
-import { validateCustomerData, validateBarcode } from '../utils/validators';
+import authService from './authService';
+import auditService from './auditService';
+import shiftService from './shiftService';
+import planService from './planService';
+import paymentService from './paymentService';
+import memberCardService from './memberCardService';
+import { validateCustomerData, validateBarcode, validateFreezeData, validatePaymentData } from '../utils/validators';
 import {
   MEMBERSHIP_STATUS,
   ERROR_MESSAGES,
-  SUCCESS_MESSAGES
+  SUCCESS_MESSAGES,
+  PERMISSIONS,
+  AUDIT_ACTIONS,
+  PLAN_STATUS,
+  PAYMENT_METHODS,
+  PAYMENT_TYPES,
+  FREEZE_STATUS,
+  ACCESS_DENIAL_REASONS
 } from '../utils/constants';
 import {
   isSubscriptionExpired,
   isSubscriptionExpiringSoon,
-  getCurrentTimestamp
+  getCurrentTimestamp,
+  calculateEndDate,
+  getDaysBetween
 } from '../utils/dateUtils';
+import { formatServices } from '../utils/formatters';
+
+// Fields updateCustomer may change. Everything else has its own operation:
+// cards go through memberCardService, freezes through freezeMembership/endFreeze,
+// renewals through renewMembership, visit status through the scanner and the
+// photo through cardService; the customer ID and history never change.
+const EDITABLE_FIELDS = ['personalInfo', 'membership'];
+const EDITABLE_PERSONAL_INFO = ['firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'address'];
 
 class CustomerService {
   constructor() {
@@ -22,7 +45,10 @@ class CustomerService {
    */
   async getAllCustomers() {
     try {
-      const customers = dataService.getAllCustomers();
+      const customers = dataService.getAllCustomers().map(customer => ({
+        ...customer,
+        cards: (customer.cards || []).map(card => memberCardService.toPublicCard(card))
+      }));
       return {
         success: true,
         data: customers,
@@ -114,14 +140,52 @@ class CustomerService {
   }
 
   /**
-   * Register new customer
+   * Register new customer and record the membership sale in the payments ledger
    * @param {object} customerData - Customer data
-   * @returns {Promise<object>} Result with new customer data
+   * @param {object} customerData.payment - How the membership was paid: { method, discount } (defaults to cash, no discount)
+   * @returns {Promise<object>} Result with new customer data and the payment
    */
-  async registerCustomer(customerData) {
+  async registerCustomer({ payment: paymentInput = {}, ...customerData }) {
+    if (!authService.hasPermission(PERMISSIONS.REGISTER_CUSTOMER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
+      // Only plans that are on sale can be sold; the plan decides the end date, price and services
+      const plan = dataService.getPlanById(customerData.membership?.planId);
+
+      // Selling a plan writes the payment to the ledger
+      if (plan && !authService.hasPermission(PERMISSIONS.TAKE_PAYMENT)) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.PERMISSION_DENIED
+        };
+      }
+      if (customerData.membership?.planId && (!plan || plan.status !== PLAN_STATUS.ACTIVE)) {
+        return {
+          success: false,
+          message: 'This plan is not on sale',
+          errors: { planId: 'Please select a plan that is on sale' }
+        };
+      }
+
+      const startDate = customerData.membership?.startDate;
+      const newCustomerData = plan && startDate && !isNaN(new Date(startDate).getTime())
+        ? {
+            ...customerData,
+            membership: {
+              ...customerData.membership,
+              ...planService.buildMembership(plan, startDate),
+              status: MEMBERSHIP_STATUS.ACTIVE
+            }
+          }
+        : customerData;
+
       // Validate customer data
-      const validation = validateCustomerData(customerData);
+      const validation = validateCustomerData(newCustomerData);
       if (!validation.isValid) {
         return {
           success: false,
@@ -139,14 +203,46 @@ class CustomerService {
         };
       }
 
-      // Add new customer
-      const newCustomer = dataService.addCustomer(customerData);
-      const enrichedCustomer = this.enrichCustomerData(newCustomer);
+      // Check the payment before anything is saved
+      const paymentData = {
+        type: PAYMENT_TYPES.MEMBERSHIP_SALE,
+        method: paymentInput.method || PAYMENT_METHODS.CASH,
+        amount: newCustomerData.membership.price || 0,
+        discount: paymentInput.discount || 0,
+        planId: plan?.planId || null,
+        description: plan ? plan.name : ''
+      };
+      const paymentValidation = plan ? validatePaymentData(paymentData) : { isValid: true };
+      if (!paymentValidation.isValid) {
+        return {
+          success: false,
+          message: paymentValidation.message,
+          errors: paymentValidation.errors
+        };
+      }
+
+      if (plan && paymentService.isDayClosed()) {
+        return paymentService.dayClosedResult();
+      }
+
+      // Add new customer, attributed to the employee's shift for the shift report
+      const newCustomer = dataService.addCustomer({
+        ...newCustomerData,
+        registeredBy: authService.getCurrentUser()?.employeeId || null,
+        registeredShiftId: shiftService.getCurrentShiftId()
+      });
+      // Every member starts with one card; any cards sent with the form are ignored
+      const { customer: carded } = memberCardService.addCard(newCustomer, []);
+      const payment = plan
+        ? paymentService.recordPayment({ ...paymentData, customer: carded, period: carded.membership }).data
+        : null;
+      const enrichedCustomer = this.enrichCustomerData(carded);
 
       return {
         success: true,
         message: SUCCESS_MESSAGES.CUSTOMER_REGISTERED,
-        data: enrichedCustomer
+        data: enrichedCustomer,
+        payment
       };
 
     } catch (error) {
@@ -159,12 +255,20 @@ class CustomerService {
   }
 
   /**
-   * Update customer information
+   * Update a customer's profile and, with the edit membership permission, their membership
    * @param {string} customerId - Customer ID
-   * @param {object} updates - Updates to apply
+   * @param {object} updates - personalInfo and membership changes; other fields are refused
    * @returns {Promise<object>} Result with updated customer data
    */
   async updateCustomer(customerId, updates) {
+    // Any edit to a member's record needs the front desk permission; membership changes need more below
+    if (!authService.hasPermission(PERMISSIONS.REGISTER_CUSTOMER)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       if (!customerId) {
         return {
@@ -182,8 +286,47 @@ class CustomerService {
         };
       }
 
+      // Refuse anything outside the profile and membership, unless it is sent back unchanged
+      const isChanged = (value, current) => JSON.stringify(value) !== JSON.stringify(current);
+      const lockedFields = [
+        ...Object.keys(updates)
+          .filter(field => !EDITABLE_FIELDS.includes(field) && isChanged(updates[field], existingCustomer[field])),
+        ...Object.keys(updates.personalInfo || {})
+          .filter(field => !EDITABLE_PERSONAL_INFO.includes(field) && isChanged(updates.personalInfo[field], existingCustomer.personalInfo?.[field]))
+          .map(field => `personalInfo.${field}`)
+      ];
+      if (lockedFields.length > 0) {
+        return {
+          success: false,
+          message: `These fields can't be edited here: ${lockedFields.join(', ')}`,
+          errors: Object.fromEntries(lockedFields.map(field => [field, 'This field can\'t be edited here']))
+        };
+      }
+
+      const changes = {};
+      if (updates.personalInfo) {
+        changes.personalInfo = {
+          ...existingCustomer.personalInfo,
+          ...Object.fromEntries(EDITABLE_PERSONAL_INFO
+            .filter(field => field in updates.personalInfo)
+            .map(field => [field, updates.personalInfo[field]]))
+        };
+      }
+      if (updates.membership) {
+        changes.membership = updates.membership;
+      }
+
+      // Membership changes need their own permission
+      const membershipChanged = Boolean(changes.membership) && isChanged(changes.membership, existingCustomer.membership);
+      if (membershipChanged && !authService.hasPermission(PERMISSIONS.EDIT_MEMBERSHIP)) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.PERMISSION_DENIED
+        };
+      }
+
       // Validate updates
-      const updatedCustomerData = { ...existingCustomer, ...updates };
+      const updatedCustomerData = { ...existingCustomer, ...changes };
       const validation = validateCustomerData(updatedCustomerData);
       
       if (!validation.isValid) {
@@ -195,9 +338,17 @@ class CustomerService {
       }
 
       // Apply updates
-      const updatedCustomer = dataService.updateCustomer(customerId, updates);
+      const updatedCustomer = dataService.updateCustomer(customerId, changes);
       const enrichedCustomer = this.enrichCustomerData(updatedCustomer);
 
+      if (membershipChanged) {
+        auditService.record(AUDIT_ACTIONS.MEMBERSHIP_CHANGE, {
+          customerId,
+          before: existingCustomer.membership,
+          after: updatedCustomer.membership
+        });
+      }
+
       return {
         success: true,
         message: 'Customer updated successfully',
@@ -213,12 +364,418 @@ class CustomerService {
     }
   }
 
+  /**
+   * Price a membership renewal or plan change without saving it
+   * @param {string} customerId - Customer ID
+   * @param {string} planId - Plan to buy
+   * @param {string} startFrom - One of RENEWAL_START
+   * @returns {Promise<object>} Result with the quote
+   */
+  async getRenewalQuote(customerId, planId, startFrom) {
+    if (!authService.hasPermission(PERMISSIONS.RENEW_MEMBERSHIP)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const customer = dataService.getCustomerById(customerId);
+      if (!customer) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+        };
+      }
+
+      const plan = dataService.getPlanById(planId);
+      if (!plan || plan.status !== PLAN_STATUS.ACTIVE) {
+        return {
+          success: false,
+          message: 'This plan is not on sale'
+        };
+      }
+
+      return {
+        success: true,
+        data: planService.calculateRenewal(customer.membership, plan, startFrom)
+      };
+
+    } catch (error) {
+      console.error('Get renewal quote error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Renew a membership or move it to another plan, recording the payment
+   * @param {string} customerId - Customer ID
+   * @param {object} renewal - Renewal details
+   * @param {string} renewal.planId - Plan to buy
+   * @param {string} renewal.startFrom - One of RENEWAL_START
+   * @param {string} renewal.paymentMethod - One of PAYMENT_METHODS
+   * @param {number} renewal.discount - Discount taken off the amount due (optional)
+   * @returns {Promise<object>} Result with updated customer data, the renewal record and the payment
+   */
+  async renewMembership(customerId, { planId, startFrom, paymentMethod, discount = 0 } = {}) {
+    if (!authService.hasPermission(PERMISSIONS.RENEW_MEMBERSHIP)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const quoteResult = await this.getRenewalQuote(customerId, planId, startFrom);
+      if (!quoteResult.success) {
+        return quoteResult;
+      }
+
+      if (!Object.values(PAYMENT_METHODS).includes(paymentMethod)) {
+        return {
+          success: false,
+          message: 'Please select a payment method',
+          errors: { paymentMethod: 'Please select a payment method' }
+        };
+      }
+
+      const existingCustomer = dataService.getCustomerById(customerId);
+      if (existingCustomer.membership?.status === MEMBERSHIP_STATUS.SUSPENDED) {
+        return {
+          success: false,
+          message: 'Membership is suspended'
+        };
+      }
+
+      const quote = quoteResult.data;
+      const user = authService.getCurrentUser();
+      const previous = existingCustomer.membership || {};
+
+      const paymentResult = paymentService.recordPayment({
+        type: PAYMENT_TYPES.RENEWAL,
+        method: paymentMethod,
+        amount: quote.amountDue,
+        discount,
+        customer: existingCustomer,
+        planId: quote.planId,
+        description: `${quote.planName} renewal`,
+        period: quote
+      });
+      if (!paymentResult.success) {
+        return paymentResult;
+      }
+      const payment = paymentResult.data;
+
+      const renewal = {
+        planId: quote.planId,
+        planName: quote.planName,
+        startFrom: quote.startFrom,
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+        price: quote.price,
+        credit: quote.credit,
+        discount: payment.discount,
+        amountPaid: payment.total,
+        paymentMethod,
+        paymentId: payment.paymentId,
+        invoiceNumber: payment.invoiceNumber,
+        previous: {
+          planId: previous.planId || null,
+          planName: previous.planName || null,
+          startDate: previous.startDate || null,
+          endDate: previous.endDate || null
+        },
+        renewedAt: getCurrentTimestamp(),
+        renewedBy: user?.employeeId || null,
+        shiftId: shiftService.getCurrentShiftId()
+      };
+
+      const membership = {
+        ...previous,
+        planId: quote.planId,
+        planName: quote.planName,
+        price: quote.price,
+        startDate: quote.startDate,
+        endDate: quote.endDate,
+        services: quote.services,
+        quota: quote.quota,
+        status: MEMBERSHIP_STATUS.ACTIVE
+      };
+
+      const updatedCustomer = dataService.updateCustomer(customerId, {
+        membership,
+        membershipHistory: [...(existingCustomer.membershipHistory || []), renewal]
+      });
+
+      auditService.record(AUDIT_ACTIONS.MEMBERSHIP_CHANGE, {
+        customerId,
+        before: existingCustomer.membership,
+        after: membership,
+        details: {
+          action: 'renewal',
+          amountPaid: renewal.amountPaid,
+          credit: renewal.credit,
+          discount: renewal.discount,
+          paymentMethod,
+          invoiceNumber: renewal.invoiceNumber
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Membership renewed successfully',
+        data: this.enrichCustomerData(updatedCustomer),
+        renewal,
+        payment
+      };
+
+    } catch (error) {
+      console.error('Renew membership error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Get the freeze covering a date, if any
+   * @param {object} customer - Customer data
+   * @param {string} date - Date to check (YYYY-MM-DD, defaults to today)
+   * @returns {object|null} Freeze record
+   */
+  getActiveFreeze(customer, date = new Date().toISOString().split('T')[0]) {
+    return (customer.freezes || []).find(freeze =>
+      freeze.status === FREEZE_STATUS.ACTIVE &&
+      freeze.startDate <= date &&
+      freeze.endDate >= date
+    ) || null;
+  }
+
+  /**
+   * Work out how many freeze days are left in the current membership term
+   * @param {object} customer - Customer data
+   * @returns {object} Allowed, used and remaining days
+   */
+  getFreezeAllowance(customer) {
+    const plan = dataService.getPlanById(customer.membership?.planId);
+    const maxDays = plan?.maxFreezeDays || 0;
+    const usedDays = (customer.freezes || [])
+      .filter(freeze =>
+        freeze.status === FREEZE_STATUS.ACTIVE &&
+        freeze.membershipStartDate === customer.membership?.startDate
+      )
+      .reduce((total, freeze) => total + freeze.days, 0);
+
+    return {
+      maxDays,
+      usedDays,
+      remainingDays: Math.max(0, maxDays - usedDays)
+    };
+  }
+
+  /**
+   * Freeze a membership for a date range.
+   * Scans are refused while the freeze runs and the end date moves out by the frozen days.
+   * @param {string} customerId - Customer ID
+   * @param {object} freezeData - Freeze details
+   * @param {string} freezeData.startDate - First frozen day (YYYY-MM-DD)
+   * @param {string} freezeData.endDate - Last frozen day (YYYY-MM-DD)
+   * @param {string} freezeData.reason - One of FREEZE_REASONS
+   * @param {string} freezeData.note - Optional details
+   * @returns {Promise<object>} Result with updated customer data
+   */
+  async freezeMembership(customerId, freezeData = {}) {
+    if (!authService.hasPermission(PERMISSIONS.EDIT_MEMBERSHIP)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const customer = dataService.getCustomerById(customerId);
+      if (!customer || !customer.membership) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+        };
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      const validation = validateFreezeData(freezeData, today);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      const { membership } = customer;
+      if (membership.endDate <= today || freezeData.startDate >= membership.endDate) {
+        return {
+          success: false,
+          message: 'A freeze must start before the membership ends',
+          errors: { startDate: `The membership ends on ${membership.endDate}` }
+        };
+      }
+
+      const overlapping = (customer.freezes || []).some(freeze =>
+        freeze.status === FREEZE_STATUS.ACTIVE &&
+        freeze.startDate <= freezeData.endDate &&
+        freeze.endDate >= freezeData.startDate
+      );
+      if (overlapping) {
+        return {
+          success: false,
+          message: 'These dates overlap an existing freeze'
+        };
+      }
+
+      const days = getDaysBetween(freezeData.startDate, freezeData.endDate) + 1;
+      const allowance = this.getFreezeAllowance(customer);
+      if (days > allowance.remainingDays) {
+        return {
+          success: false,
+          message: allowance.maxDays === 0
+            ? 'This plan does not allow freezing'
+            : `Only ${allowance.remainingDays} freeze days are left on this membership`
+        };
+      }
+
+      const freeze = {
+        freezeId: `freeze${((customer.freezes || []).length + 1).toString().padStart(3, '0')}`,
+        startDate: freezeData.startDate,
+        endDate: freezeData.endDate,
+        days,
+        reason: freezeData.reason,
+        note: (freezeData.note || '').trim(),
+        status: FREEZE_STATUS.ACTIVE,
+        membershipStartDate: membership.startDate,
+        createdAt: getCurrentTimestamp(),
+        createdBy: authService.getCurrentUser()?.employeeId || null
+      };
+
+      const updatedMembership = {
+        ...membership,
+        endDate: calculateEndDate(membership.endDate, days, 'day')
+      };
+
+      const updatedCustomer = dataService.updateCustomer(customerId, {
+        membership: updatedMembership,
+        freezes: [...(customer.freezes || []), freeze]
+      });
+
+      auditService.record(AUDIT_ACTIONS.MEMBERSHIP_CHANGE, {
+        customerId,
+        before: membership,
+        after: updatedMembership,
+        reason: freeze.note || freeze.reason,
+        details: { action: 'freeze', freeze }
+      });
+
+      return {
+        success: true,
+        message: `Membership frozen for ${days} day${days === 1 ? '' : 's'}`,
+        data: this.enrichCustomerData(updatedCustomer)
+      };
+
+    } catch (error) {
+      console.error('Freeze membership error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * End a freeze early (the member is back) or cancel one that has not started.
+   * Only the days actually frozen stay added to the end date.
+   * @param {string} customerId - Customer ID
+   * @param {string} freezeId - Freeze ID
+   * @returns {Promise<object>} Result with updated customer data
+   */
+  async endFreeze(customerId, freezeId) {
+    if (!authService.hasPermission(PERMISSIONS.EDIT_MEMBERSHIP)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const customer = dataService.getCustomerById(customerId);
+      const freeze = (customer?.freezes || []).find(f => f.freezeId === freezeId);
+      if (!freeze || freeze.status !== FREEZE_STATUS.ACTIVE) {
+        return {
+          success: false,
+          message: 'Freeze not found'
+        };
+      }
+
+      const today = new Date().toISOString().split('T')[0];
+      if (freeze.endDate < today) {
+        return {
+          success: false,
+          message: 'This freeze has already ended'
+        };
+      }
+
+      // Days before today stay frozen; nothing is frozen if it starts today or later
+      const frozenDays = Math.max(0, getDaysBetween(freeze.startDate, today));
+      const endedFreeze = {
+        ...freeze,
+        endDate: frozenDays > 0 ? calculateEndDate(today, -1, 'day') : freeze.endDate,
+        days: frozenDays,
+        status: frozenDays > 0 ? FREEZE_STATUS.ACTIVE : FREEZE_STATUS.CANCELLED,
+        endedEarlyAt: getCurrentTimestamp(),
+        endedBy: authService.getCurrentUser()?.employeeId || null
+      };
+
+      const updatedMembership = {
+        ...customer.membership,
+        endDate: calculateEndDate(customer.membership.endDate, frozenDays - freeze.days, 'day')
+      };
+
+      const updatedCustomer = dataService.updateCustomer(customerId, {
+        membership: updatedMembership,
+        freezes: customer.freezes.map(f => f.freezeId === freezeId ? endedFreeze : f)
+      });
+
+      auditService.record(AUDIT_ACTIONS.MEMBERSHIP_CHANGE, {
+        customerId,
+        before: customer.membership,
+        after: updatedMembership,
+        details: { action: frozenDays > 0 ? 'freeze_ended' : 'freeze_cancelled', freeze: endedFreeze }
+      });
+
+      return {
+        success: true,
+        message: frozenDays > 0 ? 'Freeze ended' : 'Freeze cancelled',
+        data: this.enrichCustomerData(updatedCustomer)
+      };
+
+    } catch (error) {
+      console.error('End freeze error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
   /**
    * Validate customer subscription
    * @param {string} customerId - Customer ID
-   * @returns {Promise<object>} Validation result
+   * @param {Array<string>} services - Services the member is entering for, checked against session packs (optional)
+   * @returns {Promise<object>} Validation result, with a reason code from ACCESS_DENIAL_REASONS when invalid
    */
-  async validateSubscription(customerId) {
+  async validateSubscription(customerId, services = []) {
     try {
       const customer = dataService.getCustomerById(customerId);
       
@@ -235,7 +792,8 @@ class CustomerService {
         return {
           success: false,
           message: 'No membership found',
-          isValid: false
+          isValid: false,
+          reason: ACCESS_DENIAL_REASONS.NO_MEMBERSHIP
         };
       }
 
@@ -254,9 +812,11 @@ class CustomerService {
       if (isSuspended) {
         validationResult.message = 'Membership is suspended';
         validationResult.isValid = false;
+        validationResult.reason = ACCESS_DENIAL_REASONS.SUSPENDED;
       } else if (isExpired) {
         validationResult.message = ERROR_MESSAGES.EXPIRED_MEMBERSHIP;
         validationResult.isValid = false;
+        validationResult.reason = ACCESS_DENIAL_REASONS.EXPIRED;
       } else if (isExpiringSoon) {
         validationResult.message = 'Membership expires soon';
         validationResult.warnings.push('Subscription expires within 7 days');
@@ -264,6 +824,35 @@ class CustomerService {
         validationResult.message = 'Membership is valid';
       }
 
+      // Freezes and plan access rules apply to entries; members who are inside can always leave
+      const freeze = this.getActiveFreeze(customer);
+      if (validationResult.isValid && freeze && !customer.currentVisit?.isInside) {
+        validationResult.isValid = false;
+        validationResult.message = `Membership is frozen until ${freeze.endDate}`;
+        validationResult.reason = ACCESS_DENIAL_REASONS.FROZEN;
+      }
+
+      if (validationResult.isValid && !customer.currentVisit?.isInside) {
+        const access = planService.checkPlanAccess(customer, services);
+        validationResult.remainingVisits = access.remainingVisits ?? null;
+        validationResult.quota = access.quota;
+
+        if (!access.allowed) {
+          validationResult.isValid = false;
+          validationResult.message = access.message;
+          validationResult.reason = access.reason;
+        }
+      }
+
+      // Services outside the membership can only be used after paying for a one-off add-on
+      const missingServices = planService.getMissingServices(membership, services);
+      if (validationResult.isValid && !customer.currentVisit?.isInside && missingServices.length > 0) {
+        validationResult.isValid = false;
+        validationResult.message = `${formatServices(missingServices)} is not included in this membership`;
+        validationResult.reason = ACCESS_DENIAL_REASONS.SERVICE_NOT_INCLUDED;
+        validationResult.missingServices = missingServices;
+      }
+
       return validationResult;
 
     } catch (error) {
@@ -292,10 +881,20 @@ class CustomerService {
         };
       }
 
-      // Extract customer ID from barcode (assuming barcode contains customer ID)
-      const customerId = barcode.trim();
-      
-      return await this.getCustomerById(customerId);
+      // Cards carry a random token; older cards carry the customer ID
+      const resolved = memberCardService.resolveBarcode(barcode);
+      if (!resolved.success) {
+        return {
+          ...resolved,
+          data: resolved.data ? this.enrichCustomerData(resolved.data) : undefined
+        };
+      }
+
+      return {
+        success: true,
+        data: this.enrichCustomerData(resolved.data),
+        card: resolved.card || null
+      };
 
     } catch (error) {
       console.error('Get customer by barcode error:', error);
@@ -307,15 +906,15 @@ class CustomerService {
   }
 
   /**
-   * Get customers by membership type
-   * @param {string} membershipType - Membership type filter
+   * Get customers by membership plan
+   * @param {string} planId - Plan ID filter
    * @returns {Promise<object>} Result with filtered customers
    */
-  async getCustomersByMembershipType(membershipType) {
+  async getCustomersByPlan(planId) {
     try {
       const allCustomers = dataService.getAllCustomers();
       const filteredCustomers = allCustomers.filter(customer => 
-        customer.membership && customer.membership.type === membershipType
+        customer.membership && customer.membership.planId === planId
       );
 
       const enrichedCustomers = filteredCustomers.map(c => this.enrichCustomerData(c));
@@ -324,11 +923,11 @@ class CustomerService {
         success: true,
         data: enrichedCustomers,
         total: filteredCustomers.length,
-        filter: membershipType
+        filter: planId
       };
 
     } catch (error) {
-      console.error('Get customers by membership type error:', error);
+      console.error('Get customers by plan error:', error);
       return {
         success: false,
         message: ERROR_MESSAGES.NETWORK_ERROR,
@@ -424,6 +1023,7 @@ class CustomerService {
       isExpired: false,
       isExpiringSoon: false,
       isSuspended: false,
+      isFrozen: false,
       daysUntilExpiry: 0,
       statusText: 'Unknown'
     };
@@ -432,19 +1032,22 @@ class CustomerService {
       const isExpired = isSubscriptionExpired(membership.endDate);
       const isExpiringSoon = isSubscriptionExpiringSoon(membership.endDate, 7);
       const isSuspended = membership.status === MEMBERSHIP_STATUS.SUSPENDED;
+      const freeze = this.getActiveFreeze(customer);
 
       const endDate = new Date(membership.endDate);
       const now = new Date();
       const daysUntilExpiry = Math.ceil((endDate - now) / (1000 * 60 * 60 * 24));
 
       subscriptionStatus = {
-        isValid: !isExpired && !isSuspended && membership.status === MEMBERSHIP_STATUS.ACTIVE,
+        isValid: !isExpired && !isSuspended && !freeze && membership.status === MEMBERSHIP_STATUS.ACTIVE,
         isExpired,
         isExpiringSoon,
         isSuspended,
+        isFrozen: Boolean(freeze),
         daysUntilExpiry: Math.max(0, daysUntilExpiry),
         statusText: isSuspended ? 'Suspended' : 
                    isExpired ? 'Expired' : 
+                   freeze ? `Frozen until ${freeze.endDate}` : 
                    isExpiringSoon ? `Expires in ${daysUntilExpiry} days` : 'Active'
       };
     }
@@ -459,7 +1062,11 @@ class CustomerService {
 
     return {
       ...customer,
+      // Card tokens open the gym, so they never leave the main process
+      cards: (customer.cards || []).map(card => memberCardService.toPublicCard(card)),
       subscriptionStatus,
+      planName: dataService.getMembershipPlanName(membership),
+      freezeAllowance: this.getFreezeAllowance(customer),
       visitDuration,
       fullName: `${customer.personalInfo?.firstName || ''} ${customer.personalInfo?.lastName || ''}`.trim(),
       displayId: customer.customerId.padStart(8, '0')
@@ -550,6 +1157,13 @@ class CustomerService {
    * @returns {Promise<object>} Export result
    */
   async exportCustomersData(customerIds = null) {
+    if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       let customers;
       
@@ -563,6 +1177,10 @@ class CustomerService {
 
       const enrichedCustomers = customers.map(c => this.enrichCustomerData(c));
 
+      auditService.record(AUDIT_ACTIONS.EXPORT, {
+        details: { type: 'customers', customerIds, total: customers.length }
+      });
+
       return {
         success: true,
         data: enrichedCustomers,
@@ -1,19 +1,108 @@
-// Data Service - Handles all data operations with JSON files
-import customersData from '../data/customers.json';
-import employeesData from '../data/employees.json';
-import visitsData from '../data/visits.json';
+// Data Service - Handles all data operations backed by the persistent store
 import { getCurrentTimestamp } from '../utils/dateUtils';
+import { hashPassword, isPasswordHash, verifyPassword } from '../main/passwordHash';
+import { PLAN_STATUS } from '../utils/constants';
+
+/**
+ * Copy of a collection with one record replaced
+ * @param {Array<object>} records - Current records
+ * @param {number} index - Position of the record to replace
+ * @param {object} record - Replacement record
+ * @returns {Array<object>} New records
+ */
+const replaceAt = (records, index, record) => records.map((existing, i) => (i === index ? record : existing));
 
 class DataService {
   constructor() {
-    // Load data into memory for faster access
-    this.customers = [...customersData];
-    this.employees = [...employeesData];
-    this.visits = [...visitsData];
+    // Data is kept in memory for faster access and written through to the store
+    this.customers = [];
+    this.employees = [];
+    this.visits = [];
+    this.plans = [];
+    this.shifts = [];
+    this.payments = [];
+    this.closeouts = [];
+    this.settings = {};
+    this.auditLog = [];
+    this.store = null;
     
-    // Generate unique IDs counter
+    this.updateIdCounters();
+  }
+
+  /**
+   * Load data from the persistent store
+   * @param {object} store - Store with load() and save(collection, records)
+   * @returns {Promise<boolean>} True when data is loaded
+   */
+  async initialize(store) {
+    const data = await store.load();
+
+    this.store = store;
+    this.applyData(data);
+    this.auditLog = store.readLog('audit');
+
+    return true;
+  }
+
+  /**
+   * Replace in-memory collections with loaded data
+   * @param {object} data - Object with customers, employees, visits, plans, shifts, payments and closeouts arrays and the settings document
+   */
+  applyData(data) {
+    this.customers = [...(data.customers || [])];
+    this.employees = [...(data.employees || [])];
+    this.visits = [...(data.visits || [])];
+    this.plans = [...(data.plans || [])];
+    this.shifts = [...(data.shifts || [])];
+    this.payments = [...(data.payments || [])];
+    this.closeouts = [...(data.closeouts || [])];
+    this.settings = { ...(data.settings || {}) };
+
+    this.updateIdCounters();
+  }
+
+  /**
+   * Recalculate unique ID counters from the loaded data
+   */
+  updateIdCounters() {
     this.nextVisitId = this.visits.length + 1;
-    this.nextCustomerId = Math.max(...this.customers.map(c => parseInt(c.customerId))) + 1;
+    this.nextCustomerId = this.customers.length > 0
+      ? Math.max(...this.customers.map(c => parseInt(c.customerId))) + 1
+      : 1;
+    this.nextShiftId = this.shifts.length + 1;
+    this.nextPaymentId = this.payments.length + 1;
+    this.nextCloseoutId = this.closeouts.length + 1;
+    this.nextPlanId = this.plans.length > 0
+      ? Math.max(...this.plans.map(p => parseInt(p.planId.replace(/\D/g, '')) || 0)) + 1
+      : 1;
+    this.nextEmployeeId = this.employees.length > 0
+      ? Math.max(...this.employees.map(e => parseInt(e.employeeId.replace(/\D/g, '')) || 0)) + 1
+      : 1;
+  }
+
+  /**
+   * Write a new version of a collection through to the persistent store and
+   * only then make it the in-memory copy. A failed write is rethrown and
+   * leaves memory as it was, so the running app never disagrees with disk.
+   * @param {string} collection - Collection name (customers, employees, visits, plans, shifts, payments, closeouts, settings)
+   * @param {Array<object>|object} records - New records (or document), defaults to the current ones
+   * @returns {boolean} True if persisted, false when no store is open
+   * @throws {Error} If the store could not write the collection
+   */
+  persist(collection, records = this[collection]) {
+    let saved = false;
+
+    if (this.store) {
+      try {
+        saved = this.store.save(collection, records);
+      } catch (error) {
+        console.error(`Failed to persist ${collection}:`, error);
+        throw error;
+      }
+    }
+
+    this[collection] = records;
+    return saved;
   }
 
   // Customer operations
@@ -39,6 +128,7 @@ class DataService {
     const newCustomer = {
       ...customerData,
       customerId: customerData.customerId || this.nextCustomerId.toString().padStart(8, '0'),
+      createdAt: getCurrentTimestamp(),
       currentVisit: {
         isInside: false,
         entryTime: null,
@@ -46,7 +136,7 @@ class DataService {
       }
     };
     
-    this.customers.push(newCustomer);
+    this.persist('customers', [...this.customers, newCustomer]);
     this.nextCustomerId++;
     
     return newCustomer;
@@ -58,23 +148,19 @@ class DataService {
       throw new Error('Customer not found');
     }
     
-    this.customers[index] = { ...this.customers[index], ...updates };
-    return this.customers[index];
+    const customer = { ...this.customers[index], ...updates };
+    this.persist('customers', replaceAt(this.customers, index, customer));
+    return customer;
   }
 
   updateCustomerVisitStatus(customerId, isInside, entryTime = null, exitTime = null) {
-    const customer = this.getCustomerById(customerId);
-    if (!customer) {
-      throw new Error('Customer not found');
-    }
-    
-    customer.currentVisit = {
-      isInside,
-      entryTime,
-      exitTime
-    };
-    
-    return customer;
+    return this.updateCustomer(customerId, {
+      currentVisit: {
+        isInside,
+        entryTime,
+        exitTime
+      }
+    });
   }
 
   // Employee operations
@@ -92,7 +178,49 @@ class DataService {
 
   validateEmployeeCredentials(username, password) {
     const employee = this.getEmployeeByUsername(username);
-    return employee && employee.password === password && employee.isActive;
+    if (!employee || !employee.isActive || !verifyPassword(password, employee.password)) {
+      return false;
+    }
+
+    // Replace a legacy plaintext password with a hash once it has been verified
+    if (!isPasswordHash(employee.password)) {
+      this.updateEmployee(employee.employeeId, { password: hashPassword(password) });
+    }
+
+    return true;
+  }
+
+  addEmployee(employeeData) {
+    const newEmployee = {
+      ...employeeData,
+      employeeId: `emp${this.nextEmployeeId.toString().padStart(3, '0')}`,
+      password: hashPassword(employeeData.password),
+      createdAt: getCurrentTimestamp()
+    };
+
+    this.persist('employees', [...this.employees, newEmployee]);
+    this.nextEmployeeId++;
+
+    return newEmployee;
+  }
+
+  updateEmployee(employeeId, updates) {
+    const index = this.employees.findIndex(e => e.employeeId === employeeId);
+    if (index === -1) {
+      throw new Error('Employee not found');
+    }
+
+    const employee = { ...this.employees[index], ...updates };
+    this.persist('employees', replaceAt(this.employees, index, employee));
+    return employee;
+  }
+
+  setEmployeePassword(employeeId, password, mustChangePassword = false) {
+    return this.updateEmployee(employeeId, {
+      password: hashPassword(password),
+      passwordChangedAt: getCurrentTimestamp(),
+      mustChangePassword
+    });
   }
 
   // Visit operations
@@ -133,10 +261,13 @@ class DataService {
       exitTime: visitData.exitTime || null,
       duration: visitData.duration || null,
       services: visitData.services || [],
-      date: visitData.date || new Date().toISOString().split('T')[0]
+      date: visitData.date || new Date().toISOString().split('T')[0],
+      entryShiftId: visitData.entryShiftId || null,
+      exitShiftId: null,
+      addOn: visitData.addOn || null
     };
     
-    this.visits.push(newVisit);
+    this.persist('visits', [...this.visits, newVisit]);
     this.nextVisitId++;
     
     return newVisit;
@@ -148,11 +279,12 @@ class DataService {
       throw new Error('Visit not found');
     }
     
-    this.visits[index] = { ...this.visits[index], ...updates };
-    return this.visits[index];
+    const visit = { ...this.visits[index], ...updates };
+    this.persist('visits', replaceAt(this.visits, index, visit));
+    return visit;
   }
 
-  endVisit(visitId, exitTime = null) {
+  endVisit(visitId, exitTime = null, exitShiftId = null) {
     const visit = this.getVisitById(visitId);
     if (!visit) {
       throw new Error('Visit not found');
@@ -163,10 +295,200 @@ class DataService {
     const endTimeDate = new Date(endTime);
     const durationMinutes = Math.floor((endTimeDate - startTime) / (1000 * 60));
     
-    visit.exitTime = endTime;
-    visit.duration = durationMinutes;
-    
-    return visit;
+    return this.updateVisit(visitId, {
+      exitTime: endTime,
+      duration: durationMinutes,
+      exitShiftId
+    });
+  }
+
+  // Plan operations
+  getAllPlans() {
+    return [...this.plans];
+  }
+
+  getPlanById(planId) {
+    return this.plans.find(plan => plan.planId === planId);
+  }
+
+  /**
+   * Name of the plan a membership belongs to, falling back to the name it was sold under
+   * @param {object} membership - Customer membership
+   * @returns {string} Plan name
+   */
+  getMembershipPlanName(membership) {
+    return this.getPlanById(membership?.planId)?.name || membership?.planName || 'Unknown';
+  }
+
+  addPlan(planData) {
+    const newPlan = {
+      ...planData,
+      planId: `plan${this.nextPlanId.toString().padStart(3, '0')}`,
+      createdAt: getCurrentTimestamp()
+    };
+
+    this.persist('plans', [...this.plans, newPlan]);
+    this.nextPlanId++;
+
+    return newPlan;
+  }
+
+  updatePlan(planId, updates) {
+    const index = this.plans.findIndex(p => p.planId === planId);
+    if (index === -1) {
+      throw new Error('Plan not found');
+    }
+
+    const plan = { ...this.plans[index], ...updates };
+    this.persist('plans', replaceAt(this.plans, index, plan));
+    return plan;
+  }
+
+  // Shift operations
+  getAllShifts() {
+    return [...this.shifts];
+  }
+
+  getShiftById(shiftId) {
+    return this.shifts.find(shift => shift.shiftId === shiftId);
+  }
+
+  addShift(shiftData) {
+    const newShift = {
+      ...shiftData,
+      shiftId: `shift${this.nextShiftId.toString().padStart(3, '0')}`
+    };
+
+    this.persist('shifts', [...this.shifts, newShift]);
+    this.nextShiftId++;
+
+    return newShift;
+  }
+
+  updateShift(shiftId, updates) {
+    const index = this.shifts.findIndex(s => s.shiftId === shiftId);
+    if (index === -1) {
+      throw new Error('Shift not found');
+    }
+
+    const shift = { ...this.shifts[index], ...updates };
+    this.persist('shifts', replaceAt(this.shifts, index, shift));
+    return shift;
+  }
+
+  // Payment operations
+  getAllPayments() {
+    return [...this.payments];
+  }
+
+  getPaymentById(paymentId) {
+    return this.payments.find(payment => payment.paymentId === paymentId);
+  }
+
+  getPaymentsByDate(date) {
+    return this.payments.filter(payment => payment.date === date);
+  }
+
+  /**
+   * Next invoice number for a year; numbering restarts every January
+   * @param {string} date - Payment date (YYYY-MM-DD)
+   * @returns {string} Invoice number, e.g. INV-2026-000042
+   */
+  getNextInvoiceNumber(date) {
+    const prefix = `INV-${date.slice(0, 4)}-`;
+    const last = this.payments
+      .filter(payment => payment.invoiceNumber?.startsWith(prefix))
+      .reduce((max, payment) => Math.max(max, parseInt(payment.invoiceNumber.slice(prefix.length)) || 0), 0);
+
+    return `${prefix}${(last + 1).toString().padStart(6, '0')}`;
+  }
+
+  addPayment(paymentData) {
+    const createdAt = getCurrentTimestamp();
+    const date = paymentData.date || createdAt.split('T')[0];
+    const newPayment = {
+      ...paymentData,
+      paymentId: `pay${this.nextPaymentId.toString().padStart(5, '0')}`,
+      invoiceNumber: this.getNextInvoiceNumber(date),
+      date,
+      createdAt
+    };
+
+    this.persist('payments', [...this.payments, newPayment]);
+    this.nextPaymentId++;
+
+    return newPayment;
+  }
+
+  // Cash close-out operations
+  getAllCloseouts() {
+    return [...this.closeouts];
+  }
+
+  getCloseoutsByDate(date) {
+    return this.closeouts.filter(closeout => closeout.date === date);
+  }
+
+  /**
+   * Latest close-out for a day, which decides whether the day is locked
+   * @param {string} date - Business day (YYYY-MM-DD)
+   * @returns {object|undefined} Close-out record
+   */
+  getLatestCloseout(date) {
+    const closeouts = this.getCloseoutsByDate(date);
+    return closeouts[closeouts.length - 1];
+  }
+
+  addCloseout(closeoutData) {
+    const newCloseout = {
+      ...closeoutData,
+      closeoutId: `close${this.nextCloseoutId.toString().padStart(4, '0')}`
+    };
+
+    this.persist('closeouts', [...this.closeouts, newCloseout]);
+    this.nextCloseoutId++;
+
+    return newCloseout;
+  }
+
+  updateCloseout(closeoutId, updates) {
+    const index = this.closeouts.findIndex(c => c.closeoutId === closeoutId);
+    if (index === -1) {
+      throw new Error('Close-out not found');
+    }
+
+    const closeout = { ...this.closeouts[index], ...updates };
+    this.persist('closeouts', replaceAt(this.closeouts, index, closeout));
+    return closeout;
+  }
+
+  // Settings operations
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  updateSettings(section, values) {
+    this.persist('settings', {
+      ...this.settings,
+      [section]: { ...(this.settings[section] || {}), ...values }
+    });
+
+    return this.settings[section];
+  }
+
+  // Audit log operations (append-only)
+  getAuditLog() {
+    return [...this.auditLog];
+  }
+
+  appendAuditEntry(entry) {
+    // Written straight through so the entry is on disk before the action reports success
+    if (this.store) {
+      this.store.appendLog('audit', entry);
+    }
+    this.auditLog.push(entry);
+
+    return entry;
   }
 
   // Statistics operations
@@ -209,21 +531,25 @@ class DataService {
     return hourlyStats;
   }
 
-  getMembershipTypeStats(date) {
-    const visits = this.getVisitsByDate(date);
-    const stats = {
-      daily: 0,
-      monthly: 0,
-      annual: 0
-    };
+  getMembershipPlanStats(date) {
+    return this.countVisitsByPlan(this.getVisitsByDate(date));
+  }
+
+  /**
+   * Count visits per membership plan
+   * @param {Array<object>} visits - Visit records
+   * @returns {object} Visit count keyed by plan name
+   */
+  countVisitsByPlan(visits) {
+    const stats = Object.fromEntries(
+      this.plans.filter(plan => plan.status === PLAN_STATUS.ACTIVE).map(plan => [plan.name, 0])
+    );
     
     visits.forEach(visit => {
       const customer = this.getCustomerById(visit.customerId);
       if (customer && customer.membership) {
-        const type = customer.membership.type;
-        if (stats.hasOwnProperty(type)) {
-          stats[type]++;
-        }
+        const name = this.getMembershipPlanName(customer.membership);
+        stats[name] = (stats[name] || 0) + 1;
       }
     });
     
@@ -284,21 +610,23 @@ class DataService {
     return this.getCurrentVisitors().length;
   }
 
-  // Data persistence (in a real app, this would save to files/database)
-  saveData() {
-    // In a real application, this would persist data to files or database
-    console.log('Data saved successfully');
-    return Promise.resolve(true);
+  // Data persistence - flush every collection to the store
+  async saveData() {
+    const results = ['customers', 'employees', 'visits', 'plans', 'shifts', 'payments', 'closeouts', 'settings']
+      .map(collection => this.persist(collection));
+
+    return results.every(Boolean);
   }
 
-  // Data reset (for testing purposes)
-  resetData() {
-    this.customers = [...customersData];
-    this.employees = [...employeesData];
-    this.visits = [...visitsData];
-    
-    this.nextVisitId = this.visits.length + 1;
-    this.nextCustomerId = Math.max(...this.customers.map(c => parseInt(c.customerId))) + 1;
+  // Data reset (for testing purposes) - reseeds the store with bundled data
+  async resetData() {
+    if (!this.store) {
+      return false;
+    }
+
+    const data = await this.store.reset();
+    this.applyData(data);
+    return true;
   }
 
   // Validation helpers
@@ -336,7 +664,7 @@ class DataService {
     return {
       visitStats: this.getVisitStatsByDate(date),
       hourlyStats: this.getHourlyVisitStats(date),
-      membershipStats: this.getMembershipTypeStats(date),
+      membershipStats: this.getMembershipPlanStats(date),
       serviceStats: this.getServiceStats(date),
       currentVisitors: this.getCurrentVisitors(),
       date,
@@ -0,0 +1,418 @@
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import { AUDIT_ACTIONS, EMPLOYEE_ROLES, ERROR_MESSAGES, PERMISSIONS } from '../utils/constants';
+import { validateEmployeeData, validatePassword } from '../utils/validators';
+import { getCurrentTimestamp } from '../utils/dateUtils';
+
+class EmployeeService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Strip credentials from an employee record before it leaves the main process
+   * @param {object} employee - Employee record
+   * @returns {object} Employee data safe to send to the renderer
+   */
+  toPublicEmployee(employee) {
+    if (!employee) return null;
+
+    const { password, ...publicData } = employee;
+    return publicData;
+  }
+
+  /**
+   * Get all employees
+   * @returns {Promise<object>} Result with employees data
+   */
+  async getAllEmployees() {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const employees = dataService.getAllEmployees().map(e => this.toPublicEmployee(e));
+      return {
+        success: true,
+        data: employees,
+        total: employees.length
+      };
+    } catch (error) {
+      console.error('Get employees error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Get employee by ID
+   * @param {string} employeeId - Employee ID
+   * @returns {Promise<object>} Result with employee data
+   */
+  async getEmployeeById(employeeId) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const employee = dataService.getEmployeeById(employeeId);
+      if (!employee) {
+        return {
+          success: false,
+          message: 'Employee not found'
+        };
+      }
+
+      return {
+        success: true,
+        data: this.toPublicEmployee(employee)
+      };
+    } catch (error) {
+      console.error('Get employee error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Build the audit fields for a change made by the current user
+   * @param {object} employee - Employee record being changed
+   * @param {string} action - What happened (created, updated, deactivated, reactivated, password_reset)
+   * @param {Array<string>} changes - Names of changed fields
+   * @returns {object} updatedBy/updatedAt and the extended history
+   */
+  recordChange(employee, action, changes = []) {
+    const actor = authService.getCurrentUser();
+    const entry = {
+      action,
+      changes,
+      by: actor?.employeeId || null,
+      byUsername: actor?.username || null,
+      at: getCurrentTimestamp()
+    };
+
+    return {
+      updatedBy: entry.by,
+      updatedAt: entry.at,
+      history: [...(employee?.history || []), entry]
+    };
+  }
+
+  /**
+   * Check whether a change would leave the system without an active administrator
+   * @param {string} employeeId - Employee being changed
+   * @returns {boolean} True if this is the last active admin
+   */
+  isLastActiveAdmin(employeeId) {
+    const activeAdmins = dataService.getAllEmployees()
+      .filter(e => e.isActive && e.role === EMPLOYEE_ROLES.ADMIN);
+
+    return activeAdmins.length === 1 && activeAdmins[0].employeeId === employeeId;
+  }
+
+  /**
+   * Create a staff account.
+   * New accounts must choose their own password on first login.
+   * @param {object} employeeData - Username, name, role and initial password
+   * @returns {Promise<object>} Result with the new employee
+   */
+  async createEmployee(employeeData) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const data = {
+        username: (employeeData.username || '').trim().toLowerCase(),
+        firstName: (employeeData.firstName || '').trim(),
+        lastName: (employeeData.lastName || '').trim(),
+        role: employeeData.role,
+        password: employeeData.password
+      };
+
+      const validation = validateEmployeeData(data, true);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      if (!dataService.isUsernameUnique(data.username)) {
+        return {
+          success: false,
+          message: 'Username is already taken',
+          errors: { username: 'Username is already taken' }
+        };
+      }
+
+      const actor = authService.getCurrentUser();
+      const employee = dataService.addEmployee({
+        ...data,
+        isActive: true,
+        mustChangePassword: true,
+        createdBy: actor?.employeeId || null,
+        ...this.recordChange(null, 'created')
+      });
+
+      auditService.record(AUDIT_ACTIONS.EMPLOYEE_CHANGE, {
+        employeeId: employee.employeeId,
+        after: { username: employee.username, role: employee.role },
+        details: { action: 'created' }
+      });
+
+      return {
+        success: true,
+        message: 'Employee created successfully',
+        data: this.toPublicEmployee(employee)
+      };
+
+    } catch (error) {
+      console.error('Create employee error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Update a staff account's details or role
+   * @param {string} employeeId - Employee ID
+   * @param {object} updates - Username, firstName, lastName and/or role
+   * @returns {Promise<object>} Result with the updated employee
+   */
+  async updateEmployee(employeeId, updates) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const employee = dataService.getEmployeeById(employeeId);
+      if (!employee) {
+        return {
+          success: false,
+          message: 'Employee not found'
+        };
+      }
+
+      // Only profile fields can be changed here; passwords and status have their own actions
+      const allowed = {};
+      ['username', 'firstName', 'lastName', 'role'].forEach(field => {
+        if (updates[field] !== undefined) {
+          allowed[field] = field === 'role' ? updates[field] : String(updates[field]).trim();
+        }
+      });
+      if (allowed.username) {
+        allowed.username = allowed.username.toLowerCase();
+      }
+
+      const validation = validateEmployeeData({ ...employee, ...allowed });
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      if (allowed.username && allowed.username !== employee.username && !dataService.isUsernameUnique(allowed.username)) {
+        return {
+          success: false,
+          message: 'Username is already taken',
+          errors: { username: 'Username is already taken' }
+        };
+      }
+
+      if (allowed.role && allowed.role !== EMPLOYEE_ROLES.ADMIN && this.isLastActiveAdmin(employeeId)) {
+        return {
+          success: false,
+          message: 'At least one active administrator is required'
+        };
+      }
+
+      const changes = Object.keys(allowed).filter(field => allowed[field] !== employee[field]);
+      if (changes.length === 0) {
+        return {
+          success: true,
+          message: 'No changes to save',
+          data: this.toPublicEmployee(employee)
+        };
+      }
+
+      const updated = dataService.updateEmployee(employeeId, {
+        ...allowed,
+        ...this.recordChange(employee, 'updated', changes)
+      });
+
+      auditService.record(AUDIT_ACTIONS.EMPLOYEE_CHANGE, {
+        employeeId,
+        before: Object.fromEntries(changes.map(field => [field, employee[field]])),
+        after: Object.fromEntries(changes.map(field => [field, updated[field]])),
+        details: { action: 'updated' }
+      });
+
+      return {
+        success: true,
+        message: 'Employee updated successfully',
+        data: this.toPublicEmployee(updated)
+      };
+
+    } catch (error) {
+      console.error('Update employee error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Deactivate or reactivate a staff account
+   * @param {string} employeeId - Employee ID
+   * @param {boolean} isActive - New status
+   * @returns {Promise<object>} Result with the updated employee
+   */
+  async setEmployeeActive(employeeId, isActive) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const employee = dataService.getEmployeeById(employeeId);
+      if (!employee) {
+        return {
+          success: false,
+          message: 'Employee not found'
+        };
+      }
+
+      if (!isActive) {
+        if (employeeId === authService.getCurrentUser()?.employeeId) {
+          return {
+            success: false,
+            message: 'You cannot deactivate your own account'
+          };
+        }
+
+        if (this.isLastActiveAdmin(employeeId)) {
+          return {
+            success: false,
+            message: 'At least one active administrator is required'
+          };
+        }
+      }
+
+      const updated = dataService.updateEmployee(employeeId, {
+        isActive: Boolean(isActive),
+        ...this.recordChange(employee, isActive ? 'reactivated' : 'deactivated', ['isActive'])
+      });
+
+      auditService.record(AUDIT_ACTIONS.EMPLOYEE_CHANGE, {
+        employeeId,
+        before: { isActive: employee.isActive },
+        after: { isActive: updated.isActive },
+        details: { action: isActive ? 'reactivated' : 'deactivated' }
+      });
+
+      return {
+        success: true,
+        message: isActive ? 'Employee reactivated' : 'Employee deactivated',
+        data: this.toPublicEmployee(updated)
+      };
+
+    } catch (error) {
+      console.error('Set employee status error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Set a temporary password that must be changed on next login
+   * @param {string} employeeId - Employee ID
+   * @param {string} temporaryPassword - Temporary password
+   * @returns {Promise<object>} Reset result
+   */
+  async resetPassword(employeeId, temporaryPassword) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_EMPLOYEES)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const employee = dataService.getEmployeeById(employeeId);
+      if (!employee) {
+        return {
+          success: false,
+          message: 'Employee not found'
+        };
+      }
+
+      const validation = validatePassword(temporaryPassword);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: { password: validation.message }
+        };
+      }
+
+      dataService.setEmployeePassword(employeeId, temporaryPassword, true);
+      const updated = dataService.updateEmployee(
+        employeeId,
+        this.recordChange(employee, 'password_reset', ['password'])
+      );
+
+      auditService.record(AUDIT_ACTIONS.EMPLOYEE_CHANGE, {
+        employeeId,
+        details: { action: 'password_reset' }
+      });
+
+      return {
+        success: true,
+        message: 'Password reset. The employee must choose a new password at next login.',
+        data: this.toPublicEmployee(updated)
+      };
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const employeeService = new EmployeeService();
+
+export default employeeService;
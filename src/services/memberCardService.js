@@ -0,0 +1,361 @@
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import { generateCardToken } from '../main/cardTokens';
+import {
+  ACCESS_DENIAL_REASONS,
+  AUDIT_ACTIONS,
+  CARD_STATUS,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+  VALIDATION_RULES
+} from '../utils/constants';
+import { formatDate, getCurrentTimestamp } from '../utils/dateUtils';
+
+const CARD_STATUS_LABELS = {
+  [CARD_STATUS.LOST]: 'reported lost',
+  [CARD_STATUS.REVOKED]: 'revoked'
+};
+
+/**
+ * Member cards. Each card carries a random token instead of the customer ID,
+ * so cards can't be made up from a known ID and a lost card can be cancelled
+ * without touching the member's other cards.
+ */
+class MemberCardService {
+  /**
+   * Describe a card for the renderer without giving away its token
+   * @param {object} card - Stored card
+   * @returns {object} Card with its last four digits instead of the token
+   */
+  toPublicCard(card) {
+    const { token, ...rest } = card;
+    return { ...rest, lastDigits: token.slice(-4) };
+  }
+
+  /**
+   * Get a member's cards, newest first
+   * @param {string} customerId - Customer ID
+   * @returns {object} Result with the cards
+   */
+  getCards(customerId) {
+    if (!authService.hasPermission(PERMISSIONS.VIEW_CUSTOMERS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const customer = dataService.getCustomerById(customerId);
+    if (!customer) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+      };
+    }
+
+    return {
+      success: true,
+      data: [...(customer.cards || [])].reverse().map(card => this.toPublicCard(card))
+    };
+  }
+
+  /**
+   * The card to print for a member: the one asked for, or their newest active card
+   * @param {object} customer - Customer record
+   * @param {string} cardId - Card ID (optional)
+   * @returns {object|null} Active card with its token, or null
+   */
+  getPrintableCard(customer, cardId = null) {
+    const active = (customer.cards || []).filter(card => card.status === CARD_STATUS.ACTIVE);
+    return cardId
+      ? active.find(card => card.cardId === cardId) || null
+      : active[active.length - 1] || null;
+  }
+
+  /**
+   * Find the card a token belongs to
+   * @param {string} token - Card token
+   * @returns {object|null} The card and its member, or null for an unknown token
+   */
+  findByToken(token) {
+    for (const customer of dataService.getAllCustomers()) {
+      const card = (customer.cards || []).find(c => c.token === token);
+      if (card) {
+        return { customer, card };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether cards printed with the plain customer ID are still let in
+   * @returns {boolean} True if customer IDs are accepted at the scanner
+   */
+  acceptsCustomerIds() {
+    return {
+      ...DEFAULT_SETTINGS.scanner,
+      ...(dataService.getSettings().scanner || {})
+    }.acceptCustomerIds;
+  }
+
+  /**
+   * Work out which member a scanned barcode belongs to
+   * @param {string} barcode - Card token, or a customer ID from an older card
+   * @returns {object} Result with the customer; a lost or revoked card fails with
+   *   reason CARD_REVOKED and still names the member and the card
+   */
+  resolveBarcode(barcode) {
+    const value = barcode.trim();
+
+    if (value.length !== VALIDATION_RULES.CARD_TOKEN.LENGTH) {
+      if (!this.acceptsCustomerIds()) {
+        return {
+          success: false,
+          message: 'Cards printed with the customer ID are no longer accepted. Issue the member a new card'
+        };
+      }
+
+      const customer = dataService.getCustomerById(value);
+      return customer
+        ? { success: true, data: customer }
+        : { success: false, message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND };
+    }
+
+    const match = this.findByToken(value);
+    if (!match) {
+      return {
+        success: false,
+        message: 'Unknown card'
+      };
+    }
+
+    const { customer, card } = match;
+    if (card.status !== CARD_STATUS.ACTIVE) {
+      return {
+        success: false,
+        message: `This card was ${CARD_STATUS_LABELS[card.status]} on ${formatDate(card.endedAt, 'date')}. Keep it and ask the member for their current card`,
+        reason: ACCESS_DENIAL_REASONS.CARD_REVOKED,
+        data: customer,
+        card: this.toPublicCard(card)
+      };
+    }
+
+    return {
+      success: true,
+      data: customer,
+      card: this.toPublicCard(card)
+    };
+  }
+
+  /**
+   * Add a new active card to a member. Callers check permissions.
+   * @param {object} customer - Customer record
+   * @param {Array<object>} cards - The member's cards to add to (defaults to their current cards)
+   * @returns {object} Updated customer and the new card
+   */
+  addCard(customer, cards = customer.cards || []) {
+    const tokens = new Set(
+      dataService.getAllCustomers().flatMap(c => (c.cards || []).map(card => card.token))
+    );
+
+    const card = {
+      cardId: `card${(cards.length + 1).toString().padStart(3, '0')}`,
+      token: generateCardToken(tokens),
+      status: CARD_STATUS.ACTIVE,
+      issuedAt: getCurrentTimestamp(),
+      issuedBy: authService.getCurrentUser()?.employeeId || null
+    };
+
+    const updatedCustomer = dataService.updateCustomer(customer.customerId, {
+      cards: [...cards, card]
+    });
+
+    return { customer: updatedCustomer, card };
+  }
+
+  /**
+   * Issue a member an extra card, e.g. a second card for a locker key ring
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<object>} Result with the new card
+   */
+  async issueCard(customerId) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_MEMBER_CARDS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const customer = dataService.getCustomerById(customerId);
+      if (!customer) {
+        return {
+          success: false,
+          message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND
+        };
+      }
+
+      const activeCount = (customer.cards || []).filter(card => card.status === CARD_STATUS.ACTIVE).length;
+      if (activeCount >= VALIDATION_RULES.CARDS.MAX_ACTIVE) {
+        return {
+          success: false,
+          message: `A member can have at most ${VALIDATION_RULES.CARDS.MAX_ACTIVE} active cards`
+        };
+      }
+
+      const { card } = this.addCard(customer);
+
+      auditService.record(AUDIT_ACTIONS.CARD_CHANGE, {
+        customerId,
+        after: this.toPublicCard(card),
+        details: { action: 'issued' }
+      });
+
+      return {
+        success: true,
+        message: `Card ending ${card.token.slice(-4)} issued`,
+        data: this.toPublicCard(card)
+      };
+
+    } catch (error) {
+      console.error('Issue card error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Stop a card from opening the gym, optionally issuing a replacement in the same step
+   * @param {string} customerId - Customer ID
+   * @param {string} cardId - Card ID
+   * @param {object} options - Options
+   * @param {string} options.status - CARD_STATUS.LOST or CARD_STATUS.REVOKED
+   * @param {string} options.reason - Why the card was stopped
+   * @param {boolean} options.replace - Issue a new card straight away
+   * @returns {Promise<object>} Result with the stopped card and any replacement
+   */
+  async endCard(customerId, cardId, { status, reason = '', replace = false }) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_MEMBER_CARDS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const customer = dataService.getCustomerById(customerId);
+      const card = (customer?.cards || []).find(c => c.cardId === cardId);
+      if (!card) {
+        return {
+          success: false,
+          message: 'Card not found'
+        };
+      }
+
+      if (card.status !== CARD_STATUS.ACTIVE) {
+        return {
+          success: false,
+          message: `This card was already ${CARD_STATUS_LABELS[card.status]}`
+        };
+      }
+
+      const note = String(reason || '').trim();
+      if (note.length > VALIDATION_RULES.CARDS.REASON_MAX_LENGTH) {
+        return {
+          success: false,
+          message: `Reason must be ${VALIDATION_RULES.CARDS.REASON_MAX_LENGTH} characters or fewer`
+        };
+      }
+
+      const endedCard = {
+        ...card,
+        status,
+        reason: note,
+        endedAt: getCurrentTimestamp(),
+        endedBy: authService.getCurrentUser()?.employeeId || null
+      };
+
+      const cards = customer.cards.map(c => (c.cardId === cardId ? endedCard : c));
+      const replacement = replace ? this.addCard(customer, cards).card : null;
+      if (!replacement) {
+        dataService.updateCustomer(customerId, { cards });
+      }
+
+      auditService.record(AUDIT_ACTIONS.CARD_CHANGE, {
+        customerId,
+        before: this.toPublicCard(card),
+        after: this.toPublicCard(endedCard),
+        reason: note || null,
+        details: {
+          action: status,
+          replacementCardId: replacement?.cardId || null
+        }
+      });
+
+      const ended = `Card ending ${card.token.slice(-4)} ${CARD_STATUS_LABELS[status]}`;
+      return {
+        success: true,
+        message: replacement ? `${ended}; new card ending ${replacement.token.slice(-4)} issued` : ended,
+        data: {
+          card: this.toPublicCard(endedCard),
+          replacement: replacement ? this.toPublicCard(replacement) : null
+        }
+      };
+
+    } catch (error) {
+      console.error('End card error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Report a card lost; it is refused and flagged if anyone scans it
+   * @param {string} customerId - Customer ID
+   * @param {string} cardId - Card ID
+   * @param {string} reason - Details, e.g. where it was lost
+   * @returns {Promise<object>} Result with the stopped card
+   */
+  reportLost(customerId, cardId, reason) {
+    return this.endCard(customerId, cardId, { status: CARD_STATUS.LOST, reason });
+  }
+
+  /**
+   * Revoke a card, e.g. one that was misused or handed back
+   * @param {string} customerId - Customer ID
+   * @param {string} cardId - Card ID
+   * @param {string} reason - Why the card was revoked
+   * @returns {Promise<object>} Result with the stopped card
+   */
+  revoke(customerId, cardId, reason) {
+    return this.endCard(customerId, cardId, { status: CARD_STATUS.REVOKED, reason });
+  }
+
+  /**
+   * Replace a card with a new one, e.g. a damaged or lost card; the old card stops working
+   * @param {string} customerId - Customer ID
+   * @param {string} cardId - Card being replaced
+   * @param {object} options - Options
+   * @param {boolean} options.lost - The old card was lost rather than handed back
+   * @param {string} options.reason - Why the card was replaced
+   * @returns {Promise<object>} Result with the old card and its replacement
+   */
+  reissue(customerId, cardId, { lost = false, reason = '' } = {}) {
+    return this.endCard(customerId, cardId, {
+      status: lost ? CARD_STATUS.LOST : CARD_STATUS.REVOKED,
+      reason: reason || 'Replaced',
+      replace: true
+    });
+  }
+}
+
+// Create singleton instance
+const memberCardService = new MemberCardService();
+
+export default memberCardService;
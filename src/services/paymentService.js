@@ -0,0 +1,339 @@
+import dataService from './dataService';
+import authService from './authService';
+import shiftService from './shiftService';
+import { validatePaymentData } from '../utils/validators';
+import {
+  CLOSEOUT_STATUS,
+  CURRENCY,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  PAYMENT_METHODS,
+  PAYMENT_TYPES,
+  PERMISSIONS,
+  SERVICE_TYPES,
+  VALIDATION_RULES
+} from '../utils/constants';
+import { formatServices } from '../utils/formatters';
+
+// Default ledger descriptions for each kind of payment
+const PAYMENT_TYPE_LABELS = {
+  [PAYMENT_TYPES.MEMBERSHIP_SALE]: 'Membership',
+  [PAYMENT_TYPES.RENEWAL]: 'Membership renewal',
+  [PAYMENT_TYPES.DAY_PASS]: 'Day pass',
+  [PAYMENT_TYPES.SPA_ADDON]: 'Spa add-on'
+};
+
+// Payments that staff can charge directly; memberships are paid through registration and renewal
+const COUNTER_PAYMENT_TYPES = [PAYMENT_TYPES.DAY_PASS, PAYMENT_TYPES.SPA_ADDON];
+
+// Every payment taken is written to the ledger with its own invoice number
+class PaymentService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Round an amount to the currency's smallest unit
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  roundAmount(amount) {
+    return Math.round(Number(amount) * 100) / 100;
+  }
+
+  /**
+   * Check whether a day's cash drawer has been closed, locking its payments
+   * @param {string} date - Business day (YYYY-MM-DD, defaults to today)
+   * @returns {boolean} True if no more payments may be taken that day
+   */
+  isDayClosed(date = new Date().toISOString().split('T')[0]) {
+    return dataService.getLatestCloseout(date)?.status === CLOSEOUT_STATUS.CLOSED;
+  }
+
+  /**
+   * Result to return when today's drawer is closed
+   * @returns {object} Failed result
+   */
+  dayClosedResult() {
+    return {
+      success: false,
+      message: 'Today\'s cash drawer is closed. Ask a manager to reopen the day before taking payments.'
+    };
+  }
+
+  /**
+   * Validate a payment and write it to the ledger.
+   * Callers check permissions; registration and renewal call this after validating their own data.
+   * @param {object} paymentData - Payment details
+   * @param {string} paymentData.type - One of PAYMENT_TYPES
+   * @param {string} paymentData.method - One of PAYMENT_METHODS
+   * @param {number} paymentData.amount - Amount before discount
+   * @param {number} paymentData.discount - Discount taken off the amount (optional)
+   * @param {object} paymentData.customer - Customer paying (optional for day passes)
+   * @param {string} paymentData.planId - Plan bought (memberships only)
+   * @param {string} paymentData.description - What was sold (optional)
+   * @param {object} paymentData.period - Membership dates paid for: { startDate, endDate } (memberships only)
+   * @returns {object} Result with the payment, or validation errors
+   */
+  recordPayment({ type, method, amount, discount = 0, customer = null, planId = null, description = '', period = null }) {
+    const validation = validatePaymentData({ type, method, amount, discount, description });
+    if (!validation.isValid) {
+      return {
+        success: false,
+        message: validation.message,
+        errors: validation.errors
+      };
+    }
+
+    if (this.isDayClosed()) {
+      return this.dayClosedResult();
+    }
+
+    const user = authService.getCurrentUser();
+    const payment = dataService.addPayment({
+      type,
+      description: description.trim() || PAYMENT_TYPE_LABELS[type],
+      customerId: customer?.customerId || null,
+      customerName: customer ? `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}` : null,
+      planId,
+      period: period ? { startDate: period.startDate, endDate: period.endDate } : null,
+      amount: this.roundAmount(amount),
+      discount: this.roundAmount(discount || 0),
+      total: this.roundAmount(amount - (discount || 0)),
+      method,
+      currency: CURRENCY,
+      employeeId: user?.employeeId || null,
+      employeeName: user ? `${user.firstName} ${user.lastName}` : null,
+      shiftId: shiftService.getCurrentShiftId()
+    });
+
+    return {
+      success: true,
+      data: payment
+    };
+  }
+
+  /**
+   * Charge a day pass or spa add-on at the counter
+   * @param {object} paymentData - Payment data
+   * @param {string} paymentData.type - PAYMENT_TYPES.DAY_PASS or PAYMENT_TYPES.SPA_ADDON
+   * @param {string} paymentData.customerId - Customer paying (required for spa add-ons)
+   * @returns {Promise<object>} Result with the new payment
+   */
+  async createPayment(paymentData) {
+    if (!authService.hasPermission(PERMISSIONS.TAKE_PAYMENT)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      if (!COUNTER_PAYMENT_TYPES.includes(paymentData.type)) {
+        return {
+          success: false,
+          message: 'Memberships are paid when registering or renewing',
+          errors: { type: 'Please select a day pass or spa add-on' }
+        };
+      }
+
+      let customer = null;
+      if (paymentData.customerId) {
+        customer = dataService.getCustomerById(paymentData.customerId);
+        if (!customer) {
+          return {
+            success: false,
+            message: ERROR_MESSAGES.CUSTOMER_NOT_FOUND,
+            errors: { customerId: ERROR_MESSAGES.CUSTOMER_NOT_FOUND }
+          };
+        }
+      } else if (paymentData.type === PAYMENT_TYPES.SPA_ADDON) {
+        return {
+          success: false,
+          message: 'Spa add-ons are charged to a member',
+          errors: { customerId: 'Please enter the member\'s ID' }
+        };
+      }
+
+      const result = this.recordPayment({ ...paymentData, customer });
+      if (!result.success) {
+        return result;
+      }
+
+      return {
+        success: true,
+        message: `Payment recorded as ${result.data.invoiceNumber}`,
+        data: result.data
+      };
+
+    } catch (error) {
+      console.error('Create payment error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Prices of one-off add-ons for services a membership doesn't include
+   * @returns {object} Price per service
+   */
+  getAddOnPrices() {
+    return {
+      ...DEFAULT_SETTINGS.addOns,
+      ...(dataService.getSettings().addOns || {})
+    };
+  }
+
+  /**
+   * Update add-on prices
+   * @param {object} prices - Price per service
+   * @returns {Promise<object>} Result with the new prices
+   */
+  async updateAddOnPrices(prices) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const services = [SERVICE_TYPES.GYM, SERVICE_TYPES.SPA];
+      const values = { ...this.getAddOnPrices(), ...prices };
+      const invalid = services.filter(service => {
+        const price = Number(values[service]);
+        return !Number.isFinite(price) || price <= 0 || price > VALIDATION_RULES.PAYMENT.MAX_AMOUNT;
+      });
+
+      if (invalid.length > 0) {
+        return {
+          success: false,
+          message: `Enter a price above 0 for ${formatServices(invalid)}`
+        };
+      }
+
+      dataService.updateSettings('addOns', Object.fromEntries(
+        services.map(service => [service, this.roundAmount(values[service])])
+      ));
+
+      return {
+        success: true,
+        message: 'Add-on prices saved',
+        data: this.getAddOnPrices()
+      };
+
+    } catch (error) {
+      console.error('Update add-on prices error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Charge a member for one-off access to services their membership doesn't include.
+   * Callers check permissions.
+   * @param {object} customer - Customer paying
+   * @param {Array<string>} services - Services being added for this visit
+   * @param {string} method - One of PAYMENT_METHODS
+   * @returns {object} Result with the payment, or validation errors
+   */
+  chargeAddOn(customer, services, method) {
+    const prices = this.getAddOnPrices();
+
+    return this.recordPayment({
+      type: services.includes(SERVICE_TYPES.SPA) ? PAYMENT_TYPES.SPA_ADDON : PAYMENT_TYPES.DAY_PASS,
+      method,
+      amount: services.reduce((sum, service) => sum + (prices[service] || 0), 0),
+      customer,
+      description: `${formatServices(services)} add-on`
+    });
+  }
+
+  /**
+   * List payments, newest first. Staff without VIEW_PAYMENTS only see payments they took.
+   * @param {object} filters - Filters
+   * @param {string} filters.startDate - First day (YYYY-MM-DD, optional)
+   * @param {string} filters.endDate - Last day (YYYY-MM-DD, optional)
+   * @param {string} filters.employeeId - Employee who took the payment (optional)
+   * @param {string} filters.type - One of PAYMENT_TYPES (optional)
+   * @param {string} filters.method - One of PAYMENT_METHODS (optional)
+   * @param {string} filters.customerId - Customer (optional)
+   * @returns {Promise<object>} Result with payments, their summary and whether every employee's payments are visible
+   */
+  async getPayments(filters = {}) {
+    const user = authService.getCurrentUser();
+    if (!user || !authService.isUserAuthenticated()) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const canViewAll = authService.hasPermission(PERMISSIONS.VIEW_PAYMENTS);
+      const employeeId = canViewAll ? filters.employeeId : user.employeeId;
+      const { startDate, endDate, type, method, customerId } = filters;
+
+      const payments = dataService.getAllPayments()
+        .filter(payment => {
+          if (employeeId && payment.employeeId !== employeeId) return false;
+          if (startDate && payment.date < startDate) return false;
+          if (endDate && payment.date > endDate) return false;
+          if (type && payment.type !== type) return false;
+          if (method && payment.method !== method) return false;
+          if (customerId && payment.customerId !== customerId) return false;
+          return true;
+        })
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.paymentId.localeCompare(a.paymentId));
+
+      return {
+        success: true,
+        data: payments,
+        summary: this.summarizePayments(payments),
+        canViewAll
+      };
+
+    } catch (error) {
+      console.error('Get payments error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Total a set of payments by method and by type
+   * @param {Array<object>} payments - Payments
+   * @returns {object} Totals, discounts given and per-method and per-type totals
+   */
+  summarizePayments(payments) {
+    const byMethod = Object.fromEntries(Object.values(PAYMENT_METHODS).map(method => [method, 0]));
+    const byType = Object.fromEntries(Object.values(PAYMENT_TYPES).map(type => [type, 0]));
+
+    payments.forEach(payment => {
+      byMethod[payment.method] = (byMethod[payment.method] || 0) + payment.total;
+      byType[payment.type] = (byType[payment.type] || 0) + payment.total;
+    });
+
+    return {
+      count: payments.length,
+      total: this.roundAmount(payments.reduce((sum, payment) => sum + payment.total, 0)),
+      discounts: this.roundAmount(payments.reduce((sum, payment) => sum + payment.discount, 0)),
+      byMethod,
+      byType,
+      currency: CURRENCY
+    };
+  }
+}
+
+// Create singleton instance
+const paymentService = new PaymentService();
+
+export default paymentService;
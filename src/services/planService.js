@@ -0,0 +1,478 @@
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import { validatePlanData } from '../utils/validators';
+import {
+  ACCESS_DENIAL_REASONS,
+  AUDIT_ACTIONS,
+  ERROR_MESSAGES,
+  PERMISSIONS,
+  PLAN_DURATION_UNITS,
+  PLAN_STATUS,
+  RENEWAL_START,
+  SERVICE_TYPES,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+import { calculateEndDate, getCurrentTimestamp, getDaysBetween } from '../utils/dateUtils';
+import { formatServices } from '../utils/formatters';
+
+// Approximate length of each duration unit, used to spread a plan's price over its days
+const DAYS_PER_UNIT = {
+  [PLAN_DURATION_UNITS.DAY]: 1,
+  [PLAN_DURATION_UNITS.WEEK]: 7,
+  [PLAN_DURATION_UNITS.MONTH]: 30,
+  [PLAN_DURATION_UNITS.YEAR]: 365
+};
+
+class PlanService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * List membership plans
+   * @param {object} options - List options
+   * @param {boolean} options.includeArchived - Include archived plans (default: false)
+   * @returns {Promise<object>} Result with plans, cheapest first
+   */
+  async getPlans({ includeArchived = false } = {}) {
+    if (!authService.isUserAuthenticated()) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const plans = dataService.getAllPlans()
+        .filter(plan => includeArchived || plan.status === PLAN_STATUS.ACTIVE)
+        .sort((a, b) => this.getDurationDays(a) - this.getDurationDays(b) || a.price - b.price);
+
+      return {
+        success: true,
+        data: plans
+      };
+
+    } catch (error) {
+      console.error('Get plans error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+
+  /**
+   * Normalize plan form data into a plan record
+   * @param {object} planData - Plan data from the form
+   * @returns {object} Plan fields
+   */
+  normalizePlanData(planData) {
+    const hasVisitLimit = planData.visitLimit !== null && planData.visitLimit !== undefined && planData.visitLimit !== '';
+    const services = [...new Set(planData.services)];
+    const sessionLimits = Object.fromEntries(
+      Object.entries(planData.sessionLimits || {})
+        .filter(([service, limit]) => services.includes(service) && limit !== null && limit !== undefined && limit !== '')
+        .map(([service, limit]) => [service, Number(limit)])
+    );
+
+    return {
+      name: planData.name.trim(),
+      description: (planData.description || '').trim(),
+      durationValue: Number(planData.durationValue),
+      durationUnit: planData.durationUnit,
+      price: Number(planData.price),
+      services,
+      visitLimit: hasVisitLimit ? Number(planData.visitLimit) : null,
+      sessionLimits,
+      maxFreezeDays: Number(planData.maxFreezeDays) || 0,
+      schedule: planData.schedule
+        ? {
+            days: [...new Set(planData.schedule.days)].sort((a, b) => a - b),
+            windows: (planData.schedule.windows || [])
+              .map(({ start, end }) => ({ start, end }))
+              .sort((a, b) => a.start.localeCompare(b.start))
+          }
+        : null
+    };
+  }
+
+  /**
+   * Check that no other plan uses the same name
+   * @param {string} name - Plan name
+   * @param {string} planId - Plan being edited (optional)
+   * @returns {boolean} True if the name is free
+   */
+  isPlanNameUnique(name, planId = null) {
+    const normalized = name.trim().toLowerCase();
+    return !dataService.getAllPlans().some(plan =>
+      plan.planId !== planId && plan.name.toLowerCase() === normalized
+    );
+  }
+
+  /**
+   * Add a plan to the catalog
+   * @param {object} planData - Plan data
+   * @returns {Promise<object>} Result with the new plan
+   */
+  async createPlan(planData) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_PLANS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const validation = validatePlanData(planData);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      if (!this.isPlanNameUnique(planData.name)) {
+        return {
+          success: false,
+          message: 'A plan with this name already exists',
+          errors: { name: 'This name is already in use' }
+        };
+      }
+
+      const plan = dataService.addPlan({
+        ...this.normalizePlanData(planData),
+        status: PLAN_STATUS.ACTIVE
+      });
+
+      auditService.record(AUDIT_ACTIONS.PLAN_CHANGE, {
+        after: plan,
+        details: { planId: plan.planId, action: 'created' }
+      });
+
+      return {
+        success: true,
+        message: 'Plan created successfully',
+        data: plan
+      };
+
+    } catch (error) {
+      console.error('Create plan error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Update a plan.
+   * Members who already bought the plan keep the dates, price, visits and sessions
+   * they paid for; changes apply to new sales and to off-peak hours checked at the scanner.
+   * @param {string} planId - Plan ID
+   * @param {object} planData - Plan data
+   * @returns {Promise<object>} Result with the updated plan
+   */
+  async updatePlan(planId, planData) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_PLANS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const existingPlan = dataService.getPlanById(planId);
+      if (!existingPlan) {
+        return {
+          success: false,
+          message: 'Plan not found'
+        };
+      }
+
+      const validation = validatePlanData(planData);
+      if (!validation.isValid) {
+        return {
+          success: false,
+          message: validation.message,
+          errors: validation.errors
+        };
+      }
+
+      if (!this.isPlanNameUnique(planData.name, planId)) {
+        return {
+          success: false,
+          message: 'A plan with this name already exists',
+          errors: { name: 'This name is already in use' }
+        };
+      }
+
+      const plan = dataService.updatePlan(planId, {
+        ...this.normalizePlanData(planData),
+        updatedAt: getCurrentTimestamp()
+      });
+
+      auditService.record(AUDIT_ACTIONS.PLAN_CHANGE, {
+        before: existingPlan,
+        after: plan,
+        details: { planId, action: 'updated' }
+      });
+
+      return {
+        success: true,
+        message: 'Plan updated successfully',
+        data: plan
+      };
+
+    } catch (error) {
+      console.error('Update plan error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Archive a plan (stop selling it) or bring it back
+   * @param {string} planId - Plan ID
+   * @param {boolean} archived - True to archive
+   * @returns {Promise<object>} Result with the updated plan
+   */
+  async setPlanArchived(planId, archived) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_PLANS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const existingPlan = dataService.getPlanById(planId);
+      if (!existingPlan) {
+        return {
+          success: false,
+          message: 'Plan not found'
+        };
+      }
+
+      const status = archived ? PLAN_STATUS.ARCHIVED : PLAN_STATUS.ACTIVE;
+      if (status === existingPlan.status) {
+        return {
+          success: true,
+          message: SUCCESS_MESSAGES.SETTINGS_SAVED,
+          data: existingPlan
+        };
+      }
+
+      if (archived && dataService.getAllPlans().filter(p => p.status === PLAN_STATUS.ACTIVE && p.planId !== planId).length === 0) {
+        return {
+          success: false,
+          message: 'At least one plan must stay on sale'
+        };
+      }
+
+      const plan = dataService.updatePlan(planId, {
+        status,
+        updatedAt: getCurrentTimestamp()
+      });
+
+      auditService.record(AUDIT_ACTIONS.PLAN_CHANGE, {
+        before: { status: existingPlan.status },
+        after: { status },
+        details: { planId, action: archived ? 'archived' : 'restored' }
+      });
+
+      return {
+        success: true,
+        message: archived ? 'Plan archived' : 'Plan is on sale again',
+        data: plan
+      };
+
+    } catch (error) {
+      console.error('Archive plan error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Approximate number of days a plan lasts
+   * @param {object} plan - Plan record
+   * @returns {number} Days
+   */
+  getDurationDays(plan) {
+    return plan.durationValue * (DAYS_PER_UNIT[plan.durationUnit] || 1);
+  }
+
+  /**
+   * Revenue a plan earns per visit-day (price spread over its duration)
+   * @param {object} plan - Plan record
+   * @returns {number} Daily rate
+   */
+  getDailyRate(plan) {
+    return plan.price / this.getDurationDays(plan);
+  }
+
+  /**
+   * Build the visit and session balances a plan comes with
+   * @param {object} plan - Plan record
+   * @param {object} carryOver - Balances to add on top, e.g. unused visits when renewing from the current end date (optional)
+   * @returns {object} Quota: { visits: { total, remaining } | null, sessions: { [service]: { total, remaining } } }
+   */
+  buildQuota(plan, carryOver = null) {
+    const withCarryOver = (limit, previous) => {
+      const total = limit + (previous?.remaining || 0);
+      return { total, remaining: total };
+    };
+
+    return {
+      visits: plan.visitLimit ? withCarryOver(plan.visitLimit, carryOver?.visits) : null,
+      sessions: Object.fromEntries(
+        Object.entries(plan.sessionLimits || {})
+          .map(([service, limit]) => [service, withCarryOver(limit, carryOver?.sessions?.[service])])
+      )
+    };
+  }
+
+  /**
+   * Use up a visit, and a session of each service with a session pack, for an entry.
+   * Balances never go below zero. Staff overrides and manual entries don't use any.
+   * @param {object} quota - Membership quota
+   * @param {Array<string>} services - Services used on this visit
+   * @returns {object|null} Updated quota, or null if the membership has no balances to track
+   */
+  consumeQuota(quota, services = []) {
+    if (!quota || (!quota.visits && Object.keys(quota.sessions || {}).length === 0)) {
+      return null;
+    }
+
+    const use = (balance) => ({ ...balance, remaining: Math.max(0, balance.remaining - 1) });
+
+    return {
+      visits: quota.visits ? use(quota.visits) : null,
+      sessions: Object.fromEntries(
+        Object.entries(quota.sessions || {})
+          .map(([service, balance]) => [service, services.includes(service) ? use(balance) : balance])
+      )
+    };
+  }
+
+  /**
+   * Build the membership block for a customer buying a plan
+   * @param {object} plan - Plan record
+   * @param {string} startDate - First day of the membership (YYYY-MM-DD)
+   * @returns {object} Membership fields
+   */
+  buildMembership(plan, startDate) {
+    return {
+      planId: plan.planId,
+      planName: plan.name,
+      price: plan.price,
+      startDate,
+      endDate: calculateEndDate(startDate, plan.durationValue, plan.durationUnit),
+      services: [...plan.services],
+      quota: this.buildQuota(plan)
+    };
+  }
+
+  /**
+   * Work out the dates and price of a renewal or plan change.
+   * An expired membership always restarts today. Starting today while the current
+   * membership is still running credits its unused days, up to the new plan's price;
+   * continuing from the current end date carries its unused visits and sessions over instead.
+   * @param {object} membership - Customer's current membership
+   * @param {object} plan - Plan being bought
+   * @param {string} startFrom - One of RENEWAL_START
+   * @param {string} today - Today's date (YYYY-MM-DD, defaults to today)
+   * @returns {object} Quote with dates, price, credit and amount due
+   */
+  calculateRenewal(membership, plan, startFrom, today = new Date().toISOString().split('T')[0]) {
+    const isRunning = Boolean(membership?.endDate) && membership.endDate > today;
+    const start = isRunning && startFrom === RENEWAL_START.CURRENT_END
+      ? RENEWAL_START.CURRENT_END
+      : RENEWAL_START.TODAY;
+    const startDate = start === RENEWAL_START.CURRENT_END ? membership.endDate : today;
+
+    let credit = 0;
+    if (isRunning && start === RENEWAL_START.TODAY) {
+      const totalDays = getDaysBetween(membership.startDate, membership.endDate);
+      const remainingDays = Math.min(getDaysBetween(today, membership.endDate), totalDays);
+      credit = totalDays > 0 ? (membership.price || 0) * remainingDays / totalDays : 0;
+    }
+    credit = Math.round(Math.min(credit, plan.price) * 100) / 100;
+
+    return {
+      planId: plan.planId,
+      planName: plan.name,
+      startFrom: start,
+      startDate,
+      endDate: calculateEndDate(startDate, plan.durationValue, plan.durationUnit),
+      services: [...plan.services],
+      quota: this.buildQuota(plan, start === RENEWAL_START.CURRENT_END ? membership.quota : null),
+      price: plan.price,
+      credit,
+      amountDue: Math.round((plan.price - credit) * 100) / 100
+    };
+  }
+
+  /**
+   * Find the requested services a membership doesn't include
+   * @param {object} membership - Customer's membership
+   * @param {Array<string>} services - Services the member is entering for
+   * @returns {Array<string>} Services that need a one-off add-on
+   */
+  getMissingServices(membership, services = []) {
+    const included = membership?.services || [];
+    if (included.includes(SERVICE_TYPES.BOTH)) {
+      return [];
+    }
+
+    return services.filter(service => !included.includes(service));
+  }
+
+  /**
+   * Check the membership's balances for a new entry.
+   * Days and hours are checked separately by accessScheduleService.
+   * @param {object} customer - Customer record
+   * @param {Array<string>} services - Services the member is entering for
+   * @returns {object} Result with allowed, message, a reason code when refused, remaining visits and the quota
+   */
+  checkPlanAccess(customer, services = []) {
+    const quota = customer.membership?.quota || null;
+
+    // Visit-count and session packs admit members while they have a balance left
+    if (quota?.visits && quota.visits.remaining <= 0) {
+      return {
+        allowed: false,
+        reason: ACCESS_DENIAL_REASONS.VISITS_EXHAUSTED,
+        message: `No visits left (all ${quota.visits.total} used)`,
+        remainingVisits: 0,
+        quota
+      };
+    }
+
+    const exhausted = services.filter(service => quota?.sessions?.[service] && quota.sessions[service].remaining <= 0);
+    if (exhausted.length > 0) {
+      return {
+        allowed: false,
+        reason: ACCESS_DENIAL_REASONS.SESSIONS_EXHAUSTED,
+        message: `No ${formatServices(exhausted)} sessions left`,
+        remainingVisits: quota.visits?.remaining ?? null,
+        quota
+      };
+    }
+
+    return { allowed: true, remainingVisits: quota?.visits?.remaining ?? null, quota };
+  }
+}
+
+// Create singleton instance
+const planService = new PlanService();
+
+export default planService;
@@ -0,0 +1,392 @@
+import os from 'node:os';
+import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import {
+  AUDIT_ACTIONS,
+  CURRENCY,
+  DEFAULT_SETTINGS,
+  ERROR_MESSAGES,
+  PAYMENT_METHODS,
+  PERMISSIONS,
+  SHIFT_END_REASONS,
+  SHIFT_STATUS,
+  SUCCESS_MESSAGES
+} from '../utils/constants';
+import { getCurrentTimestamp } from '../utils/dateUtils';
+
+// A shift runs from an employee's login to their logout on one terminal
+class ShiftService {
+  constructor() {
+    // Initialize service
+  }
+
+  /**
+   * Get the name of this terminal (front desk computer)
+   * @returns {string} Terminal ID
+   */
+  getTerminalId() {
+    const terminal = { ...DEFAULT_SETTINGS.terminal, ...(dataService.getSettings().terminal || {}) };
+    return terminal.terminalId || os.hostname();
+  }
+
+  /**
+   * Rename this terminal, taking the shifts open on it along
+   * @param {string} terminalId - New terminal name (empty to use the computer name)
+   * @returns {Promise<object>} Result with the terminal ID in use
+   */
+  async updateTerminal(terminalId) {
+    if (!authService.hasPermission(PERMISSIONS.MANAGE_SETTINGS)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const name = String(terminalId || '').trim();
+      if (name.length > 40) {
+        return {
+          success: false,
+          message: 'Terminal name must be at most 40 characters'
+        };
+      }
+
+      const previousId = this.getTerminalId();
+      dataService.updateSettings('terminal', { terminalId: name });
+      const currentId = this.getTerminalId();
+
+      // Open shifts move with the terminal, so they are still ended, reported and handed over on it
+      if (currentId !== previousId) {
+        dataService.getAllShifts()
+          .filter(shift => shift.status === SHIFT_STATUS.OPEN && shift.terminalId === previousId)
+          .forEach(shift => dataService.updateShift(shift.shiftId, { terminalId: currentId }));
+      }
+
+      return {
+        success: true,
+        message: SUCCESS_MESSAGES.SETTINGS_SAVED,
+        data: { terminalId: currentId }
+      };
+
+    } catch (error) {
+      console.error('Update terminal error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Get the open shift of the logged-in employee on this terminal
+   * @returns {object|null} Shift record
+   */
+  getOpenShift() {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      return null;
+    }
+
+    return dataService.getAllShifts().find(shift =>
+      shift.status === SHIFT_STATUS.OPEN &&
+      shift.employeeId === user.employeeId &&
+      shift.terminalId === this.getTerminalId()
+    ) || null;
+  }
+
+  /**
+   * Get the ID of the shift that scans should be attributed to
+   * @returns {string|null} Shift ID
+   */
+  getCurrentShiftId() {
+    return this.getOpenShift()?.shiftId || null;
+  }
+
+  /**
+   * Start a shift for an employee who just logged in.
+   * A shift left open on this terminal (crash, power cut) is closed first
+   * so its report can still be handed over.
+   * @param {object} user - Session user data
+   * @returns {object} The new shift and the previous shift awaiting handover, if any
+   */
+  startShift(user) {
+    const terminalId = this.getTerminalId();
+    const startTime = getCurrentTimestamp();
+
+    dataService.getAllShifts()
+      .filter(shift => shift.status === SHIFT_STATUS.OPEN && shift.terminalId === terminalId)
+      .forEach(shift => this.closeShift(shift, SHIFT_END_REASONS.NOT_CLOSED, startTime));
+
+    const pendingHandover = this.findPendingHandover(user.employeeId, terminalId);
+
+    const shift = dataService.addShift({
+      employeeId: user.employeeId,
+      employeeName: `${user.firstName} ${user.lastName}`,
+      terminalId,
+      startTime,
+      endTime: null,
+      endReason: null,
+      status: SHIFT_STATUS.OPEN,
+      report: null,
+      handover: null
+    });
+
+    return { shift, pendingHandover };
+  }
+
+  /**
+   * End the logged-in employee's shift on this terminal
+   * @param {string} reason - One of SHIFT_END_REASONS
+   * @returns {object|null} Closed shift with its report
+   */
+  endShift(reason = SHIFT_END_REASONS.LOGOUT) {
+    try {
+      const shift = this.getOpenShift();
+      return shift ? this.closeShift(shift, reason) : null;
+    } catch (error) {
+      console.error('End shift error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Close a shift and freeze its report
+   * @param {object} shift - Shift record
+   * @param {string} reason - One of SHIFT_END_REASONS
+   * @param {string} endTime - End time (defaults to now)
+   * @returns {object} Updated shift
+   */
+  closeShift(shift, reason, endTime = getCurrentTimestamp()) {
+    return dataService.updateShift(shift.shiftId, {
+      endTime,
+      endReason: reason,
+      status: SHIFT_STATUS.CLOSED,
+      report: this.buildShiftReport(shift, endTime)
+    });
+  }
+
+  /**
+   * Count what happened during a shift
+   * @param {object} shift - Shift record
+   * @param {string} endTime - End of the period (defaults to now for open shifts)
+   * @returns {object} Shift report
+   */
+  buildShiftReport(shift, endTime = getCurrentTimestamp()) {
+    const visits = dataService.getAllVisits();
+    const registrations = dataService.getAllCustomers()
+      .filter(customer => customer.registeredShiftId === shift.shiftId);
+
+    // Overrides are audited against the employee, so match them by time on this employee
+    const overrides = dataService.getAuditLog().filter(entry =>
+      !entry.corrupted &&
+      entry.actor?.employeeId === shift.employeeId &&
+      [AUDIT_ACTIONS.EMERGENCY_OVERRIDE, AUDIT_ACTIONS.FORCE_EXIT].includes(entry.action) &&
+      entry.timestamp >= shift.startTime &&
+      entry.timestamp <= endTime
+    );
+
+    const renewals = dataService.getAllCustomers()
+      .flatMap(customer => customer.membershipHistory || [])
+      .filter(renewal => renewal.shiftId === shift.shiftId);
+
+    // Cash in the drawer is whatever the ledger says was paid in cash on this shift
+    const payments = dataService.getAllPayments()
+      .filter(payment => payment.shiftId === shift.shiftId);
+    const cashCollected = payments
+      .filter(payment => payment.method === PAYMENT_METHODS.CASH)
+      .reduce((total, payment) => total + payment.total, 0);
+
+    return {
+      entries: visits.filter(visit => visit.entryShiftId === shift.shiftId).length,
+      exits: visits.filter(visit => visit.exitShiftId === shift.shiftId).length,
+      newRegistrations: registrations.length,
+      renewals: renewals.length,
+      registeredCustomers: registrations.map(customer => ({
+        customerId: customer.customerId,
+        name: `${customer.personalInfo.firstName} ${customer.personalInfo.lastName}`,
+        planName: dataService.getMembershipPlanName(customer.membership)
+      })),
+      emergencyOverrides: overrides.filter(entry => entry.action === AUDIT_ACTIONS.EMERGENCY_OVERRIDE).length,
+      forceExits: overrides.filter(entry => entry.action === AUDIT_ACTIONS.FORCE_EXIT).length,
+      payments: payments.length,
+      cashCollected,
+      otherCollected: payments
+        .filter(payment => payment.method !== PAYMENT_METHODS.CASH)
+        .reduce((total, payment) => total + payment.total, 0),
+      currency: CURRENCY,
+      visitorsInside: dataService.getVisitorCount()
+    };
+  }
+
+  /**
+   * Find the last closed shift on a terminal that another employee has not yet acknowledged
+   * @param {string} employeeId - Employee taking over
+   * @param {string} terminalId - Terminal
+   * @returns {object|null} Shift awaiting handover
+   */
+  findPendingHandover(employeeId, terminalId) {
+    const previous = dataService.getAllShifts()
+      .filter(shift => shift.terminalId === terminalId && shift.status !== SHIFT_STATUS.OPEN)
+      .sort((a, b) => new Date(b.endTime) - new Date(a.endTime))[0];
+
+    if (!previous || previous.status !== SHIFT_STATUS.CLOSED || previous.employeeId === employeeId) {
+      return null;
+    }
+
+    return previous;
+  }
+
+  /**
+   * Get the shift the logged-in employee must acknowledge before working
+   * @returns {Promise<object>} Result with the shift, or null data when nothing is pending
+   */
+  async getPendingHandover() {
+    const user = authService.getCurrentUser();
+    if (!user) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    const shift = user.pendingHandoverShiftId
+      ? dataService.getShiftById(user.pendingHandoverShiftId)
+      : null;
+
+    return {
+      success: true,
+      data: shift || null
+    };
+  }
+
+  /**
+   * Acknowledge the previous shift's report and take over the terminal
+   * @param {string} shiftId - Shift being handed over
+   * @param {string} note - Optional note (cash discrepancies, issues seen)
+   * @returns {Promise<object>} Result with the updated session user
+   */
+  async acknowledgeHandover(shiftId, note = '') {
+    const user = authService.getCurrentUser();
+    if (!user || user.pendingHandoverShiftId !== shiftId) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      // Someone else already took it over (or it was removed by a restore)
+      const shift = dataService.getShiftById(shiftId);
+      if (!shift || shift.status !== SHIFT_STATUS.CLOSED) {
+        authService.completeHandover();
+        return {
+          success: true,
+          message: 'This shift has already been handed over',
+          user: authService.getCurrentUser()
+        };
+      }
+
+      const handover = {
+        acknowledgedBy: user.employeeId,
+        acknowledgedByName: `${user.firstName} ${user.lastName}`,
+        acknowledgedAt: getCurrentTimestamp(),
+        nextShiftId: user.shiftId || null,
+        note: String(note || '').trim()
+      };
+
+      dataService.updateShift(shiftId, { status: SHIFT_STATUS.ACKNOWLEDGED, handover });
+      authService.completeHandover();
+
+      auditService.record(AUDIT_ACTIONS.SHIFT_HANDOVER, {
+        employeeId: shift.employeeId,
+        reason: handover.note || null,
+        details: { shiftId, terminalId: shift.terminalId, report: shift.report }
+      });
+
+      return {
+        success: true,
+        message: 'Shift handover acknowledged',
+        user: authService.getCurrentUser()
+      };
+
+    } catch (error) {
+      console.error('Acknowledge handover error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
+  /**
+   * Get the logged-in employee's current shift with a live report
+   * @returns {Promise<object>} Result with the shift, or null data when no shift is open
+   */
+  async getCurrentShift() {
+    const shift = this.getOpenShift();
+
+    return {
+      success: true,
+      data: shift ? { ...shift, report: this.buildShiftReport(shift) } : null
+    };
+  }
+
+  /**
+   * List shifts, newest first.
+   * Employees without VIEW_SHIFT_REPORTS only see their own shifts.
+   * @param {object} filters - Search filters
+   * @param {string} filters.employeeId - Employee to show
+   * @param {string} filters.startDate - First day to include (YYYY-MM-DD)
+   * @param {string} filters.endDate - Last day to include (YYYY-MM-DD)
+   * @returns {Promise<object>} Result with shifts
+   */
+  async getShifts(filters = {}) {
+    const user = authService.getCurrentUser();
+    if (!user || !authService.isUserAuthenticated()) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED,
+        data: []
+      };
+    }
+
+    try {
+      const canViewAll = authService.hasPermission(PERMISSIONS.VIEW_SHIFT_REPORTS);
+      const employeeId = canViewAll ? filters.employeeId : user.employeeId;
+      const { startDate, endDate } = filters;
+
+      const shifts = dataService.getAllShifts()
+        .filter(shift => {
+          const day = shift.startTime.split('T')[0];
+          if (employeeId && shift.employeeId !== employeeId) return false;
+          if (startDate && day < startDate) return false;
+          if (endDate && day > endDate) return false;
+          return true;
+        })
+        .map(shift => shift.status === SHIFT_STATUS.OPEN
+          ? { ...shift, report: this.buildShiftReport(shift) }
+          : shift)
+        .sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+
+      return {
+        success: true,
+        data: shifts,
+        canViewAll
+      };
+
+    } catch (error) {
+      console.error('Get shifts error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR,
+        data: []
+      };
+    }
+  }
+}
+
+// Create singleton instance
+const shiftService = new ShiftService();
+
+export default shiftService;
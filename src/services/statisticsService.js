@@ -1,4 +1,8 @@
 import dataService from './dataService';
+import authService from './authService';
+import auditService from './auditService';
+import paymentService from './paymentService';
+import customerService from './customerService';
 import {
   getDayBounds,
   getWeekBounds,
@@ -7,7 +11,7 @@ import {
   formatDuration,
   isToday
 } from '../utils/dateUtils';
-import { ERROR_MESSAGES } from '../utils/constants';
+import { ERROR_MESSAGES, PERMISSIONS, AUDIT_ACTIONS, CURRENCY } from '../utils/constants';
 
 class StatisticsService {
   constructor() {
@@ -36,7 +40,7 @@ class StatisticsService {
       // Get visit data for the date
       const visitStats = dataService.getVisitStatsByDate(targetDate);
       const hourlyStats = dataService.getHourlyVisitStats(targetDate);
-      const membershipStats = dataService.getMembershipTypeStats(targetDate);
+      const membershipStats = dataService.getMembershipPlanStats(targetDate);
       const serviceStats = dataService.getServiceStats(targetDate);
       
       // Get current visitors (only for today)
@@ -47,7 +51,7 @@ class StatisticsService {
 
       // Calculate additional metrics
       const peakHour = this.calculatePeakHour(hourlyStats);
-      const revenue = this.calculateDailyRevenue(targetDate, membershipStats);
+      const revenue = this.calculateDailyRevenue(targetDate);
       const hourlyData = this.formatHourlyData(hourlyStats);
 
       const statistics = {
@@ -289,7 +293,7 @@ class StatisticsService {
           quickMetrics,
           hourlyActivity,
           recentActivity: recentActivity.slice(0, 10), // Last 10 activities
-          currentVisitors: currentVisitors.slice(0, 5), // Show first 5 visitors
+          currentVisitors: currentVisitors.slice(0, 5).map(visitor => customerService.enrichCustomerData(visitor)), // Show first 5 visitors
           alerts: this.generateAlerts(quickMetrics, currentVisitors),
           lastUpdate: getCurrentTimestamp()
         }
@@ -376,39 +380,24 @@ class StatisticsService {
   }
 
   /**
-   * Calculate daily revenue based on membership types
+   * Calculate the money actually collected on a day from the payments ledger
    * @param {string} date - Date to calculate revenue for
-   * @param {object} membershipStats - Membership type statistics
-   * @returns {object} Revenue breakdown
+   * @returns {object} Revenue total with breakdowns by payment type and method
    */
-  calculateDailyRevenue(date, membershipStats) {
-    // Sample pricing (in real app, this would come from configuration)
-    const pricing = {
-      daily: 50,     // 50 EGP per day
-      monthly: 500,  // 500 EGP per month (daily rate = 16.67)
-      annual: 5000   // 5000 EGP per year (daily rate = 13.70)
-    };
-
-    const dailyRates = {
-      daily: pricing.daily,
-      monthly: pricing.monthly / 30,
-      annual: pricing.annual / 365
-    };
-
-    const revenueBreakdown = {
-      daily: membershipStats.daily * dailyRates.daily,
-      monthly: membershipStats.monthly * dailyRates.monthly,
-      annual: membershipStats.annual * dailyRates.annual
-    };
-
-    const total = Object.values(revenueBreakdown).reduce((sum, val) => sum + val, 0);
+  calculateDailyRevenue(date) {
+    const payments = dataService.getPaymentsByDate(date);
+    const summary = paymentService.summarizePayments(payments);
+    const visits = dataService.getVisitsByDate(date);
 
     return {
-      breakdown: revenueBreakdown,
-      total: Math.round(total),
-      currency: 'EGP',
-      averagePerVisit: membershipStats.daily + membershipStats.monthly + membershipStats.annual > 0
-        ? Math.round(total / (membershipStats.daily + membershipStats.monthly + membershipStats.annual))
+      breakdown: summary.byType,
+      byMethod: summary.byMethod,
+      total: summary.total,
+      discounts: summary.discounts,
+      payments: summary.count,
+      currency: CURRENCY,
+      averagePerVisit: visits.length > 0
+        ? Math.round(summary.total / visits.length)
         : 0
     };
   }
@@ -457,24 +446,12 @@ class StatisticsService {
   }
 
   /**
-   * Calculate membership type statistics from visits
+   * Calculate membership plan statistics from visits
    * @param {Array} visits - Array of visit records
-   * @returns {object} Membership statistics
+   * @returns {object} Visit count keyed by plan name
    */
   calculateMembershipStats(visits) {
-    const stats = { daily: 0, monthly: 0, annual: 0 };
-    
-    visits.forEach(visit => {
-      const customer = dataService.getCustomerById(visit.customerId);
-      if (customer && customer.membership) {
-        const type = customer.membership.type;
-        if (stats.hasOwnProperty(type)) {
-          stats[type]++;
-        }
-      }
-    });
-
-    return stats;
+    return dataService.countVisitsByPlan(visits);
   }
 
   /**
@@ -545,6 +522,13 @@ class StatisticsService {
    * @returns {Promise<object>} Export result
    */
   async exportStatistics(period = 'daily', date = null) {
+    if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       let statisticsData;
 
@@ -563,6 +547,10 @@ class StatisticsService {
         return statisticsData;
       }
 
+      auditService.record(AUDIT_ACTIONS.EXPORT, {
+        details: { type: 'statistics', period, date }
+      });
+
       return {
         success: true,
         data: statisticsData.data,
@@ -580,6 +568,41 @@ class StatisticsService {
     }
   }
 
+  /**
+   * Export visit records
+   * @param {string} startDate - Start date (YYYY-MM-DD)
+   * @param {string} endDate - End date (YYYY-MM-DD)
+   * @returns {Promise<object>} Export result
+   */
+  async exportVisits(startDate = null, endDate = null) {
+    if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
+    try {
+      const visits = dataService.exportVisitsData(startDate, endDate);
+
+      auditService.record(AUDIT_ACTIONS.EXPORT, {
+        details: { type: 'visits', startDate, endDate, total: visits.total }
+      });
+
+      return {
+        success: true,
+        ...visits
+      };
+
+    } catch (error) {
+      console.error('Export visits error:', error);
+      return {
+        success: false,
+        message: ERROR_MESSAGES.NETWORK_ERROR
+      };
+    }
+  }
+
   /**
    * Clear statistics cache
    */
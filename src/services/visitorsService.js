@@ -1,7 +1,10 @@
 import dataService from './dataService';
 import customerService from './customerService';
+import authService from './authService';
+import auditService from './auditService';
+import shiftService from './shiftService';
 import { getCurrentTimestamp, calculateDuration } from '../utils/dateUtils';
-import { ERROR_MESSAGES } from '../utils/constants';
+import { ERROR_MESSAGES, PERMISSIONS, AUDIT_ACTIONS } from '../utils/constants';
 
 class VisitorsService {
   constructor() {
@@ -23,8 +26,9 @@ class VisitorsService {
           ? calculateDuration(entryTime, new Date())
           : 0;
 
+        // Enriched like any customer sent to the renderer, so card tokens stay in the main process
         return {
-          ...visitor,
+          ...customerService.enrichCustomerData(visitor),
           currentDuration,
           entryTime,
           visitId: visitor.currentVisitData?.visitId,
@@ -251,6 +255,13 @@ class VisitorsService {
    * @returns {Promise<object>} Force exit result
    */
   async forceExitVisitor(customerId, reason = 'Manual override') {
+    if (!authService.hasPermission(PERMISSIONS.FORCE_EXIT)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       if (!customerId) {
         return {
@@ -281,7 +292,7 @@ class VisitorsService {
       }
 
       // End the visit
-      dataService.endVisit(visitToEnd.visitId, exitTime);
+      dataService.endVisit(visitToEnd.visitId, exitTime, shiftService.getCurrentShiftId());
 
       // Update customer visit status
       dataService.updateCustomerVisitStatus(customerId, false, null, exitTime);
@@ -294,6 +305,14 @@ class VisitorsService {
         reason
       });
 
+      auditService.record(AUDIT_ACTIONS.FORCE_EXIT, {
+        customerId,
+        before: { isInside: true, entryTime },
+        after: { isInside: false, exitTime },
+        reason,
+        details: { visitId: visitToEnd.visitId, duration }
+      });
+
       return {
         success: true,
         message: 'Visitor successfully exited',
@@ -352,18 +371,12 @@ class VisitorsService {
         }
       });
 
-      // Membership type distribution
-      const membershipStats = {
-        daily: 0,
-        monthly: 0,
-        annual: 0
-      };
+      // Membership plan distribution
+      const membershipStats = {};
 
       visitors.data.forEach(visitor => {
-        const type = visitor.membership?.type;
-        if (membershipStats.hasOwnProperty(type)) {
-          membershipStats[type]++;
-        }
+        const planName = dataService.getMembershipPlanName(visitor.membership);
+        membershipStats[planName] = (membershipStats[planName] || 0) + 1;
       });
 
       return {
@@ -478,6 +491,13 @@ class VisitorsService {
    * @returns {Promise<object>} Export data
    */
   async exportCurrentVisitors() {
+    if (!authService.hasPermission(PERMISSIONS.EXPORT_DATA)) {
+      return {
+        success: false,
+        message: ERROR_MESSAGES.PERMISSION_DENIED
+      };
+    }
+
     try {
       const visitors = await this.getCurrentVisitors();
       const statistics = await this.getVisitorStatistics();
@@ -486,6 +506,10 @@ class VisitorsService {
         return visitors;
       }
 
+      auditService.record(AUDIT_ACTIONS.EXPORT, {
+        details: { type: 'current_visitors', total: visitors.count }
+      });
+
       return {
         success: true,
         data: {
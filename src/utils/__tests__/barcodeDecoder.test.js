@@ -0,0 +1,99 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { PNG } from 'pngjs';
+import { describe, expect, it } from 'vitest';
+import { CAMERA_FORMATS, createBarcodeReader, createDecodeConfirmer, decodeImageData } from '../barcodeDecoder';
+
+// Still images stand in for camera frames. The fixtures were rendered with bwip-js,
+// the library the card printer uses, at scale 3 with a white quiet zone.
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Load a fixture as the { data, width, height } a canvas getImageData() call returns
+ * @param {string} name - Fixture file name
+ * @returns {object} RGBA pixels
+ */
+const loadImage = (name) => {
+  const png = PNG.sync.read(fs.readFileSync(path.join(FIXTURES, name)));
+  return { data: new Uint8ClampedArray(png.data), width: png.width, height: png.height };
+};
+
+/**
+ * Squash an image's contrast and brightness, roughly like a dim webcam frame
+ * @param {object} image - RGBA pixels
+ * @returns {object} Adjusted copy
+ */
+const dim = (image) => {
+  const data = image.data.map((value, i) => (i % 4 === 3 ? value : 60 + value * 0.4));
+  return { ...image, data };
+};
+
+const blank = (width, height) => ({
+  data: new Uint8ClampedArray(width * height * 4).fill(255),
+  width,
+  height
+});
+
+describe('decodeImageData', () => {
+  it.each([
+    ['code128.png', 'CODE128', '4716038251937261'],
+    ['code39.png', 'CODE39', 'GYM-1234'],
+    ['ean13.png', 'EAN13', '5901234123457'],
+    ['ean8.png', 'EAN8', '96385074'],
+    ['qr.png', 'QR', '4716038251937261']
+  ])('reads %s as %s', (fixture, format, text) => {
+    const decoded = decodeImageData(loadImage(fixture));
+
+    expect(decoded).toMatchObject({ text, format });
+    expect(decoded.points.length).toBeGreaterThan(0);
+  });
+
+  it('covers every format the scanner accepts', () => {
+    expect(CAMERA_FORMATS).toEqual(['CODE128', 'CODE39', 'EAN13', 'EAN8', 'QR']);
+  });
+
+  it('reads a low-contrast frame', () => {
+    expect(decodeImageData(dim(loadImage('code128.png')))?.text).toBe('4716038251937261');
+  });
+
+  it('returns null when the frame has no code', () => {
+    expect(decodeImageData(blank(320, 240))).toBeNull();
+  });
+
+  it('can reuse one reader across frames', () => {
+    const reader = createBarcodeReader();
+
+    expect(decodeImageData(loadImage('ean8.png'), reader)?.text).toBe('96385074');
+    expect(decodeImageData(blank(320, 240), reader)).toBeNull();
+    expect(decodeImageData(loadImage('qr.png'), reader)?.format).toBe('QR');
+  });
+});
+
+describe('createDecodeConfirmer', () => {
+  const frame = decodeImageData(loadImage('code128.png'));
+
+  it('confirms a code once enough recent frames agree', () => {
+    const confirmer = createDecodeConfirmer({ required: 3, window: 6 });
+
+    expect(confirmer.push(frame)).toMatchObject({ confidence: 1 / 3, confirmed: false });
+    expect(confirmer.push(null)).toMatchObject({ confirmed: false });
+    expect(confirmer.push(frame)).toMatchObject({ confidence: 2 / 3, confirmed: false });
+    expect(confirmer.push(frame)).toMatchObject({ text: frame.text, confidence: 1, confirmed: true });
+  });
+
+  it('does not confirm a single misread among empty frames', () => {
+    const confirmer = createDecodeConfirmer({ required: 3, window: 4 });
+    confirmer.push(frame);
+
+    [null, null, null].forEach(empty => confirmer.push(empty));
+    expect(confirmer.push(null)).toBeNull();
+  });
+
+  it('starts over after reset', () => {
+    const confirmer = createDecodeConfirmer({ required: 2, window: 4 });
+    confirmer.push(frame);
+    confirmer.reset();
+
+    expect(confirmer.push(frame)).toMatchObject({ confirmed: false });
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  BarcodeFormat,
+  BinaryBitmap,
+  ChecksumException,
+  DecodeHintType,
+  FormatException,
+  HybridBinarizer,
+  MultiFormatReader,
+  NotFoundException,
+  RGBLuminanceSource
+} from '@zxing/library';
+import { BARCODE_CONFIG } from './constants';
+
+// Our format names mapped to the decoder's; QR codes are read alongside the printed barcode formats
+const DECODER_FORMATS = {
+  CODE128: BarcodeFormat.CODE_128,
+  CODE39: BarcodeFormat.CODE_39,
+  EAN13: BarcodeFormat.EAN_13,
+  EAN8: BarcodeFormat.EAN_8,
+  QR: BarcodeFormat.QR_CODE
+};
+
+export const CAMERA_FORMATS = [...BARCODE_CONFIG.FORMATS, 'QR'];
+
+/**
+ * Create a reader for the formats the camera scanner accepts
+ * @returns {MultiFormatReader} Reader
+ */
+export const createBarcodeReader = () => {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, CAMERA_FORMATS.map(format => DECODER_FORMATS[format]));
+  hints.set(DecodeHintType.TRY_HARDER, true);
+
+  const reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return reader;
+};
+
+/**
+ * Convert RGBA pixels to the grey levels the decoder works on
+ * @param {object} imageData - Pixels: { data, width, height }, e.g. from canvas getImageData()
+ * @returns {Uint8ClampedArray} One luminance value per pixel
+ */
+const toLuminance = ({ data, width, height }) => {
+  const luminance = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < luminance.length; i++) {
+    const offset = i * 4;
+    luminance[i] = (data[offset] * 299 + data[offset + 1] * 587 + data[offset + 2] * 114) / 1000;
+  }
+  return luminance;
+};
+
+/**
+ * Look for a barcode or QR code in one frame or still image
+ * @param {object} imageData - Pixels: { data, width, height }, e.g. from canvas getImageData()
+ * @param {MultiFormatReader} reader - Reader from createBarcodeReader() (optional)
+ * @returns {object|null} Decoded code: { text, format, points }, or null if none was found
+ */
+export const decodeImageData = (imageData, reader = createBarcodeReader()) => {
+  try {
+    const source = new RGBLuminanceSource(toLuminance(imageData), imageData.width, imageData.height);
+    const result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(source)));
+    const format = Object.keys(DECODER_FORMATS).find(name => DECODER_FORMATS[name] === result.getBarcodeFormat());
+
+    return {
+      text: result.getText(),
+      format,
+      points: result.getResultPoints().map(point => ({ x: point.getX(), y: point.getY() }))
+    };
+
+  } catch (error) {
+    // Frames without a readable code are the normal case while the member lines up their card
+    if (error instanceof NotFoundException || error instanceof ChecksumException || error instanceof FormatException) {
+      return null;
+    }
+    throw error;
+  } finally {
+    reader.reset();
+  }
+};
+
+/**
+ * Create a tracker that only accepts a code once several recent frames agree on it,
+ * so a single misread frame never triggers a scan
+ * @param {object} options - Tracker options
+ * @param {number} options.required - Agreeing frames needed (defaults to BARCODE_CONFIG.CAMERA.CONFIRM_FRAMES)
+ * @param {number} options.window - Recent frames counted (defaults to BARCODE_CONFIG.CAMERA.FRAME_WINDOW)
+ * @returns {object} Tracker with push(decoded) and reset()
+ */
+export const createDecodeConfirmer = ({
+  required = BARCODE_CONFIG.CAMERA.CONFIRM_FRAMES,
+  window = BARCODE_CONFIG.CAMERA.FRAME_WINDOW
+} = {}) => {
+  let frames = [];
+
+  const reset = () => {
+    frames = [];
+  };
+
+  /**
+   * Add a frame's result
+   * @param {object|null} decoded - Result of decodeImageData()
+   * @returns {object|null} Best candidate: { text, format, points, confidence (0-1), confirmed }, or null
+   */
+  const push = (decoded) => {
+    frames = [...frames, decoded].slice(-window);
+
+    const counts = {};
+    frames.filter(Boolean).forEach(frame => {
+      counts[frame.text] = (counts[frame.text] || 0) + 1;
+    });
+
+    const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    if (!best) {
+      return null;
+    }
+
+    const latest = [...frames].reverse().find(frame => frame?.text === best);
+    return {
+      ...latest,
+      confidence: Math.min(1, counts[best] / required),
+      confirmed: counts[best] >= required
+    };
+  };
+
+  return { push, reset };
+};
@@ -2,11 +2,59 @@
 export const APP_NAME = 'Gym & Spa Management System';
 export const APP_VERSION = '1.0.0';
 
-// Membership Types
-export const MEMBERSHIP_TYPES = {
-  DAILY: 'daily',
-  MONTHLY: 'monthly',
-  ANNUAL: 'annual'
+// Membership plans are stored in the plans collection; these describe their fields
+export const PLAN_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived' // no new sales, existing members keep their access
+};
+
+export const PLAN_DURATION_UNITS = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+  YEAR: 'year'
+};
+
+export const CURRENCY = 'EGP';
+
+// Where a renewed membership starts
+export const RENEWAL_START = {
+  CURRENT_END: 'current_end', // continue after the current membership
+  TODAY: 'today' // switch now, crediting the unused part of the current membership
+};
+
+// Why a member froze their membership
+export const FREEZE_REASONS = {
+  MEDICAL: 'medical',
+  TRAVEL: 'travel',
+  OTHER: 'other'
+};
+
+export const FREEZE_STATUS = {
+  ACTIVE: 'active', // scheduled or running
+  CANCELLED: 'cancelled' // ended early before any day was frozen
+};
+
+export const PAYMENT_METHODS = {
+  CASH: 'cash',
+  CARD: 'card',
+  TRANSFER: 'transfer'
+};
+
+// What a payment was taken for
+export const PAYMENT_TYPES = {
+  MEMBERSHIP_SALE: 'membership_sale',
+  RENEWAL: 'renewal',
+  DAY_PASS: 'day_pass',
+  SPA_ADDON: 'spa_addon'
+};
+
+// Notes and coins counted into the cash drawer at close-out, largest first
+export const CASH_DENOMINATIONS = [200, 100, 50, 20, 10, 5, 1, 0.5, 0.25];
+
+export const CLOSEOUT_STATUS = {
+  CLOSED: 'closed', // the day's payments are locked
+  REOPENED: 'reopened' // a manager unlocked the day; it must be closed again
 };
 
 // Membership Status
@@ -23,9 +71,139 @@ export const SERVICE_TYPES = {
   BOTH: 'both'
 };
 
+// Short weekday names, indexed like Date.getDay()
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Reason codes returned when a scan is refused entry
+export const ACCESS_DENIAL_REASONS = {
+  NO_MEMBERSHIP: 'no_membership',
+  SUSPENDED: 'membership_suspended',
+  EXPIRED: 'membership_expired',
+  FROZEN: 'membership_frozen',
+  OUTSIDE_PLAN_HOURS: 'outside_plan_hours',
+  OUTSIDE_SERVICE_HOURS: 'outside_service_hours',
+  CLOSED_FOR_HOLIDAY: 'closed_for_holiday',
+  VISITS_EXHAUSTED: 'visits_exhausted',
+  SESSIONS_EXHAUSTED: 'sessions_exhausted',
+  SERVICE_NOT_INCLUDED: 'service_not_included',
+  CARD_REVOKED: 'card_revoked' // reported lost or revoked
+};
+
+// What a scan records on this terminal: always an entry, always an exit, or whichever the member needs
+export const SCAN_MODES = {
+  AUTO: 'auto',
+  ENTRY: 'entry',
+  EXIT: 'exit'
+};
+
+// Why a visit was closed without an exit scan
+export const AUTO_CLOSE_REASONS = {
+  TIMEOUT: 'timeout', // open longer than DEFAULTS.VISIT_TIMEOUT
+  CLOSING_TIME: 'closing_time' // still open at the configured closing time
+};
+
+// How the exit time of an automatically closed visit is estimated
+export const EXIT_ESTIMATES = {
+  AVERAGE: 'average', // the member's average visit length, or the fixed length for a first visit
+  FIXED: 'fixed'
+};
+
+// Result codes for scans held back by the scan policy; they are kept in the scan history
+export const SCAN_POLICY_CODES = {
+  DUPLICATE_SCAN: 'duplicate_scan', // same member scanned again within a few seconds
+  PASSBACK: 'passback', // card used to enter while the member is still inside
+  MIN_VISIT_TIME: 'min_visit_time', // exit scanned too soon after the entry
+  QUICK_TOGGLE: 'quick_toggle', // exit or re-entry soon after the last scan; needs confirming
+  STILL_INSIDE: 'still_inside' // entry for a member still marked inside while passback is allowed; needs confirming
+};
+
+// Member card status; a card that is not active no longer opens the gym
+export const CARD_STATUS = {
+  ACTIVE: 'active',
+  LOST: 'lost',
+  REVOKED: 'revoked'
+};
+
 // Employee Roles
 export const EMPLOYEE_ROLES = {
-  RECEPTIONIST: 'receptionist'
+  ADMIN: 'admin',
+  MANAGER: 'manager',
+  RECEPTIONIST: 'receptionist',
+  TRAINER: 'trainer'
+};
+
+// Permissions checked by the services
+export const PERMISSIONS = {
+  SCAN_BARCODE: 'scan_barcode',
+  VIEW_CUSTOMERS: 'view_customers',
+  REGISTER_CUSTOMER: 'register_customer',
+  EDIT_MEMBERSHIP: 'edit_membership',
+  RENEW_MEMBERSHIP: 'renew_membership',
+  VIEW_CURRENT_VISITORS: 'view_current_visitors',
+  VIEW_STATISTICS: 'view_statistics',
+  MANUAL_ENTRY_EXIT: 'manual_entry_exit',
+  FORCE_EXIT: 'force_exit',
+  EMERGENCY_OVERRIDE: 'emergency_override',
+  EXPORT_DATA: 'export_data',
+  MANAGE_EMPLOYEES: 'manage_employees',
+  MANAGE_SETTINGS: 'manage_settings',
+  MANAGE_ROLES: 'manage_roles',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  VIEW_SHIFT_REPORTS: 'view_shift_reports',
+  MANAGE_PLANS: 'manage_plans',
+  TAKE_PAYMENT: 'take_payment',
+  VIEW_PAYMENTS: 'view_payments',
+  CLOSE_CASH_DRAWER: 'close_cash_drawer',
+  REOPEN_CASH_DAY: 'reopen_cash_day',
+  PRINT_MEMBER_CARDS: 'print_member_cards',
+  MANAGE_MEMBER_CARDS: 'manage_member_cards',
+  REVIEW_VISITS: 'review_visits'
+};
+
+// Default role -> permission matrix; the live copy is stored in settings.rolePermissions
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [EMPLOYEE_ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [EMPLOYEE_ROLES.MANAGER]: [
+    PERMISSIONS.SCAN_BARCODE,
+    PERMISSIONS.VIEW_CUSTOMERS,
+    PERMISSIONS.REGISTER_CUSTOMER,
+    PERMISSIONS.EDIT_MEMBERSHIP,
+    PERMISSIONS.RENEW_MEMBERSHIP,
+    PERMISSIONS.VIEW_CURRENT_VISITORS,
+    PERMISSIONS.VIEW_STATISTICS,
+    PERMISSIONS.MANUAL_ENTRY_EXIT,
+    PERMISSIONS.FORCE_EXIT,
+    PERMISSIONS.EMERGENCY_OVERRIDE,
+    PERMISSIONS.EXPORT_DATA,
+    PERMISSIONS.VIEW_AUDIT_LOG,
+    PERMISSIONS.VIEW_SHIFT_REPORTS,
+    PERMISSIONS.MANAGE_PLANS,
+    PERMISSIONS.TAKE_PAYMENT,
+    PERMISSIONS.VIEW_PAYMENTS,
+    PERMISSIONS.CLOSE_CASH_DRAWER,
+    PERMISSIONS.REOPEN_CASH_DAY,
+    PERMISSIONS.PRINT_MEMBER_CARDS,
+    PERMISSIONS.MANAGE_MEMBER_CARDS,
+    PERMISSIONS.REVIEW_VISITS
+  ],
+  [EMPLOYEE_ROLES.RECEPTIONIST]: [
+    PERMISSIONS.SCAN_BARCODE,
+    PERMISSIONS.VIEW_CUSTOMERS,
+    PERMISSIONS.REGISTER_CUSTOMER,
+    PERMISSIONS.RENEW_MEMBERSHIP,
+    PERMISSIONS.VIEW_CURRENT_VISITORS,
+    PERMISSIONS.VIEW_STATISTICS,
+    PERMISSIONS.MANUAL_ENTRY_EXIT,
+    PERMISSIONS.TAKE_PAYMENT,
+    PERMISSIONS.CLOSE_CASH_DRAWER,
+    PERMISSIONS.PRINT_MEMBER_CARDS,
+    PERMISSIONS.MANAGE_MEMBER_CARDS,
+    PERMISSIONS.REVIEW_VISITS
+  ],
+  [EMPLOYEE_ROLES.TRAINER]: [
+    PERMISSIONS.VIEW_CUSTOMERS,
+    PERMISSIONS.VIEW_CURRENT_VISITORS
+  ]
 };
 
 // Status Colors
@@ -68,15 +246,67 @@ export const VALIDATION_RULES = {
     MAX_LENGTH: 12,
     PATTERN: /^[0-9]+$/
   },
+  CARD_TOKEN: {
+    LENGTH: 16, // random digits, the last one a Luhn check digit
+    PATTERN: /^[0-9]{16}$/
+  },
   PASSWORD: {
     MIN_LENGTH: 6,
     MAX_LENGTH: 50
   },
+  USERNAME: {
+    MIN_LENGTH: 3,
+    MAX_LENGTH: 30,
+    PATTERN: /^[a-z0-9._-]+$/
+  },
   PHONE: {
     PATTERN: /^(\+20-?)?[0-9]{3}-?[0-9]{3}-?[0-9]{4}$/
   },
   EMAIL: {
     PATTERN: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+  PLAN: {
+    NAME_MAX_LENGTH: 50,
+    MAX_DURATION_VALUE: 60,
+    MAX_PRICE: 1000000,
+    MAX_FREEZE_DAYS: 365
+  },
+  SCHEDULE: {
+    TIME_PATTERN: /^([01][0-9]|2[0-3]):[0-5][0-9]$/,
+    MAX_WINDOWS: 4, // time ranges per schedule
+    MAX_HOLIDAYS: 100,
+    HOLIDAY_NAME_MAX_LENGTH: 50
+  },
+  SCANNER: {
+    MIN_KEY_INTERVAL: 10, // milliseconds
+    MAX_KEY_INTERVAL: 200
+  },
+  SCAN_POLICY: {
+    MAX_DUPLICATE_WINDOW: 60, // seconds
+    MAX_MIN_VISIT: 120, // minutes
+    MAX_QUICK_TOGGLE: 240 // minutes
+  },
+  PAYMENT: {
+    MAX_AMOUNT: 1000000,
+    DESCRIPTION_MAX_LENGTH: 100
+  },
+  CARDS: {
+    FOOTER_MAX_LENGTH: 60,
+    MAX_BATCH: 200, // cards in one print run
+    MAX_PHOTO_SIZE: 5 * 1024 * 1024, // bytes
+    PHOTO_EXTENSIONS: ['jpg', 'jpeg', 'png', 'webp'],
+    COLOR_PATTERN: /^#[0-9a-fA-F]{6}$/,
+    MAX_ACTIVE: 3, // cards a member can carry at once
+    REASON_MAX_LENGTH: 200
+  },
+  AUTO_CLOSE: {
+    MIN_FIXED_MINUTES: 15,
+    MAX_FIXED_MINUTES: 720,
+    REVIEW_DAYS: 7 // how far back reviewed visits are listed
+  },
+  CLOSEOUT: {
+    MAX_COUNT: 100000, // notes or coins of one denomination
+    NOTE_MAX_LENGTH: 500
   }
 };
 
@@ -89,6 +319,118 @@ export const DEFAULTS = {
   GRACE_PERIOD_DAYS: 7
 };
 
+// Default application settings (stored in the settings document)
+export const DEFAULT_SETTINGS = {
+  backup: {
+    enabled: true,
+    intervalHours: 6,
+    keepCount: 14,
+    backupOnQuit: true
+  },
+  terminal: {
+    terminalId: '', // falls back to the computer name
+    scanMode: 'auto' // one of SCAN_MODES; entry or exit for a scanner at a one-way gate
+  },
+  receipts: {
+    businessName: 'Gym & Spa',
+    address: '',
+    phone: '',
+    taxId: '',
+    vatRate: 14, // percent, already included in prices
+    printAutomatically: false
+  },
+  addOns: {
+    // One-off price for using a service the membership doesn't include
+    gym: 100,
+    spa: 150
+  },
+  scanner: {
+    // Treat fast keystroke bursts ending in Enter as barcode scans, whatever has focus
+    wedgeMode: true,
+    // Longest gap between two keys of a scan; people type much slower than this
+    maxKeyInterval: 50, // milliseconds
+    // Also let in cards printed with the plain customer ID. Off for new stores; stores from before
+    // card tokens are switched on by migration 15 until every member has a token card
+    acceptCustomerIds: false
+  },
+  autoClose: {
+    // Close visits still open at this time of day, e.g. when the gym closes ('' to rely on the visit timeout)
+    closingTime: '',
+    // Exit time recorded for a visit closed automatically; one of EXIT_ESTIMATES
+    estimate: 'average',
+    // Visit length used by the fixed estimate, and for members without earlier visits
+    fixedMinutes: 90
+  },
+  scanPolicy: {
+    // Ignore the same member scanned again this soon, e.g. a double beep (0 turns it off)
+    duplicateWindowSeconds: 5,
+    // Refuse an exit this soon after the entry (0 turns it off)
+    minVisitMinutes: 1,
+    // Ask the desk to confirm an exit or re-entry this soon after the last scan (0 turns it off)
+    quickToggleMinutes: 10,
+    // Refuse an entry while the card's member is still inside, so a card can't be passed back out
+    blockPassback: true
+  },
+  access: {
+    // Opening hours per service area (null means open whenever the gym is)
+    serviceSchedules: {
+      gym: null,
+      spa: null
+    },
+    // Dates with their own hours, replacing the service area hours: { date, name, closed, windows }
+    holidays: []
+  },
+  cards: {
+    barcodeFormat: 'CODE128', // or QR
+    accentColor: '#667eea',
+    showPhoto: true,
+    showPlan: true,
+    showExpiry: true,
+    footerText: ''
+  }
+};
+
+// Actions recorded in the audit log
+export const AUDIT_ACTIONS = {
+  LOGIN: 'login',
+  LOGIN_FAILED: 'login_failed',
+  ACCOUNT_LOCKED: 'account_locked',
+  LOGOUT: 'logout',
+  PASSWORD_CHANGE: 'password_change',
+  EMERGENCY_OVERRIDE: 'emergency_override',
+  FORCE_EXIT: 'force_exit',
+  MEMBERSHIP_CHANGE: 'membership_change',
+  EXPORT: 'export',
+  EMPLOYEE_CHANGE: 'employee_change',
+  PERMISSIONS_CHANGE: 'permissions_change',
+  BACKUP_RESTORE: 'backup_restore',
+  SHIFT_HANDOVER: 'shift_handover',
+  PLAN_CHANGE: 'plan_change',
+  CASH_CLOSEOUT: 'cash_closeout',
+  CARD_CHANGE: 'card_change',
+  VISIT_CORRECTION: 'visit_correction'
+};
+
+// Shift status and why a shift ended
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+  ACKNOWLEDGED: 'acknowledged'
+};
+
+export const SHIFT_END_REASONS = {
+  LOGOUT: 'logout',
+  APP_CLOSED: 'app_closed',
+  NOT_CLOSED: 'not_closed' // still open when the next shift started on the terminal
+};
+
+// Login lockout policy
+export const AUTH_POLICY = {
+  MAX_FAILED_ATTEMPTS: 5,
+  FAILED_ATTEMPT_WINDOW: 15 * 60 * 1000, // failures older than this are forgotten
+  LOCKOUT_DURATION: 15 * 60 * 1000 // 15 minutes
+};
+
 // Navigation Routes
 export const ROUTES = {
   LOGIN: '/login',
@@ -97,6 +439,12 @@ export const ROUTES = {
   CUSTOMERS: '/customers',
   CURRENT_VISITORS: '/current-visitors',
   STATISTICS: '/statistics',
+  EMPLOYEES: '/employees',
+  AUDIT: '/audit',
+  SHIFTS: '/shifts',
+  PLANS: '/plans',
+  PAYMENTS: '/payments',
+  CLOSEOUT: '/closeout',
   SETTINGS: '/settings'
 };
 
@@ -122,7 +470,8 @@ export const ERROR_MESSAGES = {
   INVALID_BARCODE: 'Invalid barcode format',
   NETWORK_ERROR: 'Network connection error',
   PERMISSION_DENIED: 'Permission denied',
-  SESSION_EXPIRED: 'Session has expired'
+  SESSION_EXPIRED: 'Session has expired',
+  ACCOUNT_LOCKED: 'Too many failed login attempts'
 };
 
 // Success Messages
@@ -138,7 +487,14 @@ export const SUCCESS_MESSAGES = {
 export const BARCODE_CONFIG = {
   FORMATS: ['CODE128', 'CODE39', 'EAN13', 'EAN8'],
   SCAN_TIMEOUT: 10000, // 10 seconds
-  RETRY_ATTEMPTS: 3
+  RETRY_ATTEMPTS: 3,
+  CAMERA: {
+    DECODE_INTERVAL: 150, // milliseconds between decoded frames
+    CONFIRM_FRAMES: 3, // frames that must agree before a code is accepted
+    FRAME_WINDOW: 6, // recent frames the agreement is counted over
+    RESCAN_DELAY: 2500 // milliseconds before the same code is accepted again
+  },
+  CARD_FORMATS: ['CODE128', 'QR'] // what member cards can be printed with
 };
 
 // Statistics Periods
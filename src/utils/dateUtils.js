@@ -167,6 +167,44 @@ export const isSubscriptionExpiringSoon = (endDate, gracePeriodDays = 7) => {
   return end <= warning && end >= new Date();
 };
 
+/**
+ * Calculate when a membership ends from its start date and plan duration
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {number} durationValue - Number of units
+ * @param {string} durationUnit - day, week, month or year
+ * @returns {string} End date (YYYY-MM-DD)
+ */
+export const calculateEndDate = (startDate, durationValue, durationUnit) => {
+  const end = new Date(startDate);
+
+  switch (durationUnit) {
+    case 'day':
+      end.setUTCDate(end.getUTCDate() + durationValue);
+      break;
+    case 'week':
+      end.setUTCDate(end.getUTCDate() + durationValue * 7);
+      break;
+    case 'month':
+      end.setUTCMonth(end.getUTCMonth() + durationValue);
+      break;
+    case 'year':
+      end.setUTCFullYear(end.getUTCFullYear() + durationValue);
+      break;
+  }
+
+  return end.toISOString().split('T')[0];
+};
+
+/**
+ * Count the days between two dates
+ * @param {string} startDate - Start date (YYYY-MM-DD)
+ * @param {string} endDate - End date (YYYY-MM-DD)
+ * @returns {number} Whole days from start to end (negative if end is earlier)
+ */
+export const getDaysBetween = (startDate, endDate) => {
+  return Math.round((new Date(endDate) - new Date(startDate)) / (1000 * 60 * 60 * 24));
+};
+
 /**
  * Get start and end of day for a given date
  * @param {string|Date} date - Date (defaults to today)
@@ -1,5 +1,5 @@
 import { formatDate, formatDuration } from './dateUtils';
-import { MEMBERSHIP_TYPES, SERVICE_TYPES, MEMBERSHIP_STATUS } from './constants';
+import { SERVICE_TYPES, MEMBERSHIP_STATUS, PAYMENT_METHODS, PAYMENT_TYPES, WEEKDAYS } from './constants';
 
 /**
  * Format time for display (HH:MM format)
@@ -47,18 +47,15 @@ export const formatPhoneNumber = (phone) => {
 };
 
 /**
- * Format membership type for display
- * @param {string} membershipType - Membership type
- * @returns {string} Formatted membership type
+ * Format a plan's duration for display
+ * @param {object} plan - Plan with durationValue and durationUnit
+ * @returns {string} Formatted duration (e.g., "3 months")
  */
-export const formatMembershipType = (membershipType) => {
-  const types = {
-    [MEMBERSHIP_TYPES.DAILY]: 'Daily Pass',
-    [MEMBERSHIP_TYPES.MONTHLY]: 'Monthly Membership',
-    [MEMBERSHIP_TYPES.ANNUAL]: 'Annual Membership'
-  };
-  
-  return types[membershipType] || 'Unknown';
+export const formatPlanDuration = (plan) => {
+  if (!plan || !plan.durationValue) return 'Unknown';
+
+  const unit = plan.durationValue === 1 ? plan.durationUnit : `${plan.durationUnit}s`;
+  return `${plan.durationValue} ${unit}`;
 };
 
 /**
@@ -76,6 +73,37 @@ export const formatMembershipStatus = (status) => {
   return statuses[status] || 'Unknown';
 };
 
+/**
+ * Format payment method for display
+ * @param {string} method - Payment method
+ * @returns {string} Formatted method
+ */
+export const formatPaymentMethod = (method) => {
+  const methods = {
+    [PAYMENT_METHODS.CASH]: 'Cash',
+    [PAYMENT_METHODS.CARD]: 'Card',
+    [PAYMENT_METHODS.TRANSFER]: 'Bank transfer'
+  };
+  
+  return methods[method] || 'Unknown';
+};
+
+/**
+ * Format payment type for display
+ * @param {string} type - Payment type
+ * @returns {string} Formatted type
+ */
+export const formatPaymentType = (type) => {
+  const types = {
+    [PAYMENT_TYPES.MEMBERSHIP_SALE]: 'Membership sale',
+    [PAYMENT_TYPES.RENEWAL]: 'Renewal',
+    [PAYMENT_TYPES.DAY_PASS]: 'Day pass',
+    [PAYMENT_TYPES.SPA_ADDON]: 'Spa add-on'
+  };
+  
+  return types[type] || 'Unknown';
+};
+
 /**
  * Format services array for display
  * @param {Array<string>} services - Services array
@@ -96,6 +124,60 @@ export const formatServices = (services) => {
   return services.map(service => serviceMap[service] || service).join(', ');
 };
 
+/**
+ * Format a membership's visit and session balances for display
+ * @param {object} quota - Membership quota: { visits, sessions }
+ * @returns {Array<string>} One line per balance, empty if nothing is counted
+ */
+export const formatQuota = (quota) => {
+  if (!quota) return [];
+  
+  const lines = [];
+  if (quota.visits) {
+    lines.push(`${quota.visits.remaining} of ${quota.visits.total} visits left`);
+  }
+  
+  Object.entries(quota.sessions || {}).forEach(([service, balance]) => {
+    lines.push(`${balance.remaining} of ${balance.total} ${formatServices([service])} sessions left`);
+  });
+  
+  return lines;
+};
+
+/**
+ * Format daily time ranges for display
+ * @param {Array<object>} windows - Time ranges: [{ start, end }]
+ * @returns {string} Formatted ranges, or 'all day' if there are none
+ */
+export const formatTimeWindows = (windows) => {
+  if (!windows || windows.length === 0) return 'all day';
+  
+  return windows.map(({ start, end }) => `${start}–${end}`).join(', ');
+};
+
+/**
+ * Format an access schedule for display
+ * @param {object} schedule - Schedule: { days, windows }, or null for any time
+ * @returns {string} Formatted schedule (e.g. "Mon–Fri, 06:00–12:00")
+ */
+export const formatSchedule = (schedule) => {
+  if (!schedule) return 'Any time';
+  
+  const days = [...schedule.days].sort((a, b) => a - b);
+  const isRun = days.length > 2 && days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+  
+  let dayText;
+  if (days.length === 7) {
+    dayText = 'Every day';
+  } else if (isRun) {
+    dayText = `${WEEKDAYS[days[0]]}–${WEEKDAYS[days[days.length - 1]]}`;
+  } else {
+    dayText = days.map(day => WEEKDAYS[day]).join(', ');
+  }
+  
+  return `${dayText}, ${formatTimeWindows(schedule.windows)}`;
+};
+
 /**
  * Format currency amount
  * @param {number} amount - Amount to format
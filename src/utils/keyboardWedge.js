@@ -0,0 +1,81 @@
+import { VALIDATION_RULES } from './constants';
+
+/**
+ * Create a detector for keyboard-wedge barcode scanners.
+ * A wedge scanner "types" the barcode into whatever has focus, much faster than a person can,
+ * and finishes with Enter. The detector watches keydown events and reports a scan when every
+ * key of a burst of at least minLength characters came within maxKeyInterval of the one before.
+ * @param {object} options - Detector options
+ * @param {Function} options.onScan - Called with the scanned text
+ * @param {number} options.maxKeyInterval - Longest gap between two keys of a scan, in milliseconds
+ * @param {number} options.minLength - Shortest barcode (defaults to the shortest customer ID)
+ * @returns {object} Detector with handleKeyDown(event) and reset()
+ */
+export const createKeyboardWedge = ({
+  onScan,
+  maxKeyInterval,
+  minLength = VALIDATION_RULES.CUSTOMER_ID.MIN_LENGTH
+}) => {
+  let buffer = '';
+  let lastKeyTime = 0;
+
+  const reset = () => {
+    buffer = '';
+    lastKeyTime = 0;
+  };
+
+  /**
+   * Feed a keydown event to the detector
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string|null} Scanned text when the event completed a scan
+   */
+  const handleKeyDown = (event) => {
+    if (event.ctrlKey || event.altKey || event.metaKey) {
+      reset();
+      return null;
+    }
+
+    const now = event.timeStamp;
+    const isFast = lastKeyTime > 0 && now - lastKeyTime <= maxKeyInterval;
+
+    if (event.key === 'Enter') {
+      const scanned = isFast && buffer.length >= minLength ? buffer : null;
+      reset();
+
+      if (scanned) {
+        onScan(scanned);
+      }
+      return scanned;
+    }
+
+    // Shift and other modifier keys don't count as characters
+    if (event.key.length !== 1) {
+      return null;
+    }
+
+    // A slow key starts a new burst
+    buffer = isFast ? buffer + event.key : event.key;
+    lastKeyTime = now;
+    return null;
+  };
+
+  return { handleKeyDown, reset };
+};
+
+/**
+ * Take the characters a scan typed back out of the focused text field
+ * @param {Element} element - Focused element
+ * @param {string} scanned - Scanned text
+ */
+export const removeScannedText = (element, scanned) => {
+  const isTextField = element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement;
+  if (!isTextField || !element.value.endsWith(scanned)) {
+    return;
+  }
+
+  // Go through the native setter and an input event so React sees the change
+  const prototype = element instanceof HTMLInputElement ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype;
+  const setValue = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+  setValue.call(element, element.value.slice(0, -scanned.length));
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+};
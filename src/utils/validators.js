@@ -1,4 +1,4 @@
-import { VALIDATION_RULES } from './constants';
+import { VALIDATION_RULES, EMPLOYEE_ROLES, PLAN_DURATION_UNITS, SERVICE_TYPES, FREEZE_REASONS, PAYMENT_METHODS, PAYMENT_TYPES, CASH_DENOMINATIONS } from './constants';
 
 /**
  * Validate customer ID format
@@ -25,6 +25,42 @@ export const validateCustomerId = (customerId) => {
   return { isValid: true, message: '' };
 };
 
+/**
+ * Work out the Luhn check digit for a string of digits
+ * @param {string} digits - Digits without the check digit
+ * @returns {number} Check digit
+ */
+export const getLuhnCheckDigit = (digits) => {
+  const sum = digits.split('').reverse().reduce((total, char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    return total + digit;
+  }, 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Validate a member card token
+ * @param {string} token - Card token read from a card
+ * @returns {object} Validation result with isValid and message
+ */
+export const validateCardToken = (token) => {
+  if (!VALIDATION_RULES.CARD_TOKEN.PATTERN.test(token || '')) {
+    return { isValid: false, message: `Card numbers have ${VALIDATION_RULES.CARD_TOKEN.LENGTH} digits` };
+  }
+
+  // A wrong check digit means a misread or a made-up number
+  if (getLuhnCheckDigit(token.slice(0, -1)) !== Number(token.slice(-1))) {
+    return { isValid: false, message: 'Card number is not valid. Scan the card again' };
+  }
+
+  return { isValid: true, message: '' };
+};
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -223,8 +259,13 @@ export const validateCustomerData = (customerData) => {
     }
   }
   
-  // Validate membership dates
+  // Validate membership plan and dates
   if (customerData.membership) {
+    if (!customerData.membership.planId) {
+      errors.planId = 'Please select a membership plan';
+      isValid = false;
+    }
+    
     const startDateValidation = validateDate(customerData.membership.startDate, 'Start date');
     if (!startDateValidation.isValid) {
       errors.startDate = startDateValidation.message;
@@ -253,6 +294,378 @@ export const validateCustomerData = (customerData) => {
   };
 };
 
+/**
+ * Validate username format
+ * @param {string} username - Username to validate
+ * @returns {object} Validation result with isValid and message
+ */
+export const validateUsername = (username) => {
+  if (!username) {
+    return { isValid: false, message: 'Username is required' };
+  }
+  
+  if (username.length < VALIDATION_RULES.USERNAME.MIN_LENGTH) {
+    return { isValid: false, message: `Username must be at least ${VALIDATION_RULES.USERNAME.MIN_LENGTH} characters` };
+  }
+  
+  if (username.length > VALIDATION_RULES.USERNAME.MAX_LENGTH) {
+    return { isValid: false, message: `Username must be no more than ${VALIDATION_RULES.USERNAME.MAX_LENGTH} characters` };
+  }
+  
+  if (!VALIDATION_RULES.USERNAME.PATTERN.test(username)) {
+    return { isValid: false, message: 'Username may only contain lowercase letters, numbers, dots, dashes and underscores' };
+  }
+  
+  return { isValid: true, message: '' };
+};
+
+/**
+ * Validate employee account data
+ * @param {object} employeeData - Employee data to validate
+ * @param {boolean} requirePassword - Whether an initial password must be given (new accounts)
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validateEmployeeData = (employeeData, requirePassword = false) => {
+  const errors = {};
+  let isValid = true;
+  
+  // Validate username
+  const usernameValidation = validateUsername(employeeData.username);
+  if (!usernameValidation.isValid) {
+    errors.username = usernameValidation.message;
+    isValid = false;
+  }
+  
+  // Validate first name
+  const firstNameValidation = validateRequired(employeeData.firstName, 'First name');
+  if (!firstNameValidation.isValid) {
+    errors.firstName = firstNameValidation.message;
+    isValid = false;
+  }
+  
+  // Validate last name
+  const lastNameValidation = validateRequired(employeeData.lastName, 'Last name');
+  if (!lastNameValidation.isValid) {
+    errors.lastName = lastNameValidation.message;
+    isValid = false;
+  }
+  
+  // Validate role
+  if (!Object.values(EMPLOYEE_ROLES).includes(employeeData.role)) {
+    errors.role = 'Please select a valid role';
+    isValid = false;
+  }
+  
+  // Validate initial password
+  if (requirePassword) {
+    const passwordValidation = validatePassword(employeeData.password);
+    if (!passwordValidation.isValid) {
+      errors.password = passwordValidation.message;
+      isValid = false;
+    }
+  }
+  
+  return {
+    isValid,
+    message: isValid ? 'Employee data is valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
+/**
+ * Validate membership plan data
+ * @param {object} planData - Plan data to validate
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validatePlanData = (planData) => {
+  const errors = {};
+  const rules = VALIDATION_RULES.PLAN;
+  
+  // Validate name
+  const nameValidation = validateRequired(planData.name, 'Plan name');
+  if (!nameValidation.isValid) {
+    errors.name = nameValidation.message;
+  } else if (planData.name.trim().length > rules.NAME_MAX_LENGTH) {
+    errors.name = `Plan name must be no more than ${rules.NAME_MAX_LENGTH} characters`;
+  }
+  
+  // Validate duration
+  const durationValidation = validateNumeric(planData.durationValue, 'Duration', 1, rules.MAX_DURATION_VALUE);
+  if (!durationValidation.isValid || !Number.isInteger(Number(planData.durationValue))) {
+    errors.durationValue = durationValidation.message || 'Duration must be a whole number';
+  }
+  
+  if (!Object.values(PLAN_DURATION_UNITS).includes(planData.durationUnit)) {
+    errors.durationUnit = 'Please select a valid duration unit';
+  }
+  
+  // Validate price
+  const priceValidation = validateNumeric(planData.price, 'Price', 0, rules.MAX_PRICE);
+  if (!priceValidation.isValid) {
+    errors.price = priceValidation.message;
+  }
+  
+  // Validate services
+  const services = [SERVICE_TYPES.GYM, SERVICE_TYPES.SPA];
+  if (!Array.isArray(planData.services) || planData.services.length === 0 ||
+      planData.services.some(service => !services.includes(service))) {
+    errors.services = 'Select at least one service';
+  }
+  
+  // Validate visit limit (empty means unlimited)
+  if (planData.visitLimit !== null && planData.visitLimit !== undefined && planData.visitLimit !== '') {
+    const limitValidation = validateNumeric(planData.visitLimit, 'Visit limit', 1);
+    if (!limitValidation.isValid || !Number.isInteger(Number(planData.visitLimit))) {
+      errors.visitLimit = limitValidation.message || 'Visit limit must be a whole number';
+    }
+  }
+  
+  // Validate session limits, one optional pack size per service the plan includes
+  const sessionLimits = Object.entries(planData.sessionLimits || {})
+    .filter(([, limit]) => limit !== null && limit !== undefined && limit !== '');
+  if (sessionLimits.some(([service]) => !services.includes(service) || !(planData.services || []).includes(service))) {
+    errors.sessionLimits = 'Session limits can only be set for the plan\'s services';
+  } else if (sessionLimits.some(([, limit]) => !validateNumeric(limit, 'Session limit', 1).isValid || !Number.isInteger(Number(limit)))) {
+    errors.sessionLimits = 'Session limits must be whole numbers of at least 1';
+  }
+  
+  // Validate freeze allowance (empty means no freezing)
+  if (planData.maxFreezeDays !== null && planData.maxFreezeDays !== undefined && planData.maxFreezeDays !== '') {
+    const freezeValidation = validateNumeric(planData.maxFreezeDays, 'Max freeze days', 0, rules.MAX_FREEZE_DAYS);
+    if (!freezeValidation.isValid || !Number.isInteger(Number(planData.maxFreezeDays))) {
+      errors.maxFreezeDays = freezeValidation.message || 'Max freeze days must be a whole number';
+    }
+  }
+  
+  // Validate access schedule (null means any time)
+  if (planData.schedule) {
+    const scheduleValidation = validateSchedule(planData.schedule);
+    if (!scheduleValidation.isValid) {
+      errors.schedule = scheduleValidation.message;
+    }
+  }
+  
+  const isValid = Object.keys(errors).length === 0;
+  
+  return {
+    isValid,
+    message: isValid ? 'Plan data is valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
+/**
+ * Validate a list of daily time ranges
+ * @param {Array<object>} windows - Time ranges: [{ start: 'HH:MM', end: 'HH:MM' }]
+ * @returns {object} Validation result with isValid and message
+ */
+export const validateTimeWindows = (windows = []) => {
+  const rules = VALIDATION_RULES.SCHEDULE;
+  
+  if (windows.length > rules.MAX_WINDOWS) {
+    return { isValid: false, message: `Use no more than ${rules.MAX_WINDOWS} time ranges` };
+  }
+  
+  if (windows.some(({ start, end }) => !rules.TIME_PATTERN.test(start || '') || !rules.TIME_PATTERN.test(end || ''))) {
+    return { isValid: false, message: 'Enter times as HH:MM' };
+  }
+  
+  if (windows.some(({ start, end }) => start >= end)) {
+    return { isValid: false, message: 'Each time range must end after it starts' };
+  }
+  
+  return { isValid: true, message: '' };
+};
+
+/**
+ * Validate an access schedule
+ * @param {object} schedule - Schedule: { days: weekday numbers (0 = Sunday), windows: [{ start, end }] }
+ * @returns {object} Validation result with isValid and message
+ */
+export const validateSchedule = (schedule) => {
+  const days = schedule.days || [];
+  
+  if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { isValid: false, message: 'Select at least one day' };
+  }
+  
+  return validateTimeWindows(schedule.windows);
+};
+
+/**
+ * Validate service area opening hours and holidays
+ * @param {object} accessData - Access settings to validate
+ * @param {object} accessData.serviceSchedules - Schedule per service, or null for none
+ * @param {Array<object>} accessData.holidays - Holidays: { date, name, closed, windows }
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validateAccessSettings = (accessData) => {
+  const errors = {};
+  const rules = VALIDATION_RULES.SCHEDULE;
+  const services = [SERVICE_TYPES.GYM, SERVICE_TYPES.SPA];
+  
+  Object.entries(accessData.serviceSchedules || {}).forEach(([service, schedule]) => {
+    if (!services.includes(service)) {
+      errors.serviceSchedules = `Unknown service: ${service}`;
+    } else if (schedule) {
+      const scheduleValidation = validateSchedule(schedule);
+      if (!scheduleValidation.isValid) {
+        errors[service] = scheduleValidation.message;
+      }
+    }
+  });
+  
+  const holidays = accessData.holidays || [];
+  const dates = holidays.map(holiday => holiday.date);
+  if (holidays.length > rules.MAX_HOLIDAYS) {
+    errors.holidays = `Enter no more than ${rules.MAX_HOLIDAYS} holidays`;
+  } else if (holidays.some(holiday => !validateDate(holiday.date).isValid || !/^\d{4}-\d{2}-\d{2}$/.test(holiday.date))) {
+    errors.holidays = 'Each holiday needs a valid date';
+  } else if (new Set(dates).size !== dates.length) {
+    errors.holidays = 'Each date can only be listed once';
+  } else if (holidays.some(holiday => !(holiday.name || '').trim() || holiday.name.trim().length > rules.HOLIDAY_NAME_MAX_LENGTH)) {
+    errors.holidays = `Holiday names must be between 1 and ${rules.HOLIDAY_NAME_MAX_LENGTH} characters`;
+  } else {
+    const invalidHours = holidays.filter(holiday => !holiday.closed).map(holiday => validateTimeWindows(holiday.windows)).find(result => !result.isValid);
+    if (invalidHours) {
+      errors.holidays = invalidHours.message;
+    }
+  }
+  
+  const isValid = Object.keys(errors).length === 0;
+  
+  return {
+    isValid,
+    message: isValid ? 'Access settings are valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
+/**
+ * Validate a membership freeze request
+ * @param {object} freezeData - Freeze data to validate
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validateFreezeData = (freezeData, today) => {
+  const errors = {};
+  
+  // Validate dates (YYYY-MM-DD strings compare in date order)
+  const startValidation = validateDate(freezeData.startDate, 'Start date');
+  if (!startValidation.isValid) {
+    errors.startDate = startValidation.message;
+  } else if (freezeData.startDate < today) {
+    errors.startDate = 'A freeze cannot start in the past';
+  }
+  
+  const endValidation = validateDate(freezeData.endDate, 'End date');
+  if (!endValidation.isValid) {
+    errors.endDate = endValidation.message;
+  } else if (!errors.startDate && freezeData.endDate < freezeData.startDate) {
+    errors.endDate = 'End date must be on or after the start date';
+  }
+  
+  // Validate reason
+  if (!Object.values(FREEZE_REASONS).includes(freezeData.reason)) {
+    errors.reason = 'Please select a reason';
+  } else if (freezeData.reason === FREEZE_REASONS.OTHER && !(freezeData.note || '').trim()) {
+    errors.note = 'Please describe the reason';
+  }
+  
+  const isValid = Object.keys(errors).length === 0;
+  
+  return {
+    isValid,
+    message: isValid ? 'Freeze data is valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
+/**
+ * Validate a payment before it is written to the ledger
+ * @param {object} paymentData - Payment data to validate
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validatePaymentData = (paymentData) => {
+  const errors = {};
+  const rules = VALIDATION_RULES.PAYMENT;
+  
+  if (!Object.values(PAYMENT_TYPES).includes(paymentData.type)) {
+    errors.type = 'Please select what the payment is for';
+  }
+  
+  if (!Object.values(PAYMENT_METHODS).includes(paymentData.method)) {
+    errors.method = 'Please select a payment method';
+  }
+  
+  // Validate amount and discount (the discount can't exceed the amount)
+  const amountValidation = validateNumeric(paymentData.amount, 'Amount', 0, rules.MAX_AMOUNT);
+  if (!amountValidation.isValid) {
+    errors.amount = amountValidation.message;
+  }
+  
+  const discount = paymentData.discount === '' || paymentData.discount === undefined ? 0 : paymentData.discount;
+  const discountValidation = validateNumeric(discount, 'Discount', 0);
+  if (!discountValidation.isValid) {
+    errors.discount = discountValidation.message;
+  } else if (!errors.amount && Number(discount) > Number(paymentData.amount)) {
+    errors.discount = 'Discount cannot be more than the amount';
+  }
+  
+  if ((paymentData.description || '').trim().length > rules.DESCRIPTION_MAX_LENGTH) {
+    errors.description = `Description must be no more than ${rules.DESCRIPTION_MAX_LENGTH} characters`;
+  }
+  
+  const isValid = Object.keys(errors).length === 0;
+  
+  return {
+    isValid,
+    message: isValid ? 'Payment data is valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
+/**
+ * Validate a cash drawer count
+ * @param {object} closeoutData - Close-out data to validate
+ * @param {object} closeoutData.denominations - Count per denomination, keyed by its value
+ * @param {string} closeoutData.note - Explanation of any variance
+ * @param {boolean} requireNote - True when the count doesn't match the expected cash
+ * @returns {object} Validation result with isValid, message, and field errors
+ */
+export const validateCloseoutData = (closeoutData, requireNote = false) => {
+  const errors = {};
+  const rules = VALIDATION_RULES.CLOSEOUT;
+  const denominations = closeoutData.denominations || {};
+  
+  // Only known notes and coins, counted in whole pieces
+  const unknown = Object.keys(denominations).filter(value => !CASH_DENOMINATIONS.includes(Number(value)));
+  const invalid = CASH_DENOMINATIONS.filter(value => {
+    const count = denominations[value] ?? 0;
+    return !validateNumeric(count, 'Count', 0, rules.MAX_COUNT).isValid || !Number.isInteger(Number(count));
+  });
+  if (unknown.length > 0) {
+    errors.denominations = `Unknown denomination: ${unknown.join(', ')}`;
+  } else if (invalid.length > 0) {
+    errors.denominations = `Enter a whole number of pieces for ${invalid.join(', ')}`;
+  }
+  
+  const note = (closeoutData.note || '').trim();
+  if (note.length > rules.NOTE_MAX_LENGTH) {
+    errors.note = `Note must be no more than ${rules.NOTE_MAX_LENGTH} characters`;
+  } else if (requireNote && !note) {
+    errors.note = 'Explain why the count doesn\'t match';
+  }
+  
+  const isValid = Object.keys(errors).length === 0;
+  
+  return {
+    isValid,
+    message: isValid ? 'Cash count is valid' : 'Please fix the validation errors',
+    errors
+  };
+};
+
 /**
  * Validate login credentials
  * @param {string} username - Username
@@ -301,7 +714,10 @@ export const validateBarcode = (barcode) => {
     return { isValid: false, message: 'Barcode cannot be empty' };
   }
   
-  // Use the same validation as customer ID since barcode contains customer ID
+  // Cards carry a card token; older cards carry the customer ID itself
+  if (cleanBarcode.length === VALIDATION_RULES.CARD_TOKEN.LENGTH) {
+    return validateCardToken(cleanBarcode);
+  }
   return validateCustomerId(cleanBarcode);
 };
 